@@ -0,0 +1,71 @@
+/*
+ * Bin filling benchmark
+ *
+ * Times build_bins on a million values with 10 and with 2000 bins. Each value
+ * is placed by binary search over the edges, so the many bins should take
+ * about as long as the few; scanning the values once per bin made them some
+ * 200 times slower.
+ *
+ * Run with `cargo bench --bench build_bins`.
+ */
+
+use binner::histogram::{Closure, build_bins};
+use binner::labels::LabelStyle;
+use std::hint::black_box;
+use std::time::{Duration, Instant};
+
+const NUM_VALUES: usize = 1_000_000;
+const RUNS: usize = 5;
+
+/// Deterministic pseudo-random values in [0, 1000), as in test/performance.test.js
+fn values() -> Vec<f64> {
+    let mut seed: u64 = 42;
+    (0..NUM_VALUES)
+        .map(|_| {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            seed as f64 / 2147483648.0 * 1000.0
+        })
+        .collect()
+}
+
+/// The median time build_bins takes to fill a number of bins of equal width
+fn time_bins(values: &[f64], num_bins: usize) -> Duration {
+    let breaks: Vec<f64> = (0..=num_bins)
+        .map(|i| i as f64 * 1000.0 / num_bins as f64)
+        .collect();
+
+    let mut times: Vec<Duration> = (0..RUNS)
+        .map(|_| {
+            let start = Instant::now();
+            let bins = build_bins(
+                black_box(values),
+                None,
+                black_box(&breaks),
+                0,
+                0.0,
+                false,
+                Closure::default(),
+                LabelStyle::default(),
+            )
+            .expect("the edges are sorted");
+            black_box(bins);
+            start.elapsed()
+        })
+        .collect();
+    times.sort();
+    times[RUNS / 2]
+}
+
+fn main() {
+    let values = values();
+    let few = time_bins(&values, 10);
+    let many = time_bins(&values, 2000);
+
+    println!("build_bins, {} values", NUM_VALUES);
+    println!("  10 bins:   {:>10.2?}", few);
+    println!("  2000 bins: {:>10.2?}", many);
+    println!(
+        "  ratio:     {:>10.2}",
+        many.as_secs_f64() / few.as_secs_f64()
+    );
+}
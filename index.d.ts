@@ -0,0 +1,360 @@
+export type BinningAlgorithm =
+  | 'jenks'
+  | 'quantile'
+  | 'equal-interval'
+  | 'standard-deviation'
+  | 'head-tail'
+  | 'pretty'
+  | 'geometric-interval'
+  | 'log';
+
+export type CalendarInterval = 'day' | 'week' | 'month' | 'quarter' | 'year';
+
+export type BinCountRule =
+  'sturges' | 'scott' | 'fd' | 'sqrt' | 'rice' | 'doane';
+
+export type BinStatistic =
+  'mean' | 'median' | 'sum' | 'std' | 'pct' | 'cumulative';
+
+export type InputFormat =
+  'parquet' | 'csv' | 'tsv' | 'ndjson' | 'ipc' | 'lines';
+
+export interface BinnerOptions {
+  /** Path to the input file, or '-' for standard input */
+  file?: string;
+  /**
+   * Data to pipe to standard input; arrays are sent as one number per line.
+   * Implies `file: '-'` when no file is given.
+   */
+  input?: string | Buffer | Array<number | null>;
+  /** Input file format (the CLI's `--format`); detected from the file extension by default */
+  format?: InputFormat;
+  /** Field delimiter for CSV/TSV input */
+  delimiter?: string;
+  /** Whether CSV/TSV input has a header row (default: true) */
+  header?: boolean;
+  /** Values to read as null in CSV/TSV input */
+  nullValues?: string[];
+  /**
+   * Name of the numeric column; optional for one-number-per-line input.
+   * Pass several names to bin them all in one scan; an array of one name
+   * bins that column alone.
+   */
+  column?: string | string[];
+  /** Bin every numeric column in the file */
+  allNumeric?: boolean;
+  /** Algorithm for calculating bin boundaries */
+  algorithm?: BinningAlgorithm;
+  /**
+   * Target number of bins to create, `'auto'` to derive it with `rule`, or
+   * `'auto-gvf'` to add bins until `gvfThreshold` is reached
+   */
+  numBins?: number | 'auto' | 'auto-gvf';
+  /**
+   * Rule deriving the number of bins from the data (default: `'sturges'`).
+   * `'scott'` and `'fd'` set the bin width of equal-interval bins.
+   */
+  rule?: BinCountRule;
+  /** Goodness of variance fit `numBins: 'auto-gvf'` adds bins until (default: 0.9) */
+  gvfThreshold?: number;
+  /** Snap the algorithm's edges to round numbers, reporting the count shifts */
+  nice?: boolean;
+  /**
+   * Statistics to add to every numeric bin; `'median'` is not available with
+   * `streaming`
+   */
+  stats?: BinStatistic[];
+  /** Add a summary of each column's distribution to the metadata */
+  summary?: boolean;
+  /** Percentiles reported with `summary` (default: 1, 5, 25, 50, 75, 95, 99) */
+  percentiles?: number[];
+  /** Custom bin boundaries; `null` adds a bin for null values */
+  bins?: Array<number | null>;
+  /** Number of standard deviations for bin sizing */
+  stdDevSize?: number;
+  /** Base of the `'log'` algorithm's bins (default: 10) */
+  logBase?: number;
+  /**
+   * Value added before geometric-interval or log binning, so zeros and
+   * negatives can be binned; the edges stay in data units
+   */
+  logOffset?: number;
+  /** Only bin rows matching a predicate, e.g. `"sex = 'female' AND age >= 18"` */
+  where?: string;
+  /** Emit one set of bins per group value of these columns */
+  groupBy?: string | string[];
+  /** Calculate bin edges per group instead of across the whole column */
+  perGroupEdges?: boolean;
+  /** Numeric column to weight each row by; bin counts become weighted sums */
+  weightColumn?: string;
+  /** Skip rows with a null or negative weight (default) or fail on them */
+  invalidWeights?: 'skip' | 'error';
+  /**
+   * Read the input in batches so files larger than memory can be binned;
+   * quantile, head-tail and Jenks edges are estimated from a sketch
+   */
+  streaming?: boolean;
+  /** Rows read per batch in streaming mode (default: 1,000,000) */
+  batchSize?: number;
+  /** Bin a date or datetime column into calendar intervals (weeks start on Monday) */
+  interval?: CalendarInterval;
+  /** IANA timezone datetimes are shown and aligned in (default: the column's, or UTC) */
+  timezone?: string;
+  /**
+   * Count the values of the column instead of binning numbers; automatic for
+   * string, categorical and boolean columns
+   */
+  categorical?: boolean;
+  /** Keep the N most frequent values and count the rest in an "other" bin */
+  top?: number;
+  /** Order of value counts: most frequent first (default) or by value */
+  sort?: 'count' | 'value';
+  /** Close the bins on the left, [from, to) (default), or on the right, (from, to] */
+  closed?: 'left' | 'right';
+  /**
+   * Let the last custom bin hold the last edge (the first bin the first edge
+   * when closed on the right); algorithm bins always hold the minimum and maximum
+   */
+  includeLowest?: boolean;
+  /**
+   * Keep the underflow and overflow bins (default), drop them, or merge them
+   * into the first and last bins
+   */
+  outerBins?: 'keep' | 'drop' | 'merge';
+  /** Leave out the bins that hold no values */
+  dropEmpty?: boolean;
+  /** Decimals of the numbers in bin labels (default: 3, significant digits for log scales) */
+  labelPrecision?: number;
+  /**
+   * Template of the labels of bins between two edges, with {from} and {to}, or
+   * {first} and {last} for the integers a bin of an integer column holds; or
+   * "integer" to label the bins of integer columns with the integers they hold
+   */
+  labelFormat?: string;
+  /** Write the numbers in bin labels with the separators of a locale, e.g. "de-DE" (see the README for the languages) */
+  labelLocale?: string;
+  /** Shorten the numbers in bin labels with SI prefixes or write them as percentages */
+  labelSuffix?: 'si' | 'percent';
+  /** Override the resolved path of the binner binary */
+  binaryPath?: string;
+}
+
+export interface NumericHistogramBin {
+  /** The label for this bin */
+  bin_label: string;
+  /**
+   * What the bin holds: the values below, between or above the edges, the
+   * values --top left out, or nulls
+   */
+  kind: 'underflow' | 'bin' | 'overflow' | 'other' | 'null';
+  /** The lower bound of the bin (an ISO-8601 string for temporal columns) */
+  from: number | string | null;
+  /** The upper bound of the bin (an ISO-8601 string for temporal columns) */
+  to: number | string | null;
+  /** The number of rows in this bin, or their summed weight when weighted */
+  count: number;
+  /** The unweighted number of rows in this bin (only set when weighted) */
+  row_count?: number;
+  /** How the count changed when `nice` snapped the edges (only set with `nice`) */
+  count_shift?: number;
+  /** The min value in this bin */
+  min: number | string | null;
+  /** The max value in this bin */
+  max: number | string | null;
+  /** The mean of the values in this bin (with `stats`; empty bins have none) */
+  mean?: number | string;
+  /** The median of the values in this bin (with `stats`; empty bins have none) */
+  median?: number | string;
+  /** The sum of the values in this bin, weighted when weighted (with `stats`) */
+  sum?: number;
+  /** The population standard deviation of the values (with `stats`) */
+  std?: number;
+  /** Percentage of all rows, nulls included (with `stats`) */
+  pct?: number;
+  /** Percentage of the non-null values (with `stats`) */
+  pct_non_null?: number;
+  /** Count of this bin and every bin before it (with `stats`) */
+  cumulative_count?: number;
+  /** The cumulative count as a percentage of the non-null values (with `stats`) */
+  cumulative_pct?: number;
+}
+
+/** The distribution of a column; temporal values are ISO-8601 strings */
+export interface ColumnSummary {
+  min: number | string;
+  max: number | string;
+  mean: number | string;
+  /** Population standard deviation, in the units of the column */
+  std: number;
+  /** Population skewness */
+  skewness: number;
+  /** Population excess kurtosis (0 for a normal distribution) */
+  kurtosis: number;
+  /** The number of distinct values */
+  distinct: number;
+  /** The value at each requested percentile, keyed `p1`, `p5`, ... */
+  percentiles: Record<string, number | string>;
+  /** Whether the percentiles and distinct count are exact (false when sketched in streaming mode) */
+  exact: boolean;
+}
+
+export interface HistogramMetadata {
+  file: string;
+  /** The input format the file was read as */
+  format: InputFormat | null;
+  column: string;
+  algorithm: string | null;
+  num_bins: number | null;
+  std_dev_size: number | null;
+  /** The base of log bins */
+  log_base: number | null;
+  /** The offset added to the values of geometric-interval and log bins */
+  log_offset: number | null;
+  /** The rule num_bins was derived with (`'gvf'` for `numBins: 'auto-gvf'`) */
+  rule: BinCountRule | 'gvf' | null;
+  /** The bin width chosen by the scott or fd rule */
+  bin_width: number | null;
+  /** The goodness of variance fit `numBins: 'auto-gvf'` added bins until */
+  gvf_threshold: number | null;
+  /** The algorithm's edges before `nice` snapped them to round numbers */
+  unsnapped_edges: number[] | null;
+  /** The number of values (or their summed weight) that changed bin when snapping */
+  moved_values: number | null;
+  /** Goodness of variance fit of the bins, from 0 to 1 (1 is a perfect fit) */
+  gvf: number | null;
+  /** Absolute deviation around the bin medians (null in streaming mode) */
+  adcm: number | null;
+  /** Tabular accuracy index of the bins, up to 1 (null in streaming mode) */
+  tai: number | null;
+  total_rows: number;
+  numeric_values: number;
+  null_values: number;
+  bin_edges: number[];
+  /** The distribution of the column's values (only set with `summary`) */
+  summary: ColumnSummary | null;
+  /** The columns the histogram was split by */
+  group_by: string[] | null;
+  /** Whether each group has its own bin edges */
+  per_group_edges: boolean | null;
+  /** The `where` expression rows were filtered with */
+  filter: string | null;
+  /** The number of rows that matched the filter */
+  filtered_rows: number | null;
+  /** The column bin counts were weighted by */
+  weight_column: string | null;
+  /** The summed weight of the binned rows, nulls included */
+  total_weight: number | null;
+  /** Rows left out because their weight was null or NaN */
+  null_weights: number | null;
+  /** Rows left out because their weight was negative */
+  negative_weights: number | null;
+  /** Whether the bin edges were calculated from every value (false when estimated from a sketch) */
+  exact_breaks: boolean | null;
+  /** Bound on the normalized rank error of estimated edges, at about 99% confidence */
+  rank_error: number | null;
+  /** The type of a temporal column */
+  temporal_type: 'date' | 'datetime' | 'duration' | null;
+  /** The unit of `bin_edges` for a temporal column */
+  time_unit: 'days' | 'ms' | 'us' | 'ns' | null;
+  /** The timezone temporal bins are shown and aligned in */
+  timezone: string | null;
+  /** The calendar unit of the bins when binned by interval */
+  interval: CalendarInterval | null;
+  /** The end the bins are closed on */
+  closed: 'left' | 'right' | null;
+  /**
+   * Whether the outermost bin is closed at its open end too, holding the last
+   * edge of left-closed bins or the first of right-closed ones
+   */
+  include_lowest: boolean | null;
+  /** What happened to the underflow and overflow bins */
+  outer_bins: 'keep' | 'drop' | 'merge' | null;
+  /** Whether the bins are value counts of a categorical column, labelled by value */
+  categorical: boolean | null;
+  /** The number of distinct non-null values of a categorical column */
+  distinct_values: number | null;
+  /** The number of most frequent values kept before the "other" bin */
+  top: number | null;
+  /** The order of the value counts */
+  sort: 'count' | 'value' | null;
+}
+
+export interface HistogramGroup {
+  /** The group values, in the order of metadata.group_by */
+  key: Array<string | number | boolean | null>;
+  /** The group values joined for display */
+  label: string;
+  total_rows: number;
+  numeric_values: number;
+  null_values: number;
+  /** The summed weight of the group's binned rows (only set when weighted) */
+  total_weight?: number;
+  bin_edges: number[];
+  bins: NumericHistogramBin[];
+}
+
+export interface HistogramResult {
+  metadata: HistogramMetadata;
+  bins: NumericHistogramBin[];
+  /** One entry per group value when `groupBy` is used */
+  groups?: HistogramGroup[];
+}
+
+/** A column that could not be binned when several columns were requested */
+export interface ColumnError {
+  column: string;
+  error: string;
+}
+
+export type ColumnResult = HistogramResult | ColumnError;
+
+export type BinnerErrorCode =
+  | 'ERR_BINNER_INVALID_OPTIONS'
+  | 'ERR_BINNER_NOT_FOUND'
+  | 'ERR_BINNER_SPAWN'
+  | 'ERR_BINNER_EXIT'
+  | 'ERR_BINNER_OUTPUT';
+
+export class BinnerError extends Error {
+  name: 'BinnerError';
+  code: BinnerErrorCode;
+  /** Exit code of the binary, when it ran */
+  exitCode: number | null;
+  /** Captured standard error of the binary */
+  stderr: string;
+  /** Command line arguments the binary was run with */
+  args: string[];
+}
+
+export interface RunResult {
+  exitCode: number;
+  stdout: string;
+  stderr: string;
+}
+
+export function resolveBinaryPath(): string;
+
+export function run(
+  args?: string[],
+  options?: { binaryPath?: string; input?: string | Buffer }
+): Promise<RunResult>;
+
+export function toArgs(options: BinnerOptions): string[];
+
+/** Two or more columns resolve to a record of results */
+export function binner(
+  options: BinnerOptions & { column: [string, string, ...string[]] }
+): Promise<Record<string, ColumnResult>>;
+export function binner(
+  options: BinnerOptions & { allNumeric: true }
+): Promise<Record<string, ColumnResult>>;
+/** A single column, also in an array, resolves to its result */
+export function binner(
+  options: BinnerOptions & { column: [string] }
+): Promise<HistogramResult>;
+export function binner(
+  options: BinnerOptions & { column: string[] }
+): Promise<HistogramResult | Record<string, ColumnResult>>;
+export function binner(options: BinnerOptions): Promise<HistogramResult>;
+
+export default binner;
@@ -0,0 +1,373 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const packageDir = path.dirname(fileURLToPath(import.meta.url));
+const binaryName = process.platform === 'win32' ? 'binner_rs.exe' : 'binner_rs';
+
+/**
+ * Error raised when the binner binary cannot be run or its output cannot be used
+ */
+export class BinnerError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {Object} details - Structured fields describing the failure
+   */
+  constructor(
+    message,
+    { code, exitCode = null, stderr = '', args = [], cause } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'BinnerError';
+    this.code = code;
+    this.exitCode = exitCode;
+    this.stderr = stderr;
+    this.args = args;
+  }
+}
+
+/**
+ * Locate the binner binary
+ *
+ * Looks at the BINNER_PATH environment variable first, then at the release and
+ * debug builds next to this package, and finally falls back to the PATH.
+ * @returns {string} Path (or bare command name) of the binary
+ */
+export function resolveBinaryPath() {
+  if (process.env.BINNER_PATH) {
+    return process.env.BINNER_PATH;
+  }
+
+  for (const profile of ['release', 'debug']) {
+    const candidate = path.join(packageDir, 'target', profile, binaryName);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  return binaryName;
+}
+
+/**
+ * Run the binary with raw command line arguments
+ * @param {string[]} args - Command line arguments
+ * @param {Object} [options]
+ * @param {string} [options.binaryPath] - Override the resolved binary path
+ * @param {string|Buffer} [options.input] - Data to write to the binary's standard input
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+ */
+export function run(
+  args = [],
+  { binaryPath = resolveBinaryPath(), input } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binaryPath, args, {
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe'],
+    });
+
+    if (input !== undefined) {
+      // The binary may exit before reading everything, e.g. on invalid flags
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+
+    let stdout = '';
+    let stderr = '';
+
+    // Decode as a stream, so characters split across chunks stay whole
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+
+    child.stdout.on('data', data => {
+      stdout += data;
+    });
+
+    child.stderr.on('data', data => {
+      stderr += data;
+    });
+
+    child.on('error', error => {
+      reject(
+        new BinnerError(
+          `Unable to start binner at ${binaryPath}: ${error.message}`,
+          {
+            code:
+              error.code === 'ENOENT'
+                ? 'ERR_BINNER_NOT_FOUND'
+                : 'ERR_BINNER_SPAWN',
+            args,
+            cause: error,
+          }
+        )
+      );
+    });
+
+    child.on('close', exitCode => {
+      resolve({
+        exitCode,
+        stdout,
+        stderr,
+      });
+    });
+  });
+}
+
+/**
+ * Map binner options onto command line flags
+ * @param {import('./index').BinnerOptions} options
+ * @returns {string[]} Command line arguments
+ */
+export function toArgs({
+  file,
+  column,
+  allNumeric,
+  algorithm,
+  numBins,
+  rule,
+  gvfThreshold,
+  nice,
+  stats,
+  summary,
+  percentiles,
+  bins,
+  stdDevSize,
+  logBase,
+  logOffset,
+  format,
+  delimiter,
+  header,
+  nullValues,
+  input,
+  groupBy,
+  perGroupEdges,
+  where: predicate,
+  weightColumn,
+  invalidWeights,
+  streaming,
+  batchSize,
+  interval,
+  timezone,
+  categorical,
+  top,
+  sort,
+  closed,
+  includeLowest,
+  outerBins,
+  dropEmpty,
+  labelPrecision,
+  labelFormat,
+  labelLocale,
+  labelSuffix,
+} = {}) {
+  if (!file && input === undefined) {
+    throw new BinnerError(
+      'Either the "file" or the "input" option is required',
+      {
+        code: 'ERR_BINNER_INVALID_OPTIONS',
+      }
+    );
+  }
+  if (!column && !allNumeric && input === undefined) {
+    throw new BinnerError('The "column" option is required', {
+      code: 'ERR_BINNER_INVALID_OPTIONS',
+    });
+  }
+  if (!algorithm && !bins && !interval && !categorical) {
+    throw new BinnerError(
+      'Either "algorithm", "interval", "categorical" or "bins" must be provided',
+      {
+        code: 'ERR_BINNER_INVALID_OPTIONS',
+      }
+    );
+  }
+
+  const args = ['-f', file ?? '-'];
+
+  if (column) {
+    args.push('-c', Array.isArray(column) ? column.join(',') : column);
+  }
+  if (allNumeric) {
+    args.push('--all-numeric');
+  }
+
+  if (format) {
+    args.push('--format', format);
+  }
+  if (delimiter !== undefined) {
+    args.push('--delimiter', delimiter);
+  }
+  if (header === false) {
+    args.push('--no-header');
+  }
+  if (nullValues) {
+    args.push('--null-values', nullValues.join(','));
+  }
+
+  if (algorithm) {
+    args.push('-a', algorithm);
+  }
+  if (numBins !== undefined) {
+    args.push('-n', String(numBins));
+  }
+  if (rule) {
+    args.push('--rule', rule);
+  }
+  if (gvfThreshold !== undefined) {
+    args.push('--gvf-threshold', String(gvfThreshold));
+  }
+  if (nice) {
+    args.push('--nice');
+  }
+  if (stats?.length) {
+    args.push('--stats', stats.join(','));
+  }
+  if (summary) {
+    args.push('--summary');
+  }
+  if (percentiles?.length) {
+    args.push('--percentiles', percentiles.join(','));
+  }
+  if (stdDevSize !== undefined) {
+    args.push('--std-dev-size', String(stdDevSize));
+  }
+  if (logBase !== undefined) {
+    args.push('--log-base', String(logBase));
+  }
+  if (logOffset !== undefined) {
+    args.push('--log-offset', String(logOffset));
+  }
+  if (predicate) {
+    args.push('--where', predicate);
+  }
+  if (groupBy) {
+    args.push('--group-by', [].concat(groupBy).join(','));
+  }
+  if (perGroupEdges) {
+    args.push('--per-group-edges');
+  }
+  if (weightColumn) {
+    args.push('--weight-column', weightColumn);
+  }
+  if (invalidWeights) {
+    args.push('--invalid-weights', invalidWeights);
+  }
+  if (streaming) {
+    args.push('--streaming');
+  }
+  if (batchSize !== undefined) {
+    args.push('--batch-size', String(batchSize));
+  }
+  if (interval) {
+    args.push('--interval', interval);
+  }
+  if (timezone) {
+    args.push('--timezone', timezone);
+  }
+  if (categorical) {
+    args.push('--categorical');
+  }
+  if (top !== undefined) {
+    args.push('--top', String(top));
+  }
+  if (sort) {
+    args.push('--sort', sort);
+  }
+  if (closed) {
+    args.push('--closed', closed);
+  }
+  if (includeLowest) {
+    args.push('--include-lowest');
+  }
+  if (outerBins) {
+    args.push('--outer-bins', outerBins);
+  }
+  if (dropEmpty) {
+    args.push('--drop-empty');
+  }
+  if (labelPrecision !== undefined) {
+    args.push('--label-precision', String(labelPrecision));
+  }
+  if (labelFormat) {
+    args.push('--label-format', labelFormat);
+  }
+  if (labelLocale) {
+    args.push('--label-locale', labelLocale);
+  }
+  if (labelSuffix) {
+    args.push('--label-suffix', labelSuffix);
+  }
+  if (bins) {
+    args.push(
+      '--bins',
+      bins.map(edge => (edge === null ? 'null' : String(edge))).join(',')
+    );
+  }
+
+  return args;
+}
+
+/**
+ * Extract the error message the binary printed before exiting
+ * @param {string} stderr - Captured standard error
+ * @returns {string|null} The message following "Error:", if any
+ */
+function parseErrorMessage(stderr) {
+  const match = stderr.match(/Error:\s*(.+)/);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Serialize the input option for the binary's standard input
+ * @param {string|Buffer|Array<number|null>|undefined} input
+ * @returns {string|Buffer|undefined} Arrays become one number per line
+ */
+function toStdin(input) {
+  if (Array.isArray(input)) {
+    return input
+      .map(value => (value === null ? 'null' : String(value)))
+      .join('\n');
+  }
+  return input;
+}
+
+/**
+ * Create a histogram for a column
+ *
+ * When two or more columns (or allNumeric) are requested, resolves to an object
+ * mapping each column name to its result or to a `{ column, error }` failure. A
+ * column array with a single name resolves to that column's result.
+ * @param {import('./index').BinnerOptions} options
+ * @returns {Promise<import('./index').HistogramResult|Object<string, import('./index').ColumnResult>>}
+ */
+export async function binner(options = {}) {
+  const args = toArgs(options);
+  const { exitCode, stdout, stderr } = await run(args, {
+    binaryPath: options.binaryPath,
+    input: toStdin(options.input),
+  });
+
+  if (exitCode !== 0) {
+    const reason = parseErrorMessage(stderr) ?? stderr.trim();
+    throw new BinnerError(`binner exited with code ${exitCode}: ${reason}`, {
+      code: 'ERR_BINNER_EXIT',
+      exitCode,
+      stderr,
+      args,
+    });
+  }
+
+  try {
+    return JSON.parse(stdout);
+  } catch (error) {
+    throw new BinnerError(`Failed to parse binner output: ${error.message}`, {
+      code: 'ERR_BINNER_OUTPUT',
+      exitCode,
+      stderr,
+      args,
+      cause: error,
+    });
+  }
+}
+
+export default binner;
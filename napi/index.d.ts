@@ -0,0 +1,55 @@
+import type { BinningAlgorithm, HistogramResult } from '../index';
+
+type Values = Float64Array | Array<number | null>;
+
+export interface ClassBin {
+  binStart: number;
+  binEnd: number;
+  count: number;
+}
+
+/**
+ * Options of the native `histogram`; closure, outer-bins and label options,
+ * rules, `nice`, `stats`, weights and value counts are CLI-only
+ */
+export interface HistogramOptions {
+  /** Column name reported in the metadata */
+  column?: string;
+  /** Algorithm for calculating bin boundaries */
+  algorithm?: BinningAlgorithm;
+  /** Target number of bins to create (default: 5) */
+  numBins?: number;
+  /** Number of standard deviations for bin sizing (default: 1.0) */
+  stdDevSize?: number;
+  /** Base of the `'log'` algorithm's bins (default: 10) */
+  logBase?: number;
+  /** Value added before geometric-interval or log binning (default: 0) */
+  logOffset?: number;
+  /** Custom bin boundaries; `null` adds a bin for null values */
+  bins?: Array<number | null>;
+  /** Add a summary of the values' distribution to the metadata */
+  summary?: boolean;
+  /** Percentiles reported in the summary (default: 1, 5, 25, 50, 75, 95, 99) */
+  percentiles?: number[];
+}
+
+export function histogram(
+  values: Values,
+  options?: HistogramOptions
+): HistogramResult;
+
+export function jenks(values: Values, numBins: number): ClassBin[];
+export function quantile(values: Values, numBins: number): ClassBin[];
+export function equalInterval(values: Values, numBins: number): ClassBin[];
+export function standardDeviation(
+  values: Values,
+  stdDevSize: number
+): ClassBin[];
+export function headTail(values: Values): ClassBin[];
+export function pretty(values: Values, numBins: number): ClassBin[];
+export function geometricInterval(
+  values: Values,
+  numBins: number,
+  offset?: number
+): ClassBin[];
+export function log(values: Values, base?: number, offset?: number): ClassBin[];
@@ -0,0 +1,100 @@
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/**
+ * Load the compiled addon
+ *
+ * The addon is produced by `pnpm run build:native`, which copies the cdylib
+ * built from napi/ to napi/binner.node.
+ */
+const native = require('./binner.node');
+
+/**
+ * Coerce an array of numbers (nulls allowed) into a Float64Array, nulls become NaN
+ * @param {Float64Array|Array<number|null>} values
+ * @returns {Float64Array}
+ */
+function toFloat64Array(values) {
+  if (values instanceof Float64Array) {
+    return values;
+  }
+  return Float64Array.from(values, value => (value === null ? NaN : value));
+}
+
+/**
+ * Build a histogram with the same shape the CLI prints
+ * @param {Float64Array|Array<number|null>} values - Values to bin; NaN counts as null
+ * @param {import('./index').HistogramOptions} options
+ * @returns {import('../index').HistogramResult}
+ */
+export function histogram(values, options = {}) {
+  return native.histogram(toFloat64Array(values), options);
+}
+
+/**
+ * Jenks natural breaks using ckmeans
+ * @returns {import('./index').ClassBin[]}
+ */
+export function jenks(values, numBins) {
+  return native.jenks(toFloat64Array(values), numBins);
+}
+
+/**
+ * Quantile (equal frequency) classification
+ * @returns {import('./index').ClassBin[]}
+ */
+export function quantile(values, numBins) {
+  return native.quantile(toFloat64Array(values), numBins);
+}
+
+/**
+ * Equal width classification across the data range
+ * @returns {import('./index').ClassBin[]}
+ */
+export function equalInterval(values, numBins) {
+  return native.equalInterval(toFloat64Array(values), numBins);
+}
+
+/**
+ * Classification based on standard deviations from the mean
+ * @returns {import('./index').ClassBin[]}
+ */
+export function standardDeviation(values, stdDevSize) {
+  return native.standardDeviation(toFloat64Array(values), stdDevSize);
+}
+
+/**
+ * Head-tail breaks for heavy-tailed distributions
+ * @returns {import('./index').ClassBin[]}
+ */
+export function headTail(values) {
+  return native.headTail(toFloat64Array(values));
+}
+
+/**
+ * Round-number edges (1, 2, 2.5 or 5 × 10^k) close to the requested bin count
+ * @returns {import('./index').ClassBin[]}
+ */
+export function pretty(values, numBins) {
+  return native.pretty(toFloat64Array(values), numBins);
+}
+
+/**
+ * Classes growing by a constant ratio, for positive skewed data
+ * @param {number} [offset] - Added to the values first, so zeros can be binned
+ * @returns {import('./index').ClassBin[]}
+ */
+export function geometricInterval(values, numBins, offset) {
+  return native.geometricInterval(toFloat64Array(values), numBins, offset);
+}
+
+/**
+ * Bins from one power of a base to the next, for positive skewed data
+ * @param {number} [base] - The base of the powers (default: 10)
+ * @param {number} [offset] - Added to the values first, so zeros can be binned
+ * @returns {import('./index').ClassBin[]}
+ */
+export function log(values, base, offset) {
+  return native.log(toFloat64Array(values), base, offset);
+}
@@ -0,0 +1,293 @@
+/*
+ * Binner Node addon
+ *
+ * Exposes the binning core to JavaScript so that values already held in memory
+ * can be classified and counted without spawning the CLI or reading a file.
+ * Values are passed as a Float64Array; NaN entries are treated as nulls.
+ */
+
+use binner::classification::{
+    Bin, BinningAlgorithm, classify_log_values, classify_values, compute_breaks, compute_log_breaks,
+};
+use binner::geometric::{DEFAULT_LOG_BASE, LOG_LABEL_DIGITS, LogScale};
+use binner::histogram::{Closure, HistogramMetadata, HistogramResult, OuterBins, build_bins};
+use binner::labels::LabelStyle;
+use binner::metrics::class_fit;
+use binner::summary::{ColumnSummary, DEFAULT_PERCENTILES};
+use napi::bindgen_prelude::*;
+use napi_derive::napi;
+
+/// A class produced by one of the classification algorithms
+#[napi(object)]
+pub struct ClassBin {
+    pub bin_start: f64,
+    pub bin_end: f64,
+    pub count: i64,
+}
+
+/// Options for building a histogram, mirroring a subset of the CLI flags
+///
+/// The closure, outer-bins and label flags, rules, --nice, --stats, weights and
+/// value counts are CLI-only.
+#[napi(object)]
+pub struct HistogramOptions {
+    /// Column name reported in the metadata
+    pub column: Option<String>,
+    /// Algorithm for calculating bin boundaries
+    pub algorithm: Option<String>,
+    /// Target number of bins to create (default: 5)
+    pub num_bins: Option<u32>,
+    /// Number of standard deviations for bin sizing (default: 1.0)
+    pub std_dev_size: Option<f64>,
+    /// Base of the log algorithm's bins (default: 10)
+    pub log_base: Option<f64>,
+    /// Value added before geometric-interval or log binning (default: 0)
+    pub log_offset: Option<f64>,
+    /// Custom bin boundaries; a null entry adds a bin for null values
+    pub bins: Option<Vec<Option<f64>>>,
+    /// Add a summary of the values' distribution to the metadata
+    pub summary: Option<bool>,
+    /// Percentiles reported in the summary (default: 1, 5, 25, 50, 75, 95, 99)
+    pub percentiles: Option<Vec<f64>>,
+}
+
+/// Split the input into numeric values and a count of nulls (NaN)
+fn split_nulls(values: &[f64]) -> (Vec<f64>, usize) {
+    let numeric_values: Vec<f64> = values.iter().copied().filter(|v| !v.is_nan()).collect();
+    let null_count = values.len() - numeric_values.len();
+    (numeric_values, null_count)
+}
+
+fn to_class_bins(bins: Vec<Bin>) -> Vec<ClassBin> {
+    bins.into_iter()
+        .map(|bin| ClassBin {
+            bin_start: bin.bin_start,
+            bin_end: bin.bin_end,
+            count: bin.count as i64,
+        })
+        .collect()
+}
+
+fn classify_array(
+    algorithm: BinningAlgorithm,
+    num_bins: u32,
+    std_dev_size: f64,
+    values: &[f64],
+) -> Result<Vec<ClassBin>> {
+    let (numeric_values, _) = split_nulls(values);
+    classify_values(&algorithm, num_bins as usize, std_dev_size, &numeric_values)
+        .map(to_class_bins)
+        .map_err(Error::from_reason)
+}
+
+/// Classify on a log scale, failing when a value is not positive once offset
+fn classify_log_array(
+    algorithm: BinningAlgorithm,
+    num_bins: u32,
+    scale: LogScale,
+    values: &[f64],
+) -> Result<Vec<ClassBin>> {
+    let (numeric_values, _) = split_nulls(values);
+    classify_log_values(&algorithm, num_bins as usize, &scale, &numeric_values)
+        .map(to_class_bins)
+        .map_err(Error::from_reason)
+}
+
+/// Jenks natural breaks using ckmeans
+#[napi]
+pub fn jenks(values: Float64Array, num_bins: u32) -> Result<Vec<ClassBin>> {
+    classify_array(BinningAlgorithm::Jenks, num_bins, 1.0, &values)
+}
+
+/// Quantile (equal frequency) classification
+#[napi]
+pub fn quantile(values: Float64Array, num_bins: u32) -> Result<Vec<ClassBin>> {
+    classify_array(BinningAlgorithm::Quantile, num_bins, 1.0, &values)
+}
+
+/// Equal width classification across the data range
+#[napi]
+pub fn equal_interval(values: Float64Array, num_bins: u32) -> Result<Vec<ClassBin>> {
+    classify_array(BinningAlgorithm::EqualInterval, num_bins, 1.0, &values)
+}
+
+/// Classification based on standard deviations from the mean
+#[napi]
+pub fn standard_deviation(values: Float64Array, std_dev_size: f64) -> Result<Vec<ClassBin>> {
+    classify_array(
+        BinningAlgorithm::StandardDeviation,
+        0,
+        std_dev_size,
+        &values,
+    )
+}
+
+/// Head-tail breaks for heavy-tailed distributions
+#[napi]
+pub fn head_tail(values: Float64Array) -> Result<Vec<ClassBin>> {
+    classify_array(BinningAlgorithm::HeadTail, 0, 1.0, &values)
+}
+
+/// Round-number edges (1, 2, 2.5 or 5 × 10^k) close to the requested bin count
+#[napi]
+pub fn pretty(values: Float64Array, num_bins: u32) -> Result<Vec<ClassBin>> {
+    classify_array(BinningAlgorithm::Pretty, num_bins, 1.0, &values)
+}
+
+/// Classes growing by a constant ratio, for positive skewed data
+#[napi]
+pub fn geometric_interval(
+    values: Float64Array,
+    num_bins: u32,
+    offset: Option<f64>,
+) -> Result<Vec<ClassBin>> {
+    let scale = LogScale {
+        offset: offset.unwrap_or(0.0),
+        ..LogScale::default()
+    };
+    classify_log_array(
+        BinningAlgorithm::GeometricInterval,
+        num_bins,
+        scale,
+        &values,
+    )
+}
+
+/// Bins from one power of a base to the next, for positive skewed data
+#[napi]
+pub fn log(values: Float64Array, base: Option<f64>, offset: Option<f64>) -> Result<Vec<ClassBin>> {
+    let scale = LogScale {
+        base: base.unwrap_or(DEFAULT_LOG_BASE),
+        offset: offset.unwrap_or(0.0),
+    };
+    classify_log_array(BinningAlgorithm::Log, 0, scale, &values)
+}
+
+/// Build a histogram with the same `metadata`/`bins` shape the CLI prints
+#[napi]
+pub fn histogram(values: Float64Array, options: HistogramOptions) -> Result<serde_json::Value> {
+    let (numeric_values, null_count) = split_nulls(&values);
+
+    if numeric_values.is_empty() {
+        return Err(Error::from_reason("No numeric values found"));
+    }
+
+    let algorithm = options
+        .algorithm
+        .as_deref()
+        .map(|name| name.parse::<BinningAlgorithm>())
+        .transpose()
+        .map_err(Error::from_reason)?;
+    let num_bins = options.num_bins.unwrap_or(5) as usize;
+    let std_dev_size = options.std_dev_size.unwrap_or(1.0);
+    let log_scale = LogScale {
+        base: options.log_base.unwrap_or(DEFAULT_LOG_BASE),
+        offset: options.log_offset.unwrap_or(0.0),
+    };
+
+    // Use custom bins if provided, otherwise calculate bins using algorithm
+    let (breaks, include_null_bin) = if let Some(custom_bins) = &options.bins {
+        // NaN and infinite edges cannot be ordered or bounded, so JS gets an error
+        if let Some(edge) = custom_bins.iter().flatten().find(|edge| !edge.is_finite()) {
+            return Err(Error::from_reason(format!(
+                "Invalid bin value: {}. Use finite numbers or null",
+                edge
+            )));
+        }
+        let mut parsed_breaks: Vec<f64> = custom_bins.iter().flatten().copied().collect();
+        parsed_breaks.sort_by(|a, b| a.partial_cmp(b).unwrap());
+        (parsed_breaks, custom_bins.iter().any(|edge| edge.is_none()))
+    } else {
+        let algorithm = algorithm.as_ref().ok_or_else(|| {
+            Error::from_reason("Either algorithm or custom bins must be provided")
+        })?;
+        let breaks = if algorithm.is_logarithmic() {
+            compute_log_breaks(algorithm, num_bins, &log_scale, &numeric_values)
+                .map_err(Error::from_reason)?
+        } else {
+            compute_breaks(algorithm, num_bins, std_dev_size, &numeric_values)
+                .map_err(Error::from_reason)?
+        };
+        (breaks, false)
+    };
+
+    // Algorithm edges end at the largest value, so the last bin holds it
+    let closure = match options.bins {
+        Some(_) => Closure::default(),
+        None => Closure::SPANNING,
+    };
+    // Log-scale edges span orders of magnitude, so their labels use significant digits
+    let label_digits = algorithm
+        .as_ref()
+        .filter(|algorithm| options.bins.is_none() && algorithm.is_logarithmic())
+        .map(|_| LOG_LABEL_DIGITS);
+    let bins = build_bins(
+        &numeric_values,
+        None,
+        &breaks,
+        null_count,
+        0.0,
+        include_null_bin,
+        closure,
+        LabelStyle {
+            significant_digits: label_digits,
+            ..LabelStyle::default()
+        },
+    )
+    .map_err(|e| Error::from_reason(format!("{:?}", e)))?;
+
+    let fit = class_fit(&numeric_values, None, &breaks, closure);
+    let percentiles = options
+        .percentiles
+        .unwrap_or_else(|| DEFAULT_PERCENTILES.to_vec());
+    if let Some(percent) = percentiles
+        .iter()
+        .find(|percent| !(0.0..=100.0).contains(*percent))
+    {
+        return Err(Error::from_reason(format!(
+            "Percentiles must be between 0 and 100, not {}",
+            percent
+        )));
+    }
+    let summary = options
+        .summary
+        .unwrap_or(false)
+        .then(|| ColumnSummary::from_values(&numeric_values, &percentiles, None))
+        .flatten();
+
+    let metadata = HistogramMetadata {
+        file: "<memory>".to_string(),
+        format: None,
+        algorithm: algorithm.as_ref().map(|a| format!("{:?}", a)),
+        num_bins: algorithm.as_ref().map(|_| num_bins),
+        std_dev_size: if matches!(algorithm, Some(BinningAlgorithm::StandardDeviation)) {
+            Some(std_dev_size)
+        } else {
+            None
+        },
+        log_base: matches!(algorithm, Some(BinningAlgorithm::Log)).then_some(log_scale.base),
+        log_offset: algorithm
+            .as_ref()
+            .filter(|algorithm| algorithm.is_logarithmic())
+            .map(|_| log_scale.offset),
+        total_rows: values.len(),
+        numeric_values: numeric_values.len(),
+        null_values: null_count,
+        gvf: fit.map(|fit| fit.gvf),
+        adcm: fit.map(|fit| fit.adcm),
+        tai: fit.map(|fit| fit.tai),
+        bin_edges: breaks,
+        summary,
+        closed: Some(closure.closed.name().to_string()),
+        include_lowest: Some(closure.include_lowest),
+        outer_bins: Some(OuterBins::Keep.name().to_string()),
+        ..HistogramMetadata::new(&options.column.unwrap_or_default())
+    };
+
+    serde_json::to_value(HistogramResult {
+        metadata,
+        bins,
+        groups: None,
+    })
+    .map_err(|e| Error::from_reason(e.to_string()))
+}
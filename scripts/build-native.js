@@ -0,0 +1,24 @@
+import { execSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Build the Node addon and copy it next to its loader as napi/binner.node
+ */
+const libraryNames = {
+  darwin: 'libbinner_napi.dylib',
+  win32: 'binner_napi.dll',
+};
+
+const profile = process.argv.includes('--debug') ? 'debug' : 'release';
+const cargoArgs = profile === 'release' ? '--release' : '';
+
+execSync(`cargo build -p binner_napi ${cargoArgs}`, { stdio: 'inherit' });
+
+const library = path.join(
+  'target',
+  profile,
+  libraryNames[process.platform] ?? 'libbinner_napi.so'
+);
+fs.copyFileSync(library, path.join('napi', 'binner.node'));
+console.log(`Copied ${library} to napi/binner.node`);
@@ -0,0 +1,20 @@
+import { execSync } from 'child_process';
+import path from 'path';
+
+/**
+ * Build the WebAssembly module and generate its bindings in wasm/pkg
+ *
+ * Requires the wasm32-unknown-unknown target (`rustup target add
+ * wasm32-unknown-unknown`) and wasm-bindgen-cli matching the wasm-bindgen
+ * version in Cargo.lock.
+ */
+const target = 'wasm32-unknown-unknown';
+
+execSync(`cargo build -p binner_wasm --release --target ${target}`, {
+  stdio: 'inherit',
+});
+
+const module = path.join('target', target, 'release', 'binner_wasm.wasm');
+execSync(`wasm-bindgen --target web --out-dir wasm/pkg ${module}`, {
+  stdio: 'inherit',
+});
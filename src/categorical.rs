@@ -0,0 +1,194 @@
+/*
+ * Value counts for categorical columns
+ *
+ * The categorical counterpart of a histogram: every distinct value of a string,
+ * categorical or boolean column is a bin. The most frequent values can be kept
+ * with the rest folded into an "other" bin, and nulls get a bin of their own.
+ * The bins use the same NumericHistogramBin shape as numeric histograms, without
+ * bounds.
+ */
+
+use crate::histogram::{BinKind, BinSummary, NumericHistogramBin};
+use std::cmp::Ordering;
+use std::collections::{HashMap, HashSet};
+
+/// The label of the bin holding the values left out by the top-N limit
+pub const OTHER_LABEL: &str = "other";
+
+/// The label of the bin counting null values
+pub const NULL_LABEL: &str = "null";
+
+/// How the category bins are ordered
+#[derive(Debug, Clone, Copy, PartialEq)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum CategoryOrder {
+    /// Most frequent first
+    Count,
+    /// By value (numerically when both values are numbers)
+    Value,
+}
+
+impl CategoryOrder {
+    /// The name recorded in the output metadata
+    pub fn name(&self) -> &'static str {
+        match self {
+            CategoryOrder::Count => "count",
+            CategoryOrder::Value => "value",
+        }
+    }
+}
+
+/// The count of one category
+#[derive(Debug, Clone, Copy, Default)]
+struct Tally {
+    /// The number of rows, or their summed weight
+    count: f64,
+    /// The number of rows, ignoring weights
+    rows: usize,
+}
+
+impl Tally {
+    fn add(&mut self, weight: f64) {
+        self.count += weight;
+        self.rows += 1;
+    }
+
+    fn merge(&mut self, other: &Tally) {
+        self.count += other.count;
+        self.rows += other.rows;
+    }
+}
+
+/// Compare two category values, numerically when both parse as numbers
+pub fn compare_values(a: &str, b: &str) -> Ordering {
+    match (a.parse::<f64>(), b.parse::<f64>()) {
+        (Ok(a), Ok(b)) => a.total_cmp(&b),
+        _ => a.cmp(b),
+    }
+}
+
+/// The value counts of a column
+#[derive(Debug, Clone, Default)]
+pub struct CategoryCounts {
+    tallies: HashMap<String, Tally>,
+    nulls: Tally,
+}
+
+impl CategoryCounts {
+    /// Count a value with its weight (1.0 when unweighted), or a null when None
+    pub fn add(&mut self, value: Option<&str>, weight: f64) {
+        match value {
+            Some(value) => match self.tallies.get_mut(value) {
+                Some(tally) => tally.add(weight),
+                None => {
+                    let mut tally = Tally::default();
+                    tally.add(weight);
+                    self.tallies.insert(value.to_string(), tally);
+                }
+            },
+            None => self.nulls.add(weight),
+        }
+    }
+
+    /// Fold the counts of another batch or group into these
+    pub fn merge(&mut self, other: &CategoryCounts) {
+        for (value, tally) in &other.tallies {
+            self.tallies.entry(value.clone()).or_default().merge(tally);
+        }
+        self.nulls.merge(&other.nulls);
+    }
+
+    /// The number of distinct non-null values
+    pub fn distinct_values(&self) -> usize {
+        self.tallies.len()
+    }
+
+    /// The number of non-null values
+    pub fn value_count(&self) -> usize {
+        self.tallies.values().map(|tally| tally.rows).sum()
+    }
+
+    /// The number of null values
+    pub fn null_count(&self) -> usize {
+        self.nulls.rows
+    }
+
+    /// The summed weight of every value, nulls included
+    pub fn total_weight(&self) -> f64 {
+        self.tallies.values().map(|tally| tally.count).sum::<f64>() + self.nulls.count
+    }
+
+    /// Choose the categories to show
+    ///
+    /// # Arguments
+    /// * `top` - Keep only this many of the most frequent values (ties go to the smaller value)
+    /// * `order` - The order of the chosen categories
+    pub fn select(&self, top: Option<usize>, order: CategoryOrder) -> Vec<String> {
+        let mut values: Vec<(&String, &Tally)> = self.tallies.iter().collect();
+        values.sort_by(|(a, a_tally), (b, b_tally)| {
+            b_tally
+                .count
+                .total_cmp(&a_tally.count)
+                .then_with(|| compare_values(a, b))
+        });
+        if let Some(top) = top {
+            values.truncate(top);
+        }
+        if order == CategoryOrder::Value {
+            values.sort_by(|(a, _), (b, _)| compare_values(a, b));
+        }
+
+        values.into_iter().map(|(value, _)| value.clone()).collect()
+    }
+
+    /// Build the output bins for a set of categories
+    ///
+    /// # Arguments
+    /// * `categories` - The categories to show, in order, as returned by select
+    /// * `weighted` - Whether the counts are weighted (adds row_count to every bin)
+    ///
+    /// # Returns
+    /// One bin per category (empty when the value does not occur), an "other" bin
+    /// when values were left out, and a "null" bin when there are nulls
+    pub fn to_bins(&self, categories: &[String], weighted: bool) -> Vec<NumericHistogramBin> {
+        let bin = |label: &str, kind: BinKind, tally: Tally| NumericHistogramBin {
+            bin_label: label.to_string(),
+            kind,
+            from: None,
+            to: None,
+            count: tally.count,
+            row_count: weighted.then_some(tally.rows),
+            count_shift: None,
+            min: None,
+            max: None,
+            summary: BinSummary::default(),
+        };
+
+        let mut bins: Vec<NumericHistogramBin> = categories
+            .iter()
+            .map(|value| {
+                bin(
+                    value,
+                    BinKind::Bin,
+                    self.tallies.get(value).copied().unwrap_or_default(),
+                )
+            })
+            .collect();
+
+        let shown: HashSet<&String> = categories.iter().collect();
+        let mut other = Tally::default();
+        for (value, tally) in &self.tallies {
+            if !shown.contains(value) {
+                other.merge(tally);
+            }
+        }
+        if other.rows > 0 {
+            bins.push(bin(OTHER_LABEL, BinKind::Other, other));
+        }
+        if self.nulls.rows > 0 {
+            bins.push(bin(NULL_LABEL, BinKind::Null, self.nulls));
+        }
+
+        bins
+    }
+}
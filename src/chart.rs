@@ -0,0 +1,626 @@
+/*
+ * Charts
+ *
+ * Draws histograms for people rather than programs. The text chart
+ * (--output-format text) gives a quick look at a distribution in the terminal:
+ * a line per bin with its label, count and share of all the bins, and a bar
+ * scaled to the largest count. Underflow, overflow and null bins are tagged and
+ * drawn in a lighter shade so they stand apart from the bins of the data.
+ *
+ * The SVG chart and the Vega-Lite spec (--output-format svg and vega-lite)
+ * draw the bins of the data as bars spanning their edges on a continuous axis,
+ * so the unequal widths of quantile, Jenks or custom bins show. With density
+ * the bars are as tall as the count per unit of width, making their areas
+ * proportional to the counts. The outer and null bins have no width and are
+ * only noted, and bins left out with --drop-empty leave a gap.
+ */
+
+use crate::histogram::{
+    BinKind, BinValue, HistogramMetadata, HistogramResult, NumericHistogramBin, format_significant,
+};
+use crate::nice::pretty_breaks;
+use serde_json::{Value, json};
+
+/// The width of a text chart when the width of the terminal is unknown
+pub const DEFAULT_TEXT_WIDTH: usize = 80;
+
+/// The narrowest a bar may get, however long the labels are
+const MIN_BAR_WIDTH: usize = 10;
+
+/// The size of an SVG chart: its width and the height of each panel, in pixels
+const SVG_WIDTH: f64 = 640.0;
+const SVG_PANEL_HEIGHT: f64 = 320.0;
+
+/// The space around the plot of an SVG panel, for the title and the axes
+const SVG_MARGIN_TOP: f64 = 48.0;
+const SVG_MARGIN_RIGHT: f64 = 24.0;
+const SVG_MARGIN_BOTTOM: f64 = 40.0;
+const SVG_MARGIN_LEFT: f64 = 64.0;
+
+/// The default look of an SVG chart; every element has a class to restyle it by
+const SVG_STYLE: &str = "\
+.binner-histogram { font: 12px sans-serif; fill: #333; }
+.binner-histogram .title { font-size: 14px; font-weight: bold; }
+.binner-histogram .note { fill: #777; }
+.binner-histogram .bar { fill: #4c78a8; stroke: #fff; stroke-width: 0.5; }
+.binner-histogram .axis line { stroke: #333; }
+.binner-histogram .grid line { stroke: #ddd; }
+";
+
+/// The Vega-Lite schema the specs are written for
+const VEGA_LITE_SCHEMA: &str = "https://vega.github.io/schema/vega-lite/v5.json";
+
+/// Significant digits of the edge and count values on the axes
+const TICK_DIGITS: usize = 4;
+
+/// The characters a text chart is drawn with
+#[derive(Debug, Clone, Copy, PartialEq, Default)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum Charset {
+    /// Block elements, drawing bars to an eighth of a character
+    #[default]
+    Unicode,
+    /// Plain ASCII, for terminals and logs without Unicode
+    Ascii,
+}
+
+impl Charset {
+    /// The character between the numbers and the bars
+    fn rule(self) -> char {
+        match self {
+            Charset::Unicode => '│',
+            Charset::Ascii => '|',
+        }
+    }
+
+    /// A bar of a length given in eighths of a character
+    ///
+    /// Bars of the data are solid; outer and null bins get a lighter shade,
+    /// which has no fractions, so their bars are rounded up to whole characters.
+    fn bar(self, eighths: usize, solid: bool) -> String {
+        const PARTIAL: [char; 7] = ['▏', '▎', '▍', '▌', '▋', '▊', '▉'];
+        match (self, solid) {
+            (Charset::Unicode, true) => {
+                let mut bar = "█".repeat(eighths / 8);
+                if eighths % 8 > 0 {
+                    bar.push(PARTIAL[eighths % 8 - 1]);
+                }
+                bar
+            }
+            (Charset::Unicode, false) => "░".repeat(eighths.div_ceil(8)),
+            (Charset::Ascii, true) => "#".repeat(eighths.div_ceil(8)),
+            (Charset::Ascii, false) => ".".repeat(eighths.div_ceil(8)),
+        }
+    }
+}
+
+/// The tag shown next to the label of a bin that holds no values of the data
+fn tag(kind: BinKind) -> &'static str {
+    match kind {
+        BinKind::Bin => "",
+        BinKind::Underflow => "underflow",
+        BinKind::Overflow => "overflow",
+        BinKind::Other => "other",
+        BinKind::Null => "null",
+    }
+}
+
+/// Draw a histogram as horizontal bars, followed by a chart for each group
+///
+/// # Arguments
+/// * `result` - The histogram to draw
+/// * `width` - The number of characters a line may take
+/// * `charset` - The characters to draw with
+///
+/// # Returns
+/// The charts, separated by blank lines and ending with a newline
+pub fn text_chart(result: &HistogramResult, width: usize, charset: Charset) -> String {
+    let metadata = &result.metadata;
+    let mut chart = text_bars(
+        &title(
+            metadata,
+            None,
+            metadata.numeric_values,
+            metadata.null_values,
+        ),
+        &result.bins,
+        width,
+        charset,
+    );
+
+    for group in result.groups.iter().flatten() {
+        let heading = title(
+            metadata,
+            Some(&group.label),
+            group.numeric_values,
+            group.null_values,
+        );
+        chart.push('\n');
+        chart.push_str(&text_bars(&heading, &group.bins, width, charset));
+    }
+    chart
+}
+
+/// The line above a chart: the column, the group and what was counted
+fn title(metadata: &HistogramMetadata, group: Option<&str>, values: usize, nulls: usize) -> String {
+    let mut title = metadata.column.clone();
+    if let (Some(group), Some(group_by)) = (group, &metadata.group_by) {
+        title.push_str(&format!(" [{}: {}]", group_by.join(", "), group));
+    }
+
+    let mut details = Vec::new();
+    details.extend(metadata.algorithm.clone());
+    details.push(format!("{} values", values));
+    details.push(format!("{} nulls", nulls));
+    if let Some(weight_column) = &metadata.weight_column {
+        details.push(format!("weighted by {}", weight_column));
+    }
+    format!("{}: {}", title, details.join(", "))
+}
+
+/// Draw one set of bins under a title
+fn text_bars(title: &str, bins: &[NumericHistogramBin], width: usize, charset: Charset) -> String {
+    let total: f64 = bins.iter().map(|bin| bin.count).sum();
+    let largest = bins.iter().map(|bin| bin.count).fold(0.0, f64::max);
+
+    let rows: Vec<(&NumericHistogramBin, String, String)> = bins
+        .iter()
+        .map(|bin| {
+            let share = if total > 0.0 {
+                100.0 * bin.count / total
+            } else {
+                0.0
+            };
+            (bin, format_count(bin.count), format!("{:.1}%", share))
+        })
+        .collect();
+
+    let label_width = rows
+        .iter()
+        .map(|row| row.0.bin_label.chars().count())
+        .max()
+        .unwrap_or(0);
+    let tag_width = rows
+        .iter()
+        .map(|row| tag(row.0.kind).len())
+        .max()
+        .unwrap_or(0);
+    let count_width = rows.iter().map(|row| row.1.len()).max().unwrap_or(0);
+    let share_width = rows.iter().map(|row| row.2.len()).max().unwrap_or(0);
+
+    // The label, the tag (when any bin has one), the count and the share are
+    // each followed by a space, and the bars start after the rule
+    let tags = if tag_width > 0 { tag_width + 1 } else { 0 };
+    let prefix = label_width + 1 + tags + count_width + 1 + share_width + 1 + 1;
+    let bar_width = width.saturating_sub(prefix).max(MIN_BAR_WIDTH);
+
+    let mut chart = format!("{}\n", title);
+    for (bin, count, share) in &rows {
+        let mut eighths = if largest > 0.0 {
+            (bin.count / largest * (bar_width * 8) as f64).round() as usize
+        } else {
+            0
+        };
+        // Keep the smallest counts visible
+        if bin.count > 0.0 {
+            eighths = eighths.max(1);
+        }
+
+        let mut line = format!("{:<label_width$} ", bin.bin_label);
+        if tags > 0 {
+            line.push_str(&format!("{:<tag_width$} ", tag(bin.kind)));
+        }
+        line.push_str(&format!(
+            "{:>count_width$} {:>share_width$} {}{}",
+            count,
+            share,
+            charset.rule(),
+            charset.bar(eighths, bin.kind == BinKind::Bin),
+        ));
+        chart.push_str(line.trim_end());
+        chart.push('\n');
+    }
+    chart
+}
+
+/// A number as JSON, written as an integer when it is whole like the counts
+fn number(value: f64) -> Value {
+    if value.fract() == 0.0 && value.abs() < 2f64.powi(53) {
+        json!(value as i64)
+    } else {
+        json!(value)
+    }
+}
+
+/// A count as a whole number, or with two decimals when weighted
+fn format_count(count: f64) -> String {
+    if count.fract() == 0.0 {
+        format!("{}", count)
+    } else {
+        format!("{:.2}", count)
+    }
+}
+
+/// One histogram drawn as bars: the whole column or one of its groups
+struct Panel<'a> {
+    title: String,
+    /// The bins of the data, each spanning its edges
+    bars: Vec<(&'a NumericHistogramBin, f64, f64)>,
+    /// Every edge a bar starts or ends at, with its label: its number or, for
+    /// temporal columns, its date
+    ticks: Vec<(f64, String)>,
+    /// What the outer and null bins held, which have no bars
+    note: Option<String>,
+    /// Whether the edges are dates or datetimes
+    temporal: bool,
+    /// Whether the edges are durations, numbers in the time unit of the column
+    /// that are labelled as ISO-8601 durations
+    duration: bool,
+}
+
+impl<'a> Panel<'a> {
+    fn new(
+        title: String,
+        bins: &'a [NumericHistogramBin],
+        edges: &[f64],
+        metadata: &HistogramMetadata,
+    ) -> Result<Self, String> {
+        let data: Vec<&NumericHistogramBin> =
+            bins.iter().filter(|bin| bin.kind == BinKind::Bin).collect();
+
+        // With every bin of the data the bars span consecutive edges. When
+        // --drop-empty left some out, numbers place the bars by their own
+        // bounds, but dates and datetimes have no numbers to place them by.
+        let bars: Vec<(&NumericHistogramBin, f64, f64)> = if data.len() + 1 == edges.len() {
+            data.iter()
+                .zip(edges.windows(2))
+                .map(|(&bin, edge)| (bin, edge[0], edge[1]))
+                .collect()
+        } else {
+            // Merged outer bins are open at the ends, and drawn out to the outer edges
+            let bound = |value: &Option<BinValue>, outer: Option<&f64>| match value {
+                Some(BinValue::Number(number)) => Some(*number),
+                Some(BinValue::Temporal(_)) => None,
+                None => outer.copied(),
+            };
+            data.iter()
+                .map(|&bin| match (bound(&bin.from, edges.first()), bound(&bin.to, edges.last())) {
+                    (Some(from), Some(to)) => Ok((bin, from, to)),
+                    _ => Err(format!(
+                        "The bins of {} do not match its edges; dates and datetimes can only be charted with every bin (without --drop-empty)",
+                        metadata.column
+                    )),
+                })
+                .collect::<Result<_, _>>()?
+        };
+
+        // Each bar names its lower edge unless the bar before ends there, and its upper
+        // edge unless it has no width
+        let label = |value: &BinValue| match value {
+            BinValue::Number(number) => format_significant(*number, TICK_DIGITS),
+            BinValue::Temporal(text) => text.clone(),
+        };
+        let mut ticks: Vec<(f64, String)> = Vec::new();
+        for &(bin, start, end) in &bars {
+            if ticks.last().is_none_or(|tick| tick.0 != start) {
+                ticks.extend(bin.from.as_ref().map(|from| (start, label(from))));
+            }
+            if end != start {
+                ticks.extend(bin.to.as_ref().map(|to| (end, label(to))));
+            }
+        }
+
+        let mut outside = Vec::new();
+        for bin in bins {
+            let count = format_count(bin.count);
+            match bin.kind {
+                BinKind::Underflow if bin.count > 0.0 => outside.push(format!("{} below", count)),
+                BinKind::Overflow if bin.count > 0.0 => outside.push(format!("{} above", count)),
+                BinKind::Null if bin.count > 0.0 => outside.push(format!("{} null", count)),
+                _ => {}
+            }
+        }
+        let note = (!outside.is_empty()).then(|| format!("Not drawn: {}", outside.join(", ")));
+
+        let temporal = matches!(metadata.temporal_type.as_deref(), Some("date" | "datetime"));
+        let duration = metadata.temporal_type.as_deref() == Some("duration");
+        Ok(Panel {
+            title,
+            bars,
+            ticks,
+            note,
+            temporal,
+            duration,
+        })
+    }
+
+    /// The panels of histograms: each whole column, followed by its groups
+    fn of_histograms(histograms: &[&'a HistogramResult]) -> Result<Vec<Self>, String> {
+        let mut panels = Vec::new();
+        for result in histograms {
+            let metadata = &result.metadata;
+            if metadata.categorical == Some(true) {
+                return Err(format!(
+                    "{} has value counts, which have no bin widths to chart",
+                    metadata.column
+                ));
+            }
+
+            let heading = title(
+                metadata,
+                None,
+                metadata.numeric_values,
+                metadata.null_values,
+            );
+            panels.push(Panel::new(
+                heading,
+                &result.bins,
+                &metadata.bin_edges,
+                metadata,
+            )?);
+            for group in result.groups.iter().flatten() {
+                let heading = title(
+                    metadata,
+                    Some(&group.label),
+                    group.numeric_values,
+                    group.null_values,
+                );
+                panels.push(Panel::new(
+                    heading,
+                    &group.bins,
+                    &group.bin_edges,
+                    metadata,
+                )?);
+            }
+        }
+        Ok(panels)
+    }
+
+    /// The height of a bar: its count, or its count per unit of width with density
+    fn height(bar: &(&NumericHistogramBin, f64, f64), density: bool) -> f64 {
+        let (bin, start, end) = *bar;
+        if density && end > start {
+            bin.count / (end - start)
+        } else {
+            bin.count
+        }
+    }
+}
+
+/// Draw histograms as an SVG image, a panel per column and group
+///
+/// # Arguments
+/// * `histograms` - The histograms to draw
+/// * `density` - Scale the bars by the width of their bins
+///
+/// # Returns
+/// The SVG document, or an error for value counts, which have no bin widths
+pub fn svg_chart(histograms: &[&HistogramResult], density: bool) -> Result<String, String> {
+    let panels = Panel::of_histograms(histograms)?;
+    let height = SVG_PANEL_HEIGHT * panels.len().max(1) as f64;
+
+    let mut svg = format!(
+        "<svg xmlns=\"http://www.w3.org/2000/svg\" class=\"binner-histogram\" \
+         width=\"{w}\" height=\"{h}\" viewBox=\"0 0 {w} {h}\">\n<style>\n{}</style>\n",
+        SVG_STYLE,
+        w = SVG_WIDTH,
+        h = height,
+    );
+    for (i, panel) in panels.iter().enumerate() {
+        svg.push_str(&svg_panel(panel, i as f64 * SVG_PANEL_HEIGHT, density));
+    }
+    svg.push_str("</svg>\n");
+    Ok(svg)
+}
+
+/// One panel of an SVG chart: the title, the grid, the bars and the axes
+fn svg_panel(panel: &Panel, top: f64, density: bool) -> String {
+    let (left, right) = (SVG_MARGIN_LEFT, SVG_WIDTH - SVG_MARGIN_RIGHT);
+    let (plot_top, bottom) = (SVG_MARGIN_TOP, SVG_PANEL_HEIGHT - SVG_MARGIN_BOTTOM);
+
+    let mut svg = format!("<g class=\"panel\" transform=\"translate(0,{})\">\n", top);
+    svg.push_str(&format!(
+        "<text class=\"title\" x=\"{}\" y=\"18\">{}</text>\n",
+        left,
+        xml_escape(&panel.title)
+    ));
+    if let Some(note) = &panel.note {
+        svg.push_str(&format!(
+            "<text class=\"note\" x=\"{}\" y=\"34\">{}</text>\n",
+            left,
+            xml_escape(note)
+        ));
+    }
+
+    let (Some(first), Some(last)) = (panel.bars.first(), panel.bars.last()) else {
+        return svg + "</g>\n";
+    };
+    // Bins of a column holding one value have no width, so half a unit is
+    // added on each side to give the axis a range to place them in
+    let (min, max) = match (first.1, last.2) {
+        (min, max) if max > min => (min, max),
+        (min, max) => (min - 0.5, max + 0.5),
+    };
+    let x = |value: f64| left + (value - min) / (max - min) * (right - left);
+
+    let tallest = panel
+        .bars
+        .iter()
+        .map(|bar| Panel::height(bar, density))
+        .fold(0.0, f64::max);
+    let ticks = if tallest > 0.0 {
+        pretty_breaks(5, 0.0, tallest)
+    } else {
+        vec![0.0, 1.0]
+    };
+    let ceiling = ticks.last().copied().unwrap_or(1.0);
+    let y = |value: f64| bottom - value / ceiling * (bottom - plot_top);
+
+    // Horizontal grid lines with the counts on the left
+    svg.push_str("<g class=\"grid\">\n");
+    for &tick in &ticks {
+        svg.push_str(&format!(
+            "<g class=\"tick\"><line x1=\"{l}\" x2=\"{r}\" y1=\"{y:.2}\" y2=\"{y:.2}\"/>\
+             <text x=\"{t}\" y=\"{y:.2}\" dy=\"0.32em\" text-anchor=\"end\">{}</text></g>\n",
+            format_significant(tick, TICK_DIGITS),
+            l = left,
+            r = right,
+            t = left - 6.0,
+            y = y(tick),
+        ));
+    }
+    svg.push_str("</g>\n");
+
+    svg.push_str("<g class=\"bars\">\n");
+    for bar in &panel.bars {
+        let (bin, start, end) = *bar;
+        let height = Panel::height(bar, density);
+        svg.push_str(&format!(
+            "<rect class=\"bar\" x=\"{:.2}\" y=\"{:.2}\" width=\"{:.2}\" height=\"{:.2}\">\
+             <title>{}: {}</title></rect>\n",
+            x(start),
+            y(height),
+            // A bin without width still gets a sliver of a bar
+            (x(end) - x(start)).max(1.0),
+            bottom - y(height),
+            xml_escape(&bin.bin_label),
+            format_count(bin.count),
+        ));
+    }
+    svg.push_str("</g>\n");
+
+    // The x axis has a tick at every edge of the bars
+    svg.push_str(&format!(
+        "<g class=\"axis x-axis\">\n<line x1=\"{}\" x2=\"{}\" y1=\"{b}\" y2=\"{b}\"/>\n",
+        left,
+        right,
+        b = bottom
+    ));
+    for (edge, label) in &panel.ticks {
+        svg.push_str(&format!(
+            "<g class=\"tick\" transform=\"translate({:.2},{})\"><line y2=\"6\"/>\
+             <text y=\"20\" text-anchor=\"middle\">{}</text></g>\n",
+            x(*edge),
+            bottom,
+            xml_escape(label)
+        ));
+    }
+    svg.push_str("</g>\n</g>\n");
+    svg
+}
+
+/// Escape the characters that are special in SVG text and attributes
+fn xml_escape(text: &str) -> String {
+    text.replace('&', "&amp;")
+        .replace('<', "&lt;")
+        .replace('>', "&gt;")
+        .replace('"', "&quot;")
+}
+
+/// A Vega-Lite spec drawing histograms, with their bins inlined as data
+///
+/// Each column and group gets a view of its own, stacked with vconcat when
+/// there is more than one, so every view keeps its own edges on the x axis.
+///
+/// # Arguments
+/// * `histograms` - The histograms to draw
+/// * `density` - Scale the bars by the width of their bins
+///
+/// # Returns
+/// The spec, or an error for value counts, which have no bin widths
+pub fn vega_lite_spec(histograms: &[&HistogramResult], density: bool) -> Result<Value, String> {
+    let views: Vec<Value> = Panel::of_histograms(histograms)?
+        .iter()
+        .map(|panel| vega_lite_view(panel, density))
+        .collect();
+
+    Ok(match <[Value; 1]>::try_from(views) {
+        Ok([mut view]) => {
+            view["$schema"] = json!(VEGA_LITE_SCHEMA);
+            view
+        }
+        Err(views) => json!({ "$schema": VEGA_LITE_SCHEMA, "vconcat": views }),
+    })
+}
+
+/// The Vega-Lite view of one panel
+fn vega_lite_view(panel: &Panel, density: bool) -> Value {
+    // Dates and datetimes are placed by their ISO-8601 labels, numbers and
+    // durations by their edges
+    let edges: Vec<Value> = panel
+        .ticks
+        .iter()
+        .map(|(edge, label)| {
+            if panel.temporal {
+                json!(label)
+            } else {
+                json!(edge)
+            }
+        })
+        .collect();
+
+    let values: Vec<Value> = panel
+        .bars
+        .iter()
+        .map(|bar| {
+            let (bin, start, end) = *bar;
+            let (from, to) = if panel.temporal {
+                (json!(bin.from), json!(bin.to))
+            } else {
+                (json!(start), json!(end))
+            };
+            json!({
+                "bin_label": bin.bin_label,
+                "from": from,
+                "to": to,
+                "count": number(bin.count),
+                "height": number(Panel::height(bar, density)),
+            })
+        })
+        .collect();
+
+    let mut title = json!({ "text": panel.title });
+    if let Some(note) = &panel.note {
+        title["subtitle"] = json!(note);
+    }
+    let mut axis = json!({ "values": edges });
+    if panel.duration {
+        // Vega-Lite has no duration type, so the ticks show the labels of their edges
+        let labels: Vec<&str> = panel
+            .ticks
+            .iter()
+            .map(|(_, label)| label.as_str())
+            .collect();
+        axis["labelExpr"] = json!(format!(
+            "{}[indexof({}, datum.value)]",
+            json!(labels),
+            json!(edges)
+        ));
+    }
+    json!({
+        "title": title,
+        "width": SVG_WIDTH - SVG_MARGIN_LEFT - SVG_MARGIN_RIGHT,
+        "height": SVG_PANEL_HEIGHT - SVG_MARGIN_TOP - SVG_MARGIN_BOTTOM,
+        "data": { "values": values },
+        "mark": { "type": "bar", "tooltip": true },
+        "encoding": {
+            "x": {
+                "field": "from",
+                "type": if panel.temporal { "temporal" } else { "quantitative" },
+                "title": null,
+                "scale": { "domain": [edges.first(), edges.last()] },
+                "axis": axis,
+            },
+            "x2": { "field": "to" },
+            "y": {
+                "field": "height",
+                "type": "quantitative",
+                "title": if density { "count per unit" } else { "count" },
+            },
+            "tooltip": [
+                { "field": "bin_label", "title": "bin" },
+                { "field": "count", "type": "quantitative" },
+            ],
+        },
+    })
+}
@@ -0,0 +1,395 @@
+/*
+ * Classification algorithms used to calculate bin edges
+ *
+ * Wraps the classify and ckmeans crates behind a single entry point so that the
+ * CLI, the Node addon and the WebAssembly build all produce identical breaks.
+ */
+
+use crate::geometric::{LogScale, geometric_starts, log_breaks};
+use crate::histogram::{Closure, bin_index};
+use crate::nice::pretty_breaks;
+use crate::sketch::{RunningStats, std_dev_starts};
+use crate::weighted::{get_weighted_jenks_breaks, get_weighted_quantile_breaks};
+use ckmeans::ckmeans;
+use classify::{
+    get_equal_interval_classification, get_head_tail_classification, get_quantile_classification,
+};
+use float_ord::FloatOrd;
+use itertools::Itertools;
+use std::str::FromStr;
+
+pub use classify::Bin;
+
+#[derive(Debug, Clone)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum BinningAlgorithm {
+    Jenks,
+    Quantile,
+    EqualInterval,
+    StandardDeviation,
+    HeadTail,
+    Pretty,
+    GeometricInterval,
+    Log,
+}
+
+impl BinningAlgorithm {
+    /// Every algorithm, in the order they are documented
+    pub const ALL: [BinningAlgorithm; 8] = [
+        BinningAlgorithm::Jenks,
+        BinningAlgorithm::Quantile,
+        BinningAlgorithm::EqualInterval,
+        BinningAlgorithm::StandardDeviation,
+        BinningAlgorithm::HeadTail,
+        BinningAlgorithm::Pretty,
+        BinningAlgorithm::GeometricInterval,
+        BinningAlgorithm::Log,
+    ];
+
+    /// The kebab-case name accepted on the command line
+    pub fn name(&self) -> &'static str {
+        match self {
+            BinningAlgorithm::Jenks => "jenks",
+            BinningAlgorithm::Quantile => "quantile",
+            BinningAlgorithm::EqualInterval => "equal-interval",
+            BinningAlgorithm::StandardDeviation => "standard-deviation",
+            BinningAlgorithm::HeadTail => "head-tail",
+            BinningAlgorithm::Pretty => "pretty",
+            BinningAlgorithm::GeometricInterval => "geometric-interval",
+            BinningAlgorithm::Log => "log",
+        }
+    }
+
+    /// Whether the algorithm takes a bin count (and so works with --num-bins auto)
+    pub fn uses_bin_count(&self) -> bool {
+        !matches!(
+            self,
+            BinningAlgorithm::StandardDeviation
+                | BinningAlgorithm::HeadTail
+                | BinningAlgorithm::Log
+        )
+    }
+
+    /// Whether the algorithm bins on a log scale, and so needs positive values
+    pub fn is_logarithmic(&self) -> bool {
+        matches!(
+            self,
+            BinningAlgorithm::GeometricInterval | BinningAlgorithm::Log
+        )
+    }
+}
+
+impl FromStr for BinningAlgorithm {
+    type Err = String;
+
+    fn from_str(name: &str) -> Result<Self, Self::Err> {
+        BinningAlgorithm::ALL
+            .iter()
+            .find(|algorithm| algorithm.name() == name)
+            .cloned()
+            .ok_or_else(|| {
+                format!(
+                    "Invalid algorithm: '{}'. Use one of: {}",
+                    name,
+                    BinningAlgorithm::ALL.iter().map(|a| a.name()).join(", ")
+                )
+            })
+    }
+}
+
+/// Create Jenks Natural Breaks classification using the ckmeans library
+///
+/// This implementation uses the ckmeans crate which provides the Ckmeans.1d.dp algorithm
+/// for optimal k-means clustering in one dimension. The Jenks Natural Breaks algorithm
+/// is essentially a 1D k-means clustering problem optimized for cartographic applications.
+///
+/// The ckmeans implementation produces optimal clusters that minimize within-cluster variance
+/// while maximizing between-cluster variance, which is ideal for data classification tasks.
+///
+/// # Arguments
+/// * `num_bins` - The number of bins/classes to create
+/// * `values` - The data values to cluster
+///
+/// ckmeans takes the number of clusters as an i8, so more than 127 classes are
+/// found with the weighted dynamic program in weighted.rs, every value weighing
+/// one.
+///
+/// # Returns
+/// A vector of classify::Bin structures with bin_start values at each cluster boundary
+pub fn get_jenks_classification(num_bins: usize, values: &[f64]) -> Vec<classify::Bin> {
+    let num_classes = num_bins.min(values.len());
+    let Ok(num_classes) = i8::try_from(num_classes) else {
+        let starts = get_weighted_jenks_breaks(num_classes, values, &vec![1.0; values.len()]);
+        return clusters_from_starts(&starts, values);
+    };
+
+    // Run ckmeans to get the clusters
+    let result = ckmeans(values, num_classes)
+        .unwrap_or_else(|_| (0..num_classes).map(|_| Vec::new()).collect());
+
+    result
+        .into_iter()
+        .filter(|cluster| !cluster.is_empty())
+        .map(|cluster| {
+            let bin_start = *cluster.iter().min_by_key(|n| FloatOrd(**n)).unwrap();
+            let bin_end = *cluster.iter().max_by_key(|n| FloatOrd(**n)).unwrap();
+            let count = cluster.len() as u64;
+            classify::Bin {
+                bin_start,
+                bin_end,
+                count,
+            }
+        })
+        .sorted_by_key(|bin| FloatOrd(bin.bin_start))
+        .collect()
+}
+
+/// Jenks classes from the values where each class starts
+///
+/// Like the ckmeans clusters, each class ends at its largest value rather than
+/// where the next class starts.
+fn clusters_from_starts(starts: &[f64], values: &[f64]) -> Vec<classify::Bin> {
+    let mut sorted = values.to_vec();
+    sorted.sort_by_key(|value| FloatOrd(*value));
+
+    sorted
+        .chunk_by(|a, b| bin_index(starts, *a) == bin_index(starts, *b))
+        .map(|cluster| classify::Bin {
+            bin_start: cluster[0],
+            bin_end: cluster[cluster.len() - 1],
+            count: cluster.len() as u64,
+        })
+        .collect()
+}
+
+/// Create a classification with round-number edges
+///
+/// The edges are multiples of 1, 2, 2.5 or 5 × 10^k, chosen to make about
+/// num_bins classes covering the data range (see nice::pretty_breaks).
+///
+/// # Arguments
+/// * `num_bins` - The target number of classes
+/// * `values` - The data values to classify
+///
+/// # Returns
+/// A vector of classify::Bin structures, one per pair of neighbouring edges
+pub fn get_pretty_classification(num_bins: usize, values: &[f64]) -> Vec<classify::Bin> {
+    let (min, max) = value_range(values);
+    classes_between(&pretty_breaks(num_bins, min, max), values)
+}
+
+/// The smallest and largest of the values
+fn value_range(values: &[f64]) -> (f64, f64) {
+    let min = values.iter().copied().fold(f64::INFINITY, f64::min);
+    let max = values.iter().copied().fold(f64::NEG_INFINITY, f64::max);
+    (min, max)
+}
+
+/// One class per pair of neighbouring edges, counting the values in each
+fn classes_between(edges: &[f64], values: &[f64]) -> Vec<classify::Bin> {
+    let mut counts = vec![0u64; edges.len() + 1];
+    for &value in values {
+        counts[Closure::SPANNING.bin_index(edges, value)] += 1;
+    }
+
+    edges
+        .windows(2)
+        .zip(&counts[1..])
+        .map(|(pair, &count)| classify::Bin {
+            bin_start: pair[0],
+            bin_end: pair[1],
+            count,
+        })
+        .collect()
+}
+
+/// Standard-deviation classes centred on the mean
+///
+/// Shares std_dev_starts with streaming mode, which has only the moments, so
+/// both modes produce the same edges.
+fn get_std_dev_classification(std_dev_size: f64, values: &[f64]) -> Vec<classify::Bin> {
+    let mut stats = RunningStats::default();
+    for &value in values {
+        stats.update(value);
+    }
+    let edges = close_breaks(std_dev_starts(std_dev_size, &stats), values);
+    classes_between(&edges, values)
+}
+
+/// Run the classification for an algorithm
+///
+/// # Arguments
+/// * `algorithm` - The algorithm to classify with
+/// * `num_bins` - The number of bins (ignored by StandardDeviation, HeadTail and Log)
+/// * `std_dev_size` - The standard deviation multiplier (only used by StandardDeviation)
+/// * `values` - The data values to classify
+///
+/// # Returns
+/// The classes, or an error when a geometric-interval or log value is not positive
+pub fn classify_values(
+    algorithm: &BinningAlgorithm,
+    num_bins: usize,
+    std_dev_size: f64,
+    values: &[f64],
+) -> Result<Vec<classify::Bin>, String> {
+    Ok(match algorithm {
+        BinningAlgorithm::Jenks => get_jenks_classification(num_bins, values),
+        BinningAlgorithm::Quantile => get_quantile_classification(num_bins, values),
+        BinningAlgorithm::EqualInterval => get_equal_interval_classification(num_bins, values),
+        BinningAlgorithm::StandardDeviation => get_std_dev_classification(std_dev_size, values),
+        BinningAlgorithm::HeadTail => get_head_tail_classification(values),
+        BinningAlgorithm::Pretty => get_pretty_classification(num_bins, values),
+        BinningAlgorithm::GeometricInterval | BinningAlgorithm::Log => {
+            classify_log_values(algorithm, num_bins, &LogScale::default(), values)?
+        }
+    })
+}
+
+/// Append the closing edge to the class starts
+///
+/// The last edge is the data maximum itself, which the last bin holds when
+/// the edges are binned with include_lowest (see Closure).
+fn close_breaks(mut breaks: Vec<f64>, values: &[f64]) -> Vec<f64> {
+    if let Some(&max_val) = values.iter().max_by(|a, b| a.partial_cmp(b).unwrap()) {
+        breaks.push(max_val);
+    }
+    breaks
+}
+
+/// Calculate the bin edges for an algorithm
+///
+/// The edges are the bin_start of every class followed by the data maximum,
+/// which the last bin holds when binned with include_lowest. Pretty edges end
+/// on the round number past the maximum instead.
+///
+/// Geometric-interval and log edges use the default log scale;
+/// compute_log_breaks takes another base or an offset.
+///
+/// # Returns
+/// The edges, or an error when a geometric-interval or log value is not positive
+pub fn compute_breaks(
+    algorithm: &BinningAlgorithm,
+    num_bins: usize,
+    std_dev_size: f64,
+    values: &[f64],
+) -> Result<Vec<f64>, String> {
+    if let BinningAlgorithm::Pretty = algorithm {
+        let (min, max) = value_range(values);
+        return Ok(pretty_breaks(num_bins, min, max));
+    }
+    if algorithm.is_logarithmic() {
+        return compute_log_breaks(algorithm, num_bins, &LogScale::default(), values);
+    }
+
+    let bins = classify_values(algorithm, num_bins, std_dev_size, values)?;
+
+    // For classify library, extract the bin_start values from bins to create breaks
+    let breaks: Vec<f64> = bins.iter().map(|bin| bin.bin_start).collect();
+
+    Ok(close_breaks(breaks, values))
+}
+
+/// Calculate geometric-interval or log edges from the range of the data
+///
+/// Geometric-interval edges close with the maximum like the other algorithms; log edges end on the first power of the base above it.
+///
+/// # Arguments
+/// * `algorithm` - GeometricInterval or Log
+/// * `num_bins` - The number of bins (ignored by Log)
+/// * `scale` - The log base and the offset added to the values
+/// * `min` - The smallest value
+/// * `max` - The largest value
+///
+/// # Returns
+/// The edges, or an error when the minimum is not positive once offset or there
+/// would be too many log edges
+pub fn log_scale_breaks(
+    algorithm: &BinningAlgorithm,
+    num_bins: usize,
+    scale: &LogScale,
+    min: f64,
+    max: f64,
+) -> Result<Vec<f64>, String> {
+    scale.check_positive(algorithm.name(), min)?;
+    if let BinningAlgorithm::Log = algorithm {
+        return log_breaks(scale.base, min, max, scale.offset);
+    }
+    let mut breaks = geometric_starts(num_bins, min, max, scale.offset);
+    breaks.push(max);
+    Ok(breaks)
+}
+
+/// Calculate geometric-interval or log edges for a set of values
+///
+/// # Arguments
+/// * `algorithm` - GeometricInterval or Log
+/// * `num_bins` - The number of bins (ignored by Log)
+/// * `scale` - The log base and the offset added to the values
+/// * `values` - The data values to classify
+///
+/// # Returns
+/// The edges (none for no values), or an error when a value is not positive
+/// once offset
+pub fn compute_log_breaks(
+    algorithm: &BinningAlgorithm,
+    num_bins: usize,
+    scale: &LogScale,
+    values: &[f64],
+) -> Result<Vec<f64>, String> {
+    if values.is_empty() {
+        return Ok(Vec::new());
+    }
+    let (min, max) = value_range(values);
+    log_scale_breaks(algorithm, num_bins, scale, min, max)
+}
+
+/// Run a geometric-interval or log classification
+///
+/// # Arguments
+/// * `algorithm` - GeometricInterval or Log
+/// * `num_bins` - The number of classes (ignored by Log)
+/// * `scale` - The log base and the offset added to the values
+/// * `values` - The data values to classify
+///
+/// # Returns
+/// One class per pair of neighbouring edges, or an error when a value is not
+/// positive once offset
+pub fn classify_log_values(
+    algorithm: &BinningAlgorithm,
+    num_bins: usize,
+    scale: &LogScale,
+    values: &[f64],
+) -> Result<Vec<classify::Bin>, String> {
+    let edges = compute_log_breaks(algorithm, num_bins, scale, values)?;
+    Ok(classes_between(&edges, values))
+}
+
+/// Calculate the bin edges for an algorithm, with a weight per value
+///
+/// Quantile and Jenks use their weighted variants; the other algorithms
+/// derive their edges from the values alone.
+///
+/// # Arguments
+/// * `algorithm` - The algorithm to classify with
+/// * `num_bins` - The number of bins (ignored by StandardDeviation, HeadTail and Log)
+/// * `std_dev_size` - The standard deviation multiplier (only used by StandardDeviation)
+/// * `values` - The data values to classify
+/// * `weights` - The non-negative weight of each value
+///
+/// # Returns
+/// The edges, or an error when a geometric-interval or log value is not positive
+pub fn compute_weighted_breaks(
+    algorithm: &BinningAlgorithm,
+    num_bins: usize,
+    std_dev_size: f64,
+    values: &[f64],
+    weights: &[f64],
+) -> Result<Vec<f64>, String> {
+    let breaks = match algorithm {
+        BinningAlgorithm::Jenks => get_weighted_jenks_breaks(num_bins, values, weights),
+        BinningAlgorithm::Quantile => get_weighted_quantile_breaks(num_bins, values, weights),
+        _ => return compute_breaks(algorithm, num_bins, std_dev_size, values),
+    };
+
+    Ok(close_breaks(breaks, values))
+}
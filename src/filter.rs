@@ -0,0 +1,362 @@
+/*
+ * Row filtering
+ *
+ * Parses the --where expression (a small SQL-like predicate language) and turns
+ * it into a Polars expression, so the filter is applied on the LazyFrame and
+ * benefits from predicate pushdown into the scan.
+ *
+ * Supported syntax:
+ *   column = 'text' | column != 1 | column <> 1 | column < 1 | column <= 1 | column > 1 | column >= 1
+ *   column IS NULL | column IS NOT NULL
+ *   column IN ('a', 'b') | column NOT IN (1, 2)
+ *   NOT expr | expr AND expr | expr OR expr | (expr)
+ *
+ * Column names are bare identifiers or "double quoted"; strings use single quotes.
+ */
+
+use polars::prelude::*;
+
+#[derive(Debug, Clone, PartialEq)]
+enum Token {
+    Identifier(String),
+    QuotedIdentifier(String),
+    Number(f64),
+    String(String),
+    Operator(&'static str),
+    LeftParen,
+    RightParen,
+    Comma,
+}
+
+#[derive(Debug, Clone, PartialEq)]
+pub enum Operand {
+    Column(String),
+    Number(f64),
+    String(String),
+    Boolean(bool),
+}
+
+#[derive(Debug, Clone, Copy, PartialEq)]
+pub enum Comparison {
+    Eq,
+    NotEq,
+    Lt,
+    LtEq,
+    Gt,
+    GtEq,
+}
+
+#[derive(Debug, Clone, PartialEq)]
+pub enum Predicate {
+    Compare(Operand, Comparison, Operand),
+    IsNull {
+        operand: Operand,
+        negated: bool,
+    },
+    In {
+        operand: Operand,
+        values: Vec<Operand>,
+        negated: bool,
+    },
+    And(Box<Predicate>, Box<Predicate>),
+    Or(Box<Predicate>, Box<Predicate>),
+    Not(Box<Predicate>),
+}
+
+/// Split the expression into tokens
+fn tokenize(input: &str) -> Result<Vec<Token>, String> {
+    let chars: Vec<char> = input.chars().collect();
+    let mut tokens = Vec::new();
+    let mut i = 0;
+
+    while i < chars.len() {
+        let c = chars[i];
+        match c {
+            _ if c.is_whitespace() => i += 1,
+            '(' => {
+                tokens.push(Token::LeftParen);
+                i += 1;
+            }
+            ')' => {
+                tokens.push(Token::RightParen);
+                i += 1;
+            }
+            ',' => {
+                tokens.push(Token::Comma);
+                i += 1;
+            }
+            '\'' | '"' => {
+                // Quotes are escaped by doubling them, as in SQL
+                let mut text = String::new();
+                i += 1;
+                loop {
+                    match chars.get(i) {
+                        None => return Err(format!("unterminated {} quote", c)),
+                        Some(&q) if q == c && chars.get(i + 1) == Some(&c) => {
+                            text.push(c);
+                            i += 2;
+                        }
+                        Some(&q) if q == c => {
+                            i += 1;
+                            break;
+                        }
+                        Some(&other) => {
+                            text.push(other);
+                            i += 1;
+                        }
+                    }
+                }
+                tokens.push(if c == '\'' {
+                    Token::String(text)
+                } else {
+                    Token::QuotedIdentifier(text)
+                });
+            }
+            '=' | '!' | '<' | '>' => {
+                let next = chars.get(i + 1).copied();
+                let (operator, width) = match (c, next) {
+                    ('=', Some('=')) => ("=", 2),
+                    ('=', _) => ("=", 1),
+                    ('!', Some('=')) => ("!=", 2),
+                    ('<', Some('>')) => ("!=", 2),
+                    ('<', Some('=')) => ("<=", 2),
+                    ('<', _) => ("<", 1),
+                    ('>', Some('=')) => (">=", 2),
+                    ('>', _) => (">", 1),
+                    _ => return Err(format!("unexpected '{}' at position {}", c, i + 1)),
+                };
+                tokens.push(Token::Operator(operator));
+                i += width;
+            }
+            _ if c.is_ascii_digit() || c == '.' || c == '-' => {
+                let start = i;
+                i += 1;
+                while i < chars.len()
+                    && (chars[i].is_ascii_alphanumeric()
+                        || chars[i] == '.'
+                        || ((chars[i] == '-' || chars[i] == '+')
+                            && matches!(chars[i - 1], 'e' | 'E')))
+                {
+                    i += 1;
+                }
+                let text: String = chars[start..i].iter().collect();
+                let number = text
+                    .parse::<f64>()
+                    .map_err(|_| format!("invalid number '{}' at position {}", text, start + 1))?;
+                tokens.push(Token::Number(number));
+            }
+            _ if c.is_alphabetic() || c == '_' => {
+                let start = i;
+                while i < chars.len() && (chars[i].is_alphanumeric() || chars[i] == '_') {
+                    i += 1;
+                }
+                tokens.push(Token::Identifier(chars[start..i].iter().collect()));
+            }
+            _ => return Err(format!("unexpected '{}' at position {}", c, i + 1)),
+        }
+    }
+
+    Ok(tokens)
+}
+
+/// Recursive descent parser over the tokens
+struct Parser {
+    tokens: Vec<Token>,
+    position: usize,
+}
+
+impl Parser {
+    fn peek(&self) -> Option<&Token> {
+        self.tokens.get(self.position)
+    }
+
+    fn next(&mut self) -> Option<Token> {
+        let token = self.tokens.get(self.position).cloned();
+        self.position += 1;
+        token
+    }
+
+    /// Consume the keyword if it is next (case-insensitive)
+    fn keyword(&mut self, keyword: &str) -> bool {
+        match self.peek() {
+            Some(Token::Identifier(word)) if word.eq_ignore_ascii_case(keyword) => {
+                self.position += 1;
+                true
+            }
+            _ => false,
+        }
+    }
+
+    fn expect(&mut self, expected: Token) -> Result<(), String> {
+        match self.next() {
+            Some(token) if token == expected => Ok(()),
+            Some(token) => Err(format!("expected {:?}, found {:?}", expected, token)),
+            None => Err(format!("expected {:?}, found end of expression", expected)),
+        }
+    }
+
+    fn parse_or(&mut self) -> Result<Predicate, String> {
+        let mut left = self.parse_and()?;
+        while self.keyword("or") {
+            left = Predicate::Or(Box::new(left), Box::new(self.parse_and()?));
+        }
+        Ok(left)
+    }
+
+    fn parse_and(&mut self) -> Result<Predicate, String> {
+        let mut left = self.parse_not()?;
+        while self.keyword("and") {
+            left = Predicate::And(Box::new(left), Box::new(self.parse_not()?));
+        }
+        Ok(left)
+    }
+
+    fn parse_not(&mut self) -> Result<Predicate, String> {
+        if self.keyword("not") {
+            return Ok(Predicate::Not(Box::new(self.parse_not()?)));
+        }
+        if self.peek() == Some(&Token::LeftParen) {
+            self.position += 1;
+            let inner = self.parse_or()?;
+            self.expect(Token::RightParen)?;
+            return Ok(inner);
+        }
+        self.parse_comparison()
+    }
+
+    fn parse_operand(&mut self) -> Result<Operand, String> {
+        match self.next() {
+            Some(Token::Number(n)) => Ok(Operand::Number(n)),
+            Some(Token::String(s)) => Ok(Operand::String(s)),
+            Some(Token::QuotedIdentifier(name)) => Ok(Operand::Column(name)),
+            Some(Token::Identifier(word)) if word.eq_ignore_ascii_case("true") => {
+                Ok(Operand::Boolean(true))
+            }
+            Some(Token::Identifier(word)) if word.eq_ignore_ascii_case("false") => {
+                Ok(Operand::Boolean(false))
+            }
+            Some(Token::Identifier(name)) => Ok(Operand::Column(name)),
+            Some(token) => Err(format!("expected a column or value, found {:?}", token)),
+            None => Err("expected a column or value, found end of expression".to_string()),
+        }
+    }
+
+    fn parse_comparison(&mut self) -> Result<Predicate, String> {
+        let left = self.parse_operand()?;
+
+        if self.keyword("is") {
+            let negated = self.keyword("not");
+            if !self.keyword("null") {
+                return Err("expected NULL after IS".to_string());
+            }
+            return Ok(Predicate::IsNull {
+                operand: left,
+                negated,
+            });
+        }
+
+        let negated = self.keyword("not");
+        if self.keyword("in") {
+            self.expect(Token::LeftParen)?;
+            let mut values = vec![self.parse_operand()?];
+            while self.peek() == Some(&Token::Comma) {
+                self.position += 1;
+                values.push(self.parse_operand()?);
+            }
+            self.expect(Token::RightParen)?;
+            return Ok(Predicate::In {
+                operand: left,
+                values,
+                negated,
+            });
+        }
+        if negated {
+            return Err("expected IN after NOT".to_string());
+        }
+
+        let comparison = match self.next() {
+            Some(Token::Operator("=")) => Comparison::Eq,
+            Some(Token::Operator("!=")) => Comparison::NotEq,
+            Some(Token::Operator("<")) => Comparison::Lt,
+            Some(Token::Operator("<=")) => Comparison::LtEq,
+            Some(Token::Operator(">")) => Comparison::Gt,
+            Some(Token::Operator(">=")) => Comparison::GtEq,
+            Some(token) => return Err(format!("expected a comparison, found {:?}", token)),
+            None => return Err("expected a comparison, found end of expression".to_string()),
+        };
+
+        Ok(Predicate::Compare(left, comparison, self.parse_operand()?))
+    }
+}
+
+/// Parse a --where expression
+pub fn parse(input: &str) -> Result<Predicate, String> {
+    let mut parser = Parser {
+        tokens: tokenize(input)?,
+        position: 0,
+    };
+    let predicate = parser.parse_or()?;
+
+    if let Some(token) = parser.peek() {
+        return Err(format!(
+            "unexpected {:?} after the end of the expression",
+            token
+        ));
+    }
+
+    Ok(predicate)
+}
+
+impl Operand {
+    fn to_expr(&self) -> Expr {
+        match self {
+            Operand::Column(name) => col(name.as_str()),
+            Operand::Number(n) => lit(*n),
+            Operand::String(s) => lit(s.as_str()),
+            Operand::Boolean(b) => lit(*b),
+        }
+    }
+}
+
+impl Predicate {
+    /// Build the Polars expression for the predicate
+    pub fn to_expr(&self) -> Expr {
+        match self {
+            Predicate::Compare(left, comparison, right) => {
+                let (left, right) = (left.to_expr(), right.to_expr());
+                match comparison {
+                    Comparison::Eq => left.eq(right),
+                    Comparison::NotEq => left.neq(right),
+                    Comparison::Lt => left.lt(right),
+                    Comparison::LtEq => left.lt_eq(right),
+                    Comparison::Gt => left.gt(right),
+                    Comparison::GtEq => left.gt_eq(right),
+                }
+            }
+            Predicate::IsNull { operand, negated } => {
+                if *negated {
+                    operand.to_expr().is_not_null()
+                } else {
+                    operand.to_expr().is_null()
+                }
+            }
+            Predicate::In {
+                operand,
+                values,
+                negated,
+            } => {
+                // An OR of equalities avoids needing Polars' is_in feature
+                let operand = operand.to_expr();
+                let matches = values
+                    .iter()
+                    .map(|value| operand.clone().eq(value.to_expr()))
+                    .reduce(|a, b| a.or(b))
+                    .unwrap_or_else(|| lit(false));
+                if *negated { matches.not() } else { matches }
+            }
+            Predicate::And(left, right) => left.to_expr().and(right.to_expr()),
+            Predicate::Or(left, right) => left.to_expr().or(right.to_expr()),
+            Predicate::Not(inner) => inner.to_expr().not(),
+        }
+    }
+}
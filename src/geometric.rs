@@ -0,0 +1,132 @@
+/*
+ * Geometric-interval and logarithmic edges
+ *
+ * For right-skewed positive data (incomes, populations, file sizes) where
+ * equal-interval puts nearly every value in the first bin. Geometric-interval
+ * classes grow by a constant ratio from the minimum to the maximum, like the
+ * ArcGIS and geostats classification, and log bins run from one power of the
+ * base to the next. Both need strictly positive values: data with zeros or
+ * negatives can be shifted by an explicit offset, and the edges are shifted
+ * back so they stay in the units of the data.
+ */
+
+/// The base of log bins unless another is given
+pub const DEFAULT_LOG_BASE: f64 = 10.0;
+
+/// The most edges log bins may have
+///
+/// A base just above 1 needs a power for every tiny step across the range, so
+/// `--log-base 1.000001` would otherwise build millions of edges.
+pub const MAX_LOG_EDGES: usize = 100_000;
+
+/// Significant digits in the labels of geometric-interval and log bins, whose
+/// edges span orders of magnitude
+pub const LOG_LABEL_DIGITS: usize = 4;
+
+/// How values are scaled for geometric-interval and log bins
+#[derive(Debug, Clone, Copy, PartialEq)]
+pub struct LogScale {
+    /// The base of the log bins (greater than 1)
+    pub base: f64,
+    /// Added to every value before taking ratios or logarithms
+    pub offset: f64,
+}
+
+impl Default for LogScale {
+    fn default() -> Self {
+        LogScale {
+            base: DEFAULT_LOG_BASE,
+            offset: 0.0,
+        }
+    }
+}
+
+impl LogScale {
+    /// Check that the smallest value is positive once offset
+    ///
+    /// # Arguments
+    /// * `algorithm` - The algorithm name, for the error message
+    /// * `min` - The smallest value of the column
+    pub fn check_positive(&self, algorithm: &str, min: f64) -> Result<(), String> {
+        if min + self.offset > 0.0 {
+            return Ok(());
+        }
+        Err(if self.offset == 0.0 {
+            format!(
+                "The {} algorithm needs strictly positive values, but the minimum is {}; \
+                 shift them with --log-offset",
+                algorithm, min
+            )
+        } else {
+            format!(
+                "The {} algorithm needs strictly positive values, but the minimum is {} \
+                 even with --log-offset {}",
+                algorithm, min, self.offset
+            )
+        })
+    }
+}
+
+/// Class starts that grow by a constant ratio from min to max
+///
+/// With k classes the ratio is ((max + offset) / (min + offset))^(1/k), so the
+/// classes are equal intervals on a log scale.
+///
+/// # Arguments
+/// * `num_bins` - The number of classes
+/// * `min` - The smallest value (positive once offset)
+/// * `max` - The largest value
+/// * `offset` - Added to the values before taking ratios
+pub fn geometric_starts(num_bins: usize, min: f64, max: f64, offset: f64) -> Vec<f64> {
+    let num_bins = num_bins.max(1);
+    let (low, high) = (min + offset, max + offset);
+    if high <= low {
+        return vec![min];
+    }
+    let ratio = (high / low).powf(1.0 / num_bins as f64);
+
+    // The first start is the exact minimum, without a round trip through the offset
+    std::iter::once(min)
+        .chain((1..num_bins).map(|i| low * ratio.powi(i as i32) - offset))
+        .collect()
+}
+
+/// Edges at the powers of a base covering min to max
+///
+/// The first edge is the power at or below the minimum and the last is the
+/// first power above the maximum, so every value falls into a bin.
+///
+/// # Arguments
+/// * `base` - The base of the powers (greater than 1)
+/// * `min` - The smallest value (positive once offset)
+/// * `max` - The largest value
+/// * `offset` - Added to the values before taking logarithms
+///
+/// # Returns
+/// The edges, or an error when there would be more than MAX_LOG_EDGES
+pub fn log_breaks(base: f64, min: f64, max: f64, offset: f64) -> Result<Vec<f64>, String> {
+    let (low, high) = (min + offset, max + offset);
+    // Checked before the powers are rounded to i32, which a huge count overflows
+    if (high.log(base) - low.log(base)).floor() + 2.0 > MAX_LOG_EDGES as f64 {
+        return Err(format!(
+            "--log-base {} needs more than {} edges to cover {} to {}; use a larger base",
+            base, MAX_LOG_EDGES, min, max
+        ));
+    }
+    let mut first = low.log(base).floor() as i32;
+    let mut last = high.log(base).floor() as i32 + 1;
+
+    // The logarithm of an exact power can land just either side of the integer
+    if base.powi(first) > low {
+        first -= 1;
+    } else if base.powi(first + 1) <= low {
+        first += 1;
+    }
+    if base.powi(last) <= high {
+        last += 1;
+    } else if base.powi(last - 1) > high {
+        last -= 1;
+    }
+
+    Ok((first..=last).map(|i| base.powi(i) - offset).collect())
+}
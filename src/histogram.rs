@@ -0,0 +1,905 @@
+/*
+ * Histogram types and bin filling
+ *
+ * These are the structures serialized as the JSON output of the CLI, along with
+ * the code that assigns every value to its bin in a single pass and gathers the
+ * per-bin statistics.
+ */
+
+use crate::labels::LabelStyle;
+use crate::summary::ColumnSummary;
+use crate::temporal::TemporalKind;
+use ndhistogram::axis::{Axis, BinInterval, Variable};
+use serde::{Deserialize, Serialize, Serializer};
+use std::error::Error;
+
+/// A bin bound or value: a number, or an ISO-8601 string for temporal columns
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+#[serde(untagged)]
+pub enum BinValue {
+    Number(f64),
+    Temporal(String),
+}
+
+impl BinValue {
+    /// A value as shown in the output: formatted as ISO-8601 for a temporal column
+    pub fn new(value: f64, temporal: Option<&TemporalKind>) -> Self {
+        match temporal {
+            Some(kind) => BinValue::Temporal(kind.format(value)),
+            None => BinValue::Number(value),
+        }
+    }
+}
+
+/// What a bin holds, so clients can tell the bins apart without reading labels
+#[derive(Debug, Clone, Copy, PartialEq, Serialize, Deserialize)]
+#[serde(rename_all = "lowercase")]
+pub enum BinKind {
+    /// The values below the first edge
+    Underflow,
+    /// The values between two edges, or one value of value counts
+    Bin,
+    /// The values above the last edge
+    Overflow,
+    /// The values of value counts left out by --top
+    Other,
+    /// The null values
+    Null,
+}
+
+#[derive(Serialize, Deserialize)]
+pub struct NumericHistogramBin {
+    /// The label for this bin
+    pub bin_label: String,
+    /// What the bin holds: the values below, between or above the edges, the
+    /// values --top left out, or nulls
+    pub kind: BinKind,
+    /// The lower bound of the bin
+    pub from: Option<BinValue>,
+    /// The upper bound of the bin
+    pub to: Option<BinValue>,
+    /// The number of rows in this bin, or their summed weight with --weight-column
+    #[serde(serialize_with = "serialize_count")]
+    pub count: f64,
+    /// The unweighted number of rows in this bin (only set for weighted histograms)
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub row_count: Option<usize>,
+    /// How the count changed when --nice snapped the edges (only set with --nice)
+    #[serde(
+        default,
+        skip_serializing_if = "Option::is_none",
+        serialize_with = "serialize_optional_count"
+    )]
+    pub count_shift: Option<f64>,
+    /// The min value in this bin
+    pub min: Option<BinValue>,
+    /// The max value in this bin
+    pub max: Option<BinValue>,
+    /// The statistics requested with --stats
+    #[serde(flatten)]
+    pub summary: BinSummary,
+}
+
+/// A statistic --stats adds to every bin
+#[derive(Debug, Clone, Copy, PartialEq)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum BinStatistic {
+    /// The (weighted) mean of the values
+    Mean,
+    /// The (weighted) median of the values
+    Median,
+    /// The (weighted) sum of the values
+    Sum,
+    /// The (weighted) population standard deviation of the values
+    Std,
+    /// The bin's percentage of all rows and of the non-null values
+    Pct,
+    /// The count and percentage of the non-null values up to and including the bin
+    Cumulative,
+}
+
+/// The statistics --stats adds to a bin, each left out unless requested
+#[derive(Serialize, Deserialize, Debug, Clone, Default)]
+pub struct BinSummary {
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub mean: Option<BinValue>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub median: Option<BinValue>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub sum: Option<f64>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub std: Option<f64>,
+    /// The percentage of all rows, nulls included (of the total weight when weighted)
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub pct: Option<f64>,
+    /// The percentage of the non-null values
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub pct_non_null: Option<f64>,
+    /// The count of the non-null values up to and including this bin
+    #[serde(
+        default,
+        skip_serializing_if = "Option::is_none",
+        serialize_with = "serialize_optional_count"
+    )]
+    pub cumulative_count: Option<f64>,
+    /// The percentage of the non-null values up to and including this bin
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub cumulative_pct: Option<f64>,
+}
+
+#[derive(Serialize, Deserialize, Default)]
+pub struct HistogramMetadata {
+    pub file: String,
+    /// The input format the file was read as
+    pub format: Option<String>,
+    pub column: String,
+    pub algorithm: Option<String>,
+    pub num_bins: Option<usize>,
+    pub std_dev_size: Option<f64>,
+    /// The base of log bins
+    pub log_base: Option<f64>,
+    /// The offset added to the values of geometric-interval and log bins
+    pub log_offset: Option<f64>,
+    /// The rule num_bins was derived with (--num-bins auto)
+    pub rule: Option<String>,
+    /// The bin width chosen by the scott or fd rule
+    pub bin_width: Option<f64>,
+    /// The goodness of variance fit --num-bins auto-gvf added bins until
+    pub gvf_threshold: Option<f64>,
+    /// The algorithm's edges before --nice snapped them to round numbers
+    pub unsnapped_edges: Option<Vec<f64>>,
+    /// The number of values (or their summed weight) that changed bin when snapping
+    pub moved_values: Option<f64>,
+    /// Goodness of variance fit of the bins: 1 - squared deviations around the bin
+    /// means / squared deviations around the overall mean
+    pub gvf: Option<f64>,
+    /// Absolute deviation around the bin medians
+    pub adcm: Option<f64>,
+    /// Tabular accuracy index: 1 - absolute deviations around the bin means /
+    /// absolute deviations around the overall mean
+    pub tai: Option<f64>,
+    pub total_rows: usize,
+    pub numeric_values: usize,
+    pub null_values: usize,
+    pub bin_edges: Vec<f64>,
+    /// The distribution of the column's values (only with --summary)
+    pub summary: Option<ColumnSummary>,
+    /// The columns the histogram was split by
+    pub group_by: Option<Vec<String>>,
+    /// Whether each group has its own bin edges
+    pub per_group_edges: Option<bool>,
+    /// The --where expression rows were filtered with
+    pub filter: Option<String>,
+    /// The number of rows that matched the filter
+    pub filtered_rows: Option<usize>,
+    /// The column bin counts were weighted by
+    pub weight_column: Option<String>,
+    /// The summed weight of the binned rows, nulls included
+    pub total_weight: Option<f64>,
+    /// Rows left out because their weight was null or NaN
+    pub null_weights: Option<usize>,
+    /// Rows left out because their weight was negative
+    pub negative_weights: Option<usize>,
+    /// Whether the bin edges were calculated from every value (false when estimated from a sketch)
+    pub exact_breaks: Option<bool>,
+    /// Bound on the normalized rank error of estimated edges, at about 99% confidence
+    pub rank_error: Option<f64>,
+    /// The type of a temporal column ("date", "datetime" or "duration")
+    pub temporal_type: Option<String>,
+    /// The unit of bin_edges for a temporal column ("days", "ms", "us" or "ns")
+    pub time_unit: Option<String>,
+    /// The timezone temporal bins are shown and aligned in
+    pub timezone: Option<String>,
+    /// The calendar unit of the bins with --interval
+    pub interval: Option<String>,
+    /// The end the bins are closed on ("left" or "right")
+    pub closed: Option<String>,
+    /// Whether the outermost bin is closed at its open end too, holding the
+    /// last edge of left-closed bins or the first of right-closed ones
+    pub include_lowest: Option<bool>,
+    /// What happened to the underflow and overflow bins ("keep", "drop" or "merge")
+    pub outer_bins: Option<String>,
+    /// Whether the bins are value counts of a categorical column rather than numeric ranges
+    pub categorical: Option<bool>,
+    /// The number of distinct non-null values of a categorical column
+    pub distinct_values: Option<usize>,
+    /// The number of most frequent values kept before the "other" bin
+    pub top: Option<usize>,
+    /// The order of the value counts ("count" or "value")
+    pub sort: Option<String>,
+}
+
+impl HistogramMetadata {
+    /// The metadata every numeric histogram starts from
+    ///
+    /// The CLI and the native addon both build their metadata on it, so the
+    /// fields they report stay the same.
+    pub fn new(column: &str) -> Self {
+        HistogramMetadata {
+            column: column.to_string(),
+            exact_breaks: Some(true),
+            categorical: Some(false),
+            ..Default::default()
+        }
+    }
+}
+
+/// The bins for one group value when the histogram is split with --group-by
+#[derive(Serialize, Deserialize)]
+pub struct HistogramGroup {
+    /// The group values, in the order of metadata.group_by
+    pub key: Vec<serde_json::Value>,
+    /// The group values joined for display
+    pub label: String,
+    pub total_rows: usize,
+    pub numeric_values: usize,
+    pub null_values: usize,
+    /// The summed weight of the group's binned rows (only set for weighted histograms)
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub total_weight: Option<f64>,
+    pub bin_edges: Vec<f64>,
+    pub bins: Vec<NumericHistogramBin>,
+}
+
+#[derive(Serialize, Deserialize)]
+pub struct HistogramResult {
+    pub metadata: HistogramMetadata,
+    pub bins: Vec<NumericHistogramBin>,
+    #[serde(default, skip_serializing_if = "Option::is_none")]
+    pub groups: Option<Vec<HistogramGroup>>,
+}
+
+impl HistogramResult {
+    /// Leave out the outer bins unless they are kept, and the empty bins with
+    /// `drop_empty`, from the bins of the column and of every group
+    ///
+    /// Merged outer bins are empty by now, their values counted in the first
+    /// and last bins (see Closure), so they are left out as well. The shares
+    /// --stats pct and cumulative add are worked out again from the bins that
+    /// are left, so they leave out the values of dropped outer bins.
+    pub fn trim_bins(&mut self, outer_bins: OuterBins, drop_empty: bool) {
+        let keep = |bin: &NumericHistogramBin| {
+            let outer = matches!(bin.kind, BinKind::Underflow | BinKind::Overflow);
+            (!outer || outer_bins == OuterBins::Keep) && (!drop_empty || bin.count > 0.0)
+        };
+        self.bins.retain(keep);
+        share_bins(&mut self.bins);
+        for group in self.groups.iter_mut().flatten() {
+            group.bins.retain(keep);
+            share_bins(&mut group.bins);
+        }
+    }
+}
+
+/// Work out the requested percentages and cumulative counts of a set of bins
+/// from their counts, as BinLayout::summarize does from the bin statistics
+fn share_bins(bins: &mut [NumericHistogramBin]) {
+    let all_rows: f64 = bins.iter().map(|bin| bin.count).sum();
+    let non_null: f64 = bins
+        .iter()
+        .filter(|bin| bin.kind != BinKind::Null)
+        .map(|bin| bin.count)
+        .sum();
+    let percent = |count: f64, total: f64| (total > 0.0).then(|| 100.0 * count / total);
+
+    let mut cumulative = 0.0;
+    for bin in bins.iter_mut() {
+        let summary = &mut bin.summary;
+        if summary.pct.is_some() {
+            summary.pct = percent(bin.count, all_rows);
+        }
+        if bin.kind == BinKind::Null {
+            continue;
+        }
+        if summary.pct_non_null.is_some() {
+            summary.pct_non_null = percent(bin.count, non_null);
+        }
+        if summary.cumulative_count.is_some() {
+            cumulative += bin.count;
+            summary.cumulative_count = Some(cumulative);
+            summary.cumulative_pct = percent(cumulative, non_null);
+        }
+    }
+}
+
+/// The outcome of binning one of several columns
+#[derive(Serialize)]
+#[serde(untagged)]
+pub enum ColumnResult {
+    Histogram(HistogramResult),
+    /// The column could not be binned (missing, non-numeric or all null)
+    Failed {
+        column: String,
+        error: String,
+    },
+}
+
+/// Results for several columns, serialized as an object keyed by column name
+/// in the order the columns were requested
+pub struct ColumnResults(pub Vec<(String, ColumnResult)>);
+
+impl Serialize for ColumnResults {
+    fn serialize<S: Serializer>(&self, serializer: S) -> Result<S::Ok, S::Error> {
+        serializer.collect_map(self.0.iter().map(|(name, result)| (name, result)))
+    }
+}
+
+/// Write whole counts as integers so unweighted output keeps plain counts
+fn serialize_count<S: Serializer>(count: &f64, serializer: S) -> Result<S::Ok, S::Error> {
+    if count.fract() == 0.0 && *count >= 0.0 && *count < u64::MAX as f64 {
+        serializer.serialize_u64(*count as u64)
+    } else {
+        serializer.serialize_f64(*count)
+    }
+}
+
+/// Write whole count shifts and cumulative counts as integers, like the counts
+fn serialize_optional_count<S: Serializer>(
+    count: &Option<f64>,
+    serializer: S,
+) -> Result<S::Ok, S::Error> {
+    match count {
+        Some(count) if count.fract() == 0.0 && count.abs() < i64::MAX as f64 => {
+            serializer.serialize_i64(*count as i64)
+        }
+        Some(count) => serializer.serialize_f64(*count),
+        None => serializer.serialize_none(),
+    }
+}
+
+/// Running statistics for the values that fall into one bin
+#[derive(Debug, Clone, Default)]
+pub struct BinStats {
+    /// The number of values, or their summed weight
+    pub count: f64,
+    /// The number of values, ignoring weights
+    pub rows: usize,
+    pub min: Option<f64>,
+    pub max: Option<f64>,
+    /// The (weighted) sum of the values
+    pub sum: f64,
+    /// The (weighted) mean of the values
+    pub mean: f64,
+    /// The (weighted) sum of squared deviations from the mean
+    pub m2: f64,
+}
+
+impl BinStats {
+    /// Add a value with its weight (1.0 when unweighted)
+    pub fn add(&mut self, value: f64, weight: f64) {
+        self.count += weight;
+        self.rows += 1;
+        self.min = Some(self.min.map_or(value, |min| min.min(value)));
+        self.max = Some(self.max.map_or(value, |max| max.max(value)));
+        self.sum += weight * value;
+
+        // Welford's update, with the value repeated weight times
+        if self.count > 0.0 {
+            let delta = value - self.mean;
+            self.mean += delta * weight / self.count;
+            self.m2 += weight * delta * (value - self.mean);
+        }
+    }
+
+    /// Fold the statistics of the same bin from another batch into this one
+    pub fn merge(&mut self, other: &BinStats) {
+        // Chan et al.'s pairwise combination of the means and squared deviations
+        let count = self.count + other.count;
+        if count > 0.0 {
+            let delta = other.mean - self.mean;
+            self.mean += delta * other.count / count;
+            self.m2 += other.m2 + delta * delta * self.count * other.count / count;
+        }
+        self.count += other.count;
+        self.rows += other.rows;
+        self.sum += other.sum;
+        self.min = [self.min, other.min].into_iter().flatten().reduce(f64::min);
+        self.max = [self.max, other.max].into_iter().flatten().reduce(f64::max);
+    }
+}
+
+/// Find the bin a value falls into by binary search over the sorted edges
+///
+/// # Returns
+/// 0 for the underflow bin (below the first edge), i for [edges[i - 1], edges[i])
+/// and edges.len() for the overflow bin (at or above the last edge)
+pub fn bin_index(edges: &[f64], value: f64) -> usize {
+    edges.partition_point(|&edge| edge <= value)
+}
+
+/// The end of their interval bins are closed on
+#[derive(Debug, Clone, Copy, PartialEq, Default)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum Closed {
+    /// [from, to): a value on an edge goes to the bin above it
+    #[default]
+    Left,
+    /// (from, to]: a value on an edge goes to the bin below it
+    Right,
+}
+
+impl Closed {
+    /// The name recorded in the output metadata
+    pub fn name(&self) -> &'static str {
+        match self {
+            Closed::Left => "left",
+            Closed::Right => "right",
+        }
+    }
+}
+
+/// What happens to the underflow and overflow bins outside the edges
+#[derive(Debug, Clone, Copy, PartialEq, Default)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum OuterBins {
+    /// Keep them as bins of their own
+    #[default]
+    Keep,
+    /// Leave them out, along with the values they hold
+    Drop,
+    /// Count their values in the first and last bins
+    Merge,
+}
+
+impl OuterBins {
+    /// The name recorded in the output metadata
+    pub fn name(&self) -> &'static str {
+        match self {
+            OuterBins::Keep => "keep",
+            OuterBins::Drop => "drop",
+            OuterBins::Merge => "merge",
+        }
+    }
+}
+
+/// Which bin a value on an edge goes to, as in R's cut
+#[derive(Debug, Clone, Copy, PartialEq, Default)]
+pub struct Closure {
+    pub closed: Closed,
+    /// Close the outermost bin at its open end too: the last bin of left-closed
+    /// bins holds the last edge, the first of right-closed bins the first edge
+    pub include_lowest: bool,
+    /// Count the values below the first edge in the first bin and those above
+    /// the last edge in the last bin (--outer-bins merge)
+    pub merge_outer: bool,
+}
+
+impl Closure {
+    /// Left-closed bins whose last bin holds the last edge, for edges that end
+    /// at the largest value
+    pub const SPANNING: Closure = Closure {
+        closed: Closed::Left,
+        include_lowest: true,
+        merge_outer: false,
+    };
+
+    /// Find the bin a value falls into, like bin_index but with the closure
+    ///
+    /// # Returns
+    /// 0 for the underflow bin, i for the bin between edges[i - 1] and edges[i]
+    /// and edges.len() for the overflow bin (never the outer bins when merging
+    /// them into a bin between two edges)
+    pub fn bin_index(&self, edges: &[f64], value: f64) -> usize {
+        let n = edges.len();
+        let index = match self.closed {
+            Closed::Left if self.include_lowest && n > 1 && value == edges[n - 1] => n - 1,
+            Closed::Left => bin_index(edges, value),
+            Closed::Right if self.include_lowest && n > 1 && value == edges[0] => 1,
+            Closed::Right => edges.partition_point(|&edge| edge < value),
+        };
+        if self.merge_outer && n > 1 {
+            index.clamp(1, n - 1)
+        } else {
+            index
+        }
+    }
+
+    /// Whether the bin between edges[i - 1] and edges[i] holds its lower and
+    /// its upper edge
+    pub fn includes(&self, i: usize, edges: usize) -> (bool, bool) {
+        match self.closed {
+            Closed::Left => (true, self.include_lowest && i + 1 == edges),
+            Closed::Right => (self.include_lowest && i == 1, true),
+        }
+    }
+}
+
+/// Format a number with a number of significant digits, without trailing zeros
+///
+/// The whole part is always shown in full, so 1234567 stays 1234567 rather than
+/// 1235000 while 0.000123456 becomes 0.0001235 with four digits.
+pub fn format_significant(value: f64, digits: usize) -> String {
+    if value == 0.0 {
+        return "0".to_string();
+    }
+    if !value.is_finite() {
+        return value.to_string();
+    }
+    let magnitude = value.abs().log10().floor() as i32;
+    let decimals = (digits as i32 - 1 - magnitude).max(0) as usize;
+    let formatted = format!("{:.*}", decimals, value);
+    if decimals == 0 {
+        return formatted;
+    }
+    formatted
+        .trim_end_matches('0')
+        .trim_end_matches('.')
+        .to_string()
+}
+
+/// The bins described by a set of edges: underflow, each interval, then overflow
+pub struct BinLayout {
+    intervals: Vec<BinInterval<f64>>,
+    /// The edges as the axis sees them: the end of every bin but the overflow
+    edges: Vec<f64>,
+    /// How to show bounds and values when the column is temporal
+    temporal: Option<TemporalKind>,
+    /// How the labels write the bounds of the bins
+    labels: LabelStyle,
+    /// Which bin a value on an edge goes to
+    closure: Closure,
+}
+
+impl BinLayout {
+    /// Validate the edges and lay out the bins
+    pub fn new(breaks: &[f64]) -> Result<Self, Box<dyn Error>> {
+        // The Variable axis validates the edges and describes the underflow,
+        // interval and overflow bins in order
+        let axis = Variable::new(breaks.to_vec())?;
+        let intervals: Vec<BinInterval<f64>> = axis.bins().collect();
+        let edges = intervals
+            .iter()
+            .filter_map(|interval| match interval {
+                BinInterval::Underflow { end } | BinInterval::Bin { end, .. } => Some(*end),
+                BinInterval::Overflow { .. } => None,
+            })
+            .collect();
+
+        Ok(BinLayout {
+            intervals,
+            edges,
+            temporal: None,
+            labels: LabelStyle::default(),
+            closure: Closure::default(),
+        })
+    }
+
+    /// Show the bounds, labels and values of the bins as ISO-8601 strings
+    pub fn with_temporal(mut self, temporal: Option<TemporalKind>) -> Self {
+        self.temporal = temporal;
+        self
+    }
+
+    /// Write the labels of the bins in a style other than the default
+    pub fn with_labels(mut self, labels: LabelStyle) -> Self {
+        self.labels = labels;
+        self
+    }
+
+    /// Assign values on the edges to bins by a closure other than left-closed
+    pub fn with_closure(mut self, closure: Closure) -> Self {
+        self.closure = closure;
+        self
+    }
+
+    /// The bin a value falls into
+    pub fn bin_index(&self, value: f64) -> usize {
+        self.closure.bin_index(&self.edges, value)
+    }
+
+    fn bin_value(&self, value: f64) -> BinValue {
+        BinValue::new(value, self.temporal.as_ref())
+    }
+
+    /// Whether a bin takes in the values below the first edge and above the
+    /// last one, with --outer-bins merge
+    fn open_ends(&self, i: usize) -> (bool, bool) {
+        let edges = self.edges.len();
+        let merged = self.closure.merge_outer && edges > 1;
+        (merged && i == 1, merged && i + 1 == edges)
+    }
+
+    /// The bounds of a bin, None on the side it is open
+    fn bounds(&self, i: usize, interval: &BinInterval<f64>) -> (Option<f64>, Option<f64>) {
+        let (from, to) = match interval {
+            BinInterval::Underflow { end } => (None, Some(*end)),
+            BinInterval::Overflow { start } => (Some(*start), None),
+            BinInterval::Bin { start, end } => (Some(*start), Some(*end)),
+        };
+        let (open_start, open_end) = self.open_ends(i);
+        (from.filter(|_| !open_start), to.filter(|_| !open_end))
+    }
+
+    /// The label of a bin: temporal bounds as ISO-8601, numbers in the label style
+    ///
+    /// The brackets follow the closure, and the underflow and overflow bins hold
+    /// the outer edges the bins next to them leave out. Merged into the first
+    /// and last bins, the outer bins take those bins' labels with them, so the
+    /// first bin reads like an underflow bin and the last like an overflow bin.
+    /// A single bin, open at both ends, keeps the label of its edges.
+    fn label(&self, i: usize, interval: &BinInterval<f64>) -> String {
+        let edges = self.edges.len();
+        let spanning = self.closure.include_lowest && edges > 1;
+        let underflow_holds_end = self.closure.closed == Closed::Right && !spanning;
+        let overflow_holds_start = self.closure.closed == Closed::Left && !spanning;
+        match (self.open_ends(i), interval) {
+            ((true, false), BinInterval::Bin { end, .. }) => {
+                let holds_end = self.closure.includes(i, edges).1;
+                return match &self.temporal {
+                    Some(kind) => self.labels.underflow_text(&kind.format(*end), holds_end),
+                    None => self.labels.underflow(*end, holds_end),
+                };
+            }
+            ((false, true), BinInterval::Bin { start, .. }) => {
+                let holds_start = self.closure.includes(i, edges).0;
+                return match &self.temporal {
+                    Some(kind) => self.labels.overflow_text(&kind.format(*start), holds_start),
+                    None => self.labels.overflow(*start, holds_start),
+                };
+            }
+            _ => {}
+        }
+        match (&self.temporal, interval) {
+            (Some(kind), BinInterval::Underflow { end }) => self
+                .labels
+                .underflow_text(&kind.format(*end), underflow_holds_end),
+            (Some(kind), BinInterval::Overflow { start }) => self
+                .labels
+                .overflow_text(&kind.format(*start), overflow_holds_start),
+            (Some(kind), BinInterval::Bin { start, end }) => self.labels.interval_text(
+                &kind.format(*start),
+                &kind.format(*end),
+                self.closure.includes(i, edges),
+            ),
+            (None, BinInterval::Underflow { end }) => {
+                self.labels.underflow(*end, underflow_holds_end)
+            }
+            (None, BinInterval::Overflow { start }) => {
+                self.labels.overflow(*start, overflow_holds_start)
+            }
+            (None, BinInterval::Bin { start, end }) => {
+                self.labels
+                    .interval(*start, *end, self.closure.includes(i, edges))
+            }
+        }
+    }
+
+    /// Empty statistics for every bin, to merge batches into
+    pub fn empty_stats(&self) -> Vec<BinStats> {
+        vec![BinStats::default(); self.intervals.len()]
+    }
+
+    /// Assign every value to its bin and gather the statistics of each bin
+    ///
+    /// Runs in O(n log bins): each value is placed with one binary search instead
+    /// of scanning all values once per bin.
+    ///
+    /// # Arguments
+    /// * `values` - The numeric values to count
+    /// * `weights` - The weight of each value, or None to count every value once
+    pub fn collect(&self, values: &[f64], weights: Option<&[f64]>) -> Vec<BinStats> {
+        let mut stats = self.empty_stats();
+
+        match weights {
+            Some(weights) => {
+                for (&value, &weight) in values.iter().zip(weights) {
+                    stats[self.bin_index(value)].add(value, weight);
+                }
+            }
+            None => {
+                for &value in values {
+                    stats[self.bin_index(value)].add(value, 1.0);
+                }
+            }
+        }
+
+        stats
+    }
+
+    /// Build the output bins from the gathered statistics
+    ///
+    /// # Arguments
+    /// * `stats` - The statistics of each bin, as returned by collect
+    /// * `weighted` - Whether the counts are weighted (adds row_count to every bin)
+    /// * `null_count` - The number of null values in the column
+    /// * `null_weight` - The summed weight of the null values (used when weighted)
+    /// * `include_null_bin` - Whether to append a bin counting the null values
+    pub fn to_bins(
+        &self,
+        stats: &[BinStats],
+        weighted: bool,
+        null_count: usize,
+        null_weight: f64,
+        include_null_bin: bool,
+    ) -> Vec<NumericHistogramBin> {
+        let mut bins: Vec<NumericHistogramBin> = self
+            .intervals
+            .iter()
+            .zip(stats)
+            .enumerate()
+            .map(|(i, (interval, stats))| {
+                let bin_label = self.label(i, interval);
+                let (from, to) = self.bounds(i, interval);
+
+                let kind = match interval {
+                    BinInterval::Underflow { .. } => BinKind::Underflow,
+                    BinInterval::Overflow { .. } => BinKind::Overflow,
+                    BinInterval::Bin { .. } => BinKind::Bin,
+                };
+
+                NumericHistogramBin {
+                    bin_label,
+                    kind,
+                    from: from.map(|value| self.bin_value(value)),
+                    to: to.map(|value| self.bin_value(value)),
+                    count: stats.count,
+                    row_count: weighted.then_some(stats.rows),
+                    count_shift: None,
+                    min: stats.min.map(|value| self.bin_value(value)),
+                    max: stats.max.map(|value| self.bin_value(value)),
+                    summary: BinSummary::default(),
+                }
+            })
+            .collect();
+
+        // Add null bin if needed
+        if null_count > 0 && include_null_bin {
+            bins.push(NumericHistogramBin {
+                bin_label: "null".to_string(),
+                kind: BinKind::Null,
+                from: None,
+                to: None,
+                count: if weighted {
+                    null_weight
+                } else {
+                    null_count as f64
+                },
+                row_count: weighted.then_some(null_count),
+                count_shift: None,
+                min: None,
+                max: None,
+                summary: BinSummary::default(),
+            });
+        }
+
+        bins
+    }
+
+    /// The median of the values in every bin (None for an empty bin)
+    ///
+    /// With weights this is the value where the cumulative weight passes half
+    /// the bin's weight, or the average of the two values either side when it
+    /// reaches exactly half, as the usual median does for an even count.
+    ///
+    /// # Arguments
+    /// * `values` - The numeric values that were counted
+    /// * `weights` - The weight of each value, or None to count every value once
+    pub fn medians(&self, values: &[f64], weights: Option<&[f64]>) -> Vec<Option<f64>> {
+        let mut weighted: Vec<(f64, f64)> = match weights {
+            Some(weights) => values
+                .iter()
+                .copied()
+                .zip(weights.iter().copied())
+                .collect(),
+            None => values.iter().map(|&value| (value, 1.0)).collect(),
+        };
+        weighted.retain(|(_, weight)| *weight > 0.0);
+        weighted.sort_by(|a, b| a.0.total_cmp(&b.0));
+
+        let mut medians = vec![None; self.intervals.len()];
+        let in_bin = |a: &(f64, f64), b: &(f64, f64)| self.bin_index(a.0) == self.bin_index(b.0);
+        for bin in weighted.chunk_by(in_bin) {
+            let half = bin.iter().map(|(_, weight)| weight).sum::<f64>() / 2.0;
+            let mut cumulative = 0.0;
+            for (i, &(value, weight)) in bin.iter().enumerate() {
+                cumulative += weight;
+                // Exactly half leaves weight after this value, so a next value exists
+                let median = if cumulative > half {
+                    value
+                } else if cumulative == half {
+                    (value + bin[i + 1].0) / 2.0
+                } else {
+                    continue;
+                };
+                medians[self.bin_index(value)] = Some(median);
+                break;
+            }
+        }
+        medians
+    }
+
+    /// Add the statistics requested with --stats to the bins built by to_bins
+    ///
+    /// # Arguments
+    /// * `bins` - The bins from to_bins, possibly followed by the null bin
+    /// * `stats` - The statistics of every bin but the null bin
+    /// * `medians` - The median of every bin but the null bin, from medians
+    ///   (only read when the median is requested)
+    /// * `null_total` - The number of null values, or their summed weight
+    /// * `requested` - The statistics to add
+    pub fn summarize(
+        &self,
+        bins: &mut [NumericHistogramBin],
+        stats: &[BinStats],
+        medians: Option<&[Option<f64>]>,
+        null_total: f64,
+        requested: &[BinStatistic],
+    ) {
+        let wants = |statistic| requested.contains(&statistic);
+        let non_null: f64 = stats.iter().map(|bin| bin.count).sum();
+        let all_rows = non_null + null_total;
+        let percent = |count: f64, total: f64| (total > 0.0).then(|| 100.0 * count / total);
+
+        let mut cumulative = 0.0;
+        for (i, bin) in bins.iter_mut().enumerate() {
+            let summary = &mut bin.summary;
+            if wants(BinStatistic::Pct) {
+                summary.pct = percent(bin.count, all_rows);
+            }
+            // The null bin has no values to summarize
+            let Some(stats) = stats.get(i) else {
+                continue;
+            };
+            let filled = stats.count > 0.0;
+            if wants(BinStatistic::Mean) {
+                summary.mean = filled.then(|| self.bin_value(stats.sum / stats.count));
+            }
+            if wants(BinStatistic::Median) {
+                let median = medians.and_then(|medians| medians[i]);
+                summary.median = median.map(|median| self.bin_value(median));
+            }
+            if wants(BinStatistic::Sum) {
+                summary.sum = Some(stats.sum);
+            }
+            if wants(BinStatistic::Std) {
+                summary.std = filled.then(|| (stats.m2 / stats.count).max(0.0).sqrt());
+            }
+            if wants(BinStatistic::Pct) {
+                summary.pct_non_null = percent(stats.count, non_null);
+            }
+            if wants(BinStatistic::Cumulative) {
+                cumulative += stats.count;
+                summary.cumulative_count = Some(cumulative);
+                summary.cumulative_pct = percent(cumulative, non_null);
+            }
+        }
+    }
+}
+
+/// Count the values in each bin and build the output bins
+///
+/// # Arguments
+/// * `values` - The numeric values to count
+/// * `weights` - The weight of each value, or None to count every value once
+/// * `breaks` - The sorted bin edges
+/// * `null_count` - The number of null values in the column
+/// * `null_weight` - The summed weight of the null values (used when weighted)
+/// * `include_null_bin` - Whether to append a bin counting the null values
+/// * `closure` - Which bin a value on an edge goes to
+/// * `labels` - How the labels write the bounds of the bins
+///
+/// # Returns
+/// The underflow bin, one bin per interval, the overflow bin and optionally the null bin
+pub fn build_bins(
+    values: &[f64],
+    weights: Option<&[f64]>,
+    breaks: &[f64],
+    null_count: usize,
+    null_weight: f64,
+    include_null_bin: bool,
+    closure: Closure,
+    labels: LabelStyle,
+) -> Result<Vec<NumericHistogramBin>, Box<dyn Error>> {
+    let layout = BinLayout::new(breaks)?
+        .with_closure(closure)
+        .with_labels(labels);
+    let stats = layout.collect(values, weights);
+
+    Ok(layout.to_bins(
+        &stats,
+        weights.is_some(),
+        null_count,
+        null_weight,
+        include_null_bin,
+    ))
+}
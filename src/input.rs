@@ -0,0 +1,348 @@
+/*
+ * Input formats
+ *
+ * Detects the format of the input file and builds the matching Polars LazyFrame
+ * scan, so the rest of the pipeline does not need to know where the data came from.
+ * Numbers on standard input are parsed line by line as they arrive. Other formats
+ * are copied from standard input to a temporary file in fixed-size chunks and
+ * scanned like any file, so only the selected columns are read and --streaming
+ * reads them in batches.
+ */
+
+use clap::ValueEnum;
+use polars::prelude::*;
+use std::error::Error;
+use std::fs::File;
+use std::io::{self, BufRead, BufReader, Cursor};
+use std::path::Path;
+use tempfile::NamedTempFile;
+
+/// The file name that selects standard input
+pub const STDIN: &str = "-";
+
+/// The column name given to values read in the lines format
+pub const LINES_COLUMN: &str = "value";
+
+#[derive(Debug, Clone, Copy, PartialEq, ValueEnum)]
+pub enum InputFormat {
+    Parquet,
+    Csv,
+    Tsv,
+    Ndjson,
+    #[value(alias = "arrow", alias = "feather")]
+    Ipc,
+    /// One number per line
+    Lines,
+}
+
+impl InputFormat {
+    /// Detect the format from the file extension
+    ///
+    /// # Returns
+    /// The matching format, or None for unknown extensions
+    pub fn from_path(path: &str) -> Option<Self> {
+        let extension = Path::new(path).extension()?.to_str()?.to_lowercase();
+        match extension.as_str() {
+            "parquet" | "pq" => Some(InputFormat::Parquet),
+            "csv" => Some(InputFormat::Csv),
+            "tsv" | "tab" => Some(InputFormat::Tsv),
+            "ndjson" | "jsonl" => Some(InputFormat::Ndjson),
+            "arrow" | "ipc" | "feather" => Some(InputFormat::Ipc),
+            _ => None,
+        }
+    }
+
+    /// The name recorded in the output metadata
+    pub fn name(&self) -> &'static str {
+        match self {
+            InputFormat::Parquet => "parquet",
+            InputFormat::Csv => "csv",
+            InputFormat::Tsv => "tsv",
+            InputFormat::Ndjson => "ndjson",
+            InputFormat::Ipc => "ipc",
+            InputFormat::Lines => "lines",
+        }
+    }
+}
+
+/// Options that only apply to CSV, TSV and lines input
+pub struct CsvOptions {
+    /// Field delimiter (defaults to ',' for CSV and a tab for TSV)
+    pub delimiter: Option<char>,
+    /// Whether the first row holds the column names
+    pub has_header: bool,
+    /// Strings to read as null (also used for lines input)
+    pub null_values: Option<Vec<String>>,
+}
+
+/// Resolve the delimiter and null markers for CSV and TSV input
+fn csv_settings(
+    format: InputFormat,
+    csv_options: &CsvOptions,
+) -> Result<(u8, Option<NullValues>), Box<dyn Error>> {
+    let default_delimiter = if format == InputFormat::Tsv {
+        '\t'
+    } else {
+        ','
+    };
+    let delimiter = csv_options.delimiter.unwrap_or(default_delimiter);
+    if !delimiter.is_ascii() {
+        return Err(format!(
+            "Invalid delimiter: '{}'. Use a single ASCII character",
+            delimiter
+        )
+        .into());
+    }
+
+    let null_values = csv_options.null_values.as_ref().map(|values| {
+        NullValues::AllColumns(
+            values
+                .iter()
+                .map(|v| PlSmallStr::from(v.as_str()))
+                .collect(),
+        )
+    });
+
+    Ok((delimiter as u8, null_values))
+}
+
+/// Parse newline-delimited numbers into a single column frame, a line at a time
+///
+/// Blank lines are skipped; "null" and any of the configured null markers count as nulls.
+/// NaN and infinite values are rejected like other unparsable lines.
+fn read_lines(reader: impl BufRead, csv_options: &CsvOptions) -> Result<DataFrame, Box<dyn Error>> {
+    let null_markers = csv_options.null_values.as_deref().unwrap_or_default();
+    let mut values: Vec<Option<f64>> = Vec::new();
+
+    for (i, line) in reader.lines().enumerate() {
+        let line = line?;
+        let line = line.trim();
+        if line.is_empty() {
+            continue;
+        }
+        if line.eq_ignore_ascii_case("null") || null_markers.iter().any(|m| m == line) {
+            values.push(None);
+            continue;
+        }
+        // NaN and infinities parse as numbers but cannot be binned
+        match line.parse::<f64>() {
+            Ok(value) if value.is_finite() => values.push(Some(value)),
+            _ => {
+                return Err(format!("Invalid value on line {}: '{}'", i + 1, line).into());
+            }
+        }
+    }
+
+    Ok(DataFrame::new(vec![Column::new(
+        LINES_COLUMN.into(),
+        values,
+    )])?)
+}
+
+/// Standard input copied to a temporary file, which is removed when this is dropped
+pub struct SpooledStdin {
+    /// Removes the file when dropped
+    file: NamedTempFile,
+    path: String,
+}
+
+impl SpooledStdin {
+    /// Copy standard input to a new temporary file
+    ///
+    /// The file gets a random name and is readable by the current user only. The
+    /// copy goes through a fixed-size buffer, so input larger than memory can be
+    /// scanned (and read in batches with --streaming) like a file.
+    pub fn new() -> Result<Self, Box<dyn Error>> {
+        let mut file = tempfile::Builder::new()
+            .prefix("binner-stdin-")
+            .tempfile()?;
+        let path = file
+            .path()
+            .to_str()
+            .ok_or("The temporary directory is not a valid UTF-8 path")?
+            .to_string();
+        std::io::copy(&mut std::io::stdin().lock(), file.as_file_mut())?;
+        Ok(SpooledStdin { file, path })
+    }
+
+    /// The path of the temporary file
+    pub fn path(&self) -> &str {
+        &self.path
+    }
+}
+
+/// A CSV, TSV or NDJSON file read in batches of records
+///
+/// Slicing a lazy scan of a text file re-reads it from the start for every
+/// batch, so streaming mode reads these formats here instead: each batch of
+/// records is parsed on its own with the schema of the whole scan, and the file
+/// is read once per pass.
+pub struct TextInput {
+    path: String,
+    format: InputFormat,
+    separator: u8,
+    null_values: Option<NullValues>,
+    has_header: bool,
+}
+
+impl TextInput {
+    /// Describe a text file to read in batches
+    ///
+    /// # Returns
+    /// The input, or None for formats whose scan skips straight to a batch
+    /// (Parquet, IPC) or that are read into memory anyway (lines)
+    pub fn new(
+        path: &str,
+        format: InputFormat,
+        csv_options: &CsvOptions,
+    ) -> Result<Option<Self>, Box<dyn Error>> {
+        if !matches!(
+            format,
+            InputFormat::Csv | InputFormat::Tsv | InputFormat::Ndjson
+        ) || path == STDIN
+        {
+            return Ok(None);
+        }
+        let (separator, null_values) = csv_settings(format, csv_options)?;
+        Ok(Some(TextInput {
+            path: path.to_string(),
+            format,
+            separator,
+            null_values,
+            has_header: csv_options.has_header && format != InputFormat::Ndjson,
+        }))
+    }
+
+    /// Open the file for one pass over its batches
+    ///
+    /// # Arguments
+    /// * `schema` - The schema of the scan, which every batch is parsed with
+    pub fn batches(&self, schema: SchemaRef) -> Result<TextBatches<'_>, Box<dyn Error>> {
+        let mut reader = BufReader::new(File::open(&self.path)?);
+        let mut header = Vec::new();
+        if self.has_header {
+            read_record(&mut reader, &mut header, true)?;
+        }
+        Ok(TextBatches {
+            input: self,
+            reader,
+            header,
+            schema,
+        })
+    }
+}
+
+/// One pass over the batches of a TextInput
+pub struct TextBatches<'a> {
+    input: &'a TextInput,
+    reader: BufReader<File>,
+    /// The header row, repeated at the start of every batch
+    header: Vec<u8>,
+    schema: SchemaRef,
+}
+
+impl TextBatches<'_> {
+    /// Parse the next batch of up to batch_size records
+    ///
+    /// # Returns
+    /// The batch, or None at the end of the file
+    pub fn next_batch(&mut self, batch_size: usize) -> Result<Option<DataFrame>, Box<dyn Error>> {
+        let quoted = self.input.format != InputFormat::Ndjson;
+        let mut bytes = self.header.clone();
+        let mut records = 0;
+        while records < batch_size && read_record(&mut self.reader, &mut bytes, quoted)? {
+            records += 1;
+        }
+        if records == 0 {
+            return Ok(None);
+        }
+
+        let cursor = Cursor::new(bytes);
+        let df = match self.input.format {
+            InputFormat::Ndjson => JsonLineReader::new(cursor)
+                .with_schema(self.schema.clone())
+                .finish()?,
+            _ => {
+                let (separator, null_values) =
+                    (self.input.separator, self.input.null_values.clone());
+                CsvReadOptions::default()
+                    .with_has_header(self.input.has_header)
+                    .with_schema(Some(self.schema.clone()))
+                    .map_parse_options(|options| {
+                        options
+                            .with_separator(separator)
+                            .with_null_values(null_values)
+                    })
+                    .into_reader_with_file_handle(cursor)
+                    .finish()?
+            }
+        };
+        Ok(Some(df))
+    }
+}
+
+/// Append the next record, with its line ending, to a buffer
+///
+/// With `quoted`, a record runs on past line breaks inside double quotes, as
+/// CSV fields may hold them.
+///
+/// # Returns
+/// Whether a record was read, false at the end of the file
+fn read_record(reader: &mut impl BufRead, buffer: &mut Vec<u8>, quoted: bool) -> io::Result<bool> {
+    let mut quotes = 0;
+    let mut read = false;
+    loop {
+        let start = buffer.len();
+        if reader.read_until(b'\n', buffer)? == 0 {
+            return Ok(read);
+        }
+        read = true;
+        if quoted {
+            quotes += buffer[start..].iter().filter(|&&byte| byte == b'"').count();
+        }
+        if quotes % 2 == 0 {
+            return Ok(true);
+        }
+    }
+}
+
+/// Build a lazy scan of the input
+///
+/// # Arguments
+/// * `path` - Path to the input file, or "-" for lines on standard input (other
+///   formats are read from a SpooledStdin)
+/// * `format` - The format to read the input as
+/// * `csv_options` - Parsing options for CSV, TSV and lines input
+pub fn scan(
+    path: &str,
+    format: InputFormat,
+    csv_options: &CsvOptions,
+) -> Result<LazyFrame, Box<dyn Error>> {
+    if path == STDIN {
+        if format != InputFormat::Lines {
+            return Err(format!(
+                "{} input on standard input must be spooled to a file first",
+                format.name()
+            )
+            .into());
+        }
+        return Ok(read_lines(std::io::stdin().lock(), csv_options)?.lazy());
+    }
+
+    let lf = match format {
+        InputFormat::Parquet => LazyFrame::scan_parquet(path, Default::default())?,
+        InputFormat::Csv | InputFormat::Tsv => {
+            let (delimiter, null_values) = csv_settings(format, csv_options)?;
+            LazyCsvReader::new(path)
+                .with_separator(delimiter)
+                .with_has_header(csv_options.has_header)
+                .with_null_values(null_values)
+                .finish()?
+        }
+        InputFormat::Ndjson => LazyJsonLineReader::new(path).finish()?,
+        InputFormat::Ipc => LazyFrame::scan_ipc(path, Default::default())?,
+        InputFormat::Lines => read_lines(BufReader::new(File::open(path)?), csv_options)?.lazy(),
+    };
+
+    Ok(lf)
+}
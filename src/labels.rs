@@ -0,0 +1,315 @@
+/*
+ * Bin labels
+ *
+ * How bin_label writes the bounds of numeric bins. By default a bin reads
+ * [from, to) with three decimals (significant digits for log scales), with
+ * brackets that follow --closed. --label-format integer labels a bin of an
+ * integer column with the range of integers it holds, 10–19.
+ * --label-precision, --label-format, --label-locale and --label-suffix change
+ * the numbers and the text around them, so reports can show the labels as
+ * they are.
+ */
+
+use crate::histogram::format_significant;
+
+/// The --label-format that labels the bins of integer columns with the
+/// integers they hold instead of filling in a template
+pub const INTEGER_LABELS: &str = "integer";
+
+/// Decimals of the numbers in labels unless another precision is given
+pub const DEFAULT_LABEL_DECIMALS: usize = 3;
+
+/// Significant digits of numbers scaled by a suffix unless a precision is given
+const SUFFIX_DIGITS: usize = 3;
+
+/// The SI prefixes for thousands and up, largest first
+const SI_PREFIXES: [(f64, &str); 6] = [
+    (1e18, "E"),
+    (1e15, "P"),
+    (1e12, "T"),
+    (1e9, "G"),
+    (1e6, "M"),
+    (1e3, "k"),
+];
+
+/// A unit suffix for the numbers in labels
+#[derive(Debug, Clone, Copy, PartialEq)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum LabelSuffix {
+    /// SI prefixes for thousands and up: 1.5k, 20M, 3G
+    Si,
+    /// Fractions as percentages: 0.25 becomes 25%
+    Percent,
+}
+
+/// The languages --label-locale knows the separators of
+pub const LOCALE_LANGUAGES: [&str; 44] = [
+    "be", "bg", "cs", "da", "de", "el", "en", "es", "et", "fi", "fil", "fr", "ga", "gsw", "he",
+    "hi", "hr", "hu", "id", "it", "ja", "kk", "ko", "lt", "lv", "ms", "nb", "nl", "nn", "no", "pl",
+    "pt", "rm", "ro", "ru", "sk", "sl", "sr", "sv", "th", "tr", "uk", "vi", "zh",
+];
+
+/// The thousands separator and decimal mark a locale writes numbers with
+#[derive(Debug, Clone, PartialEq)]
+pub struct Locale {
+    group: &'static str,
+    decimal: char,
+}
+
+impl Locale {
+    /// The separators of a BCP 47 language tag such as en-US, de-DE or fr-CH
+    ///
+    /// A tag is a language, then optionally a script (four letters, as in
+    /// sr-Latn) and a region (two letters, or three digits as in es-419).
+    /// Only the language and the region pick the separators; languages are
+    /// grouped by the separators they share.
+    ///
+    /// # Returns
+    /// The locale, or an error for a tag that is not of that form or a
+    /// language that is not known
+    pub fn parse(tag: &str) -> Result<Self, String> {
+        let unknown = || {
+            format!(
+                "Unknown locale '{}'; expected a language tag such as en-US, de-CH or fr in one of: {}",
+                tag,
+                LOCALE_LANGUAGES.join(", ")
+            )
+        };
+        let letters = |part: &str, lengths: std::ops::RangeInclusive<usize>| {
+            lengths.contains(&part.len()) && part.chars().all(|c| c.is_ascii_alphabetic())
+        };
+
+        let mut parts = tag.split(['-', '_']).peekable();
+        let language = parts
+            .next()
+            .filter(|part| letters(part, 2..=3))
+            .ok_or_else(unknown)?
+            .to_lowercase();
+        // The script does not change the separators
+        parts.next_if(|part| letters(part, 4..=4));
+        let region = parts
+            .next_if(|part| {
+                letters(part, 2..=2)
+                    || (part.len() == 3 && part.chars().all(|c| c.is_ascii_digit()))
+            })
+            .map(str::to_uppercase);
+        if parts.next().is_some() {
+            return Err(unknown());
+        }
+
+        let (group, decimal) = match (language.as_str(), region.as_deref()) {
+            ("de" | "it", Some("CH" | "LI")) | ("rm" | "gsw", _) => ("’", '.'),
+            ("es", Some("MX" | "US" | "419")) => (",", '.'),
+            ("pt", Some("PT")) => ("\u{a0}", ','),
+            ("fr", _) => ("\u{202f}", ','),
+            ("en" | "ja" | "zh" | "ko" | "he" | "th" | "hi" | "ms" | "fil" | "ga", _) => (",", '.'),
+            (
+                "de" | "es" | "it" | "nl" | "pt" | "id" | "da" | "tr" | "el" | "ro" | "hr" | "sl"
+                | "sr" | "vi",
+                _,
+            ) => (".", ','),
+            (
+                "ru" | "pl" | "cs" | "sk" | "sv" | "fi" | "nb" | "nn" | "no" | "uk" | "hu" | "bg"
+                | "lt" | "lv" | "et" | "be" | "kk",
+                _,
+            ) => ("\u{a0}", ','),
+            _ => return Err(unknown()),
+        };
+        Ok(Locale { group, decimal })
+    }
+
+    /// Rewrite a number formatted by Rust with the separators of the locale
+    fn apply(&self, number: &str) -> String {
+        let (sign, digits) = match number.strip_prefix('-') {
+            Some(digits) => ("-", digits),
+            None => ("", number),
+        };
+        let (whole, fraction) = match digits.split_once('.') {
+            Some((whole, fraction)) => (whole, Some(fraction)),
+            None => (digits, None),
+        };
+        if !whole.chars().all(|c| c.is_ascii_digit()) {
+            return number.to_string();
+        }
+
+        let mut grouped = String::from(sign);
+        for (i, digit) in whole.chars().enumerate() {
+            if i > 0 && (whole.len() - i) % 3 == 0 {
+                grouped.push_str(self.group);
+            }
+            grouped.push(digit);
+        }
+        if let Some(fraction) = fraction {
+            grouped.push(self.decimal);
+            grouped.push_str(fraction);
+        }
+        grouped
+    }
+}
+
+/// How the bounds of numeric bins are written in their labels
+#[derive(Debug, Clone, Default)]
+pub struct LabelStyle {
+    /// Decimals of the numbers, instead of the default
+    pub precision: Option<usize>,
+    /// Significant digits of the numbers when no precision is given, for log
+    /// scales whose edges span orders of magnitude
+    pub significant_digits: Option<usize>,
+    /// The template of the bins between two edges, with {from} and {to}
+    pub template: Option<String>,
+    pub locale: Option<Locale>,
+    pub suffix: Option<LabelSuffix>,
+    /// Whether the column holds integers, so {first} and {last} are the
+    /// integers a bin holds
+    pub integer: bool,
+    /// Label the bins of integer columns with the integers they hold
+    pub integer_ranges: bool,
+}
+
+impl LabelStyle {
+    /// A number as written in labels
+    pub fn number(&self, value: f64) -> String {
+        let (value, suffix) = match self.suffix {
+            None => (value, ""),
+            Some(LabelSuffix::Percent) => (value * 100.0, "%"),
+            Some(LabelSuffix::Si) => SI_PREFIXES
+                .iter()
+                .find(|(scale, _)| value.abs() >= *scale)
+                .map_or((value, ""), |&(scale, prefix)| (value / scale, prefix)),
+        };
+        let text = match (self.precision, self.suffix, self.significant_digits) {
+            (Some(decimals), _, _) => format!("{:.*}", decimals, value),
+            (None, Some(_), _) => format_significant(value, SUFFIX_DIGITS),
+            (None, None, Some(digits)) => format_significant(value, digits),
+            (None, None, None) => format!("{:.*}", DEFAULT_LABEL_DECIMALS, value),
+        };
+        let text = match &self.locale {
+            Some(locale) => locale.apply(&text),
+            None => text,
+        };
+        format!("{}{}", text, suffix)
+    }
+
+    /// A whole number as written in labels, without decimals unless a suffix
+    /// scales it
+    fn whole(&self, value: f64) -> String {
+        if self.suffix.is_some() {
+            return self.number(value);
+        }
+        let text = format!("{}", value as i64);
+        match &self.locale {
+            Some(locale) => locale.apply(&text),
+            None => text,
+        }
+    }
+
+    /// Whether bins are labeled with the integers they hold
+    fn ranges(&self) -> bool {
+        self.integer && self.integer_ranges
+    }
+
+    /// An edge as written in labels: whole edges lose their decimals in
+    /// integer ranges
+    fn edge(&self, value: f64) -> String {
+        if self.ranges() && value.fract() == 0.0 {
+            self.whole(value)
+        } else {
+            self.number(value)
+        }
+    }
+
+    /// The label of the bin below the first edge, which holds the edge too
+    /// when `inclusive`
+    pub fn underflow(&self, end: f64, inclusive: bool) -> String {
+        // Integer columns compare with the integer on the right side of the edge
+        let end = match (self.ranges(), inclusive) {
+            (true, true) => self.whole(end.floor()),
+            (true, false) => self.whole(end.ceil()),
+            (false, _) => self.number(end),
+        };
+        self.underflow_text(&end, inclusive)
+    }
+
+    /// The label of the bin above the last edge, which holds the edge too
+    /// when `inclusive`
+    pub fn overflow(&self, start: f64, inclusive: bool) -> String {
+        let start = match (self.ranges(), inclusive) {
+            (true, true) => self.whole(start.ceil()),
+            (true, false) => self.whole(start.floor()),
+            (false, _) => self.number(start),
+        };
+        self.overflow_text(&start, inclusive)
+    }
+
+    /// The label of the bin from one edge to the next
+    ///
+    /// `includes` tells whether the bin holds its lower and its upper edge,
+    /// which picks the brackets. In integer ranges a bin shows the first and
+    /// last integer it holds, or just the one when it holds a single integer.
+    /// The template sees those as {first} and {last} for any integer column,
+    /// and the edges as {from} and {to}.
+    pub fn interval(&self, start: f64, end: f64, includes: (bool, bool)) -> String {
+        let (from, to) = (self.edge(start), self.edge(end));
+        // The integers between the edges
+        let first = if includes.0 {
+            start.ceil()
+        } else {
+            start.floor() + 1.0
+        };
+        let last = if includes.1 {
+            end.floor()
+        } else {
+            end.ceil() - 1.0
+        };
+        if !self.integer || first > last {
+            return self.fill(&from, &to, &from, &to, includes);
+        }
+
+        let (first, last) = (self.whole(first), self.whole(last));
+        match &self.template {
+            Some(_) => self.fill(&from, &to, &first, &last, includes),
+            None if !self.integer_ranges => self.fill(&from, &to, &from, &to, includes),
+            None if first == last => first,
+            None => format!("{}–{}", first, last),
+        }
+    }
+
+    /// The underflow label for an edge written elsewhere, such as a date
+    pub fn underflow_text(&self, end: &str, inclusive: bool) -> String {
+        format!("{} {}", if inclusive { "<=" } else { "<" }, end)
+    }
+
+    /// The overflow label for an edge written elsewhere, such as a date
+    pub fn overflow_text(&self, start: &str, inclusive: bool) -> String {
+        format!("{} {}", if inclusive { ">=" } else { ">" }, start)
+    }
+
+    /// The template filled in with bounds written elsewhere, such as dates
+    pub fn interval_text(&self, from: &str, to: &str, includes: (bool, bool)) -> String {
+        self.fill(from, to, from, to, includes)
+    }
+
+    fn fill(
+        &self,
+        from: &str,
+        to: &str,
+        first: &str,
+        last: &str,
+        includes: (bool, bool),
+    ) -> String {
+        match &self.template {
+            Some(template) => template
+                .replace("{from}", from)
+                .replace("{to}", to)
+                .replace("{first}", first)
+                .replace("{last}", last),
+            None => format!(
+                "{}{}, {}{}",
+                if includes.0 { '[' } else { '(' },
+                from,
+                to,
+                if includes.1 { ']' } else { ')' }
+            ),
+        }
+    }
+}
@@ -0,0 +1,21 @@
+/*
+ * Binner core
+ *
+ * The classification and histogram code shared by the CLI, the Node addon in
+ * napi/ and the WebAssembly build. Nothing in here depends on Polars, so the
+ * core compiles for targets where Polars is not available.
+ */
+
+pub mod categorical;
+pub mod chart;
+pub mod classification;
+pub mod geometric;
+pub mod histogram;
+pub mod labels;
+pub mod metrics;
+pub mod nice;
+pub mod rules;
+pub mod sketch;
+pub mod summary;
+pub mod temporal;
+pub mod weighted;
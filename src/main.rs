@@ -8,120 +8,66 @@
  * Output is provided as JSON with metadata and bin statistics.
  */
 
-use ckmeans::ckmeans;
-use clap::{Parser, ValueEnum};
-use classify::{
-    get_equal_interval_classification, get_head_tail_classification, get_quantile_classification,
-    get_st_dev_classification,
+mod filter;
+mod input;
+mod output;
+mod streaming;
+mod value_counts;
+
+use binner::categorical::CategoryOrder;
+use binner::chart::Charset;
+use binner::classification::{
+    BinningAlgorithm, compute_breaks, compute_log_breaks, compute_weighted_breaks,
 };
-use float_ord::FloatOrd;
-use itertools::Itertools;
-use ndhistogram::{Histogram, axis::Variable, ndhistogram};
+use binner::geometric::{DEFAULT_LOG_BASE, LOG_LABEL_DIGITS, LogScale};
+use binner::histogram::{
+    BinLayout, BinStatistic, Closed, Closure, ColumnResult, ColumnResults, HistogramGroup,
+    HistogramMetadata, HistogramResult, NumericHistogramBin, OuterBins,
+};
+use binner::labels::{INTEGER_LABELS, LabelStyle, LabelSuffix, Locale};
+use binner::metrics::{ClassFit, DEFAULT_GVF_THRESHOLD, auto_gvf_bins, class_fit, distinct_count};
+use binner::nice::{SnapShift, snap_breaks};
+use binner::rules::{AutoBins, BinCountRule, DataShape, auto_bins};
+use binner::summary::{ColumnSummary, DEFAULT_PERCENTILES};
+use binner::temporal::{self, CalendarInterval, TemporalKind, parse_timezone};
+use clap::{Parser, ValueEnum};
+use input::{CsvOptions, InputFormat};
+use output::{ChartOptions, OutputFormat, RunResults};
 use polars::prelude::*;
-use serde::{Deserialize, Serialize};
+use std::error::Error;
 use std::fs::File;
 use std::io::Write;
+use std::path::PathBuf;
+use std::str::FromStr;
 
-// We'll use the classify::Bin struct directly instead of creating our own
-
-/// Create Jenks Natural Breaks classification using the ckmeans library
-///
-/// This implementation uses the ckmeans crate which provides the Ckmeans.1d.dp algorithm
-/// for optimal k-means clustering in one dimension. The Jenks Natural Breaks algorithm
-/// is essentially a 1D k-means clustering problem optimized for cartographic applications.
-///
-/// The ckmeans implementation produces optimal clusters that minimize within-cluster variance
-/// while maximizing between-cluster variance, which is ideal for data classification tasks.
-///
-/// # Arguments
-/// * `num_bins` - The number of bins/classes to create
-/// * `values` - The data values to cluster
-///
-/// # Returns
-/// A vector of classify::Bin structures with bin_start values at each cluster boundary
-fn get_jenks_classification(num_bins: usize, values: &[f64]) -> Vec<classify::Bin> {
-    let num_classes = num_bins.min(values.len()) as i8; // ckmeans expects i8 for cluster count
-
-    // Run ckmeans to get the clusters
-    let result = ckmeans(values, num_classes)
-        .unwrap_or_else(|_| (0..num_classes).map(|_| Vec::new()).collect());
-
-    result
-        .into_iter()
-        .filter(|cluster| !cluster.is_empty())
-        .map(|cluster| {
-            let bin_start = *cluster.iter().min_by_key(|n| FloatOrd(**n)).unwrap();
-            let bin_end = *cluster.iter().max_by_key(|n| FloatOrd(**n)).unwrap();
-            let count = cluster.len() as u64;
-            classify::Bin {
-                bin_start,
-                bin_end,
-                count,
-            }
-        })
-        .sorted_by_key(|bin| FloatOrd(bin.bin_start))
-        .collect()
-}
-#[derive(Debug, Clone, ValueEnum)]
-enum BinningAlgorithm {
-    Jenks,
-    Quantile,
-    EqualInterval,
-    StandardDeviation,
-    HeadTail,
-}
-
-#[derive(Serialize, Deserialize)]
-struct NumericHistogramBin {
-    /// The label for this bin
-    bin_label: String,
-    /// The lower bound of the bin
-    from: Option<f64>,
-    /// The upper bound of the bin
-    to: Option<f64>,
-    /// The number of rows in this bin
-    count: usize,
-    /// The min value in this bin
-    min: Option<f64>,
-    /// The max value in this bin
-    max: Option<f64>,
-}
-
-#[derive(Serialize, Deserialize)]
-struct HistogramMetadata {
-    file: String,
-    column: String,
-    algorithm: Option<String>,
-    num_bins: Option<usize>,
-    std_dev_size: Option<f64>,
-    total_rows: usize,
-    numeric_values: usize,
-    null_values: usize,
-    bin_edges: Vec<f64>,
-}
-
-#[derive(Serialize, Deserialize)]
-struct HistogramResult {
-    metadata: HistogramMetadata,
-    bins: Vec<NumericHistogramBin>,
-}
+/// Bins created when --num-bins is not given
+const DEFAULT_NUM_BINS: usize = 5;
 
 #[derive(Parser, Debug)]
 #[command(
     name = "binner",
     author = "Data Analysis Tool",
     version = "1.0.0",
-    about = "Create histograms from Parquet file data using various binning algorithms",
-    long_about = "A CLI tool that reads numeric data from Parquet files and creates histogram bins using classification algorithms like Jenks, Quantile, Equal Interval, Standard Deviation, and Head-Tail. Output is provided as structured JSON."
+    about = "Create histograms from Parquet, CSV, NDJSON or Arrow IPC data using various binning algorithms",
+    long_about = "A CLI tool that reads numeric data from Parquet, CSV, TSV, NDJSON or Arrow IPC files and creates histogram bins using classification algorithms like Jenks, Quantile, Equal Interval, Standard Deviation, and Head-Tail. Output is structured JSON, or a table of bins in NDJSON, CSV, Markdown, Arrow IPC or Parquet."
 )]
 struct Args {
-    /// Column name to analyze and bin
+    /// Column names to analyze and bin
     #[arg(
         short,
         long,
-        help = "Name of the numeric column to create histogram bins for"
+        value_delimiter = ',',
+        help = "Name of the numeric column to create histogram bins for (comma-separated for several)"
     )]
-    column: Option<String>,
+    column: Option<Vec<String>>,
+
+    /// Bin every numeric column in the file
+    #[arg(
+        long,
+        conflicts_with = "column",
+        help = "Create histogram bins for every numeric column"
+    )]
+    all_numeric: bool,
 
     /// Binning algorithm to use for automatic bin calculation
     #[arg(
@@ -136,10 +82,63 @@ struct Args {
     #[arg(
         short,
         long,
-        default_value_t = 5,
-        help = "Target number of bins to create"
+        value_name = "N|auto|auto-gvf",
+        help = "Target number of bins to create (default: 5), 'auto' to derive it with --rule, or 'auto-gvf' to add bins until --gvf-threshold is reached"
     )]
-    num_bins: usize,
+    num_bins: Option<NumBins>,
+
+    /// Goodness of variance fit that --num-bins auto-gvf adds bins until
+    #[arg(
+        long,
+        value_name = "GVF",
+        conflicts_with_all = ["bins", "interval", "categorical"],
+        help = "Goodness of variance fit (0 to 1) --num-bins auto-gvf adds bins until (default: 0.9)"
+    )]
+    gvf_threshold: Option<f64>,
+
+    /// Rule deriving the number of bins from the data
+    #[arg(
+        long,
+        value_enum,
+        conflicts_with_all = ["bins", "interval", "categorical"],
+        help = "Rule for --num-bins auto (default: sturges); scott and fd set the width of equal-interval bins"
+    )]
+    rule: Option<BinCountRule>,
+
+    /// Snap the edges of the algorithm to round numbers
+    #[arg(
+        long,
+        conflicts_with_all = ["bins", "interval", "categorical"],
+        help = "Snap the algorithm's edges to round numbers (1, 2, 2.5 or 5 x 10^k) and report the values that changed bin"
+    )]
+    nice: bool,
+
+    /// Statistics to add to every bin
+    #[arg(
+        long,
+        value_enum,
+        value_delimiter = ',',
+        conflicts_with = "categorical",
+        help = "Statistics to add to every numeric bin (comma-separated): mean, median, sum, std, pct, cumulative"
+    )]
+    stats: Option<Vec<BinStatistic>>,
+
+    /// Describe the distribution of each column in the metadata
+    #[arg(
+        long,
+        conflicts_with = "categorical",
+        help = "Add a summary of each column (min, max, mean, std, skewness, kurtosis, distinct count and percentiles) to the metadata"
+    )]
+    summary: bool,
+
+    /// Percentiles reported in the summary
+    #[arg(
+        long,
+        value_delimiter = ',',
+        requires = "summary",
+        help = "Percentiles reported with --summary (comma-separated, default: 1,5,25,50,75,95,99)"
+    )]
+    percentiles: Option<Vec<f64>>,
 
     /// Standard deviation multiplier (only for StandardDeviation algorithm)
     #[arg(
@@ -149,9 +148,63 @@ struct Args {
     )]
     std_dev_size: f64,
 
-    /// Path to the Parquet file to analyze
-    #[arg(short, long, help = "Path to the input Parquet file")]
-    file: String,
+    /// Base of the powers log bins run between (only for the Log algorithm)
+    #[arg(
+        long,
+        default_value_t = DEFAULT_LOG_BASE,
+        help = "Base of the log algorithm's bins, which run from one power of the base to the next"
+    )]
+    log_base: f64,
+
+    /// Offset added to the values of geometric-interval and log bins
+    #[arg(
+        long,
+        default_value_t = 0.0,
+        allow_hyphen_values = true,
+        help = "Value added before geometric-interval or log binning, so zeros and negatives can be binned (edges stay in data units)"
+    )]
+    log_offset: f64,
+
+    /// Path to the file to analyze ("-" reads standard input)
+    #[arg(
+        short,
+        long,
+        required_unless_present = "stdin",
+        help = "Path to the input file (Parquet, CSV, TSV, NDJSON or Arrow IPC), or '-' for stdin"
+    )]
+    file: Option<String>,
+
+    /// Read the input from standard input (same as `-f -`)
+    #[arg(
+        long,
+        conflicts_with = "file",
+        help = "Read input values from standard input"
+    )]
+    stdin: bool,
+
+    /// Input file format (detected from the file extension when omitted, lines for stdin)
+    #[arg(
+        long = "format",
+        value_enum,
+        help = "Input format; detected from the file extension by default, lines for stdin"
+    )]
+    input_format: Option<InputFormat>,
+
+    /// Field delimiter for CSV and TSV input
+    #[arg(long, help = "Field delimiter for CSV/TSV input (default: ',' or tab)")]
+    delimiter: Option<char>,
+
+    /// Read the first CSV or TSV row as data instead of column names
+    #[arg(long, help = "CSV/TSV input has no header row")]
+    no_header: bool,
+
+    /// Strings that represent nulls in CSV and TSV input
+    #[arg(
+        long,
+        value_delimiter = ',',
+        help = "Values to read as null in CSV/TSV input (comma-separated)"
+    )]
+    null_values: Option<Vec<String>>,
 
     /// List all available columns in the Parquet file and exit
     #[arg(long, help = "Show available columns in the file and exit")]
@@ -165,269 +218,1560 @@ struct Args {
     )]
     bins: Option<Vec<String>>,
 
-    /// Output file path for JSON results (prints to stdout if not specified)
-    #[arg(short, long, help = "File path to write JSON results (optional)")]
+    /// Row filter applied to the scan before binning
+    #[arg(
+        long = "where",
+        value_name = "PREDICATE",
+        help = "Only bin rows matching a predicate, e.g. \"sex = 'female' AND age >= 18\""
+    )]
+    where_clause: Option<String>,
+
+    /// Columns to split the histogram by
+    #[arg(
+        long,
+        value_delimiter = ',',
+        help = "Emit one set of bins per group value of these columns (comma-separated)"
+    )]
+    group_by: Option<Vec<String>>,
+
+    /// Calculate bin edges within each group instead of across the whole column
+    #[arg(
+        long,
+        requires = "group_by",
+        help = "Calculate bin edges per group (default: shared edges across all groups)"
+    )]
+    per_group_edges: bool,
+
+    /// Column holding the weight of each row
+    #[arg(
+        long,
+        help = "Numeric column to weight each row by; bin counts become weighted sums"
+    )]
+    weight_column: Option<String>,
+
+    /// How rows with a null, NaN or negative weight are handled
+    #[arg(
+        long,
+        value_enum,
+        default_value_t = InvalidWeights::Skip,
+        requires = "weight_column",
+        help = "Skip rows with a null or negative weight (reported in the metadata) or fail"
+    )]
+    invalid_weights: InvalidWeights,
+
+    /// Read the input in batches instead of loading it into memory
+    #[arg(
+        long,
+        conflicts_with = "group_by",
+        help = "Read the input in batches so files larger than memory can be binned (quantile, head-tail and Jenks edges are estimated from a sketch)"
+    )]
+    streaming: bool,
+
+    /// Number of rows read per batch in streaming mode
+    #[arg(
+        long,
+        default_value_t = streaming::DEFAULT_BATCH_SIZE,
+        requires = "streaming",
+        help = "Rows read per batch in streaming mode"
+    )]
+    batch_size: usize,
+
+    /// Calendar-aligned bins for date and datetime columns
+    #[arg(
+        long,
+        value_enum,
+        conflicts_with_all = ["algorithm", "bins"],
+        help = "Bin dates and datetimes into calendar intervals (weeks start on Monday)"
+    )]
+    interval: Option<CalendarInterval>,
+
+    /// Timezone datetimes are shown and aligned in
+    #[arg(
+        long,
+        help = "IANA timezone for datetime bins, e.g. Europe/Paris (default: the column's timezone, or UTC)"
+    )]
+    timezone: Option<String>,
+
+    /// Count the distinct values of each column instead of binning numbers
+    #[arg(
+        long,
+        conflicts_with_all = ["algorithm", "bins", "interval"],
+        help = "Count the values of the column (automatic for string, categorical and boolean columns)"
+    )]
+    categorical: bool,
+
+    /// Number of most frequent values to keep in value counts
+    #[arg(
+        long,
+        value_name = "N",
+        help = "Keep the N most frequent values and count the rest in an \"other\" bin"
+    )]
+    top: Option<usize>,
+
+    /// Order of the value counts
+    #[arg(
+        long = "sort",
+        value_enum,
+        default_value_t = CategoryOrder::Count,
+        help = "Order value counts by count (most frequent first) or by value"
+    )]
+    category_order: CategoryOrder,
+
+    /// The end of their interval bins are closed on
+    #[arg(
+        long,
+        value_enum,
+        default_value_t = Closed::Left,
+        conflicts_with = "interval",
+        help = "Close the bins on the left, [from, to), or on the right, (from, to]"
+    )]
+    closed: Closed,
+
+    /// Close the outermost custom bin at its open end too
+    #[arg(
+        long,
+        conflicts_with = "interval",
+        help = "Let the last custom bin hold the last edge (the first bin the first edge with --closed right); algorithm bins always hold the minimum and maximum"
+    )]
+    include_lowest: bool,
+
+    /// What to do with the bins below the first edge and above the last
+    #[arg(
+        long,
+        value_enum,
+        default_value_t = OuterBins::Keep,
+        help = "Keep the underflow and overflow bins, drop them, or merge them into the first and last bins"
+    )]
+    outer_bins: OuterBins,
+
+    /// Leave out the bins that hold no values
+    #[arg(long, help = "Leave out the bins that hold no values")]
+    drop_empty: bool,
+
+    /// Decimals of the numbers in bin labels
+    #[arg(
+        long,
+        value_name = "DECIMALS",
+        help = "Decimals of the numbers in bin labels (default: 3, significant digits for log scales)"
+    )]
+    label_precision: Option<usize>,
+
+    /// Template of the labels of bins between two edges
+    #[arg(
+        long,
+        value_name = "TEMPLATE",
+        help = "Template of bin labels with {from} and {to}, or {first} and {last} for the integers of integer columns, e.g. \"{from}–{to}\"; \"integer\" labels the bins of integer columns with the integers they hold"
+    )]
+    label_format: Option<String>,
+
+    /// Locale of the thousands separators and decimal marks in bin labels
+    #[arg(
+        long,
+        value_name = "LOCALE",
+        help = "Write the numbers in bin labels with the separators of a locale: a language tag such as de-DE, fr or es-419"
+    )]
+    label_locale: Option<String>,
+
+    /// Unit suffix of the numbers in bin labels
+    #[arg(
+        long,
+        value_enum,
+        help = "Shorten the numbers in bin labels with SI prefixes (1.5k, 20M) or write them as percentages"
+    )]
+    label_suffix: Option<LabelSuffix>,
+
+    /// Output file path (prints to stdout if not specified)
+    #[arg(short, long, help = "File path to write the results to (optional)")]
     output: Option<String>,
+
+    /// Output format (detected from the output file extension when omitted)
+    #[arg(
+        long,
+        value_enum,
+        help = "Output format; detected from the --output extension by default, json otherwise"
+    )]
+    output_format: Option<OutputFormat>,
+
+    /// Where the metadata of NDJSON and CSV output goes
+    #[arg(
+        long,
+        help = "File to write the metadata of ndjson and csv output to; next to --output by default, left out on stdout"
+    )]
+    metadata_file: Option<String>,
+
+    /// Width of text charts (the width of the terminal when omitted)
+    #[arg(
+        long,
+        help = "Width of --output-format text charts in characters; the terminal width by default"
+    )]
+    width: Option<usize>,
+
+    /// Characters text charts are drawn with
+    #[arg(
+        long,
+        value_enum,
+        default_value_t = Charset::Unicode,
+        help = "Characters --output-format text draws the bars with"
+    )]
+    charset: Charset,
+
+    /// Scale chart bars by the width of their bins
+    #[arg(
+        long,
+        help = "Draw --output-format svg and vega-lite bars as count per unit of width, so their areas match the counts"
+    )]
+    density: bool,
 }
 
-fn main() -> Result<(), Box<dyn std::error::Error>> {
-    let args = Args::parse();
+/// A bin count, "auto" to derive it from the data with a rule, or "auto-gvf" to
+/// add bins until they fit the data well enough
+#[derive(Debug, Clone, Copy, PartialEq)]
+enum NumBins {
+    Fixed(usize),
+    Auto,
+    AutoGvf,
+}
 
-    // If list_columns is specified, just show the columns and exit
-    if args.list_columns {
-        let lf = LazyFrame::scan_parquet(&args.file, Default::default())?;
-        let df = lf.limit(0).collect()?; // Just get schema, no data
-        println!("Available columns in {}:", args.file);
-        for (i, column_name) in df.get_column_names().iter().enumerate() {
-            println!("  {}. {}", i + 1, column_name);
+impl FromStr for NumBins {
+    type Err = String;
+
+    fn from_str(value: &str) -> Result<Self, Self::Err> {
+        match value {
+            "auto" => return Ok(NumBins::Auto),
+            "auto-gvf" => return Ok(NumBins::AutoGvf),
+            _ => {}
         }
-        return Ok(());
+        value.parse().map(NumBins::Fixed).map_err(|_| {
+            format!(
+                "Invalid number of bins: '{}'. Use a number, 'auto' or 'auto-gvf'",
+                value
+            )
+        })
     }
+}
+
+/// How rows with an unusable weight are handled
+#[derive(Debug, Clone, Copy, PartialEq, ValueEnum)]
+enum InvalidWeights {
+    /// Leave the row out and count it in the metadata
+    Skip,
+    /// Fail on the first null, NaN or negative weight
+    Error,
+}
 
-    // Ensure required arguments are provided when not listing columns
-    let column = args
-        .column
-        .ok_or("Column name is required when not listing columns")?;
+/// Settings shared by every column that is binned in one run
+struct BinningContext {
+    file_label: String,
+    input_format: InputFormat,
+    algorithm: Option<BinningAlgorithm>,
+    num_bins: usize,
+    /// Derives the number of bins from each column's data (--num-bins auto)
+    rule: Option<BinCountRule>,
+    /// Adds bins until their goodness of variance fit reaches this (--num-bins auto-gvf)
+    gvf_threshold: Option<f64>,
+    /// Snap the algorithm's edges to round numbers (--nice)
+    nice: bool,
+    /// The statistics added to every bin (--stats)
+    stats: Vec<BinStatistic>,
+    /// The percentiles of the column summary, or None without --summary
+    summary_percentiles: Option<Vec<f64>>,
+    std_dev_size: f64,
+    /// The base and offset of geometric-interval and log bins
+    log_scale: LogScale,
+    /// Parsed custom bin edges and whether to include the null bin
+    custom_bins: Option<(Vec<f64>, bool)>,
+    /// Columns to split each histogram by (empty when not grouping)
+    group_by: Vec<String>,
+    /// Calculate bin edges per group rather than across the whole column
+    per_group_edges: bool,
+    /// The --where expression the rows were filtered with
+    filter: Option<String>,
+    /// The column to weight each row by
+    weight_column: Option<String>,
+    invalid_weights: InvalidWeights,
+    /// The calendar unit of the bins for date and datetime columns
+    interval: Option<CalendarInterval>,
+    /// Overrides the timezone of datetime columns
+    timezone: Option<chrono_tz::Tz>,
+    /// Count the values of every column, numeric ones included
+    categorical: bool,
+    /// The number of most frequent values kept in value counts
+    top: Option<usize>,
+    category_order: CategoryOrder,
+    /// How bin labels are written (--label-precision, --label-format, ...)
+    labels: LabelStyle,
+    /// The end the bins are closed on (--closed)
+    closed: Closed,
+    /// Close the outermost custom bin at its open end too (--include-lowest)
+    include_lowest: bool,
+    /// What happens to the underflow and overflow bins (--outer-bins)
+    outer_bins: OuterBins,
+}
 
-    // Algorithm is only required if custom bins are not provided
-    if args.bins.is_none() && args.algorithm.is_none() {
-        return Err("Either algorithm or custom bins must be provided".into());
+impl BinningContext {
+    /// Whether the edges come from the binning algorithm rather than --bins,
+    /// --interval or value counts
+    fn binned_by_algorithm(&self) -> bool {
+        self.custom_bins.is_none() && self.interval.is_none() && !self.categorical
     }
 
-    // Read data using Polars lazy API
-    let lf = LazyFrame::scan_parquet(&args.file, Default::default())?.select([col(&column)]);
+    /// Which bin a value on an edge goes to
+    ///
+    /// Algorithm edges run from the minimum to the maximum (or past them), so
+    /// their outermost bins always hold the edge at their open end.
+    fn closure(&self) -> Closure {
+        Closure {
+            closed: self.closed,
+            include_lowest: self.include_lowest || self.binned_by_algorithm(),
+            merge_outer: self.outer_bins == OuterBins::Merge,
+        }
+    }
 
-    let df = lf.collect()?;
+    /// The style of the bin labels of a column: significant digits for
+    /// log-scale algorithms, and whether the column holds integers
+    fn label_style(&self, integer: bool) -> LabelStyle {
+        let significant_digits = self
+            .algorithm
+            .as_ref()
+            .filter(|algorithm| self.binned_by_algorithm() && algorithm.is_logarithmic())
+            .map(|_| LOG_LABEL_DIGITS);
+        LabelStyle {
+            significant_digits,
+            integer,
+            ..self.labels.clone()
+        }
+    }
+}
 
-    // Extract the column and handle nulls
-    let series = df.column(&column)?;
-    let numeric_values = (0..series.len())
-        .filter_map(|i| series.get(i).ok())
-        .filter_map(|av| match av {
-            AnyValue::Float64(f) => Some(f),
-            AnyValue::Float32(f) => Some(f as f64),
-            AnyValue::Int64(i) => Some(i as f64),
-            AnyValue::Int32(i) => Some(i as f64),
-            AnyValue::Int16(i) => Some(i as f64),
-            AnyValue::Int8(i) => Some(i as f64),
-            AnyValue::UInt64(i) => Some(i as f64),
-            AnyValue::UInt32(i) => Some(i as f64),
-            AnyValue::UInt16(i) => Some(i as f64),
-            AnyValue::UInt8(i) => Some(i as f64),
-            _ => None, // Skip nulls and non-numeric types
-        })
-        .collect::<Vec<_>>();
+/// The values of a column ready to be binned
+struct ColumnValues {
+    values: Vec<f64>,
+    /// The weight of each value (None when not weighting)
+    weights: Option<Vec<f64>>,
+    null_count: usize,
+    /// The summed weight of the null values
+    null_weight: f64,
+    /// Rows skipped because their weight was null or NaN
+    null_weights: usize,
+    /// Rows skipped because their weight was negative
+    negative_weights: usize,
+    /// The kind of a date, datetime or duration column (values are epoch-based)
+    temporal: Option<TemporalKind>,
+    /// Whether the column holds integers, whose bins can be labeled as ranges
+    integer: bool,
+}
 
-    let null_count = df.height() - numeric_values.len();
+impl ColumnValues {
+    /// The summed weight of the binned rows, nulls included
+    fn total_weight(&self) -> Option<f64> {
+        self.weights
+            .as_ref()
+            .map(|weights| weights.iter().sum::<f64>() + self.null_weight)
+    }
 
-    if numeric_values.is_empty() {
-        eprintln!("Error: No numeric values found in column '{}'", column);
-        std::process::exit(1);
+    /// Calculate the bin edges, weighting the values when a weight column is used
+    fn breaks(&self, context: &BinningContext) -> Result<Breaks, Box<dyn Error>> {
+        calculate_breaks(
+            context,
+            &self.values,
+            self.weights.as_deref(),
+            self.temporal.as_ref(),
+        )
     }
 
-    // Use custom bins if provided, otherwise calculate bins using algorithm
-    let algorithm_used = args.algorithm.clone();
-    let (breaks, include_null_bin) = if let Some(custom_bins) = args.bins {
-        // Parse bins and check for null
-        let mut parsed_breaks = Vec::new();
-        let mut has_null_bin = false;
-
-        for bin_str in custom_bins {
-            if bin_str.to_lowercase() == "null" {
-                has_null_bin = true;
+    /// Fill the bins for a set of edges
+    fn bins(
+        &self,
+        context: &BinningContext,
+        breaks: &[f64],
+        include_null_bin: bool,
+    ) -> Result<Vec<NumericHistogramBin>, Box<dyn Error>> {
+        let layout = BinLayout::new(breaks)?
+            .with_temporal(self.temporal.clone())
+            .with_closure(context.closure())
+            .with_labels(context.label_style(self.integer));
+        let stats = layout.collect(&self.values, self.weights.as_deref());
+
+        let weighted = self.weights.is_some();
+        let mut bins = layout.to_bins(
+            &stats,
+            weighted,
+            self.null_count,
+            self.null_weight,
+            include_null_bin,
+        );
+
+        // --stats adds per-bin statistics; only the median needs the values again
+        if !context.stats.is_empty() {
+            let medians = context
+                .stats
+                .contains(&BinStatistic::Median)
+                .then(|| layout.medians(&self.values, self.weights.as_deref()));
+            let null_total = if weighted {
+                self.null_weight
             } else {
-                match bin_str.parse::<f64>() {
-                    Ok(value) => parsed_breaks.push(value),
-                    Err(_) => {
-                        return Err(format!(
-                            "Invalid bin value: '{}'. Use numeric values or 'null'",
-                            bin_str
-                        )
-                        .into());
-                    }
+                self.null_count as f64
+            };
+            layout.summarize(
+                &mut bins,
+                &stats,
+                medians.as_deref(),
+                null_total,
+                &context.stats,
+            );
+        }
+        Ok(bins)
+    }
+}
+
+/// The bin edges calculated for a column
+struct Breaks {
+    edges: Vec<f64>,
+    /// Whether the null bin is included
+    include_null_bin: bool,
+    /// The bin count derived by --rule, when one was used
+    auto: Option<AutoBins>,
+    /// The bin count --num-bins auto-gvf settled on
+    gvf_bins: Option<usize>,
+    /// The algorithm's edges before --nice snapped them
+    unsnapped: Option<Vec<f64>>,
+}
+
+/// Parse custom bin edges, sorted, and check for the null bin
+fn parse_custom_bins(custom_bins: &[String]) -> Result<(Vec<f64>, bool), Box<dyn Error>> {
+    let mut parsed_breaks = Vec::new();
+    let mut has_null_bin = false;
+
+    for bin_str in custom_bins {
+        if bin_str.to_lowercase() == "null" {
+            has_null_bin = true;
+        } else {
+            match bin_str.parse::<f64>() {
+                Ok(value) => parsed_breaks.push(value),
+                Err(_) => {
+                    return Err(format!(
+                        "Invalid bin value: '{}'. Use numeric values or 'null'",
+                        bin_str
+                    )
+                    .into());
                 }
             }
         }
+    }
 
-        // Sort the numeric breaks
-        parsed_breaks.sort_by(|a, b| a.partial_cmp(b).unwrap());
+    // Sort the numeric breaks
+    parsed_breaks.sort_by(|a, b| a.partial_cmp(b).unwrap());
 
-        (parsed_breaks, has_null_bin)
-    } else {
-        let algorithm = args
-            .algorithm
-            .ok_or("Algorithm is required when custom bins are not provided")?;
+    Ok((parsed_breaks, has_null_bin))
+}
 
-        // Create the binning classification based on algorithm
-        let bins = match algorithm {
-            BinningAlgorithm::Jenks => {
-                // Use our locally-defined function that uses ckmeans
-                get_jenks_classification(args.num_bins, &numeric_values)
-            }
-            BinningAlgorithm::Quantile => {
-                get_quantile_classification(args.num_bins, &numeric_values)
-            }
-            BinningAlgorithm::EqualInterval => {
-                get_equal_interval_classification(args.num_bins, &numeric_values)
+/// Read a numeric value, returning None for nulls and non-numeric types
+///
+/// Dates, datetimes and durations are read as their underlying epoch values.
+fn numeric_value(av: AnyValue) -> Option<f64> {
+    match av {
+        AnyValue::Float64(f) => Some(f),
+        AnyValue::Float32(f) => Some(f as f64),
+        AnyValue::Int64(i) => Some(i as f64),
+        AnyValue::Int32(i) => Some(i as f64),
+        AnyValue::Int16(i) => Some(i as f64),
+        AnyValue::Int8(i) => Some(i as f64),
+        AnyValue::UInt64(i) => Some(i as f64),
+        AnyValue::UInt32(i) => Some(i as f64),
+        AnyValue::UInt16(i) => Some(i as f64),
+        AnyValue::UInt8(i) => Some(i as f64),
+        AnyValue::Date(days) => Some(days as f64),
+        AnyValue::Datetime(t, _, _) => Some(t as f64),
+        AnyValue::DatetimeOwned(t, _, _) => Some(t as f64),
+        AnyValue::Duration(t, _) => Some(t as f64),
+        _ => None, // Skip nulls and non-numeric types
+    }
+}
+
+/// The temporal kind of a column type, or None for other types
+///
+/// # Arguments
+/// * `dtype` - The type of the column
+/// * `timezone` - The --timezone override for datetime columns
+fn temporal_kind(
+    dtype: &DataType,
+    timezone: Option<chrono_tz::Tz>,
+) -> Result<Option<TemporalKind>, Box<dyn Error>> {
+    let unit = |unit: &TimeUnit| match unit {
+        TimeUnit::Milliseconds => temporal::TimeUnit::Milliseconds,
+        TimeUnit::Microseconds => temporal::TimeUnit::Microseconds,
+        TimeUnit::Nanoseconds => temporal::TimeUnit::Nanoseconds,
+    };
+
+    Ok(match dtype {
+        DataType::Date => Some(TemporalKind::Date),
+        DataType::Datetime(time_unit, column_timezone) => {
+            let column_timezone = column_timezone
+                .as_ref()
+                .map(|tz| parse_timezone(&tz.to_string()))
+                .transpose()?;
+            Some(TemporalKind::Datetime {
+                unit: unit(time_unit),
+                timezone: timezone.or(column_timezone),
+            })
+        }
+        DataType::Duration(time_unit) => Some(TemporalKind::Duration {
+            unit: unit(time_unit),
+        }),
+        _ => None,
+    })
+}
+
+/// Extract the numeric values of a column, skipping nulls and non-numeric types
+fn extract_numeric_values(series: &Column) -> Vec<f64> {
+    (0..series.len())
+        .filter_map(|i| series.get(i).ok())
+        .filter_map(numeric_value)
+        .collect()
+}
+
+/// Extract the values of a column along with their weights
+///
+/// Without a weight column every row counts once. With one, rows whose weight is
+/// null, NaN or negative are left out of the histogram and counted, or fail the
+/// run when --invalid-weights error is given.
+fn extract_column_values(
+    context: &BinningContext,
+    df: &DataFrame,
+    column: &str,
+) -> Result<ColumnValues, Box<dyn Error>> {
+    let series = df.column(column)?;
+    let temporal = temporal_kind(series.dtype(), context.timezone)?;
+    let integer = series.dtype().is_integer();
+
+    let Some((weight_column, weight_series)) = weight_series(context, df)? else {
+        let values = extract_numeric_values(series);
+        check_temporal_range(&values, temporal.as_ref())?;
+        return Ok(ColumnValues {
+            null_count: series.len() - values.len(),
+            values,
+            weights: None,
+            null_weight: 0.0,
+            null_weights: 0,
+            negative_weights: 0,
+            temporal,
+            integer,
+        });
+    };
+
+    let mut values = Vec::new();
+    let mut weights = Vec::new();
+    let (mut null_count, mut null_weight) = (0, 0.0);
+    let mut skipped = SkippedWeights::default();
+
+    for i in 0..series.len() {
+        let Some(weight) = row_weight(context, weight_column, weight_series, i, &mut skipped)?
+        else {
+            continue;
+        };
+
+        match numeric_value(series.get(i)?) {
+            Some(value) => {
+                values.push(value);
+                weights.push(weight);
             }
-            BinningAlgorithm::StandardDeviation => {
-                get_st_dev_classification(args.std_dev_size, &numeric_values)
+            None => {
+                null_count += 1;
+                null_weight += weight;
             }
-            BinningAlgorithm::HeadTail => get_head_tail_classification(&numeric_values),
-        };
+        }
+    }
+
+    check_temporal_range(&values, temporal.as_ref())?;
+    Ok(ColumnValues {
+        values,
+        weights: Some(weights),
+        null_count,
+        null_weight,
+        null_weights: skipped.null,
+        negative_weights: skipped.negative,
+        temporal,
+        integer,
+    })
+}
+
+/// Fail on a temporal value that cannot be shown or aligned, rather than
+/// binning it on wrong edges
+fn check_temporal_range(values: &[f64], temporal: Option<&TemporalKind>) -> Result<(), String> {
+    let Some(kind) = temporal else {
+        return Ok(());
+    };
+    values.iter().try_for_each(|&value| kind.check_range(value))
+}
 
-        // Extract bin edges
-        let mut calculated_breaks: Vec<f64> = Vec::new();
+/// The weight column and its values, or None when not weighting
+fn weight_series<'a>(
+    context: &'a BinningContext,
+    df: &'a DataFrame,
+) -> Result<Option<(&'a str, &'a Column)>, Box<dyn Error>> {
+    let Some(weight_column) = &context.weight_column else {
+        return Ok(None);
+    };
+
+    let weight_series = df.column(weight_column)?;
+    if !weight_series.dtype().is_primitive_numeric() {
+        return Err(format!("Weight column '{}' is not numeric", weight_column).into());
+    }
+
+    Ok(Some((weight_column, weight_series)))
+}
+
+/// Rows left out of a weighted histogram because of their weight
+#[derive(Debug, Default)]
+struct SkippedWeights {
+    /// Rows whose weight was null or NaN
+    null: usize,
+    /// Rows whose weight was negative
+    negative: usize,
+}
 
-        // For classify library, extract the bin_start values from bins to create breaks
-        for bin in &bins {
-            calculated_breaks.push(bin.bin_start);
+/// The weight of one row, or None when the row is left out
+///
+/// Rows whose weight is null, NaN or negative are counted in `skipped`, or fail
+/// the run when --invalid-weights error is given.
+fn row_weight(
+    context: &BinningContext,
+    weight_column: &str,
+    weight_series: &Column,
+    i: usize,
+    skipped: &mut SkippedWeights,
+) -> Result<Option<f64>, Box<dyn Error>> {
+    match numeric_value(weight_series.get(i)?).filter(|w| !w.is_nan()) {
+        None if context.invalid_weights == InvalidWeights::Error => {
+            Err(format!("Null weight in column '{}' at row {}", weight_column, i + 1).into())
+        }
+        Some(w) if w < 0.0 && context.invalid_weights == InvalidWeights::Error => Err(format!(
+            "Negative weight {} in column '{}' at row {}",
+            w,
+            weight_column,
+            i + 1
+        )
+        .into()),
+        None => {
+            skipped.null += 1;
+            Ok(None)
         }
+        Some(w) if w < 0.0 => {
+            skipped.negative += 1;
+            Ok(None)
+        }
+        Some(w) => Ok(Some(w)),
+    }
+}
 
-        // Add the final edge to complete the bins
-        if let Some(&max_val) = numeric_values
+/// Calculate the bin edges for a set of values
+///
+/// # Arguments
+/// * `context` - The binning settings
+/// * `numeric_values` - The values to calculate edges for
+/// * `weights` - The weight of each value, or None when not weighting
+/// * `temporal` - The kind of a temporal column, needed for --interval
+///
+/// # Returns
+/// The sorted edges, whether the null bin should be included and the derived bin count
+fn calculate_breaks(
+    context: &BinningContext,
+    numeric_values: &[f64],
+    weights: Option<&[f64]>,
+    temporal: Option<&TemporalKind>,
+) -> Result<Breaks, Box<dyn Error>> {
+    let breaks = |edges, include_null_bin, auto| Breaks {
+        edges,
+        include_null_bin,
+        auto,
+        gvf_bins: None,
+        unsnapped: None,
+    };
+
+    // Use custom bins if provided, otherwise calculate bins using algorithm
+    if let Some((custom_breaks, has_null_bin)) = &context.custom_bins {
+        return Ok(breaks(custom_breaks.clone(), *has_null_bin, None));
+    }
+
+    if let Some(interval) = context.interval {
+        let min = numeric_values.iter().copied().fold(f64::INFINITY, f64::min);
+        let max = numeric_values
             .iter()
-            .max_by(|a, b| a.partial_cmp(b).unwrap())
-        {
-            calculated_breaks.push(max_val + f64::EPSILON); // Add small epsilon to include max value
-        }
+            .copied()
+            .fold(f64::NEG_INFINITY, f64::max);
+        return Ok(breaks(
+            interval_breaks(interval, min, max, temporal)?,
+            false,
+            None,
+        ));
+    }
+
+    let algorithm = context
+        .algorithm
+        .as_ref()
+        .ok_or("Algorithm is required when custom bins are not provided")?;
+
+    // With --num-bins auto the count (or the equal-interval width) comes from the data
+    let auto = context
+        .rule
+        .map(|rule| auto_bins(rule, &DataShape::from_values(numeric_values)))
+        .transpose()?;
+    let num_bins = auto.as_ref().map_or(context.num_bins, |auto| auto.num_bins);
 
-        (calculated_breaks, false) // Algorithm-based bins don't include null bin by default
+    // Create the binning classification based on algorithm
+    let breaks_for = |num_bins: usize| -> Result<Vec<f64>, Box<dyn Error>> {
+        Ok(match weights {
+            // Log-scale edges only need the range, so weights do not change them
+            _ if algorithm.is_logarithmic() => {
+                compute_log_breaks(algorithm, num_bins, &context.log_scale, numeric_values)?
+            }
+            Some(weights) => compute_weighted_breaks(
+                algorithm,
+                num_bins,
+                context.std_dev_size,
+                numeric_values,
+                weights,
+            )?,
+            None => compute_breaks(algorithm, num_bins, context.std_dev_size, numeric_values)?,
+        })
+    };
+    let width_breaks = auto.as_ref().and_then(|auto| auto.width_breaks(algorithm));
+    let (calculated_breaks, gvf_bins) = match (width_breaks, context.gvf_threshold) {
+        (Some(width_breaks), _) => (width_breaks, None),
+        // --num-bins auto-gvf adds bins until they fit well enough (at most one per value)
+        (None, Some(threshold)) => {
+            let (num_bins, edges) = auto_gvf_bins(
+                threshold,
+                distinct_count(numeric_values),
+                breaks_for,
+                numeric_values,
+                weights,
+                context.closure(),
+            )?;
+            (edges, Some(num_bins))
+        }
+        (None, None) => (breaks_for(num_bins)?, None),
     };
 
-    // Create histogram using ndhistogram with Variable axis
-    // Variable axis automatically includes underflow and overflow bins
-    let mut hist = ndhistogram!(Variable::new(breaks.clone())?);
+    // --nice moves the edges to round numbers, keeping the originals to report the shift
+    if context.nice {
+        let max = numeric_values
+            .iter()
+            .copied()
+            .fold(f64::NEG_INFINITY, f64::max);
+        return Ok(Breaks {
+            edges: snap_breaks(&calculated_breaks, max),
+            gvf_bins,
+            unsnapped: Some(calculated_breaks),
+            ..breaks(Vec::new(), false, auto)
+        });
+    }
+
+    // Algorithm-based bins don't include null bin by default
+    Ok(Breaks {
+        gvf_bins,
+        ..breaks(calculated_breaks, false, auto)
+    })
+}
+
+/// Calendar-aligned edges covering the range of a date or datetime column
+fn interval_breaks(
+    interval: CalendarInterval,
+    min: f64,
+    max: f64,
+    temporal: Option<&TemporalKind>,
+) -> Result<Vec<f64>, Box<dyn Error>> {
+    let kind = temporal.ok_or("--interval requires a Date or Datetime column")?;
+    Ok(kind.calendar_edges(interval, min, max)?)
+}
+
+/// Whether a column type can be binned: numbers, dates, datetimes and durations
+fn is_binnable(dtype: &DataType) -> bool {
+    dtype.is_primitive_numeric()
+        || matches!(
+            dtype,
+            DataType::Date | DataType::Datetime(_, _) | DataType::Duration(_)
+        )
+}
+
+/// The numeric columns of a schema, leaving out the group and weight columns
+fn numeric_columns(schema: &Schema, excluded: &[String]) -> Vec<String> {
+    schema
+        .iter()
+        .filter(|(name, dtype)| is_binnable(dtype) && !excluded.contains(&name.to_string()))
+        .map(|(name, _)| name.to_string())
+        .collect()
+}
 
-    // Fill histogram with values
-    for &value in &numeric_values {
-        hist.fill(&value);
+/// Convert a group key value to JSON, keeping strings unquoted
+fn any_value_to_json(value: &AnyValue) -> serde_json::Value {
+    match value {
+        AnyValue::Null => serde_json::Value::Null,
+        AnyValue::Boolean(b) => serde_json::json!(b),
+        AnyValue::String(s) => serde_json::json!(s),
+        AnyValue::StringOwned(s) => serde_json::json!(s.as_str()),
+        AnyValue::Float64(f) => serde_json::json!(f),
+        AnyValue::Float32(f) => serde_json::json!(f),
+        AnyValue::Int64(i) => serde_json::json!(i),
+        AnyValue::Int32(i) => serde_json::json!(i),
+        AnyValue::Int16(i) => serde_json::json!(i),
+        AnyValue::Int8(i) => serde_json::json!(i),
+        AnyValue::UInt64(i) => serde_json::json!(i),
+        AnyValue::UInt32(i) => serde_json::json!(i),
+        AnyValue::UInt16(i) => serde_json::json!(i),
+        AnyValue::UInt8(i) => serde_json::json!(i),
+        other => serde_json::json!(other.to_string()),
     }
+}
 
-    // Prepare metadata
-    let metadata = HistogramMetadata {
-        file: args.file.clone(),
-        column: column.clone(),
-        algorithm: algorithm_used.as_ref().map(|a| format!("{:?}", a)),
-        num_bins: if algorithm_used.is_some() {
-            Some(args.num_bins)
+/// The rows of one group value of the group-by columns
+struct GroupPart {
+    /// The group values, in the order of the group-by columns
+    key: Vec<serde_json::Value>,
+    /// The group values joined for display
+    label: String,
+    part: DataFrame,
+}
+
+/// Split the frame by the group-by columns, in key order with nulls last
+fn partition_groups(
+    context: &BinningContext,
+    df: &DataFrame,
+) -> Result<Vec<GroupPart>, Box<dyn Error>> {
+    let group_by = &context.group_by;
+
+    // Sort first so the groups come out in key order, nulls last
+    let sorted = df.sort(
+        group_by.clone(),
+        SortMultipleOptions::default().with_nulls_last(true),
+    )?;
+
+    let mut groups = Vec::new();
+
+    for part in sorted.partition_by_stable(group_by.clone(), true)? {
+        let key = group_by
+            .iter()
+            .map(|name| Ok(any_value_to_json(&part.column(name)?.get(0)?)))
+            .collect::<PolarsResult<Vec<_>>>()?;
+        let label = key
+            .iter()
+            .map(|value| match value {
+                serde_json::Value::String(s) => s.clone(),
+                other => other.to_string(),
+            })
+            .collect::<Vec<_>>()
+            .join(" / ");
+
+        groups.push(GroupPart { key, label, part });
+    }
+
+    Ok(groups)
+}
+
+/// Split a column by the group-by columns and bin each group
+///
+/// Groups use the edges of the whole column unless per-group edges were requested.
+/// A group without numeric values always falls back to the shared edges.
+fn bin_groups(
+    context: &BinningContext,
+    df: &DataFrame,
+    column: &str,
+    shared_breaks: &[f64],
+    include_null_bin: bool,
+) -> Result<Vec<HistogramGroup>, Box<dyn Error>> {
+    let mut groups = Vec::new();
+
+    for GroupPart { key, label, part } in partition_groups(context, df)? {
+        let extracted = extract_column_values(context, &part, column)?;
+
+        let breaks = if context.per_group_edges && !extracted.values.is_empty() {
+            extracted.breaks(context)?.edges
         } else {
-            None
-        },
+            shared_breaks.to_vec()
+        };
+        let bins = extracted.bins(context, &breaks, include_null_bin)?;
+
+        groups.push(HistogramGroup {
+            key,
+            label,
+            total_rows: part.height(),
+            numeric_values: extracted.values.len(),
+            null_values: extracted.null_count,
+            total_weight: extracted.total_weight(),
+            bin_edges: breaks,
+            bins,
+        });
+    }
+
+    Ok(groups)
+}
+
+/// Metadata shared by every result of the run, before the column's values are counted
+fn base_metadata(context: &BinningContext, column: &str, total_rows: usize) -> HistogramMetadata {
+    let algorithm_used = context.algorithm.as_ref();
+    HistogramMetadata {
+        file: context.file_label.clone(),
+        format: Some(context.input_format.name().to_string()),
+        algorithm: algorithm_used.map(|a| format!("{:?}", a)),
+        num_bins: algorithm_used.map(|_| context.num_bins),
         std_dev_size: if matches!(algorithm_used, Some(BinningAlgorithm::StandardDeviation)) {
-            Some(args.std_dev_size)
+            Some(context.std_dev_size)
         } else {
             None
         },
-        total_rows: df.height(),
-        numeric_values: numeric_values.len(),
-        null_values: null_count,
-        bin_edges: breaks.clone(),
+        log_base: matches!(algorithm_used, Some(BinningAlgorithm::Log))
+            .then_some(context.log_scale.base),
+        log_offset: algorithm_used
+            .filter(|algorithm| algorithm.is_logarithmic())
+            .map(|_| context.log_scale.offset),
+        total_rows,
+        group_by: (!context.group_by.is_empty()).then(|| context.group_by.clone()),
+        per_group_edges: (!context.group_by.is_empty()).then_some(context.per_group_edges),
+        filter: context.filter.clone(),
+        filtered_rows: context.filter.as_ref().map(|_| total_rows),
+        weight_column: context.weight_column.clone(),
+        interval: context.interval.map(|interval| interval.name().to_string()),
+        closed: Some(context.closed.name().to_string()),
+        include_lowest: Some(context.closure().include_lowest),
+        outer_bins: Some(context.outer_bins.name().to_string()),
+        ..HistogramMetadata::new(column)
+    }
+}
+
+/// Record the type, unit and timezone of a temporal column in its metadata
+fn with_temporal_metadata(
+    metadata: HistogramMetadata,
+    temporal: Option<&TemporalKind>,
+) -> HistogramMetadata {
+    let Some(kind) = temporal else {
+        return metadata;
     };
+    HistogramMetadata {
+        temporal_type: Some(kind.type_name().to_string()),
+        time_unit: Some(kind.unit_name().to_string()),
+        timezone: kind.timezone().map(|tz| tz.name().to_string()),
+        ..metadata
+    }
+}
 
-    // Build bins with min/max tracking
-    let mut bins = Vec::new();
+/// Record the rule that derived the bin count, and the count it chose
+fn with_rule_metadata(metadata: HistogramMetadata, auto: Option<&AutoBins>) -> HistogramMetadata {
+    let Some(auto) = auto else {
+        return metadata;
+    };
+    HistogramMetadata {
+        num_bins: Some(auto.num_bins),
+        rule: Some(auto.rule.name().to_string()),
+        bin_width: auto.bin_width,
+        ..metadata
+    }
+}
+
+/// Record the bin count --num-bins auto-gvf settled on and the threshold it aimed for
+fn with_gvf_metadata(
+    metadata: HistogramMetadata,
+    gvf_bins: Option<usize>,
+    threshold: Option<f64>,
+) -> HistogramMetadata {
+    let Some(num_bins) = gvf_bins else {
+        return metadata;
+    };
+    HistogramMetadata {
+        num_bins: Some(num_bins),
+        rule: Some("gvf".to_string()),
+        gvf_threshold: threshold,
+        ..metadata
+    }
+}
 
-    for item in hist.iter() {
-        let count = *item.value as usize;
+/// Record how well the bins fit the values
+fn with_fit_metadata(metadata: HistogramMetadata, fit: Option<ClassFit>) -> HistogramMetadata {
+    let Some(fit) = fit else {
+        return metadata;
+    };
+    HistogramMetadata {
+        gvf: Some(fit.gvf),
+        adcm: Some(fit.adcm),
+        tai: Some(fit.tai),
+        ..metadata
+    }
+}
 
-        // Calculate min/max for this bin by filtering values
-        let (min_val, max_val, bin_label, from, to) = match &item.bin {
-            ndhistogram::axis::BinInterval::Underflow { end } => {
-                let values_in_bin: Vec<f64> = numeric_values
-                    .iter()
-                    .filter(|&&v| v < *end)
-                    .cloned()
-                    .collect();
-                let min_val = values_in_bin
-                    .iter()
-                    .min_by(|a, b| a.partial_cmp(b).unwrap())
-                    .copied();
-                let max_val = values_in_bin
-                    .iter()
-                    .max_by(|a, b| a.partial_cmp(b).unwrap())
-                    .copied();
-                (min_val, max_val, format!("< {:.3}", end), None, Some(*end))
-            }
-            ndhistogram::axis::BinInterval::Overflow { start } => {
-                let values_in_bin: Vec<f64> = numeric_values
-                    .iter()
-                    .filter(|&&v| v >= *start)
-                    .cloned()
-                    .collect();
-                let min_val = values_in_bin
-                    .iter()
-                    .min_by(|a, b| a.partial_cmp(b).unwrap())
-                    .copied();
-                let max_val = values_in_bin
-                    .iter()
-                    .max_by(|a, b| a.partial_cmp(b).unwrap())
-                    .copied();
-                (
-                    min_val,
-                    max_val,
-                    format!(">= {:.3}", start),
-                    Some(*start),
-                    None,
+/// Record the edges before --nice snapped them and the values that changed bin
+fn with_snap_metadata(
+    metadata: HistogramMetadata,
+    unsnapped: Option<Vec<f64>>,
+    shift: &SnapShift,
+) -> HistogramMetadata {
+    let Some(unsnapped) = unsnapped else {
+        return metadata;
+    };
+    HistogramMetadata {
+        unsnapped_edges: Some(unsnapped),
+        moved_values: Some(shift.moved),
+        ..metadata
+    }
+}
+
+/// Calculate the bins and metadata for one column of the scanned frame
+fn bin_column(
+    context: &BinningContext,
+    df: &DataFrame,
+    column: &str,
+) -> Result<HistogramResult, Box<dyn Error>> {
+    // String, categorical and boolean columns get value counts instead of bins
+    if value_counts::is_categorical(context, df.column(column)?.dtype()) {
+        return value_counts::bin_categories(context, df, column);
+    }
+
+    // Extract the column (and its weights) and handle nulls
+    let extracted = extract_column_values(context, df, column)?;
+
+    if extracted.values.is_empty() {
+        return Err(format!("No numeric values found in column '{}'", column).into());
+    }
+
+    let Breaks {
+        edges: breaks,
+        include_null_bin,
+        auto,
+        gvf_bins,
+        unsnapped,
+    } = extracted.breaks(context)?;
+    let shift = match &unsnapped {
+        Some(unsnapped) => SnapShift::between(
+            &extracted.values,
+            extracted.weights.as_deref(),
+            unsnapped,
+            &breaks,
+            context.closure(),
+        ),
+        None => SnapShift::default(),
+    };
+
+    // Prepare metadata
+    let metadata = HistogramMetadata {
+        numeric_values: extracted.values.len(),
+        null_values: extracted.null_count,
+        bin_edges: breaks.clone(),
+        total_weight: extracted.total_weight(),
+        null_weights: context
+            .weight_column
+            .as_ref()
+            .map(|_| extracted.null_weights),
+        negative_weights: context
+            .weight_column
+            .as_ref()
+            .map(|_| extracted.negative_weights),
+        summary: context
+            .summary_percentiles
+            .as_ref()
+            .and_then(|percentiles| {
+                ColumnSummary::from_values(
+                    &extracted.values,
+                    percentiles,
+                    extracted.temporal.as_ref(),
                 )
-            }
-            ndhistogram::axis::BinInterval::Bin { start, end } => {
-                let values_in_bin: Vec<f64> = numeric_values
-                    .iter()
-                    .filter(|&&v| v >= *start && v < *end)
-                    .cloned()
-                    .collect();
-                let min_val = values_in_bin
-                    .iter()
-                    .min_by(|a, b| a.partial_cmp(b).unwrap())
-                    .copied();
-                let max_val = values_in_bin
+            }),
+        ..base_metadata(context, column, df.height())
+    };
+    let metadata = with_temporal_metadata(metadata, extracted.temporal.as_ref());
+    let metadata = with_rule_metadata(metadata, auto.as_ref());
+    let metadata = with_gvf_metadata(metadata, gvf_bins, context.gvf_threshold);
+    let fit = class_fit(
+        &extracted.values,
+        extracted.weights.as_deref(),
+        &breaks,
+        context.closure(),
+    );
+    let metadata = with_fit_metadata(metadata, fit);
+
+    // Fill the histogram and build bins with min/max tracking
+    let mut bins = extracted.bins(context, &breaks, include_null_bin)?;
+    if unsnapped.is_some() {
+        shift.apply(&mut bins);
+    }
+    let metadata = with_snap_metadata(metadata, unsnapped, &shift);
+
+    let groups = if context.group_by.is_empty() {
+        None
+    } else {
+        Some(bin_groups(context, df, column, &breaks, include_null_bin)?)
+    };
+
+    Ok(HistogramResult {
+        metadata,
+        bins,
+        groups,
+    })
+}
+
+fn main() -> Result<(), Box<dyn Error>> {
+    let args = Args::parse();
+
+    let file = if args.stdin {
+        input::STDIN.to_string()
+    } else {
+        args.file
+            .clone()
+            .ok_or("Either --file or --stdin must be provided")?
+    };
+    let from_stdin = file == input::STDIN;
+
+    // Use the explicit format, or detect it from the extension (Parquet if unknown).
+    // Standard input has no extension and defaults to one number per line.
+    let input_format = args.input_format.unwrap_or_else(|| {
+        if from_stdin {
+            InputFormat::Lines
+        } else {
+            InputFormat::from_path(&file).unwrap_or(InputFormat::Parquet)
+        }
+    });
+    let file_label = if from_stdin {
+        "<stdin>".to_string()
+    } else {
+        file.clone()
+    };
+    // Likewise the output format follows the extension of the output file (JSON if unknown)
+    let output_format = args
+        .output_format
+        .or_else(|| args.output.as_deref().and_then(OutputFormat::from_path))
+        .unwrap_or(OutputFormat::Json);
+    if args.metadata_file.is_some()
+        && !matches!(output_format, OutputFormat::Ndjson | OutputFormat::Csv)
+    {
+        return Err("--metadata-file only applies to ndjson and csv output".into());
+    }
+    let chart_options = ChartOptions {
+        width: args.width.unwrap_or_else(output::terminal_width),
+        charset: args.charset,
+        density: args.density,
+    };
+    // Lines are parsed as they come in; other formats are scanned from a
+    // temporary copy of standard input, which lives until main returns
+    let spooled = (from_stdin && input_format != InputFormat::Lines)
+        .then(input::SpooledStdin::new)
+        .transpose()?;
+    let file = spooled
+        .as_ref()
+        .map_or(file, |spooled| spooled.path().to_string());
+    let csv_options = CsvOptions {
+        delimiter: args.delimiter,
+        has_header: !args.no_header,
+        null_values: args.null_values.clone(),
+    };
+
+    // If list_columns is specified, just show the columns and exit
+    if args.list_columns {
+        let lf = input::scan(&file, input_format, &csv_options)?;
+        let df = lf.limit(0).collect()?; // Just get schema, no data
+        println!("Available columns in {}:", file_label);
+        for (i, column_name) in df.get_column_names().iter().enumerate() {
+            println!("  {}. {}", i + 1, column_name);
+        }
+        return Ok(());
+    }
+
+    // Ensure required arguments are provided when not listing columns.
+    // Lines input has a single column, so the name can be left out.
+    if args.column.is_none() && !args.all_numeric && input_format != InputFormat::Lines {
+        return Err("Column name is required when not listing columns".into());
+    }
+
+    // Algorithm is only required without custom bins, calendar intervals or value counts
+    let has_edges = args.bins.is_some() || args.algorithm.is_some() || args.interval.is_some();
+    if !has_edges && !args.categorical {
+        return Err(
+            "Either algorithm, --interval, --categorical or custom bins must be provided".into(),
+        );
+    }
+
+    // --num-bins auto uses Sturges' rule unless another is given; --rule alone implies auto
+    let rule = match (args.num_bins, args.rule) {
+        (Some(NumBins::Fixed(_)), Some(_)) => {
+            return Err("--rule needs --num-bins auto, not a fixed number of bins".into());
+        }
+        (Some(NumBins::AutoGvf), Some(_)) => {
+            return Err("--rule needs --num-bins auto, not auto-gvf".into());
+        }
+        (Some(NumBins::Auto), rule) => Some(rule.unwrap_or(BinCountRule::Sturges)),
+        (_, rule) => rule,
+    };
+    // --num-bins auto-gvf aims for a GVF of 0.9 unless another threshold is given
+    let gvf_threshold = match (args.num_bins, args.gvf_threshold) {
+        (Some(NumBins::AutoGvf), threshold) => Some(threshold.unwrap_or(DEFAULT_GVF_THRESHOLD)),
+        (_, Some(_)) => return Err("--gvf-threshold needs --num-bins auto-gvf".into()),
+        (_, None) => None,
+    };
+    if let Some(threshold) = gvf_threshold {
+        if !(threshold > 0.0 && threshold <= 1.0) {
+            let message = format!("--gvf-threshold must be between 0 and 1, not {}", threshold);
+            return Err(message.into());
+        }
+        if args.streaming {
+            return Err(
+                "--num-bins auto-gvf is not available with --streaming; use a number of bins or --num-bins auto"
+                    .into(),
+            );
+        }
+    }
+    let stats = args.stats.as_deref().unwrap_or_default();
+    if args.streaming && stats.contains(&BinStatistic::Median) {
+        return Err("--stats median is not available with --streaming".into());
+    }
+    let summary_percentiles = args.summary.then(|| {
+        args.percentiles
+            .clone()
+            .unwrap_or_else(|| DEFAULT_PERCENTILES.to_vec())
+    });
+    if let Some(percent) = summary_percentiles
+        .iter()
+        .flatten()
+        .find(|percent| !(0.0..=100.0).contains(*percent))
+    {
+        return Err(format!("--percentiles must be between 0 and 100, not {}", percent).into());
+    }
+    let binned_by_algorithm = args.bins.is_none() && args.interval.is_none() && !args.categorical;
+    let automatic = match args.num_bins {
+        Some(NumBins::AutoGvf) => Some("auto-gvf"),
+        _ => rule.map(|_| "auto"),
+    };
+    if let (Some(algorithm), Some(automatic), true) =
+        (&args.algorithm, automatic, binned_by_algorithm)
+    {
+        if !algorithm.uses_bin_count() {
+            return Err(format!(
+                "--num-bins {} needs an algorithm that takes a bin count ({}), not {}",
+                automatic,
+                BinningAlgorithm::ALL
                     .iter()
-                    .max_by(|a, b| a.partial_cmp(b).unwrap())
-                    .copied();
-                (
-                    min_val,
-                    max_val,
-                    format!("[{:.3}, {:.3})", start, end),
-                    Some(*start),
-                    Some(*end),
-                )
-            }
+                    .filter(|a| a.uses_bin_count())
+                    .map(|a| a.name())
+                    .collect::<Vec<_>>()
+                    .join(", "),
+                algorithm.name()
+            )
+            .into());
+        }
+    }
+    if !(args.log_base > 1.0 && args.log_base.is_finite()) {
+        return Err(format!("--log-base must be greater than 1, not {}", args.log_base).into());
+    }
+    if !args.log_offset.is_finite() {
+        return Err(format!(
+            "--log-offset must be a finite number, not {}",
+            args.log_offset
+        )
+        .into());
+    }
+    let num_bins = match args.num_bins {
+        Some(NumBins::Fixed(num_bins)) => num_bins,
+        _ => DEFAULT_NUM_BINS,
+    };
+    let integer_ranges = args.label_format.as_deref() == Some(INTEGER_LABELS);
+    if let Some(template) = args.label_format.as_ref().filter(|_| !integer_ranges) {
+        if !["{from}", "{to}", "{first}", "{last}"]
+            .iter()
+            .any(|placeholder| template.contains(placeholder))
+        {
+            return Err(format!(
+                "--label-format is '{}' or a template with {{from}}, {{to}}, {{first}} or {{last}}, not '{}'",
+                INTEGER_LABELS, template
+            )
+            .into());
+        }
+    }
+    let labels = LabelStyle {
+        precision: args.label_precision,
+        template: args.label_format.clone().filter(|_| !integer_ranges),
+        locale: args
+            .label_locale
+            .as_deref()
+            .map(Locale::parse)
+            .transpose()?,
+        suffix: args.label_suffix,
+        integer_ranges,
+        ..LabelStyle::default()
+    };
+
+    let context = BinningContext {
+        file_label,
+        input_format,
+        algorithm: args.algorithm.clone(),
+        num_bins,
+        rule,
+        gvf_threshold,
+        nice: args.nice,
+        stats: stats.to_vec(),
+        summary_percentiles,
+        std_dev_size: args.std_dev_size,
+        log_scale: LogScale {
+            base: args.log_base,
+            offset: args.log_offset,
+        },
+        custom_bins: args.bins.as_deref().map(parse_custom_bins).transpose()?,
+        group_by: args.group_by.clone().unwrap_or_default(),
+        per_group_edges: args.per_group_edges,
+        filter: args.where_clause.clone(),
+        weight_column: args.weight_column.clone(),
+        invalid_weights: args.invalid_weights,
+        interval: args.interval,
+        timezone: args.timezone.as_deref().map(parse_timezone).transpose()?,
+        categorical: args.categorical,
+        top: args.top,
+        category_order: args.category_order,
+        labels,
+        closed: args.closed,
+        include_lowest: args.include_lowest,
+        outer_bins: args.outer_bins,
+    };
+    // Columns read alongside every binned column: the group keys and the weights
+    let extra_columns: Vec<String> = context
+        .group_by
+        .iter()
+        .chain(&context.weight_column)
+        .cloned()
+        .collect();
+    let extra_exprs: Vec<Expr> = extra_columns
+        .iter()
+        .map(|name| col(name.as_str()))
+        .collect();
+
+    // Parse the row filter up front so syntax errors are reported before scanning
+    let predicate = args
+        .where_clause
+        .as_deref()
+        .map(filter::parse)
+        .transpose()
+        .map_err(|e| format!("Invalid --where expression: {}", e))?;
+
+    // Read data using Polars lazy API
+    let mut lf = input::scan(&file, input_format, &csv_options)?;
+    let multiple = args.all_numeric || args.column.as_ref().is_some_and(|c| c.len() > 1);
+
+    if args.streaming {
+        let predicate = predicate.as_ref().map(|predicate| predicate.to_expr());
+        let text = input::TextInput::new(&file, input_format, &csv_options)?;
+        let mut results = streaming_results(&args, &context, lf, text, predicate, &extra_columns)?;
+        trim_bins(&mut results, args.outer_bins, args.drop_empty);
+        return write_output(
+            args.output.as_deref(),
+            args.metadata_file.as_deref(),
+            output_format,
+            &chart_options,
+            &results,
+        );
+    }
+
+    // Filter before anything is collected so the predicate is pushed down into the scan
+    if let Some(predicate) = &predicate {
+        lf = lf.filter(predicate.to_expr());
+    }
+
+    // A single column keeps the original output shape; several columns
+    // (or --all-numeric) produce one result per column, keyed by name
+    let mut results = if multiple {
+        let schema = lf.collect_schema()?;
+        let columns: Vec<String> = if args.all_numeric {
+            numeric_columns(&schema, &extra_columns)
+        } else {
+            args.column.clone().unwrap_or_default()
         };
 
-        bins.push(NumericHistogramBin {
-            bin_label,
-            from,
-            to,
-            count,
-            min: min_val,
-            max: max_val,
-        });
+        // Scan the file once for every column that exists (plus the group and weight columns)
+        let present: Vec<Expr> = columns
+            .iter()
+            .filter(|name| schema.contains(name.as_str()) && !extra_columns.contains(name))
+            .map(|name| col(name.as_str()))
+            .chain(extra_exprs)
+            .collect();
+        let df = lf.select(present).collect()?;
+
+        // Per-column failures are reported in the results instead of aborting the run
+        let results = columns
+            .into_iter()
+            .map(|name| {
+                let result = if df.get_column_index(&name).is_some() {
+                    bin_column(&context, &df, &name)
+                } else {
+                    Err(format!("Column '{}' not found", name).into())
+                };
+                let result = match result {
+                    Ok(histogram) => ColumnResult::Histogram(histogram),
+                    Err(e) => ColumnResult::Failed {
+                        column: name.clone(),
+                        error: e.to_string(),
+                    },
+                };
+                (name, result)
+            })
+            .collect();
+
+        RunResults::Columns(ColumnResults(results))
+    } else {
+        let column = args
+            .column
+            .as_ref()
+            .and_then(|columns| columns.first().cloned())
+            .unwrap_or_else(|| input::LINES_COLUMN.to_string());
+
+        let mut selection = vec![col(&column)];
+        selection.extend(
+            extra_columns
+                .iter()
+                .filter(|name| **name != column)
+                .map(|name| col(name.as_str())),
+        );
+        let df = lf.select(selection).collect()?;
+
+        RunResults::Single(bin_column(&context, &df, &column)?)
+    };
+
+    trim_bins(&mut results, args.outer_bins, args.drop_empty);
+    write_output(
+        args.output.as_deref(),
+        args.metadata_file.as_deref(),
+        output_format,
+        &chart_options,
+        &results,
+    )
+}
+
+/// Bin the requested columns in streaming mode
+fn streaming_results(
+    args: &Args,
+    context: &BinningContext,
+    lf: LazyFrame,
+    text: Option<input::TextInput>,
+    predicate: Option<Expr>,
+    extra_columns: &[String],
+) -> Result<RunResults, Box<dyn Error>> {
+    // The sketch counts every value once, so it cannot stand in for weighted edges
+    if context.weight_column.is_some()
+        && context.custom_bins.is_none()
+        && matches!(
+            context.algorithm,
+            Some(BinningAlgorithm::Quantile | BinningAlgorithm::Jenks)
+        )
+    {
+        return Err(
+            "Weighted quantile and Jenks edges are not available with --streaming; use --bins or another algorithm"
+                .into(),
+        );
     }
 
-    // Add null bin if needed
-    if null_count > 0 && include_null_bin {
-        bins.push(NumericHistogramBin {
-            bin_label: "null".to_string(),
-            from: None,
-            to: None,
-            count: null_count,
-            min: None,
-            max: None,
-        });
+    let mut lf = lf;
+    let schema = lf.collect_schema()?;
+    let columns: Vec<String> = if args.all_numeric {
+        numeric_columns(&schema, extra_columns)
+    } else {
+        args.column
+            .clone()
+            .unwrap_or_else(|| vec![input::LINES_COLUMN.to_string()])
+    };
+
+    // Read the requested columns that exist, plus the group and weight columns
+    let present: Vec<String> = columns
+        .iter()
+        .filter(|name| schema.contains(name.as_str()))
+        .cloned()
+        .collect();
+    let mut selected = present.clone();
+    for name in extra_columns {
+        if !selected.contains(name) {
+            selected.push(name.clone());
+        }
     }
+    let selection = selected.iter().map(|name| col(name.as_str())).collect();
 
-    let result = HistogramResult { metadata, bins };
+    let scan = streaming::BatchScan::new(lf, text, predicate, selection, args.batch_size)?;
+    let mut streamed = streaming::bin_columns(context, &scan, &present, &schema)?.into_iter();
 
-    // Output results
-    let json_output = serde_json::to_string_pretty(&result)?;
+    let results: Vec<(String, Result<HistogramResult, String>)> = columns
+        .into_iter()
+        .map(|name| {
+            if schema.contains(name.as_str()) {
+                // bin_columns returns one result per present column, in order
+                streamed.next().unwrap_or_else(|| {
+                    let error = format!("Internal error: no streamed result for column '{}'", name);
+                    (name, Err(error))
+                })
+            } else {
+                let error = format!("Column '{}' not found", name);
+                (name, Err(error))
+            }
+        })
+        .collect();
 
-    if let Some(output_path) = args.output {
-        let mut file = File::create(&output_path)?;
-        file.write_all(json_output.as_bytes())?;
+    if args.all_numeric || results.len() > 1 {
+        let results = results
+            .into_iter()
+            .map(|(name, result)| {
+                let result = match result {
+                    Ok(histogram) => ColumnResult::Histogram(histogram),
+                    Err(error) => ColumnResult::Failed {
+                        column: name.clone(),
+                        error,
+                    },
+                };
+                (name, result)
+            })
+            .collect();
+        Ok(RunResults::Columns(ColumnResults(results)))
+    } else {
+        let (_, result) = results.into_iter().next().ok_or("No column to bin")?;
+        Ok(RunResults::Single(result?))
+    }
+}
+
+/// Leave out the outer bins (--outer-bins drop or merge) and the empty bins
+/// (--drop-empty) of every histogram, once the bins are counted
+fn trim_bins(results: &mut RunResults, outer_bins: OuterBins, drop_empty: bool) {
+    match results {
+        RunResults::Single(result) => result.trim_bins(outer_bins, drop_empty),
+        RunResults::Columns(ColumnResults(results)) => {
+            for (_, result) in results {
+                if let ColumnResult::Histogram(histogram) = result {
+                    histogram.trim_bins(outer_bins, drop_empty);
+                }
+            }
+        }
+    }
+}
+
+/// Write the results to the output file, or stdout when none is given
+///
+/// NDJSON and CSV keep their metadata in a sidecar file: the --metadata-file,
+/// or a file next to the output. On stdout without a --metadata-file only the
+/// bins are written, so the table can be piped on as it is.
+fn write_output(
+    output: Option<&str>,
+    metadata_file: Option<&str>,
+    format: OutputFormat,
+    chart: &ChartOptions,
+    results: &RunResults,
+) -> Result<(), Box<dyn Error>> {
+    let (contents, sidecar) = output::render(results, format, chart)?;
+
+    if let Some(output_path) = output {
+        let mut file = File::create(output_path)?;
+        file.write_all(&contents)?;
         eprintln!("Results written to {}", output_path);
     } else {
-        println!("{}", json_output);
+        let mut stdout = std::io::stdout().lock();
+        stdout.write_all(&contents)?;
+        // The other text formats already end with a newline
+        if matches!(format, OutputFormat::Json | OutputFormat::VegaLite) {
+            stdout.write_all(b"\n")?;
+        }
+    }
+
+    let sidecar_path = metadata_file
+        .map(PathBuf::from)
+        .or_else(|| output.map(output::sidecar_path));
+    if let (Some(metadata), Some(sidecar_path)) = (sidecar, sidecar_path) {
+        std::fs::write(&sidecar_path, metadata)?;
+        eprintln!("Metadata written to {}", sidecar_path.display());
     }
 
     Ok(())
@@ -0,0 +1,201 @@
+/*
+ * Classification quality metrics
+ *
+ * How well a set of bins summarizes the values, whatever produced the edges:
+ * the goodness of variance fit (GVF), the absolute deviation around class
+ * medians (ADCM) and Jenks and Caspall's tabular accuracy index (TAI). Every bin
+ * is a class, the underflow and overflow bins included, and weights count as
+ * repeated values. GVF also drives `--num-bins auto-gvf`, which adds bins until
+ * the fit reaches a threshold.
+ */
+
+use crate::histogram::{BinStats, Closure};
+
+/// The GVF --num-bins auto-gvf aims for unless another is given
+pub const DEFAULT_GVF_THRESHOLD: f64 = 0.9;
+
+/// The most bins --num-bins auto-gvf tries, since every try recomputes the edges
+pub const MAX_AUTO_GVF_BINS: usize = 100;
+
+/// How well a set of classes fits the values
+#[derive(Debug, Clone, Copy, PartialEq)]
+pub struct ClassFit {
+    /// Goodness of variance fit: 1 - squared deviations around the class means
+    /// / squared deviations around the overall mean
+    pub gvf: f64,
+    /// Absolute deviation around class medians, in the units of the values
+    pub adcm: f64,
+    /// Tabular accuracy index: 1 - absolute deviations around the class means
+    /// / absolute deviations around the overall mean
+    pub tai: f64,
+}
+
+/// The share of a total deviation that the classes explain (1 when there is none)
+fn explained(within: f64, total: f64) -> f64 {
+    if total > 0.0 {
+        1.0 - within / total
+    } else {
+        1.0
+    }
+}
+
+/// Measure how well the bins described by a set of edges fit the values
+///
+/// # Arguments
+/// * `values` - The binned values
+/// * `weights` - The weight of each value, or None to count every value once
+/// * `breaks` - The sorted bin edges
+/// * `closure` - Which bin a value on an edge goes to
+///
+/// # Returns
+/// The metrics, or None when there are no values (or they weigh nothing)
+pub fn class_fit(
+    values: &[f64],
+    weights: Option<&[f64]>,
+    breaks: &[f64],
+    closure: Closure,
+) -> Option<ClassFit> {
+    sorted_class_fit(&sorted_by_value(values, weights), breaks, closure)
+}
+
+/// Pair every value with its weight, sorted by value so that every class is a
+/// run of neighbouring entries
+fn sorted_by_value(values: &[f64], weights: Option<&[f64]>) -> Vec<(f64, f64)> {
+    let mut weighted: Vec<(f64, f64)> = match weights {
+        Some(weights) => values
+            .iter()
+            .copied()
+            .zip(weights.iter().copied())
+            .collect(),
+        None => values.iter().map(|&value| (value, 1.0)).collect(),
+    };
+    weighted.sort_by(|a, b| a.0.total_cmp(&b.0));
+    weighted
+}
+
+/// Measure the fit of a set of edges to (value, weight) pairs sorted by value
+fn sorted_class_fit(weighted: &[(f64, f64)], breaks: &[f64], closure: Closure) -> Option<ClassFit> {
+    let total_weight: f64 = weighted.iter().map(|(_, weight)| weight).sum();
+    if total_weight <= 0.0 {
+        return None;
+    }
+    let mean = weighted
+        .iter()
+        .map(|(value, weight)| value * weight)
+        .sum::<f64>()
+        / total_weight;
+
+    let (mut squared, mut absolute) = (0.0, 0.0);
+    let (mut class_squared, mut class_absolute, mut adcm) = (0.0, 0.0, 0.0);
+    let classes =
+        weighted.chunk_by(|a, b| closure.bin_index(breaks, a.0) == closure.bin_index(breaks, b.0));
+    for class in classes {
+        let weight: f64 = class.iter().map(|(_, weight)| weight).sum();
+        if weight <= 0.0 {
+            continue;
+        }
+        let class_mean = class
+            .iter()
+            .map(|(value, weight)| value * weight)
+            .sum::<f64>()
+            / weight;
+
+        // Any value between the two middle ones minimizes the absolute deviation,
+        // so the lower (weighted) median gives the same ADCM as the usual average
+        let mut cumulative = 0.0;
+        let median = class
+            .iter()
+            .find(|(_, value_weight)| {
+                cumulative += value_weight;
+                cumulative >= weight / 2.0
+            })
+            .map_or(class_mean, |(value, _)| *value);
+
+        for &(value, weight) in class {
+            squared += weight * (value - mean).powi(2);
+            absolute += weight * (value - mean).abs();
+            class_squared += weight * (value - class_mean).powi(2);
+            class_absolute += weight * (value - class_mean).abs();
+            adcm += weight * (value - median).abs();
+        }
+    }
+
+    Some(ClassFit {
+        gvf: explained(class_squared, squared),
+        adcm,
+        tai: explained(class_absolute, absolute),
+    })
+}
+
+/// The goodness of variance fit of bins from their running statistics
+///
+/// Streaming mode only keeps the mean and squared deviations of every bin, which
+/// is enough for GVF but not for the medians and absolute deviations of ADCM
+/// and TAI.
+///
+/// # Returns
+/// The GVF, or None when the bins hold no values
+pub fn streamed_gvf(stats: &[BinStats]) -> Option<f64> {
+    let total_weight: f64 = stats.iter().map(|bin| bin.count).sum();
+    if total_weight <= 0.0 {
+        return None;
+    }
+    let mean = stats.iter().map(|bin| bin.mean * bin.count).sum::<f64>() / total_weight;
+
+    // The total squared deviation splits into the within-bin and between-bin parts
+    let within: f64 = stats.iter().map(|bin| bin.m2).sum();
+    let between: f64 = stats
+        .iter()
+        .map(|bin| bin.count * (bin.mean - mean).powi(2))
+        .sum();
+    Some(explained(within, within + between))
+}
+
+/// Add bins until the goodness of variance fit reaches a threshold
+///
+/// At most MAX_AUTO_GVF_BINS bins are tried.
+///
+/// # Arguments
+/// * `threshold` - The GVF to reach, between 0 and 1
+/// * `distinct` - The number of distinct values, which suffices for Jenks to
+///   reach a GVF of 1
+/// * `breaks_for` - Calculates the edges for a number of bins
+/// * `values` - The binned values
+/// * `weights` - The weight of each value, or None to count every value once
+/// * `closure` - Which bin a value on an edge goes to
+///
+/// # Returns
+/// The first number of bins that reaches the threshold and its edges, or those
+/// for one bin per distinct value when none does; an error when the threshold
+/// is not reached within MAX_AUTO_GVF_BINS bins
+pub fn auto_gvf_bins<E: From<String>>(
+    threshold: f64,
+    distinct: usize,
+    mut breaks_for: impl FnMut(usize) -> Result<Vec<f64>, E>,
+    values: &[f64],
+    weights: Option<&[f64]>,
+    closure: Closure,
+) -> Result<(usize, Vec<f64>), E> {
+    let weighted = sorted_by_value(values, weights);
+    let distinct = distinct.max(1);
+    for num_bins in 1..=distinct.min(MAX_AUTO_GVF_BINS) {
+        let breaks = breaks_for(num_bins)?;
+        let fit = sorted_class_fit(&weighted, &breaks, closure);
+        if num_bins == distinct || fit.is_none_or(|fit| fit.gvf >= threshold) {
+            return Ok((num_bins, breaks));
+        }
+    }
+    Err(format!(
+        "--num-bins auto-gvf did not reach a GVF of {} within {} bins; lower --gvf-threshold or give a number of bins",
+        threshold, MAX_AUTO_GVF_BINS
+    )
+    .into())
+}
+
+/// The number of distinct values, the most bins --num-bins auto-gvf needs
+pub fn distinct_count(values: &[f64]) -> usize {
+    let mut sorted = values.to_vec();
+    sorted.sort_by(f64::total_cmp);
+    sorted.dedup();
+    sorted.len()
+}
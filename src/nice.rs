@@ -0,0 +1,204 @@
+/*
+ * Nice-number edges
+ *
+ * Round edges for published legends, in the style of R's pretty() and d3's
+ * ticks: every edge is a multiple of 1, 2, 2.5 or 5 × 10^k. The pretty
+ * algorithm picks such a step for the whole range, and snapping moves the
+ * edges of any other algorithm to nearby round values, reporting how many
+ * values changed bin as a result.
+ */
+
+use crate::histogram::{Closure, NumericHistogramBin};
+
+/// The mantissas a nice step is made of, smallest first
+const NICE_MANTISSAS: [f64; 4] = [1.0, 2.0, 2.5, 5.0];
+
+/// A nice step: mantissa × 10^exponent
+#[derive(Debug, Clone, Copy)]
+struct NiceStep {
+    mantissa: f64,
+    exponent: i32,
+}
+
+impl NiceStep {
+    fn value(&self) -> f64 {
+        self.mantissa * 10f64.powi(self.exponent)
+    }
+
+    /// The nth multiple of the step, rounded to the digits the step has
+    ///
+    /// Multiplying in floating point leaves values like 0.30000000000000004;
+    /// rounding to one decimal more than the exponent needs (for the 2.5 step)
+    /// removes the noise.
+    fn multiple(&self, n: f64) -> f64 {
+        let decimals = (1 - self.exponent).max(0);
+        let scale = 10f64.powi(decimals);
+        (n * self.value() * scale).round() / scale
+    }
+
+    /// The largest nice step that does not exceed a limit
+    fn at_most(limit: f64) -> Self {
+        let mut exponent = limit.log10().floor() as i32;
+        // log10 can land just below a whole number for an exact power of ten
+        if 10f64.powi(exponent + 1) <= limit {
+            exponent += 1;
+        }
+        let mantissa = NICE_MANTISSAS
+            .iter()
+            .rev()
+            .copied()
+            .find(|mantissa| mantissa * 10f64.powi(exponent) <= limit)
+            .unwrap_or(1.0);
+        NiceStep { mantissa, exponent }
+    }
+}
+
+/// Round edges covering [min, max] that make about num_bins bins
+///
+/// Tries the nice steps around range / num_bins and keeps the one whose bin
+/// count is closest to num_bins (the wider step on a tie). The first edge is at
+/// or below the minimum and the last edge is above the maximum, so every value
+/// falls into a bin.
+///
+/// # Arguments
+/// * `num_bins` - The target number of bins
+/// * `min` - The smallest value
+/// * `max` - The largest value
+pub fn pretty_breaks(num_bins: usize, min: f64, max: f64) -> Vec<f64> {
+    if !min.is_finite() || !max.is_finite() {
+        return Vec::new();
+    }
+    let target = num_bins.max(1) as f64;
+    // A single distinct value still gets a bin of a sensible size
+    let range = if max > min {
+        max - min
+    } else {
+        min.abs().max(1.0)
+    };
+    let exponent = (range / target).log10().floor() as i32;
+
+    let bins_for = |step: &NiceStep| {
+        let step = step.value();
+        (max / step).floor() - (min / step).floor() + 1.0
+    };
+    let best = (exponent - 1..=exponent + 1)
+        .flat_map(|exponent| {
+            NICE_MANTISSAS
+                .iter()
+                .map(move |&mantissa| NiceStep { mantissa, exponent })
+        })
+        .min_by(|a, b| {
+            let distance = |step: &NiceStep| (bins_for(step) - target).abs();
+            distance(a)
+                .total_cmp(&distance(b))
+                .then(b.value().total_cmp(&a.value()))
+        })
+        .unwrap();
+
+    let first = (min / best.value()).floor();
+    (0..=bins_for(&best) as usize)
+        .map(|i| best.multiple(first + i as f64))
+        .collect()
+}
+
+/// Move edges to nearby round values
+///
+/// Every edge is moved to a multiple of the largest nice unit no more than half
+/// the narrowest bin, so no two edges can meet. Interior edges go to the nearest
+/// multiple, the first edge rounds down and the last edge to the first multiple
+/// above the maximum, so the snapped bins still hold every value.
+///
+/// # Arguments
+/// * `breaks` - The sorted edges to snap
+/// * `max` - The largest value
+///
+/// # Returns
+/// The snapped edges, or the edges unchanged when there are fewer than two or
+/// two of them are equal
+pub fn snap_breaks(breaks: &[f64], max: f64) -> Vec<f64> {
+    let narrowest = breaks
+        .windows(2)
+        .map(|pair| pair[1] - pair[0])
+        .fold(f64::INFINITY, f64::min);
+    if breaks.len() < 2 || narrowest <= 0.0 || !narrowest.is_finite() {
+        return breaks.to_vec();
+    }
+
+    let unit = NiceStep::at_most(narrowest / 2.0);
+    let last = breaks.len() - 1;
+    breaks
+        .iter()
+        .enumerate()
+        .map(|(i, &edge)| {
+            let multiple = edge / unit.value();
+            if i == 0 {
+                unit.multiple(multiple.floor())
+            } else if i == last {
+                unit.multiple((max / unit.value()).floor() + 1.0)
+            } else {
+                unit.multiple(multiple.round())
+            }
+        })
+        .collect()
+}
+
+/// How snapping the edges changed the bins
+#[derive(Debug, Clone, Default)]
+pub struct SnapShift {
+    /// The change in the count of every bin, underflow and overflow included
+    pub count_shifts: Vec<f64>,
+    /// The number of values (or their summed weight) that changed bin
+    pub moved: f64,
+}
+
+impl SnapShift {
+    /// Compare the bins values fall into before and after snapping
+    ///
+    /// # Arguments
+    /// * `values` - The binned values
+    /// * `weights` - The weight of each value, or None to count every value once
+    /// * `original` - The edges before snapping
+    /// * `snapped` - The edges after snapping (as many as the original edges)
+    /// * `closure` - Which bin a value on an edge goes to
+    pub fn between(
+        values: &[f64],
+        weights: Option<&[f64]>,
+        original: &[f64],
+        snapped: &[f64],
+        closure: Closure,
+    ) -> Self {
+        let mut shift = SnapShift {
+            count_shifts: vec![0.0; snapped.len() + 1],
+            moved: 0.0,
+        };
+        for (i, &value) in values.iter().enumerate() {
+            let weight = weights.map_or(1.0, |weights| weights[i]);
+            let before = closure.bin_index(original, value);
+            let after = closure.bin_index(snapped, value);
+            if before != after {
+                shift.count_shifts[before] -= weight;
+                shift.count_shifts[after] += weight;
+                shift.moved += weight;
+            }
+        }
+        shift
+    }
+
+    /// Write the count shift of every bin (the null bin has none)
+    pub fn apply(&self, bins: &mut [NumericHistogramBin]) {
+        for (bin, &shift) in bins.iter_mut().zip(&self.count_shifts) {
+            bin.count_shift = Some(shift);
+        }
+    }
+
+    /// Fold the shifts of another batch into these
+    pub fn merge(&mut self, other: &SnapShift) {
+        if self.count_shifts.is_empty() {
+            self.count_shifts = vec![0.0; other.count_shifts.len()];
+        }
+        for (total, batch) in self.count_shifts.iter_mut().zip(&other.count_shifts) {
+            *total += batch;
+        }
+        self.moved += other.moved;
+    }
+}
@@ -0,0 +1,469 @@
+/*
+ * Output formats
+ *
+ * JSON prints the results as they are, and text, SVG and Vega-Lite draw them
+ * as charts (see chart.rs). The other formats flatten them into a table of
+ * bins, one row per bin of every column and group, and carry the metadata
+ * where each format has room for it: NDJSON and CSV in a sidecar
+ * .metadata.json file next to the output (or the --metadata-file), Markdown in
+ * a header above each table, and Arrow IPC and Parquet in the schema metadata
+ * under the "binner" key. Tables can then be joined back to the data in Polars or DuckDB.
+ */
+
+use binner::chart::{self, Charset, DEFAULT_TEXT_WIDTH};
+use binner::histogram::{
+    ColumnResult, ColumnResults, HistogramMetadata, HistogramResult, NumericHistogramBin,
+};
+use clap::ValueEnum;
+use polars::prelude::*;
+use serde::{Serialize, Serializer};
+use serde_json::{Map, Value};
+use std::collections::BTreeMap;
+use std::error::Error;
+use std::path::{Path, PathBuf};
+
+/// The key the metadata is stored under in Arrow and Parquet schema metadata
+pub const SCHEMA_METADATA_KEY: &str = "binner";
+
+/// The bin fields in the order NumericHistogramBin declares them; a field no
+/// bin has is left out of the table
+const BIN_FIELDS: [&str; 17] = [
+    "bin_label",
+    "kind",
+    "from",
+    "to",
+    "count",
+    "row_count",
+    "count_shift",
+    "min",
+    "max",
+    "mean",
+    "median",
+    "sum",
+    "std",
+    "pct",
+    "pct_non_null",
+    "cumulative_count",
+    "cumulative_pct",
+];
+
+#[derive(Debug, Clone, Copy, PartialEq, ValueEnum)]
+pub enum OutputFormat {
+    Json,
+    /// One bin per line
+    Ndjson,
+    Csv,
+    Markdown,
+    /// A bar chart for the terminal
+    Text,
+    /// A histogram image
+    Svg,
+    /// A Vega-Lite spec with the bins inlined
+    VegaLite,
+    /// Arrow IPC file
+    #[value(alias = "ipc", alias = "feather")]
+    Arrow,
+    Parquet,
+}
+
+impl OutputFormat {
+    /// Detect the format from the extension of the output file
+    ///
+    /// # Returns
+    /// The matching format, or None for unknown extensions
+    pub fn from_path(path: &str) -> Option<Self> {
+        let extension = Path::new(path).extension()?.to_str()?.to_lowercase();
+        match extension.as_str() {
+            "json" => Some(OutputFormat::Json),
+            "ndjson" | "jsonl" => Some(OutputFormat::Ndjson),
+            "csv" => Some(OutputFormat::Csv),
+            "md" | "markdown" => Some(OutputFormat::Markdown),
+            "svg" => Some(OutputFormat::Svg),
+            "arrow" | "ipc" | "feather" => Some(OutputFormat::Arrow),
+            "parquet" | "pq" => Some(OutputFormat::Parquet),
+            _ => None,
+        }
+    }
+}
+
+/// How charts are drawn
+pub struct ChartOptions {
+    /// The number of characters a line of a text chart may take
+    pub width: usize,
+    pub charset: Charset,
+    /// Scale the bars of SVG and Vega-Lite charts by the width of their bins
+    pub density: bool,
+}
+
+/// The width of the terminal standard output goes to, or of the COLUMNS
+/// environment variable when it is not a terminal
+pub fn terminal_width() -> usize {
+    terminal_size::terminal_size()
+        .map(|(terminal_size::Width(width), _)| width as usize)
+        .or_else(|| std::env::var("COLUMNS").ok()?.parse().ok())
+        .unwrap_or(DEFAULT_TEXT_WIDTH)
+}
+
+/// The sidecar file holding the metadata of NDJSON and CSV output: the output
+/// path with its extension replaced by .metadata.json
+pub fn sidecar_path(output: &str) -> PathBuf {
+    Path::new(output).with_extension("metadata.json")
+}
+
+/// The results of a run: one histogram, or a result per column when several
+/// columns were requested
+pub enum RunResults {
+    Single(HistogramResult),
+    Columns(ColumnResults),
+}
+
+impl RunResults {
+    /// The histograms with the name of their column, leaving out failed columns
+    fn histograms(&self) -> Vec<(&str, &HistogramResult)> {
+        match self {
+            RunResults::Single(result) => vec![(result.metadata.column.as_str(), result)],
+            RunResults::Columns(results) => results
+                .0
+                .iter()
+                .filter_map(|(name, result)| match result {
+                    ColumnResult::Histogram(histogram) => Some((name.as_str(), histogram)),
+                    ColumnResult::Failed { .. } => None,
+                })
+                .collect(),
+        }
+    }
+}
+
+/// The metadata of every result, shaped like the JSON output without the bins
+///
+/// One histogram gives its metadata object; several columns give an object keyed
+/// by column name, holding the metadata or the error of each.
+struct RunMetadata<'a>(&'a RunResults);
+
+impl Serialize for RunMetadata<'_> {
+    fn serialize<S: Serializer>(&self, serializer: S) -> Result<S::Ok, S::Error> {
+        /// The metadata of one column, or the error it failed with
+        #[derive(Serialize)]
+        #[serde(untagged)]
+        enum Entry<'a> {
+            Metadata(&'a HistogramMetadata),
+            Failed(&'a ColumnResult),
+        }
+
+        match self.0 {
+            RunResults::Single(result) => result.metadata.serialize(serializer),
+            RunResults::Columns(results) => {
+                serializer.collect_map(results.0.iter().map(|(name, result)| {
+                    let entry = match result {
+                        ColumnResult::Histogram(histogram) => Entry::Metadata(&histogram.metadata),
+                        failed => Entry::Failed(failed),
+                    };
+                    (name, entry)
+                }))
+            }
+        }
+    }
+}
+
+/// A table of bins: the column names in order and one row of values per bin
+struct BinTable {
+    columns: Vec<String>,
+    rows: Vec<Vec<Value>>,
+}
+
+impl BinTable {
+    /// Flatten the bins of histograms into a table
+    ///
+    /// A `column` field names the column when there are several, and a `group`
+    /// field holds the group label with --group-by (null for the bins of the
+    /// whole column, which come first).
+    fn new(
+        histograms: &[(&str, &HistogramResult)],
+        with_column: bool,
+    ) -> Result<Self, serde_json::Error> {
+        let with_group = histograms.iter().any(|(_, result)| result.groups.is_some());
+
+        let mut bins: Vec<(&str, Option<&str>, Map<String, Value>)> = Vec::new();
+        let mut add = |column, group, bin: &NumericHistogramBin| {
+            if let Value::Object(fields) = serde_json::to_value(bin)? {
+                bins.push((column, group, fields));
+            }
+            Ok::<_, serde_json::Error>(())
+        };
+        for &(column, result) in histograms {
+            for bin in &result.bins {
+                add(column, None, bin)?;
+            }
+            for group in result.groups.iter().flatten() {
+                for bin in &group.bins {
+                    add(column, Some(group.label.as_str()), bin)?;
+                }
+            }
+        }
+
+        // The known fields in declaration order, then any others by name
+        let mut fields: Vec<String> = BIN_FIELDS
+            .iter()
+            .filter(|field| bins.iter().any(|(_, _, bin)| bin.contains_key(**field)))
+            .map(|field| field.to_string())
+            .collect();
+        for (_, _, bin) in &bins {
+            for key in bin.keys() {
+                if !fields.contains(key) {
+                    fields.push(key.clone());
+                }
+            }
+        }
+
+        let mut columns = Vec::new();
+        if with_column {
+            columns.push("column".to_string());
+        }
+        if with_group {
+            columns.push("group".to_string());
+        }
+        columns.extend(fields.iter().cloned());
+
+        let rows = bins
+            .into_iter()
+            .map(|(column, group, mut bin)| {
+                let mut row = Vec::with_capacity(columns.len());
+                if with_column {
+                    row.push(Value::from(column));
+                }
+                if with_group {
+                    row.push(group.map_or(Value::Null, Value::from));
+                }
+                row.extend(
+                    fields
+                        .iter()
+                        .map(|field| bin.remove(field).unwrap_or(Value::Null)),
+                );
+                row
+            })
+            .collect();
+
+        Ok(BinTable { columns, rows })
+    }
+
+    /// One JSON object per row, with the fields in column order
+    fn to_ndjson(&self) -> String {
+        let mut lines = String::new();
+        for row in &self.rows {
+            let fields: Vec<String> = self
+                .columns
+                .iter()
+                .zip(row)
+                .map(|(name, value)| format!("{}:{}", Value::from(name.as_str()), value))
+                .collect();
+            lines.push_str(&format!("{{{}}}\n", fields.join(",")));
+        }
+        lines
+    }
+
+    /// The table as a DataFrame, with a column type inferred from its values
+    ///
+    /// Whole numbers become Int64 and other numbers Float64; a column mixing
+    /// numbers and strings (numeric and temporal bounds) becomes a string column.
+    fn to_data_frame(&self) -> Result<DataFrame, Box<dyn Error>> {
+        let columns = self
+            .columns
+            .iter()
+            .enumerate()
+            .map(|(i, name)| {
+                let values: Vec<&Value> = self.rows.iter().map(|row| &row[i]).collect();
+                let present = || values.iter().filter(|value| !value.is_null());
+                let name = PlSmallStr::from(name.as_str());
+
+                if present().all(|value| value.is_i64()) {
+                    let values: Vec<Option<i64>> = values.iter().map(|v| v.as_i64()).collect();
+                    Column::new(name, values)
+                } else if present().all(|value| value.is_number()) {
+                    let values: Vec<Option<f64>> = values.iter().map(|v| v.as_f64()).collect();
+                    Column::new(name, values)
+                } else {
+                    let values: Vec<Option<String>> = values
+                        .iter()
+                        .map(|value| match value {
+                            Value::Null => None,
+                            Value::String(text) => Some(text.clone()),
+                            other => Some(other.to_string()),
+                        })
+                        .collect();
+                    Column::new(name, values)
+                }
+            })
+            .collect();
+        Ok(DataFrame::new(columns)?)
+    }
+}
+
+/// Serialize the results in an output format
+///
+/// # Arguments
+/// * `results` - The results of the run
+/// * `format` - The format to write
+/// * `chart` - How charts are drawn
+///
+/// # Returns
+/// The bytes to write, and for NDJSON and CSV the metadata for the sidecar file
+pub fn render(
+    results: &RunResults,
+    format: OutputFormat,
+    chart: &ChartOptions,
+) -> Result<(Vec<u8>, Option<String>), Box<dyn Error>> {
+    let with_column = matches!(results, RunResults::Columns(_));
+    let table = || BinTable::new(&results.histograms(), with_column);
+    let sidecar = || serde_json::to_string_pretty(&RunMetadata(results));
+    let charted = || -> Vec<&HistogramResult> {
+        results
+            .histograms()
+            .into_iter()
+            .map(|(_, histogram)| histogram)
+            .collect()
+    };
+
+    Ok(match format {
+        OutputFormat::Json => {
+            let json = match results {
+                RunResults::Single(result) => serde_json::to_string_pretty(result)?,
+                RunResults::Columns(results) => serde_json::to_string_pretty(results)?,
+            };
+            (json.into_bytes(), None)
+        }
+        OutputFormat::Ndjson => (table()?.to_ndjson().into_bytes(), Some(sidecar()?)),
+        OutputFormat::Csv => {
+            let mut df = table()?.to_data_frame()?;
+            let mut buffer = Vec::new();
+            CsvWriter::new(&mut buffer)
+                .include_header(true)
+                .finish(&mut df)?;
+            (buffer, Some(sidecar()?))
+        }
+        OutputFormat::Markdown => (markdown(results)?.into_bytes(), None),
+        OutputFormat::Text => (text(results, chart).into_bytes(), None),
+        OutputFormat::Svg => {
+            let svg = chart::svg_chart(&charted(), chart.density)?;
+            (svg.into_bytes(), None)
+        }
+        OutputFormat::VegaLite => {
+            let spec = chart::vega_lite_spec(&charted(), chart.density)?;
+            (serde_json::to_string_pretty(&spec)?.into_bytes(), None)
+        }
+        OutputFormat::Arrow => {
+            let mut df = table()?.to_data_frame()?;
+            let mut buffer = Vec::new();
+            let mut writer = IpcWriter::new(&mut buffer);
+            writer.set_custom_schema_metadata(Arc::new(schema_metadata(results)?));
+            writer.finish(&mut df)?;
+            (buffer, None)
+        }
+        OutputFormat::Parquet => {
+            let mut df = table()?.to_data_frame()?;
+            let metadata = schema_metadata(results)?
+                .into_iter()
+                .map(|(key, value)| (key.to_string(), value.to_string()))
+                .collect();
+            let mut buffer = Vec::new();
+            ParquetWriter::new(&mut buffer)
+                .with_key_value_metadata(Some(KeyValueMetadata::from_static(metadata)))
+                .finish(&mut df)?;
+            (buffer, None)
+        }
+    })
+}
+
+/// The metadata as compact JSON under the schema metadata key
+fn schema_metadata(
+    results: &RunResults,
+) -> Result<BTreeMap<PlSmallStr, PlSmallStr>, Box<dyn Error>> {
+    let json = serde_json::to_string(&RunMetadata(results))?;
+    Ok(BTreeMap::from([(
+        PlSmallStr::from_static(SCHEMA_METADATA_KEY),
+        PlSmallStr::from(json),
+    )]))
+}
+
+/// A Markdown section per column: a heading, the metadata that is set and the bins
+fn markdown(results: &RunResults) -> Result<String, Box<dyn Error>> {
+    let sections: Vec<(&str, Result<&HistogramResult, &str>)> = match results {
+        RunResults::Single(result) => vec![(result.metadata.column.as_str(), Ok(result))],
+        RunResults::Columns(results) => results
+            .0
+            .iter()
+            .map(|(name, result)| match result {
+                ColumnResult::Histogram(histogram) => (name.as_str(), Ok(histogram)),
+                ColumnResult::Failed { error, .. } => (name.as_str(), Err(error.as_str())),
+            })
+            .collect(),
+    };
+
+    let mut text = String::new();
+    for (name, result) in sections {
+        if !text.is_empty() {
+            text.push('\n');
+        }
+        text.push_str(&format!("## {}\n\n", markdown_cell(name)));
+        let result = match result {
+            Ok(result) => result,
+            Err(error) => {
+                text.push_str(&format!("Error: {}\n", markdown_cell(error)));
+                continue;
+            }
+        };
+
+        // The metadata that is set, in the order of the JSON output
+        if let Value::Object(metadata) = serde_json::to_value(&result.metadata)? {
+            for (key, value) in metadata.iter().filter(|(_, value)| !value.is_null()) {
+                text.push_str(&format!("- **{}**: {}\n", key, markdown_value(value)));
+            }
+        }
+        text.push('\n');
+
+        // The heading names the column, so the table does not repeat it
+        let table = BinTable::new(&[(name, result)], false)?;
+        text.push_str(&format!("| {} |\n", table.columns.join(" | ")));
+        text.push_str(&format!("|{}\n", " --- |".repeat(table.columns.len())));
+        for row in &table.rows {
+            let cells: Vec<String> = row.iter().map(markdown_value).collect();
+            text.push_str(&format!("| {} |\n", cells.join(" | ")));
+        }
+    }
+    Ok(text)
+}
+
+/// A text chart per column, with the error of each column that failed
+fn text(results: &RunResults, options: &ChartOptions) -> String {
+    let draw = |result| chart::text_chart(result, options.width, options.charset);
+    match results {
+        RunResults::Single(result) => draw(result),
+        RunResults::Columns(results) => results
+            .0
+            .iter()
+            .map(|(name, result)| match result {
+                ColumnResult::Histogram(histogram) => draw(histogram),
+                ColumnResult::Failed { error, .. } => format!("{}: Error: {}\n", name, error),
+            })
+            .collect::<Vec<_>>()
+            .join("\n"),
+    }
+}
+
+/// A value as shown in a Markdown list or table cell
+fn markdown_value(value: &Value) -> String {
+    match value {
+        Value::Null => String::new(),
+        Value::String(text) => markdown_cell(text),
+        Value::Array(items) => items
+            .iter()
+            .map(markdown_value)
+            .collect::<Vec<_>>()
+            .join(", "),
+        other => markdown_cell(&other.to_string()),
+    }
+}
+
+/// Escape the characters that would break a Markdown table cell
+fn markdown_cell(text: &str) -> String {
+    text.replace('|', "\\|").replace('\n', " ")
+}
@@ -0,0 +1,213 @@
+/*
+ * Bin count rules
+ *
+ * Rules of thumb that derive the number of bins from the data for
+ * `--num-bins auto`. Sturges, square-root and Rice only look at the number of
+ * values and Doane corrects Sturges for skewness. Scott and Freedman-Diaconis
+ * choose a bin width from the spread (the standard deviation or the
+ * interquartile range), which equal-interval bins use as is and the other
+ * algorithms turn into a count over the range of the data.
+ */
+
+use crate::classification::BinningAlgorithm;
+use std::f64::consts::PI;
+
+/// The most bins a rule may choose
+///
+/// The width-based rules ask for one bin per bin width across the range, which
+/// a few far outliers can turn into millions of bins.
+pub const MAX_RULE_BINS: usize = 100_000;
+
+/// How the bin count is derived from the data
+#[derive(Debug, Clone, Copy, PartialEq)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum BinCountRule {
+    /// log2(n) + 1 bins
+    Sturges,
+    /// Bins 3.49 standard deviations / n^(1/3) wide
+    Scott,
+    /// Freedman-Diaconis: bins 2 IQR / n^(1/3) wide
+    #[cfg_attr(feature = "cli", value(name = "fd"))]
+    FreedmanDiaconis,
+    /// √n bins
+    Sqrt,
+    /// 2 n^(1/3) bins
+    Rice,
+    /// Sturges with a correction for skewed data
+    Doane,
+}
+
+impl BinCountRule {
+    /// The name accepted on the command line and recorded in the output metadata
+    pub fn name(&self) -> &'static str {
+        match self {
+            BinCountRule::Sturges => "sturges",
+            BinCountRule::Scott => "scott",
+            BinCountRule::FreedmanDiaconis => "fd",
+            BinCountRule::Sqrt => "sqrt",
+            BinCountRule::Rice => "rice",
+            BinCountRule::Doane => "doane",
+        }
+    }
+
+    /// Whether the rule needs the interquartile range of the data
+    pub fn uses_iqr(&self) -> bool {
+        matches!(self, BinCountRule::FreedmanDiaconis)
+    }
+}
+
+/// The summary of a column the rules work from
+///
+/// Every value counts once: weights do not change the derived bin count.
+#[derive(Debug, Clone, Default)]
+pub struct DataShape {
+    pub count: usize,
+    pub min: f64,
+    pub max: f64,
+    /// Population standard deviation
+    pub std_dev: f64,
+    /// Distance between the first and third quartiles
+    pub iqr: f64,
+    /// Population skewness (the third standardized moment)
+    pub skewness: f64,
+}
+
+impl DataShape {
+    /// Summarize a set of values
+    pub fn from_values(values: &[f64]) -> Self {
+        let count = values.len();
+        if count == 0 {
+            return DataShape::default();
+        }
+        let n = count as f64;
+        let mean = values.iter().sum::<f64>() / n;
+        let (mut m2, mut m3) = (0.0, 0.0);
+        for &value in values {
+            let delta = value - mean;
+            m2 += delta * delta;
+            m3 += delta * delta * delta;
+        }
+        let std_dev = (m2 / n).sqrt();
+        let skewness = if std_dev > 0.0 {
+            m3 / n / std_dev.powi(3)
+        } else {
+            0.0
+        };
+
+        let mut sorted = values.to_vec();
+        sorted.sort_by(|a, b| a.partial_cmp(b).unwrap());
+
+        DataShape {
+            count,
+            min: sorted[0],
+            max: sorted[count - 1],
+            std_dev,
+            iqr: percentile(&sorted, 0.75) - percentile(&sorted, 0.25),
+            skewness,
+        }
+    }
+}
+
+/// Linearly interpolated value at a rank between 0 and 1 of sorted values
+pub fn percentile(sorted: &[f64], rank: f64) -> f64 {
+    let position = rank * (sorted.len() - 1) as f64;
+    let lower = position.floor() as usize;
+    let upper = position.ceil() as usize;
+    sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower as f64)
+}
+
+/// The bin count a rule chose for a column
+#[derive(Debug, Clone)]
+pub struct AutoBins {
+    pub rule: BinCountRule,
+    pub num_bins: usize,
+    /// The bin width chosen by the width-based rules (scott and fd)
+    pub bin_width: Option<f64>,
+    /// The data minimum, where fixed-width bins start
+    origin: f64,
+}
+
+impl AutoBins {
+    /// The edges of fixed-width bins, when the algorithm is equal-interval and
+    /// the rule chose a width
+    ///
+    /// The bins start at the data minimum and are all bin_width wide, so the last
+    /// edge lies past the maximum.
+    pub fn width_breaks(&self, algorithm: &BinningAlgorithm) -> Option<Vec<f64>> {
+        let width = self.bin_width?;
+        if !matches!(algorithm, BinningAlgorithm::EqualInterval) {
+            return None;
+        }
+        Some(
+            (0..=self.num_bins)
+                .map(|i| self.origin + width * i as f64)
+                .collect(),
+        )
+    }
+}
+
+/// Derive the bin count for a column with a rule
+///
+/// # Arguments
+/// * `rule` - The rule to apply
+/// * `shape` - The summary of the column's values
+///
+/// # Returns
+/// At least one bin. The width-based rules fall back to a single bin when the
+/// spread is zero, and fail when they would need more than MAX_RULE_BINS bins.
+pub fn auto_bins(rule: BinCountRule, shape: &DataShape) -> Result<AutoBins, String> {
+    let n = shape.count.max(1) as f64;
+    let range = shape.max - shape.min;
+
+    let width = match rule {
+        BinCountRule::Scott => Some((24.0 * PI.sqrt() / n).cbrt() * shape.std_dev),
+        BinCountRule::FreedmanDiaconis => Some(2.0 * shape.iqr / n.cbrt()),
+        _ => None,
+    }
+    .filter(|width| *width > 0.0 && width.is_finite() && range > 0.0);
+
+    let num_bins = match (rule, width) {
+        // Enough bins of the chosen width to cover the range, maximum included
+        (_, Some(width)) => {
+            if range / width >= MAX_RULE_BINS as f64 {
+                return Err(format!(
+                    "--rule {} needs more than {} bins of width {} to cover {} to {}; use another rule or leave out the outliers with --where",
+                    rule.name(),
+                    MAX_RULE_BINS,
+                    width,
+                    shape.min,
+                    shape.max
+                ));
+            }
+            let mut num_bins = (range / width).floor() as usize + 1;
+            while shape.min + width * num_bins as f64 <= shape.max {
+                num_bins += 1;
+            }
+            num_bins
+        }
+        (BinCountRule::Sturges, _) => (n.log2() + 1.0).ceil() as usize,
+        (BinCountRule::Sqrt, _) => n.sqrt().ceil() as usize,
+        (BinCountRule::Rice, _) => (2.0 * n.cbrt()).ceil() as usize,
+        (BinCountRule::Doane, _) => {
+            let skew_error = if shape.count > 2 {
+                (6.0 * (n - 2.0) / ((n + 1.0) * (n + 3.0))).sqrt()
+            } else {
+                0.0
+            };
+            let correction = if skew_error > 0.0 {
+                (1.0 + shape.skewness.abs() / skew_error).log2()
+            } else {
+                0.0
+            };
+            (1.0 + n.log2() + correction).ceil() as usize
+        }
+        (BinCountRule::Scott | BinCountRule::FreedmanDiaconis, None) => 1,
+    };
+
+    Ok(AutoBins {
+        rule,
+        num_bins: num_bins.max(1),
+        bin_width: width,
+        origin: shape.min,
+    })
+}
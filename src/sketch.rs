@@ -0,0 +1,584 @@
+/*
+ * Mergeable summaries for streaming mode
+ *
+ * When the input is read in batches the values never sit in memory together, so
+ * break calculation works from summaries that can be updated one value at a time
+ * and merged across batches: running moments for equal-interval and
+ * standard-deviation edges, and a KLL quantile sketch for the rank-based
+ * algorithms (quantile, head-tail and Jenks). A distinct-value sketch joins
+ * them for the column summary.
+ */
+
+use crate::classification::{BinningAlgorithm, log_scale_breaks};
+use crate::geometric::LogScale;
+use crate::nice::pretty_breaks;
+use crate::rules::DataShape;
+use crate::weighted::get_weighted_jenks_breaks;
+use std::collections::BTreeSet;
+
+/// Default KLL accuracy parameter (about 1.3% normalized rank error)
+pub const DEFAULT_SKETCH_K: usize = 200;
+
+/// Capacity ratio between neighbouring KLL levels
+const LEVEL_RATIO: f64 = 2.0 / 3.0;
+
+/// Head proportion above which head-tail breaks stop splitting
+const HEAD_TAIL_LIMIT: f64 = 0.4;
+
+/// Count, mean, variance, skewness, kurtosis, min and max updated one value at a time
+///
+/// Uses Welford's update and Chan's parallel combination, so merging
+/// per-batch summaries gives the same result as one pass over all values.
+#[derive(Debug, Clone, Default)]
+pub struct RunningStats {
+    pub count: u64,
+    pub mean: f64,
+    /// Sum of squared deviations from the mean
+    m2: f64,
+    /// Sum of cubed deviations from the mean
+    m3: f64,
+    /// Sum of fourth powers of the deviations from the mean
+    m4: f64,
+    pub min: Option<f64>,
+    pub max: Option<f64>,
+}
+
+impl RunningStats {
+    pub fn update(&mut self, value: f64) {
+        let previous = self.count as f64;
+        self.count += 1;
+        let count = self.count as f64;
+        let delta = value - self.mean;
+        let delta_n = delta / count;
+        let term = delta * delta_n * previous;
+        self.mean += delta_n;
+        self.m4 += term * delta_n * delta_n * (count * count - 3.0 * count + 3.0)
+            + 6.0 * delta_n * delta_n * self.m2
+            - 4.0 * delta_n * self.m3;
+        self.m3 += term * delta_n * (count - 2.0) - 3.0 * delta_n * self.m2;
+        self.m2 += term;
+        self.min = Some(self.min.map_or(value, |min| min.min(value)));
+        self.max = Some(self.max.map_or(value, |max| max.max(value)));
+    }
+
+    pub fn merge(&mut self, other: &RunningStats) {
+        if other.count == 0 {
+            return;
+        }
+        if self.count == 0 {
+            *self = other.clone();
+            return;
+        }
+        let count = self.count + other.count;
+        let (n_a, n_b, n) = (self.count as f64, other.count as f64, count as f64);
+        let delta = other.mean - self.mean;
+        self.mean += delta * n_b / n;
+        self.m4 += other.m4
+            + delta.powi(4) * n_a * n_b * (n_a * n_a - n_a * n_b + n_b * n_b) / (n * n * n)
+            + 6.0 * delta * delta * (n_a * n_a * other.m2 + n_b * n_b * self.m2) / (n * n)
+            + 4.0 * delta * (n_a * other.m3 - n_b * self.m3) / n;
+        self.m3 += other.m3
+            + delta.powi(3) * n_a * n_b * (n_a - n_b) / (n * n)
+            + 3.0 * delta * (n_a * other.m2 - n_b * self.m2) / n;
+        self.m2 += other.m2 + delta * delta * n_a * n_b / n;
+        self.count = count;
+        self.min = [self.min, other.min].into_iter().flatten().reduce(f64::min);
+        self.max = [self.max, other.max].into_iter().flatten().reduce(f64::max);
+    }
+
+    /// Population standard deviation
+    pub fn std_dev(&self) -> f64 {
+        if self.count == 0 {
+            0.0
+        } else {
+            (self.m2 / self.count as f64).sqrt()
+        }
+    }
+
+    /// Population skewness (0 when every value is the same)
+    pub fn skewness(&self) -> f64 {
+        if self.m2 <= 0.0 {
+            0.0
+        } else {
+            (self.count as f64).sqrt() * self.m3 / self.m2.powf(1.5)
+        }
+    }
+
+    /// Population excess kurtosis (0 for a normal distribution and when every
+    /// value is the same)
+    pub fn kurtosis(&self) -> f64 {
+        if self.m2 <= 0.0 {
+            0.0
+        } else {
+            self.count as f64 * self.m4 / (self.m2 * self.m2) - 3.0
+        }
+    }
+}
+
+/// KLL quantile sketch (Karnin, Lang & Liberty)
+///
+/// Items are kept in levels where an item at level h stands for 2^h values.
+/// A full level is sorted and every other item is promoted to the next level,
+/// which bounds memory to about 3k items whatever the input size.
+#[derive(Debug, Clone)]
+pub struct KllSketch {
+    k: usize,
+    levels: Vec<Vec<f64>>,
+    count: u64,
+    /// The exact extremes, which compaction could otherwise drop
+    min: Option<f64>,
+    max: Option<f64>,
+    /// Whether any level has been compacted (until then the sketch is exact)
+    compacted: bool,
+    /// xorshift state choosing which half of a level is promoted
+    random: u64,
+}
+
+impl Default for KllSketch {
+    fn default() -> Self {
+        KllSketch::new(DEFAULT_SKETCH_K)
+    }
+}
+
+impl KllSketch {
+    /// Create a sketch with accuracy parameter k (larger is more accurate)
+    pub fn new(k: usize) -> Self {
+        KllSketch {
+            k: k.max(8),
+            levels: vec![Vec::new()],
+            count: 0,
+            min: None,
+            max: None,
+            compacted: false,
+            random: 0x2545_f491_4f6c_dd1d,
+        }
+    }
+
+    fn capacity(&self, level: usize) -> usize {
+        let depth = self.levels.len() - level - 1;
+        ((self.k as f64) * LEVEL_RATIO.powi(depth as i32))
+            .ceil()
+            .max(2.0) as usize
+    }
+
+    fn next_bit(&mut self) -> usize {
+        self.random ^= self.random << 13;
+        self.random ^= self.random >> 7;
+        self.random ^= self.random << 17;
+        (self.random & 1) as usize
+    }
+
+    /// Add a value to the sketch (NaN is ignored)
+    pub fn update(&mut self, value: f64) {
+        if value.is_nan() {
+            return;
+        }
+        self.count += 1;
+        self.min = Some(self.min.map_or(value, |min| min.min(value)));
+        self.max = Some(self.max.map_or(value, |max| max.max(value)));
+        self.levels[0].push(value);
+        if self.levels[0].len() >= self.capacity(0) {
+            self.compress();
+        }
+    }
+
+    /// Fold another sketch into this one
+    pub fn merge(&mut self, other: &KllSketch) {
+        while self.levels.len() < other.levels.len() {
+            self.levels.push(Vec::new());
+        }
+        for (level, items) in other.levels.iter().enumerate() {
+            self.levels[level].extend_from_slice(items);
+        }
+        self.count += other.count;
+        self.min = [self.min, other.min].into_iter().flatten().reduce(f64::min);
+        self.max = [self.max, other.max].into_iter().flatten().reduce(f64::max);
+        self.compacted |= other.compacted;
+        self.compress();
+    }
+
+    /// Compact every level that is over its capacity
+    fn compress(&mut self) {
+        let mut level = 0;
+        while level < self.levels.len() {
+            if self.levels[level].len() >= self.capacity(level) {
+                if level + 1 == self.levels.len() {
+                    self.levels.push(Vec::new());
+                }
+                let mut items = std::mem::take(&mut self.levels[level]);
+                items.sort_by(|a, b| a.partial_cmp(b).unwrap());
+
+                // An odd item out stays behind so the promoted weight is exact
+                if items.len() % 2 == 1 {
+                    self.levels[level].push(items.pop().unwrap());
+                }
+                let offset = self.next_bit();
+                let promoted: Vec<f64> = items.into_iter().skip(offset).step_by(2).collect();
+                self.levels[level + 1].extend(promoted);
+                self.compacted = true;
+            }
+            level += 1;
+        }
+    }
+
+    /// The number of values added to the sketch
+    pub fn count(&self) -> u64 {
+        self.count
+    }
+
+    /// The smallest value added to the sketch
+    pub fn min(&self) -> Option<f64> {
+        self.min
+    }
+
+    /// The largest value added to the sketch
+    pub fn max(&self) -> Option<f64> {
+        self.max
+    }
+
+    /// Whether the sketch still holds every value it was given
+    pub fn is_exact(&self) -> bool {
+        !self.compacted
+    }
+
+    /// Bound on the normalized rank error of quantile queries
+    ///
+    /// The KLL bound at 99% confidence, using the constants fitted by
+    /// Apache DataSketches. Zero while the sketch is exact.
+    pub fn rank_error(&self) -> f64 {
+        if self.is_exact() {
+            0.0
+        } else {
+            2.296 / (self.k as f64).powf(0.9723)
+        }
+    }
+
+    /// The retained items in ascending order, with the number of values each stands for
+    pub fn weighted_items(&self) -> (Vec<f64>, Vec<f64>) {
+        let mut items: Vec<(f64, f64)> = self
+            .levels
+            .iter()
+            .enumerate()
+            .flat_map(|(level, items)| {
+                let weight = (1u64 << level) as f64;
+                items.iter().map(move |&item| (item, weight))
+            })
+            .collect();
+        items.sort_by(|a, b| a.0.partial_cmp(&b.0).unwrap());
+        items.into_iter().unzip()
+    }
+
+    /// Estimate the value at a quantile rank between 0 and 1
+    ///
+    /// Ranks 0 and 1 return the exact min and max.
+    pub fn quantile(&self, rank: f64) -> Option<f64> {
+        if rank <= 0.0 {
+            return self.min;
+        }
+        if rank >= 1.0 {
+            return self.max;
+        }
+        let (items, weights) = self.weighted_items();
+        let total: f64 = weights.iter().sum();
+        let target = rank.clamp(0.0, 1.0) * total;
+
+        let mut cumulative = 0.0;
+        for (&item, &weight) in items.iter().zip(&weights) {
+            cumulative += weight;
+            if cumulative >= target {
+                return Some(item);
+            }
+        }
+        items.last().copied()
+    }
+}
+
+/// Default number of hashes a distinct-value sketch keeps (about 1.6% relative error)
+pub const DEFAULT_DISTINCT_K: usize = 4096;
+
+/// K-minimum-values sketch of the number of distinct values
+///
+/// Every value is hashed to a uniform 64-bit number and only the k smallest
+/// hashes are kept. With n distinct values the kth smallest lies near k/n of the
+/// way through the hash range, which gives the estimate. Until more than k
+/// distinct values have been seen the sketch holds all of them and is exact.
+#[derive(Debug, Clone)]
+pub struct DistinctSketch {
+    k: usize,
+    hashes: BTreeSet<u64>,
+    /// Whether hashes were dropped (until then the count is exact)
+    saturated: bool,
+}
+
+impl Default for DistinctSketch {
+    fn default() -> Self {
+        DistinctSketch::new(DEFAULT_DISTINCT_K)
+    }
+}
+
+impl DistinctSketch {
+    /// Create a sketch keeping k hashes (larger is more accurate)
+    pub fn new(k: usize) -> Self {
+        DistinctSketch {
+            k: k.max(2),
+            hashes: BTreeSet::new(),
+            saturated: false,
+        }
+    }
+
+    /// Spread the bits of a value uniformly (the splitmix64 finalizer)
+    fn hash(value: f64) -> u64 {
+        // -0.0 and 0.0 are the same value
+        let mut hash = if value == 0.0 { 0 } else { value.to_bits() };
+        hash = (hash ^ (hash >> 30)).wrapping_mul(0xbf58_476d_1ce4_e5b9);
+        hash = (hash ^ (hash >> 27)).wrapping_mul(0x94d0_49bb_1331_11eb);
+        hash ^ (hash >> 31)
+    }
+
+    fn insert(&mut self, hash: u64) {
+        if self.hashes.len() == self.k {
+            let largest = *self.hashes.last().unwrap();
+            if hash >= largest {
+                self.saturated |= !self.hashes.contains(&hash);
+                return;
+            }
+            if self.hashes.insert(hash) {
+                self.hashes.pop_last();
+                self.saturated = true;
+            }
+            return;
+        }
+        self.hashes.insert(hash);
+    }
+
+    /// Add a value to the sketch (NaN is ignored)
+    pub fn update(&mut self, value: f64) {
+        if !value.is_nan() {
+            self.insert(Self::hash(value));
+        }
+    }
+
+    /// Fold another sketch into this one
+    pub fn merge(&mut self, other: &DistinctSketch) {
+        self.saturated |= other.saturated;
+        for &hash in &other.hashes {
+            self.insert(hash);
+        }
+    }
+
+    /// Whether the sketch has seen every distinct value it was given
+    pub fn is_exact(&self) -> bool {
+        !self.saturated
+    }
+
+    /// The number of distinct values, estimated once the sketch is saturated
+    pub fn count(&self) -> usize {
+        if self.is_exact() {
+            return self.hashes.len();
+        }
+        let kth = *self.hashes.last().unwrap() as f64 / u64::MAX as f64;
+        ((self.k - 1) as f64 / kth).round() as usize
+    }
+}
+
+/// Equal-interval class starts from the data range
+pub fn equal_interval_starts(num_bins: usize, stats: &RunningStats) -> Vec<f64> {
+    let (Some(min), Some(max)) = (stats.min, stats.max) else {
+        return Vec::new();
+    };
+    let num_bins = num_bins.max(1);
+    let interval = (max - min) / num_bins as f64;
+
+    if interval <= 0.0 {
+        return vec![min];
+    }
+    (0..num_bins).map(|i| min + interval * i as f64).collect()
+}
+
+/// Standard-deviation class starts from the moments of the values
+///
+/// A central class of std_dev_size standard deviations is centred on the mean,
+/// with classes of the same width on either side until the data range is covered.
+/// The in-memory classification uses these starts too.
+pub fn std_dev_starts(std_dev_size: f64, stats: &RunningStats) -> Vec<f64> {
+    let (Some(min), Some(max)) = (stats.min, stats.max) else {
+        return Vec::new();
+    };
+    let width = std_dev_size * stats.std_dev();
+    let mut starts = vec![min];
+    if width <= 0.0 || !width.is_finite() {
+        return starts;
+    }
+
+    // Step down from the lower edge of the central class to the first edge above min
+    let mut edge = stats.mean - width / 2.0;
+    while edge - width > min {
+        edge -= width;
+    }
+    while edge < max {
+        if edge > min {
+            starts.push(edge);
+        }
+        edge += width;
+    }
+
+    starts
+}
+
+/// Quantile class starts estimated from the sketch
+pub fn sketch_quantile_starts(num_bins: usize, sketch: &KllSketch) -> Vec<f64> {
+    let Some(min) = sketch.quantile(0.0) else {
+        return Vec::new();
+    };
+    let mut starts = vec![min];
+    for i in 1..num_bins {
+        if let Some(value) = sketch.quantile(i as f64 / num_bins as f64) {
+            if value > *starts.last().unwrap() {
+                starts.push(value);
+            }
+        }
+    }
+    starts
+}
+
+/// Head-tail class starts estimated from the sketch
+///
+/// Splits at the mean and recurses into the head (the values above the mean)
+/// while the head holds less than 40% of the values.
+pub fn sketch_head_tail_starts(sketch: &KllSketch) -> Vec<f64> {
+    let (items, weights) = sketch.weighted_items();
+    let Some(min) = sketch.min() else {
+        return Vec::new();
+    };
+    let mut starts = vec![min];
+    let mut head: Vec<(f64, f64)> = items.into_iter().zip(weights).collect();
+
+    while head.len() > 1 {
+        let total: f64 = head.iter().map(|(_, w)| w).sum();
+        let mean = head.iter().map(|(x, w)| x * w).sum::<f64>() / total;
+        let next: Vec<(f64, f64)> = head.iter().copied().filter(|(x, _)| *x > mean).collect();
+        let head_weight: f64 = next.iter().map(|(_, w)| w).sum();
+
+        if next.is_empty() || head_weight / total >= HEAD_TAIL_LIMIT {
+            break;
+        }
+        starts.push(mean);
+        head = next;
+    }
+
+    starts
+}
+
+/// Jenks class starts estimated from the sketch
+///
+/// Runs the weighted Jenks optimization over the sketch items, each weighted
+/// by the number of values it stands for.
+pub fn sketch_jenks_starts(num_bins: usize, sketch: &KllSketch) -> Vec<f64> {
+    let (items, weights) = sketch.weighted_items();
+    let mut starts = get_weighted_jenks_breaks(num_bins, &items, &weights);
+
+    // The first class starts at the exact minimum, not the smallest retained item
+    if let (Some(first), Some(min)) = (starts.first_mut(), sketch.min()) {
+        *first = min;
+    }
+    starts
+}
+
+/// The summary the bin count rules need, from streamed summaries
+///
+/// The interquartile range is estimated from the sketch, so it is only
+/// meaningful when the values were sketched.
+pub fn streamed_shape(stats: &RunningStats, sketch: &KllSketch) -> DataShape {
+    let quartile = |rank| sketch.quantile(rank).unwrap_or(0.0);
+    DataShape {
+        count: stats.count as usize,
+        min: stats.min.unwrap_or(0.0),
+        max: stats.max.unwrap_or(0.0),
+        std_dev: stats.std_dev(),
+        iqr: quartile(0.75) - quartile(0.25),
+        skewness: stats.skewness(),
+    }
+}
+
+/// Bin edges calculated from streamed summaries
+pub struct StreamedBreaks {
+    pub breaks: Vec<f64>,
+    /// Whether the edges are exact (false when estimated from a compacted sketch)
+    pub exact: bool,
+    /// Bound on the normalized rank error of the edges (0 when exact)
+    pub rank_error: f64,
+}
+
+/// Whether an algorithm needs the quantile sketch rather than the running moments
+pub fn needs_sketch(algorithm: &BinningAlgorithm) -> bool {
+    matches!(
+        algorithm,
+        BinningAlgorithm::Jenks | BinningAlgorithm::Quantile | BinningAlgorithm::HeadTail
+    )
+}
+
+/// Calculate the bin edges for an algorithm from streamed summaries
+///
+/// Equal-interval, standard-deviation, pretty, geometric-interval and log edges
+/// only need the moments and are exact; quantile, head-tail and Jenks edges are
+/// estimated from the sketch.
+///
+/// # Arguments
+/// * `algorithm` - The algorithm to classify with
+/// * `num_bins` - The number of bins (ignored by StandardDeviation, HeadTail and Log)
+/// * `std_dev_size` - The standard deviation multiplier (only used by StandardDeviation)
+/// * `scale` - The log base and offset (only used by GeometricInterval and Log)
+/// * `stats` - The running moments of the column
+/// * `sketch` - The quantile sketch of the column (only read when needs_sketch)
+///
+/// # Returns
+/// The edges, or an error when log-scale edges meet a value that is not positive
+pub fn compute_streamed_breaks(
+    algorithm: &BinningAlgorithm,
+    num_bins: usize,
+    std_dev_size: f64,
+    scale: &LogScale,
+    stats: &RunningStats,
+    sketch: &KllSketch,
+) -> Result<StreamedBreaks, String> {
+    let range = stats.min.zip(stats.max);
+    let mut breaks = match algorithm {
+        BinningAlgorithm::EqualInterval => equal_interval_starts(num_bins, stats),
+        BinningAlgorithm::StandardDeviation => std_dev_starts(std_dev_size, stats),
+        BinningAlgorithm::Quantile => sketch_quantile_starts(num_bins, sketch),
+        BinningAlgorithm::HeadTail => sketch_head_tail_starts(sketch),
+        BinningAlgorithm::Jenks => sketch_jenks_starts(num_bins, sketch),
+        // Pretty and log-scale edges only need the range and are already closed
+        BinningAlgorithm::Pretty | BinningAlgorithm::GeometricInterval | BinningAlgorithm::Log => {
+            let breaks = match range {
+                Some((min, max)) if algorithm.is_logarithmic() => {
+                    log_scale_breaks(algorithm, num_bins, scale, min, max)?
+                }
+                Some((min, max)) => pretty_breaks(num_bins, min, max),
+                None => Vec::new(),
+            };
+            return Ok(StreamedBreaks {
+                breaks,
+                exact: true,
+                rank_error: 0.0,
+            });
+        }
+    };
+
+    // Add the final edge to complete the bins
+    if let Some(max_val) = stats.max {
+        breaks.push(max_val);
+    }
+
+    let (exact, rank_error) = if needs_sketch(algorithm) {
+        (sketch.is_exact(), sketch.rank_error())
+    } else {
+        (true, 0.0)
+    };
+
+    Ok(StreamedBreaks {
+        breaks,
+        exact,
+        rank_error,
+    })
+}
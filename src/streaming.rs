@@ -0,0 +1,465 @@
+/*
+ * Streaming mode
+ *
+ * Reads the input in batches of rows so files larger than memory can be binned.
+ * A first pass feeds every column into running moments and a KLL sketch (merged
+ * batch by batch) to calculate the bin edges, and a second pass counts the bins.
+ * Custom bins are known up front, so they only need the counting pass, as do
+ * the value counts of categorical columns. The column summary (--summary) is
+ * sketched during the counting pass, which every column goes through.
+ */
+
+use crate::input::TextInput;
+use crate::value_counts::{
+    CategoryValues, category_result, extract_category_values, is_categorical,
+};
+use crate::{
+    BinningContext, base_metadata, extract_column_values, interval_breaks, with_rule_metadata,
+    with_snap_metadata, with_temporal_metadata,
+};
+use binner::histogram::{BinLayout, BinStats, HistogramMetadata, HistogramResult};
+use binner::metrics::streamed_gvf;
+use binner::nice::{SnapShift, snap_breaks};
+use binner::rules::{AutoBins, auto_bins};
+use binner::sketch::{
+    KllSketch, RunningStats, compute_streamed_breaks, needs_sketch, streamed_shape,
+};
+use binner::summary::SummarySketch;
+use binner::temporal::TemporalKind;
+use polars::prelude::*;
+use std::error::Error;
+
+/// Rows read per batch unless --batch-size is given
+pub const DEFAULT_BATCH_SIZE: usize = 1_000_000;
+
+/// A scan read in batches of rows
+///
+/// CSV, TSV and NDJSON files are read a batch of records at a time (see
+/// TextInput). Other scans are sliced before filtering, so the slice is pushed
+/// down into the reader (Parquet row groups outside the batch are skipped). The
+/// filter only sees the rows of its own batch.
+pub struct BatchScan {
+    lf: LazyFrame,
+    text: Option<TextInput>,
+    schema: SchemaRef,
+    predicate: Option<Expr>,
+    columns: Vec<Expr>,
+    batch_size: usize,
+    /// The number of rows to slice, for scans that are not read as text
+    total_rows: usize,
+}
+
+impl BatchScan {
+    /// Prepare a batched scan
+    ///
+    /// # Arguments
+    /// * `lf` - The unfiltered scan of the input
+    /// * `text` - The text file behind the scan, read directly in batches
+    /// * `predicate` - The --where filter, applied to each batch
+    /// * `columns` - The columns to read
+    /// * `batch_size` - The number of rows read per batch (before filtering)
+    pub fn new(
+        mut lf: LazyFrame,
+        text: Option<TextInput>,
+        predicate: Option<Expr>,
+        columns: Vec<Expr>,
+        batch_size: usize,
+    ) -> Result<Self, Box<dyn Error>> {
+        let schema = lf.collect_schema()?;
+        let total_rows = if text.is_some() {
+            0
+        } else {
+            // Counting rows only reads file metadata for Parquet and IPC
+            let counted = lf.clone().select([len()]).collect()?;
+            counted.get_columns()[0]
+                .get(0)?
+                .extract::<usize>()
+                .unwrap_or(0)
+        };
+
+        Ok(BatchScan {
+            lf,
+            text,
+            schema,
+            predicate,
+            columns,
+            batch_size: batch_size.max(1),
+            total_rows,
+        })
+    }
+
+    /// Read the scan one batch at a time
+    pub fn for_each(
+        &self,
+        mut f: impl FnMut(&DataFrame) -> Result<(), Box<dyn Error>>,
+    ) -> Result<(), Box<dyn Error>> {
+        let mut read = |batch: LazyFrame| -> Result<(), Box<dyn Error>> {
+            let batch = match &self.predicate {
+                Some(predicate) => batch.filter(predicate.clone()),
+                None => batch,
+            };
+            f(&batch.select(self.columns.clone()).collect()?)
+        };
+
+        if let Some(text) = &self.text {
+            let mut batches = text.batches(self.schema.clone())?;
+            while let Some(batch) = batches.next_batch(self.batch_size)? {
+                read(batch.lazy())?;
+            }
+            return Ok(());
+        }
+
+        for offset in (0..self.total_rows).step_by(self.batch_size) {
+            read(
+                self.lf
+                    .clone()
+                    .slice(offset as i64, self.batch_size as IdxSize),
+            )?;
+        }
+        Ok(())
+    }
+}
+
+/// What the passes have gathered for one column
+struct ColumnState {
+    name: String,
+    /// Set once the column fails; it is skipped from then on
+    error: Option<String>,
+    /// Whether the column is counted by value instead of binned
+    categorical: bool,
+    categories: CategoryValues,
+    stats: RunningStats,
+    sketch: KllSketch,
+    breaks: Vec<f64>,
+    include_null_bin: bool,
+    exact: bool,
+    rank_error: f64,
+    /// The bin count derived by --rule
+    auto: Option<AutoBins>,
+    /// The edges before --nice snapped them, and how the counts shifted
+    unsnapped: Option<Vec<f64>>,
+    shift: SnapShift,
+    layout: Option<BinLayout>,
+    bin_stats: Vec<BinStats>,
+    /// The sketches of the column summary (--summary)
+    summary: SummarySketch,
+    total_rows: usize,
+    numeric_values: usize,
+    null_count: usize,
+    null_weight: f64,
+    total_weight: f64,
+    null_weights: usize,
+    negative_weights: usize,
+    temporal: Option<TemporalKind>,
+    /// Whether the column holds integers, whose bins can be labeled as ranges
+    integer: bool,
+}
+
+impl ColumnState {
+    fn new(name: &str, categorical: bool) -> Self {
+        ColumnState {
+            name: name.to_string(),
+            error: None,
+            categorical,
+            categories: CategoryValues::default(),
+            stats: RunningStats::default(),
+            sketch: KllSketch::default(),
+            breaks: Vec::new(),
+            include_null_bin: false,
+            exact: true,
+            rank_error: 0.0,
+            auto: None,
+            unsnapped: None,
+            shift: SnapShift::default(),
+            layout: None,
+            bin_stats: Vec::new(),
+            summary: SummarySketch::default(),
+            total_rows: 0,
+            numeric_values: 0,
+            null_count: 0,
+            null_weight: 0.0,
+            total_weight: 0.0,
+            null_weights: 0,
+            negative_weights: 0,
+            temporal: None,
+            integer: false,
+        }
+    }
+
+    /// The histogram for the column once both passes are done
+    fn finish(self, context: &BinningContext) -> Result<HistogramResult, String> {
+        if let Some(error) = self.error {
+            return Err(error);
+        }
+        if self.categorical {
+            return Ok(category_result(
+                context,
+                &self.name,
+                self.total_rows,
+                &self.categories,
+            ));
+        }
+        if self.numeric_values == 0 {
+            return Err(format!("No numeric values found in column '{}'", self.name));
+        }
+
+        let weighted = context.weight_column.is_some();
+        let layout = self
+            .layout
+            .ok_or("Bins were not laid out")?
+            .with_temporal(self.temporal.clone())
+            .with_labels(context.label_style(self.integer));
+        // Only GVF can be worked out from the running statistics of each bin
+        let gvf = streamed_gvf(&self.bin_stats);
+        let mut bins = layout.to_bins(
+            &self.bin_stats,
+            weighted,
+            self.null_count,
+            self.null_weight,
+            self.include_null_bin,
+        );
+        if self.unsnapped.is_some() {
+            self.shift.apply(&mut bins);
+        }
+        // Medians need the values, which streaming mode does not keep
+        if !context.stats.is_empty() {
+            let null_total = if weighted {
+                self.null_weight
+            } else {
+                self.null_count as f64
+            };
+            layout.summarize(&mut bins, &self.bin_stats, None, null_total, &context.stats);
+        }
+
+        let metadata = HistogramMetadata {
+            numeric_values: self.numeric_values,
+            null_values: self.null_count,
+            bin_edges: self.breaks,
+            total_weight: weighted.then_some(self.total_weight),
+            null_weights: weighted.then_some(self.null_weights),
+            negative_weights: weighted.then_some(self.negative_weights),
+            exact_breaks: Some(self.exact),
+            rank_error: (!self.exact).then_some(self.rank_error),
+            gvf,
+            summary: context
+                .summary_percentiles
+                .as_ref()
+                .and_then(|percentiles| self.summary.finish(percentiles, self.temporal.as_ref())),
+            ..base_metadata(context, &self.name, self.total_rows)
+        };
+        let metadata = with_temporal_metadata(metadata, self.temporal.as_ref());
+        let metadata = with_rule_metadata(metadata, self.auto.as_ref());
+        let metadata = with_snap_metadata(metadata, self.unsnapped, &self.shift);
+
+        Ok(HistogramResult {
+            metadata,
+            bins,
+            groups: None,
+        })
+    }
+}
+
+/// Bin columns by streaming over the scan
+///
+/// # Arguments
+/// * `context` - The binning settings
+/// * `scan` - The batched scan, reading every column in `columns`
+/// * `columns` - The columns to bin
+/// * `schema` - The schema of the scan, to tell categorical columns apart
+///
+/// # Returns
+/// The result of each column in order; a column that fails does not stop the others
+pub fn bin_columns(
+    context: &BinningContext,
+    scan: &BatchScan,
+    columns: &[String],
+    schema: &Schema,
+) -> Result<Vec<(String, Result<HistogramResult, String>)>, Box<dyn Error>> {
+    let mut states: Vec<ColumnState> = columns
+        .iter()
+        .map(|name| {
+            let categorical = schema
+                .get(name.as_str())
+                .is_some_and(|dtype| is_categorical(context, dtype));
+            ColumnState::new(name, categorical)
+        })
+        .collect();
+    // The columns binned by their edges, as opposed to counted by value
+    let binned = |state: &&mut ColumnState| state.error.is_none() && !state.categorical;
+
+    if let Some((custom_breaks, has_null_bin)) = &context.custom_bins {
+        // Custom edges apply to every column, so invalid ones fail the run
+        BinLayout::new(custom_breaks)?;
+        for state in &mut states {
+            state.breaks = custom_breaks.clone();
+            state.include_null_bin = *has_null_bin;
+        }
+    } else if states.iter().any(|state| !state.categorical) {
+        // The fd rule reads the interquartile range from the sketch
+        let sketched = context.algorithm.as_ref().is_some_and(needs_sketch)
+            || context.rule.is_some_and(|rule| rule.uses_iqr());
+
+        // First pass: summarize each batch and merge it into the column summary
+        scan.for_each(|df| {
+            for state in states.iter_mut().filter(binned) {
+                match extract_column_values(context, df, &state.name) {
+                    Ok(extracted) => {
+                        let mut stats = RunningStats::default();
+                        let mut sketch = KllSketch::default();
+                        for &value in &extracted.values {
+                            stats.update(value);
+                            if sketched {
+                                sketch.update(value);
+                            }
+                        }
+                        state.stats.merge(&stats);
+                        state.sketch.merge(&sketch);
+                        state.temporal = extracted.temporal;
+                        state.integer = extracted.integer;
+                    }
+                    Err(e) => state.error = Some(e.to_string()),
+                }
+            }
+            Ok(())
+        })?;
+
+        for state in states.iter_mut().filter(binned) {
+            if state.stats.count == 0 {
+                state.error = Some(format!(
+                    "No numeric values found in column '{}'",
+                    state.name
+                ));
+                continue;
+            }
+            // Calendar edges only need the range of the column
+            if let Some(interval) = context.interval {
+                let (min, max) = (state.stats.min.unwrap(), state.stats.max.unwrap());
+                match interval_breaks(interval, min, max, state.temporal.as_ref()) {
+                    Ok(breaks) => state.breaks = breaks,
+                    Err(e) => state.error = Some(e.to_string()),
+                }
+                continue;
+            }
+            let algorithm = context
+                .algorithm
+                .as_ref()
+                .ok_or("Algorithm is required when custom bins are not provided")?;
+            let auto = match context
+                .rule
+                .map(|rule| auto_bins(rule, &streamed_shape(&state.stats, &state.sketch)))
+                .transpose()
+            {
+                Ok(auto) => auto,
+                Err(e) => {
+                    state.error = Some(e);
+                    continue;
+                }
+            };
+            let num_bins = auto.as_ref().map_or(context.num_bins, |auto| auto.num_bins);
+            let streamed = match compute_streamed_breaks(
+                algorithm,
+                num_bins,
+                context.std_dev_size,
+                &context.log_scale,
+                &state.stats,
+                &state.sketch,
+            ) {
+                Ok(streamed) => streamed,
+                Err(e) => {
+                    state.error = Some(e);
+                    continue;
+                }
+            };
+            state.breaks = streamed.breaks;
+            state.exact = streamed.exact;
+            state.rank_error = streamed.rank_error;
+
+            if let Some(auto) = &auto {
+                if let Some(edges) = auto.width_breaks(algorithm) {
+                    state.breaks = edges;
+                }
+                // A count derived from the estimated IQR is itself an estimate
+                if auto.rule.uses_iqr() && !state.sketch.is_exact() {
+                    state.exact = false;
+                    state.rank_error = state.sketch.rank_error();
+                }
+            }
+            state.auto = auto;
+
+            if context.nice {
+                let snapped = snap_breaks(&state.breaks, state.stats.max.unwrap());
+                state.unsnapped = Some(std::mem::replace(&mut state.breaks, snapped));
+            }
+        }
+    }
+
+    for state in states.iter_mut().filter(binned) {
+        match BinLayout::new(&state.breaks).map(|layout| layout.with_closure(context.closure())) {
+            Ok(layout) => {
+                state.bin_stats = layout.empty_stats();
+                state.layout = Some(layout);
+            }
+            Err(e) => state.error = Some(e.to_string()),
+        }
+    }
+
+    // Second pass: count each batch into the bins, or by value
+    scan.for_each(|df| {
+        for state in states.iter_mut().filter(|state| state.error.is_none()) {
+            if state.categorical {
+                match extract_category_values(context, df, &state.name) {
+                    Ok(extracted) => {
+                        state.categories.merge(&extracted);
+                        state.total_rows += df.height();
+                    }
+                    Err(e) => state.error = Some(e.to_string()),
+                }
+                continue;
+            }
+            let extracted = match extract_column_values(context, df, &state.name) {
+                Ok(extracted) => extracted,
+                Err(e) => {
+                    state.error = Some(e.to_string());
+                    continue;
+                }
+            };
+            let layout = state.layout.as_ref().unwrap();
+            let batch_stats = layout.collect(&extracted.values, extracted.weights.as_deref());
+            for (total, batch) in state.bin_stats.iter_mut().zip(&batch_stats) {
+                total.merge(batch);
+            }
+            if context.summary_percentiles.is_some() {
+                let mut summary = SummarySketch::default();
+                for &value in &extracted.values {
+                    summary.update(value);
+                }
+                state.summary.merge(&summary);
+            }
+            if let Some(unsnapped) = &state.unsnapped {
+                state.shift.merge(&SnapShift::between(
+                    &extracted.values,
+                    extracted.weights.as_deref(),
+                    unsnapped,
+                    &state.breaks,
+                    context.closure(),
+                ));
+            }
+
+            state.total_rows += df.height();
+            state.numeric_values += extracted.values.len();
+            state.null_count += extracted.null_count;
+            state.null_weight += extracted.null_weight;
+            state.total_weight += extracted.total_weight().unwrap_or(0.0);
+            state.null_weights += extracted.null_weights;
+            state.negative_weights += extracted.negative_weights;
+            state.temporal = extracted.temporal;
+            state.integer = extracted.integer;
+        }
+        Ok(())
+    })?;
+
+    Ok(states
+        .into_iter()
+        .map(|state| (state.name.clone(), state.finish(context)))
+        .collect())
+}
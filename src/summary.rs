@@ -0,0 +1,205 @@
+/*
+ * Column summary
+ *
+ * The optional `summary` block of the metadata (--summary) describes the
+ * distribution of a column so profiling jobs need no second tool: its range,
+ * mean, standard deviation, skewness, kurtosis, distinct count and percentiles.
+ * Every value counts once, as for the bin count rules. In memory the summary is
+ * exact; streaming mode builds it from mergeable sketches during the counting
+ * pass, so the percentiles and the distinct count become estimates on large
+ * inputs.
+ */
+
+use crate::histogram::BinValue;
+use crate::rules::percentile;
+use crate::sketch::{DistinctSketch, KllSketch, RunningStats};
+use crate::temporal::TemporalKind;
+use serde::{Deserialize, Deserializer, Serialize, Serializer};
+use std::collections::HashMap;
+
+/// The percentiles reported unless others are given
+pub const DEFAULT_PERCENTILES: [f64; 7] = [1.0, 5.0, 25.0, 50.0, 75.0, 95.0, 99.0];
+
+/// The distribution of the numeric values of a column
+#[derive(Debug, Clone, PartialEq, Serialize, Deserialize)]
+pub struct ColumnSummary {
+    pub min: BinValue,
+    pub max: BinValue,
+    pub mean: BinValue,
+    /// Population standard deviation, in the units of the column
+    pub std: f64,
+    /// Population skewness (the third standardized moment)
+    pub skewness: f64,
+    /// Population excess kurtosis (0 for a normal distribution)
+    pub kurtosis: f64,
+    /// The number of distinct values
+    pub distinct: usize,
+    /// The value at each requested percentile, keyed p1, p5, ...
+    #[serde(with = "percentile_keys")]
+    pub percentiles: Vec<(f64, BinValue)>,
+    /// Whether the percentiles and the distinct count are exact (false when
+    /// estimated from sketches in streaming mode)
+    pub exact: bool,
+}
+
+impl ColumnSummary {
+    /// Summarize the values of a column
+    ///
+    /// # Arguments
+    /// * `values` - The numeric values of the column
+    /// * `percentiles` - The percentiles to report, between 0 and 100
+    /// * `temporal` - The kind of a temporal column, to format its values
+    ///
+    /// # Returns
+    /// The summary, or None when there are no values
+    pub fn from_values(
+        values: &[f64],
+        percentiles: &[f64],
+        temporal: Option<&TemporalKind>,
+    ) -> Option<Self> {
+        let moments = values
+            .iter()
+            .fold(RunningStats::default(), |mut moments, &value| {
+                moments.update(value);
+                moments
+            });
+
+        let mut sorted = values.to_vec();
+        sorted.sort_by(f64::total_cmp);
+        let distinct = sorted.chunk_by(|a, b| a == b).count();
+        let at = |rank| percentile(&sorted, rank);
+        build(&moments, at, distinct, true, percentiles, temporal)
+    }
+}
+
+/// What streaming mode gathers for the summary of a column, batch by batch
+#[derive(Debug, Clone, Default)]
+pub struct SummarySketch {
+    moments: RunningStats,
+    quantiles: KllSketch,
+    distinct: DistinctSketch,
+}
+
+impl SummarySketch {
+    /// Add a value to the sketch
+    pub fn update(&mut self, value: f64) {
+        self.moments.update(value);
+        self.quantiles.update(value);
+        self.distinct.update(value);
+    }
+
+    /// Fold the sketch of another batch into this one
+    pub fn merge(&mut self, other: &SummarySketch) {
+        self.moments.merge(&other.moments);
+        self.quantiles.merge(&other.quantiles);
+        self.distinct.merge(&other.distinct);
+    }
+
+    /// Summarize the values the sketch has seen
+    ///
+    /// While the quantile sketch still holds every value the percentiles are
+    /// interpolated exactly as in memory; after that they are estimates within
+    /// the sketch's rank error.
+    ///
+    /// # Arguments
+    /// * `percentiles` - The percentiles to report, between 0 and 100
+    /// * `temporal` - The kind of a temporal column, to format its values
+    ///
+    /// # Returns
+    /// The summary, or None when no values were seen
+    pub fn finish(
+        &self,
+        percentiles: &[f64],
+        temporal: Option<&TemporalKind>,
+    ) -> Option<ColumnSummary> {
+        let exact = self.quantiles.is_exact() && self.distinct.is_exact();
+        // Every item of an exact sketch stands for one value
+        let sorted = self
+            .quantiles
+            .is_exact()
+            .then(|| self.quantiles.weighted_items().0);
+        let at = |rank| match &sorted {
+            Some(sorted) => percentile(sorted, rank),
+            None => self.quantiles.quantile(rank).unwrap_or_default(),
+        };
+        build(
+            &self.moments,
+            at,
+            self.distinct.count(),
+            exact,
+            percentiles,
+            temporal,
+        )
+    }
+}
+
+/// Build a summary from the running moments of the values
+///
+/// # Arguments
+/// * `moments` - The running moments of the values
+/// * `at` - The value at a rank between 0 and 1
+/// * `distinct` - The number of distinct values
+/// * `exact` - Whether the percentiles and the distinct count are exact
+/// * `percentiles` - The percentiles to report, between 0 and 100
+/// * `temporal` - The kind of a temporal column, to format its values
+fn build(
+    moments: &RunningStats,
+    at: impl Fn(f64) -> f64,
+    distinct: usize,
+    exact: bool,
+    percentiles: &[f64],
+    temporal: Option<&TemporalKind>,
+) -> Option<ColumnSummary> {
+    let (min, max) = moments.min.zip(moments.max)?;
+    let value = |value| BinValue::new(value, temporal);
+
+    Some(ColumnSummary {
+        min: value(min),
+        max: value(max),
+        mean: value(moments.mean),
+        std: moments.std_dev(),
+        skewness: moments.skewness(),
+        kurtosis: moments.kurtosis(),
+        distinct,
+        percentiles: percentiles
+            .iter()
+            .map(|&percent| (percent, value(at(percent / 100.0))))
+            .collect(),
+        exact,
+    })
+}
+
+/// Percentiles as an object keyed p1, p5, ... in the requested order
+mod percentile_keys {
+    use super::*;
+
+    pub fn serialize<S: Serializer>(
+        percentiles: &[(f64, BinValue)],
+        serializer: S,
+    ) -> Result<S::Ok, S::Error> {
+        serializer.collect_map(
+            percentiles
+                .iter()
+                .map(|(percent, value)| (format!("p{}", percent), value)),
+        )
+    }
+
+    pub fn deserialize<'de, D: Deserializer<'de>>(
+        deserializer: D,
+    ) -> Result<Vec<(f64, BinValue)>, D::Error> {
+        let keyed = HashMap::<String, BinValue>::deserialize(deserializer)?;
+        let mut percentiles = keyed
+            .into_iter()
+            .map(|(key, value)| {
+                let percent = key
+                    .strip_prefix('p')
+                    .and_then(|percent| percent.parse().ok());
+                percent
+                    .map(|percent| (percent, value))
+                    .ok_or_else(|| serde::de::Error::custom(format!("invalid percentile {}", key)))
+            })
+            .collect::<Result<Vec<(f64, BinValue)>, D::Error>>()?;
+        percentiles.sort_by(|a, b| a.0.total_cmp(&b.0));
+        Ok(percentiles)
+    }
+}
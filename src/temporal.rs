@@ -0,0 +1,341 @@
+/*
+ * Date, datetime and duration support
+ *
+ * Temporal columns are binned on their underlying epoch values (days for dates,
+ * the column's time unit for datetimes and durations). This module turns those
+ * values back into ISO-8601 strings for the output, and lays out calendar-aligned
+ * edges (day, week, month, quarter, year) in a timezone.
+ */
+
+use chrono::{DateTime, Datelike, Months, NaiveDate, NaiveDateTime, SecondsFormat, TimeZone, Utc};
+use chrono_tz::Tz;
+use std::str::FromStr;
+
+const NANOS_PER_DAY: f64 = 86_400_000_000_000.0;
+
+/// The most edges --interval lays out, so a far outlier cannot exhaust memory
+pub const MAX_CALENDAR_EDGES: usize = 100_000;
+
+/// The resolution of datetime and duration values
+#[derive(Debug, Clone, Copy, PartialEq)]
+pub enum TimeUnit {
+    Milliseconds,
+    Microseconds,
+    Nanoseconds,
+}
+
+impl TimeUnit {
+    fn nanos(&self) -> f64 {
+        match self {
+            TimeUnit::Milliseconds => 1_000_000.0,
+            TimeUnit::Microseconds => 1_000.0,
+            TimeUnit::Nanoseconds => 1.0,
+        }
+    }
+}
+
+/// The kind of temporal column being binned
+#[derive(Debug, Clone, PartialEq)]
+pub enum TemporalKind {
+    /// Days since 1970-01-01
+    Date,
+    /// Time since the Unix epoch, shown in the timezone when one is set
+    Datetime {
+        unit: TimeUnit,
+        timezone: Option<Tz>,
+    },
+    /// A length of time
+    Duration { unit: TimeUnit },
+}
+
+/// Calendar units for aligned bins
+#[derive(Debug, Clone, Copy, PartialEq)]
+#[cfg_attr(feature = "cli", derive(clap::ValueEnum))]
+pub enum CalendarInterval {
+    Day,
+    /// ISO weeks, starting on Monday
+    Week,
+    Month,
+    Quarter,
+    Year,
+}
+
+impl CalendarInterval {
+    /// The name recorded in the output metadata
+    pub fn name(&self) -> &'static str {
+        match self {
+            CalendarInterval::Day => "day",
+            CalendarInterval::Week => "week",
+            CalendarInterval::Month => "month",
+            CalendarInterval::Quarter => "quarter",
+            CalendarInterval::Year => "year",
+        }
+    }
+
+    /// The first day of the interval containing a date
+    fn floor(&self, date: NaiveDate) -> NaiveDate {
+        let first_of = |month: u32| NaiveDate::from_ymd_opt(date.year(), month, 1).unwrap();
+        match self {
+            CalendarInterval::Day => date,
+            CalendarInterval::Week => {
+                date - chrono::Duration::days(date.weekday().num_days_from_monday() as i64)
+            }
+            CalendarInterval::Month => first_of(date.month()),
+            CalendarInterval::Quarter => first_of((date.month() - 1) / 3 * 3 + 1),
+            CalendarInterval::Year => first_of(1),
+        }
+    }
+
+    /// The first day of the next interval
+    fn next(&self, date: NaiveDate) -> Option<NaiveDate> {
+        match self {
+            CalendarInterval::Day => date.succ_opt(),
+            CalendarInterval::Week => date.checked_add_signed(chrono::Duration::days(7)),
+            CalendarInterval::Month => date.checked_add_months(Months::new(1)),
+            CalendarInterval::Quarter => date.checked_add_months(Months::new(3)),
+            CalendarInterval::Year => date.checked_add_months(Months::new(12)),
+        }
+    }
+}
+
+/// Parse an IANA timezone name such as "Europe/Paris" or "UTC"
+pub fn parse_timezone(name: &str) -> Result<Tz, String> {
+    Tz::from_str(name).map_err(|_| format!("Unknown timezone: '{}'", name))
+}
+
+impl TemporalKind {
+    /// The type name recorded in the output metadata
+    pub fn type_name(&self) -> &'static str {
+        match self {
+            TemporalKind::Date => "date",
+            TemporalKind::Datetime { .. } => "datetime",
+            TemporalKind::Duration { .. } => "duration",
+        }
+    }
+
+    /// The unit of the underlying values (and of metadata.bin_edges)
+    pub fn unit_name(&self) -> &'static str {
+        match self {
+            TemporalKind::Date => "days",
+            TemporalKind::Datetime { unit, .. } | TemporalKind::Duration { unit } => match unit {
+                TimeUnit::Milliseconds => "ms",
+                TimeUnit::Microseconds => "us",
+                TimeUnit::Nanoseconds => "ns",
+            },
+        }
+    }
+
+    /// The timezone values are shown and aligned in, if any
+    pub fn timezone(&self) -> Option<Tz> {
+        match self {
+            TemporalKind::Datetime { timezone, .. } => *timezone,
+            _ => None,
+        }
+    }
+
+    fn nanos_per_unit(&self) -> f64 {
+        match self {
+            TemporalKind::Date => NANOS_PER_DAY,
+            TemporalKind::Datetime { unit, .. } | TemporalKind::Duration { unit } => unit.nanos(),
+        }
+    }
+
+    /// The value in nanoseconds, or None past the roughly 292 years either side
+    /// of 1970 that an i64 holds
+    fn to_nanos(&self, value: f64) -> Option<i64> {
+        let nanos = (value * self.nanos_per_unit()).round();
+        // i64::MAX converts to 2^63, which is itself out of range
+        (nanos >= i64::MIN as f64 && nanos < i64::MAX as f64).then_some(nanos as i64)
+    }
+
+    fn from_nanos(&self, nanos: i64) -> f64 {
+        nanos as f64 / self.nanos_per_unit()
+    }
+
+    /// Check that a value can be shown and aligned
+    ///
+    /// Datetimes and durations are handled in nanoseconds, so they must fall
+    /// between 1677-09-21 and 2262-04-11 (or be shorter than about 292 years);
+    /// dates must fall in the range of the calendar.
+    pub fn check_range(&self, value: f64) -> Result<(), String> {
+        let in_range = match self {
+            TemporalKind::Date => date_time(value).is_some(),
+            _ => self.to_nanos(value).is_some(),
+        };
+        if in_range {
+            return Ok(());
+        }
+        let supported = match self {
+            TemporalKind::Date => "dates must fall between -262143-01-01 and +262142-12-31",
+            TemporalKind::Datetime { .. } => {
+                "datetimes must fall between 1677-09-21 and 2262-04-11"
+            }
+            TemporalKind::Duration { .. } => "durations must be shorter than about 292 years",
+        };
+        Err(format!(
+            "The {} value {} {} is out of range; {}",
+            self.type_name(),
+            value,
+            self.unit_name(),
+            supported
+        ))
+    }
+
+    /// Format an underlying value as ISO-8601
+    ///
+    /// Dates print as 2024-03-01 (with a time when the value falls between days),
+    /// datetimes as 2024-03-01T12:00:00 with the offset of their timezone, and
+    /// durations as P1DT2H30M. A value out of range (see check_range) prints as
+    /// the plain number.
+    pub fn format(&self, value: f64) -> String {
+        let formatted = match self {
+            TemporalKind::Date => date_time(value).map(|datetime| {
+                if value.fract() == 0.0 {
+                    datetime.format("%Y-%m-%d").to_string()
+                } else {
+                    format_naive(datetime)
+                }
+            }),
+            TemporalKind::Datetime { timezone, .. } => self.to_nanos(value).map(|nanos| {
+                let instant = DateTime::from_timestamp_nanos(nanos);
+                match timezone {
+                    Some(tz) => instant
+                        .with_timezone(tz)
+                        .to_rfc3339_opts(SecondsFormat::AutoSi, true),
+                    None => format_naive(instant.naive_utc()),
+                }
+            }),
+            TemporalKind::Duration { .. } => self.to_nanos(value).map(format_duration),
+        };
+        formatted.unwrap_or_else(|| value.to_string())
+    }
+
+    /// Calendar-aligned bin edges covering a range of values
+    ///
+    /// The first edge is the start of the interval containing min (midnight in the
+    /// timezone, or UTC without one) and the last is the first boundary after max,
+    /// so every value falls inside an interval. Ranges that need more than
+    /// MAX_CALENDAR_EDGES edges are rejected.
+    ///
+    /// # Arguments
+    /// * `interval` - The calendar unit of each bin
+    /// * `min` - The smallest underlying value
+    /// * `max` - The largest underlying value
+    pub fn calendar_edges(
+        &self,
+        interval: CalendarInterval,
+        min: f64,
+        max: f64,
+    ) -> Result<Vec<f64>, String> {
+        if let TemporalKind::Duration { .. } = self {
+            return Err(
+                "--interval requires a Date or Datetime column, not a Duration".to_string(),
+            );
+        }
+        let tz = self.timezone().unwrap_or(Tz::UTC);
+
+        // The instant of midnight at the start of a local date
+        let start_of = |date: NaiveDate| -> Result<f64, String> {
+            let midnight = date.and_hms_opt(0, 0, 0).unwrap();
+            let local = match self {
+                TemporalKind::Date => return Ok((date - NaiveDate::default()).num_days() as f64),
+                _ => tz
+                    .from_local_datetime(&midnight)
+                    .earliest()
+                    // Midnight can fall in a DST gap; the day then starts an hour later
+                    .or_else(|| {
+                        tz.from_local_datetime(&(midnight + chrono::Duration::hours(1)))
+                            .earliest()
+                    })
+                    .ok_or_else(|| format!("No local midnight on {} in {}", date, tz))?,
+            };
+            let nanos = local
+                .timestamp_nanos_opt()
+                .ok_or_else(|| format!("{} is out of range", date))?;
+            Ok(self.from_nanos(nanos))
+        };
+
+        self.check_range(min)?;
+        self.check_range(max)?;
+        let first_day = match self {
+            TemporalKind::Date => date_time(min).unwrap().date(),
+            _ => DateTime::<Utc>::from_timestamp_nanos(self.to_nanos(min).unwrap())
+                .with_timezone(&tz)
+                .date_naive(),
+        };
+        let mut date = interval.floor(first_day);
+        let mut edges = vec![start_of(date)?];
+
+        while *edges.last().unwrap() <= max {
+            if edges.len() == MAX_CALENDAR_EDGES {
+                return Err(format!(
+                    "--interval {} needs more than {} edges to cover {} to {}; use a longer interval or leave out the outliers with --where",
+                    interval.name(),
+                    MAX_CALENDAR_EDGES,
+                    self.format(min),
+                    self.format(max)
+                ));
+            }
+            date = interval
+                .next(date)
+                .ok_or_else(|| format!("{} is out of range", date))?;
+            edges.push(start_of(date)?);
+        }
+
+        Ok(edges)
+    }
+}
+
+/// The date and time of a Date value, which may fall between days, or None
+/// outside the range of the calendar
+fn date_time(value: f64) -> Option<NaiveDateTime> {
+    if !value.is_finite() {
+        return None;
+    }
+    let days = value.floor();
+    let nanos = ((value - days) * NANOS_PER_DAY).round() as i64;
+    NaiveDate::default()
+        .and_hms_opt(0, 0, 0)?
+        .checked_add_signed(chrono::Duration::try_days(days as i64)?)?
+        .checked_add_signed(chrono::Duration::nanoseconds(nanos))
+}
+
+/// Format a datetime without a timezone, with fractional seconds only when present
+fn format_naive(datetime: NaiveDateTime) -> String {
+    datetime.format("%Y-%m-%dT%H:%M:%S%.f").to_string()
+}
+
+/// Format a length of time as an ISO-8601 duration such as P1DT2H30M or PT0.5S
+fn format_duration(nanos: i64) -> String {
+    let sign = if nanos < 0 { "-" } else { "" };
+    let mut rest = nanos.unsigned_abs();
+
+    let nanos_per_second: u64 = 1_000_000_000;
+    let days = rest / (86_400 * nanos_per_second);
+    rest %= 86_400 * nanos_per_second;
+    let hours = rest / (3_600 * nanos_per_second);
+    rest %= 3_600 * nanos_per_second;
+    let minutes = rest / (60 * nanos_per_second);
+    rest %= 60 * nanos_per_second;
+
+    let mut text = format!("{}P", sign);
+    if days > 0 {
+        text.push_str(&format!("{}D", days));
+    }
+    if hours > 0 || minutes > 0 || rest > 0 || days == 0 {
+        text.push('T');
+        if hours > 0 {
+            text.push_str(&format!("{}H", hours));
+        }
+        if minutes > 0 {
+            text.push_str(&format!("{}M", minutes));
+        }
+        if rest > 0 || (hours == 0 && minutes == 0) {
+            let seconds = format!("{}.{:09}", rest / nanos_per_second, rest % nanos_per_second);
+            let seconds = seconds.trim_end_matches('0').trim_end_matches('.');
+            text.push_str(&format!("{}S", seconds));
+        }
+    }
+
+    text
+}
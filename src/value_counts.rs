@@ -0,0 +1,175 @@
+/*
+ * Value counts
+ *
+ * Reads string, categorical and boolean columns (or any column with --categorical)
+ * into per-value counts and builds their result in the HistogramResult envelope,
+ * so value counts and numeric histograms can be handled by the same code.
+ */
+
+use crate::{
+    BinningContext, GroupPart, SkippedWeights, base_metadata, partition_groups, row_weight,
+    weight_series,
+};
+use binner::categorical::CategoryCounts;
+use binner::histogram::{HistogramGroup, HistogramMetadata, HistogramResult};
+use polars::prelude::*;
+use std::error::Error;
+
+/// The value counts of a column along with the rows skipped for their weight
+#[derive(Debug, Default)]
+pub struct CategoryValues {
+    pub counts: CategoryCounts,
+    pub skipped: SkippedWeights,
+}
+
+impl CategoryValues {
+    /// Fold the counts of another batch into these
+    pub fn merge(&mut self, other: &CategoryValues) {
+        self.counts.merge(&other.counts);
+        self.skipped.null += other.skipped.null;
+        self.skipped.negative += other.skipped.negative;
+    }
+}
+
+/// Whether a column of this type is counted by value instead of binned
+pub fn is_categorical(context: &BinningContext, dtype: &DataType) -> bool {
+    context.categorical
+        || dtype.is_string()
+        || dtype.is_bool()
+        || dtype.is_categorical()
+        || dtype.is_enum()
+}
+
+/// The category of a value, or None for nulls
+fn category_value(value: &AnyValue) -> Option<String> {
+    match value {
+        AnyValue::Null => None,
+        AnyValue::Boolean(b) => Some(b.to_string()),
+        // Rust's formatting leaves whole floats without a trailing ".0"
+        AnyValue::Float64(f) => Some(f.to_string()),
+        AnyValue::Float32(f) => Some(f.to_string()),
+        other => Some(match other.get_str() {
+            Some(s) => s.to_string(),
+            None => other.to_string(),
+        }),
+    }
+}
+
+/// Count the values of a column, weighting them when a weight column is used
+pub fn extract_category_values(
+    context: &BinningContext,
+    df: &DataFrame,
+    column: &str,
+) -> Result<CategoryValues, Box<dyn Error>> {
+    let series = df.column(column)?;
+    let weights = weight_series(context, df)?;
+    let mut extracted = CategoryValues::default();
+
+    for i in 0..series.len() {
+        let weight = match weights {
+            Some((weight_column, weight_series)) => {
+                let skipped = &mut extracted.skipped;
+                match row_weight(context, weight_column, weight_series, i, skipped)? {
+                    Some(weight) => weight,
+                    None => continue,
+                }
+            }
+            None => 1.0,
+        };
+        let value = category_value(&series.get(i)?);
+        extracted.counts.add(value.as_deref(), weight);
+    }
+
+    Ok(extracted)
+}
+
+/// The result for the value counts of a column, without groups
+///
+/// # Arguments
+/// * `context` - The binning settings
+/// * `column` - The name of the column
+/// * `total_rows` - The number of rows read
+/// * `extracted` - The value counts of the column
+pub fn category_result(
+    context: &BinningContext,
+    column: &str,
+    total_rows: usize,
+    extracted: &CategoryValues,
+) -> HistogramResult {
+    let counts = &extracted.counts;
+    let weighted = context.weight_column.is_some();
+    let categories = counts.select(context.top, context.category_order);
+
+    let metadata = HistogramMetadata {
+        algorithm: None,
+        num_bins: None,
+        std_dev_size: None,
+        interval: None,
+        numeric_values: counts.value_count(),
+        null_values: counts.null_count(),
+        total_weight: weighted.then(|| counts.total_weight()),
+        null_weights: weighted.then_some(extracted.skipped.null),
+        negative_weights: weighted.then_some(extracted.skipped.negative),
+        categorical: Some(true),
+        distinct_values: Some(counts.distinct_values()),
+        top: context.top,
+        sort: Some(context.category_order.name().to_string()),
+        // Value counts have no edges to close or bins outside them
+        closed: None,
+        include_lowest: None,
+        outer_bins: None,
+        ..base_metadata(context, column, total_rows)
+    };
+
+    HistogramResult {
+        metadata,
+        bins: counts.to_bins(&categories, weighted),
+        groups: None,
+    }
+}
+
+/// Count the values of a column, split by the group-by columns when given
+///
+/// Groups show the categories chosen for the whole column, so their bins line up,
+/// unless per-group edges were requested: each group then keeps its own top values.
+pub fn bin_categories(
+    context: &BinningContext,
+    df: &DataFrame,
+    column: &str,
+) -> Result<HistogramResult, Box<dyn Error>> {
+    let extracted = extract_category_values(context, df, column)?;
+    let result = category_result(context, column, df.height(), &extracted);
+
+    if context.group_by.is_empty() {
+        return Ok(result);
+    }
+
+    let weighted = context.weight_column.is_some();
+    let shared = extracted.counts.select(context.top, context.category_order);
+    let mut groups = Vec::new();
+
+    for GroupPart { key, label, part } in partition_groups(context, df)? {
+        let counts = extract_category_values(context, &part, column)?.counts;
+        let categories = if context.per_group_edges {
+            counts.select(context.top, context.category_order)
+        } else {
+            shared.clone()
+        };
+
+        groups.push(HistogramGroup {
+            key,
+            label,
+            total_rows: part.height(),
+            numeric_values: counts.value_count(),
+            null_values: counts.null_count(),
+            total_weight: weighted.then(|| counts.total_weight()),
+            bin_edges: Vec::new(),
+            bins: counts.to_bins(&categories, weighted),
+        });
+    }
+
+    Ok(HistogramResult {
+        groups: Some(groups),
+        ..result
+    })
+}
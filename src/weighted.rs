@@ -0,0 +1,226 @@
+/*
+ * Weighted classification algorithms
+ *
+ * Weighted counterparts of the quantile and Jenks classifications, used when each
+ * row stands for a weight rather than a single unit (e.g. survey data).
+ * Both return the bin_start of every class, like the unweighted algorithms.
+ */
+
+/// Sort values with their weights and merge duplicate values
+///
+/// # Returns
+/// The distinct values in ascending order and the summed weight of each
+fn sorted_distinct(values: &[f64], weights: &[f64]) -> (Vec<f64>, Vec<f64>) {
+    let mut pairs: Vec<(f64, f64)> = values
+        .iter()
+        .copied()
+        .zip(weights.iter().copied())
+        .collect();
+    pairs.sort_by(|a, b| a.0.partial_cmp(&b.0).unwrap());
+
+    let mut distinct: Vec<f64> = Vec::new();
+    let mut totals: Vec<f64> = Vec::new();
+    for (value, weight) in pairs {
+        if distinct.last() == Some(&value) {
+            *totals.last_mut().unwrap() += weight;
+        } else {
+            distinct.push(value);
+            totals.push(weight);
+        }
+    }
+
+    (distinct, totals)
+}
+
+/// Weighted quantile classification
+///
+/// A new class starts at the first value whose cumulative weight, counted up to
+/// the middle of its own weight, reaches the next multiple of total_weight / num_bins.
+/// Counting half of each weight lets a single heavy value start its own class.
+///
+/// # Arguments
+/// * `num_bins` - The number of classes to create
+/// * `values` - The data values
+/// * `weights` - The weight of each value (non-negative)
+pub fn get_weighted_quantile_breaks(num_bins: usize, values: &[f64], weights: &[f64]) -> Vec<f64> {
+    let (distinct, totals) = sorted_distinct(values, weights);
+    if distinct.is_empty() {
+        return Vec::new();
+    }
+
+    let total_weight: f64 = totals.iter().sum();
+    let mut starts = vec![distinct[0]];
+    let mut cumulative = 0.0;
+    let mut next_class = 1;
+
+    for (&value, &weight) in distinct.iter().zip(&totals) {
+        // Values without weight never start a class
+        if weight <= 0.0 {
+            continue;
+        }
+        let midpoint = cumulative + weight / 2.0;
+        while next_class < num_bins
+            && midpoint >= total_weight * next_class as f64 / num_bins as f64
+        {
+            if value > *starts.last().unwrap() {
+                starts.push(value);
+            }
+            next_class += 1;
+        }
+        cumulative += weight;
+    }
+
+    starts
+}
+
+/// Prefix sums for the weighted within-class sum of squares
+struct PrefixSums {
+    weight: Vec<f64>,
+    weighted: Vec<f64>,
+    weighted_squares: Vec<f64>,
+}
+
+impl PrefixSums {
+    fn new(values: &[f64], weights: &[f64]) -> Self {
+        let mut sums = PrefixSums {
+            weight: vec![0.0],
+            weighted: vec![0.0],
+            weighted_squares: vec![0.0],
+        };
+        for (&x, &w) in values.iter().zip(weights) {
+            sums.weight.push(sums.weight.last().unwrap() + w);
+            sums.weighted.push(sums.weighted.last().unwrap() + w * x);
+            sums.weighted_squares
+                .push(sums.weighted_squares.last().unwrap() + w * x * x);
+        }
+        sums
+    }
+
+    /// Weighted sum of squared deviations from the mean for values[start..=end]
+    fn cost(&self, start: usize, end: usize) -> f64 {
+        let w = self.weight[end + 1] - self.weight[start];
+        if w <= 0.0 {
+            return 0.0;
+        }
+        let s1 = self.weighted[end + 1] - self.weighted[start];
+        let s2 = self.weighted_squares[end + 1] - self.weighted_squares[start];
+        (s2 - s1 * s1 / w).max(0.0)
+    }
+}
+
+/// Fill one row of the dynamic programming table by divide and conquer
+///
+/// The optimal start of the last class is monotone in the end index, so each
+/// row can be computed in O(n log n) instead of O(n^2).
+#[allow(clippy::too_many_arguments)]
+fn fill_row(
+    sums: &PrefixSums,
+    previous: &[f64],
+    current: &mut [f64],
+    splits: &mut [usize],
+    class: usize,
+    low: usize,
+    high: usize,
+    split_low: usize,
+    split_high: usize,
+) {
+    if low > high {
+        return;
+    }
+    let mid = (low + high) / 2;
+    let mut best = (f64::INFINITY, split_low.max(class));
+
+    for start in split_low.max(class)..=split_high.min(mid) {
+        let cost = previous[start - 1] + sums.cost(start, mid);
+        if cost < best.0 {
+            best = (cost, start);
+        }
+    }
+
+    current[mid] = best.0;
+    splits[mid] = best.1;
+
+    if mid > low {
+        fill_row(
+            sums,
+            previous,
+            current,
+            splits,
+            class,
+            low,
+            mid - 1,
+            split_low,
+            best.1,
+        );
+    }
+    fill_row(
+        sums,
+        previous,
+        current,
+        splits,
+        class,
+        mid + 1,
+        high,
+        best.1,
+        split_high,
+    );
+}
+
+/// Weighted Jenks natural breaks
+///
+/// Optimal 1D k-means on the distinct values with their summed weights
+/// (the weighted form of Ckmeans.1d.dp), minimizing the weighted within-class
+/// sum of squares.
+///
+/// # Arguments
+/// * `num_bins` - The number of classes to create
+/// * `values` - The data values
+/// * `weights` - The weight of each value (non-negative)
+pub fn get_weighted_jenks_breaks(num_bins: usize, values: &[f64], weights: &[f64]) -> Vec<f64> {
+    let (distinct, totals) = sorted_distinct(values, weights);
+    let n = distinct.len();
+    let num_classes = num_bins.min(n);
+    if num_classes == 0 {
+        return Vec::new();
+    }
+
+    let sums = PrefixSums::new(&distinct, &totals);
+
+    // costs[k][i]: minimal cost of splitting distinct[0..=i] into k + 1 classes
+    // splits[k][i]: index where the last of those classes starts
+    let mut costs = vec![vec![0.0; n]; num_classes];
+    let mut splits = vec![vec![0usize; n]; num_classes];
+    for i in 0..n {
+        costs[0][i] = sums.cost(0, i);
+    }
+
+    for class in 1..num_classes {
+        let (done, rest) = costs.split_at_mut(class);
+        fill_row(
+            &sums,
+            &done[class - 1],
+            &mut rest[0],
+            &mut splits[class],
+            class,
+            class,
+            n - 1,
+            class,
+            n - 1,
+        );
+    }
+
+    // Walk back from the last class to collect where each class starts
+    let mut starts = Vec::with_capacity(num_classes);
+    let mut end = n - 1;
+    for class in (0..num_classes).rev() {
+        let start = if class == 0 { 0 } else { splits[class][end] };
+        starts.push(distinct[start]);
+        if start == 0 {
+            break;
+        }
+        end = start - 1;
+    }
+
+    starts.reverse();
+    starts
+}
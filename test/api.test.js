@@ -0,0 +1,149 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner, { BinnerError, run, toArgs } from '../index.js';
+import { getTestDataPath, ensureBinaryBuilt } from './cli-helper.js';
+
+describe('Node.js API', () => {
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+  });
+
+  it('should return a histogram result for an algorithm', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      algorithm: 'jenks',
+      numBins: 4,
+    });
+
+    expect(result.metadata.algorithm).toBe('Jenks');
+    expect(result.metadata.num_bins).toBe(4);
+    expect(result.metadata.column).toBe('weight');
+
+    const totalCount = result.bins.reduce((sum, bin) => sum + bin.count, 0);
+    expect(totalCount).toBe(result.metadata.numeric_values);
+  });
+
+  it('should pass custom bins including the null bin', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      bins: [60, 80, 100, null],
+    });
+
+    expect(result.metadata.algorithm).toBe(null);
+    expect(result.metadata.bin_edges).toEqual([60, 80, 100]);
+    expect(result.bins.find(bin => bin.kind === 'null')).toBeDefined();
+  });
+
+  it('should map options onto CLI flags', () => {
+    expect(
+      toArgs({
+        file: 'data.parquet',
+        column: 'score',
+        algorithm: 'standard-deviation',
+        numBins: 3,
+        stdDevSize: 0.5,
+      })
+    ).toEqual([
+      '-f',
+      'data.parquet',
+      '-c',
+      'score',
+      '-a',
+      'standard-deviation',
+      '-n',
+      '3',
+      '--std-dev-size',
+      '0.5',
+    ]);
+  });
+
+  it('should map the input format, closure and label options', () => {
+    expect(
+      toArgs({
+        file: 'data.txt',
+        format: 'csv',
+        column: 'score',
+        bins: [0, 10, 20],
+        closed: 'right',
+        includeLowest: true,
+        outerBins: 'merge',
+        dropEmpty: true,
+        labelPrecision: 1,
+        labelFormat: '{from} to {to}',
+        labelLocale: 'de-DE',
+        labelSuffix: 'si',
+      })
+    ).toEqual([
+      '-f',
+      'data.txt',
+      '-c',
+      'score',
+      '--format',
+      'csv',
+      '--closed',
+      'right',
+      '--include-lowest',
+      '--outer-bins',
+      'merge',
+      '--drop-empty',
+      '--label-precision',
+      '1',
+      '--label-format',
+      '{from} to {to}',
+      '--label-locale',
+      'de-DE',
+      '--label-suffix',
+      'si',
+      '--bins',
+      '0,10,20',
+    ]);
+  });
+
+  it('should keep characters split across output chunks whole', async () => {
+    // Write the two bytes of 'é' to stdout separately
+    const script =
+      'process.stdout.write(Buffer.from([0xc3]), () => setTimeout(() => process.stdout.write(Buffer.from([0xa9])), 50))';
+    const result = await run(['-e', script], {
+      binaryPath: process.execPath,
+    });
+
+    expect(result.stdout).toBe('é');
+  });
+
+  describe('Error handling', () => {
+    it('should reject missing options before spawning', async () => {
+      await expect(
+        binner({ file: getTestDataPath('athletes.parquet'), column: 'weight' })
+      ).rejects.toMatchObject({
+        name: 'BinnerError',
+        code: 'ERR_BINNER_INVALID_OPTIONS',
+      });
+    });
+
+    it('should reject with the exit code and stderr of a failed run', async () => {
+      const error = await binner({
+        file: getTestDataPath('athletes.parquet'),
+        column: 'non_existent_column',
+        algorithm: 'jenks',
+      }).catch(error => error);
+
+      expect(error).toBeInstanceOf(BinnerError);
+      expect(error.code).toBe('ERR_BINNER_EXIT');
+      expect(error.exitCode).not.toBe(0);
+      expect(error.stderr).toContain('Error');
+      expect(error.args).toContain('non_existent_column');
+    });
+
+    it('should reject when the binary cannot be found', async () => {
+      await expect(
+        binner({
+          file: getTestDataPath('athletes.parquet'),
+          column: 'weight',
+          algorithm: 'jenks',
+          binaryPath: 'binner-does-not-exist',
+        })
+      ).rejects.toMatchObject({ code: 'ERR_BINNER_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+// The rules as numpy.histogram_bin_edges defines them
+const describeValues = column => {
+  const values = [...column].filter(value => !Number.isNaN(value));
+  values.sort((a, b) => a - b);
+  const n = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const moment = power =>
+    values.reduce((sum, value) => sum + (value - mean) ** power, 0) / n;
+  const stdDev = Math.sqrt(moment(2));
+  const percentile = rank => {
+    const position = rank * (n - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return values[lower] + (values[upper] - values[lower]) * (position - lower);
+  };
+
+  return {
+    n,
+    min: values[0],
+    max: values[n - 1],
+    stdDev,
+    iqr: percentile(0.75) - percentile(0.25),
+    skewness: moment(3) / stdDev ** 3,
+  };
+};
+
+describe('Bin count rules', () => {
+  let weight;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    weight = describeValues(await readTestColumn('athletes.parquet', 'weight'));
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      ...args,
+    ]);
+
+  it('should use Sturges for --num-bins auto', async () => {
+    const result = await athletes('-a', 'quantile', '-n', 'auto');
+
+    expect(result.metadata).toMatchObject({
+      algorithm: 'Quantile',
+      rule: 'sturges',
+      num_bins: Math.ceil(Math.log2(weight.n) + 1),
+      bin_width: null,
+    });
+  });
+
+  it('should derive the count from the number of values', async () => {
+    const { n, skewness } = weight;
+    const skewError = Math.sqrt((6 * (n - 2)) / ((n + 1) * (n + 3)));
+    const expected = {
+      sqrt: Math.ceil(Math.sqrt(n)),
+      rice: Math.ceil(2 * Math.cbrt(n)),
+      doane: Math.ceil(
+        1 + Math.log2(n) + Math.log2(1 + Math.abs(skewness) / skewError)
+      ),
+    };
+
+    for (const [rule, numBins] of Object.entries(expected)) {
+      const result = await athletes('-a', 'quantile', '--rule', rule);
+      expect(result.metadata.rule).toBe(rule);
+      expect(result.metadata.num_bins).toBe(numBins);
+    }
+  });
+
+  it('should use the Freedman-Diaconis width for equal-interval bins', async () => {
+    const result = await athletes(
+      '-a',
+      'equal-interval',
+      '-n',
+      'auto',
+      '--rule',
+      'fd'
+    );
+    const width = (2 * weight.iqr) / Math.cbrt(weight.n);
+    const { bin_edges: edges, num_bins: numBins } = result.metadata;
+
+    expect(result.metadata.rule).toBe('fd');
+    expect(result.metadata.bin_width).toBeCloseTo(width, 10);
+    expect(numBins).toBe(Math.floor((weight.max - weight.min) / width) + 1);
+    expect(edges).toHaveLength(numBins + 1);
+    expect(edges[0]).toBe(weight.min);
+    edges.slice(1).forEach((edge, i) => {
+      expect(edge - edges[i]).toBeCloseTo(width, 8);
+    });
+
+    // Every bin has the same width, and the last one still takes the maximum
+    expect(edges.at(-1)).toBeGreaterThan(weight.max);
+    expect(result.bins.at(-1).count).toBe(0);
+    expect(result.bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(weight.n);
+  });
+
+  it("should turn Scott's width into a count for other algorithms", async () => {
+    const result = await athletes('-a', 'jenks', '--rule', 'scott');
+    const width =
+      Math.cbrt((24 * Math.sqrt(Math.PI)) / weight.n) * weight.stdDev;
+
+    expect(result.metadata.bin_width).toBeCloseTo(width, 10);
+    expect(result.metadata.num_bins).toBe(
+      Math.floor((weight.max - weight.min) / width) + 1
+    );
+    expect(result.metadata.bin_edges.length).toBeLessThanOrEqual(
+      result.metadata.num_bins + 1
+    );
+  });
+
+  it('should match in streaming mode', async () => {
+    const args = ['-a', 'equal-interval', '--rule', 'scott'];
+    const inMemory = await athletes(...args);
+    const streamed = await athletes(
+      ...args,
+      '--streaming',
+      '--batch-size',
+      '1000'
+    );
+
+    expect(streamed.metadata.num_bins).toBe(inMemory.metadata.num_bins);
+    expect(streamed.metadata.bin_width).toBeCloseTo(
+      inMemory.metadata.bin_width,
+      10
+    );
+    expect(streamed.bins.map(bin => bin.count)).toEqual(
+      inMemory.bins.map(bin => bin.count)
+    );
+  });
+
+  it('should reject a rule with a fixed number of bins', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '-n',
+      '5',
+      '--rule',
+      'rice',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('--rule needs --num-bins auto');
+  });
+
+  it('should fail when an outlier makes a width-based rule choose too many bins', async () => {
+    const values = Array.from({ length: 100 }, (_, i) => i + 1);
+    const result = await runCLI(
+      ['--stdin', '-a', 'equal-interval', '--rule', 'fd'],
+      { input: [...values, 1e12].join('\n') }
+    );
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('--rule fd needs more than 100000 bins');
+  });
+
+  it('should reject algorithms that do not take a bin count', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'head-tail',
+      '-n',
+      'auto',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain(
+      '--num-bins auto needs an algorithm that takes a bin count'
+    );
+  });
+
+  it('should pass numBins auto and rule through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      algorithm: 'quantile',
+      numBins: 'auto',
+      rule: 'rice',
+    });
+
+    expect(result.metadata.rule).toBe('rice');
+    expect(result.metadata.num_bins).toBe(Math.ceil(2 * Math.cbrt(weight.n)));
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+const EDGES = [0, 60, 80, 100, 200];
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const median = values => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+describe('Per-bin statistics with --stats', () => {
+  let column;
+  let weights;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    column = [...(await readTestColumn('athletes.parquet', 'weight'))];
+    weights = column.filter(value => !Number.isNaN(value));
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      ...args,
+    ]);
+
+  it('should leave the bins unchanged without --stats', async () => {
+    const result = await athletes('--bins', EDGES.join(','));
+
+    for (const bin of result.bins) {
+      expect(Object.keys(bin).sort()).toEqual(
+        ['bin_label', 'count', 'from', 'kind', 'max', 'min', 'to'].sort()
+      );
+    }
+  });
+
+  it('should match statistics recomputed from the values', async () => {
+    const result = await athletes(
+      '--bins',
+      EDGES.join(','),
+      '--stats',
+      'mean,median,sum,std'
+    );
+    const interior = result.bins.filter(
+      bin => bin.from !== null && bin.to !== null
+    );
+    expect(interior).toHaveLength(EDGES.length - 1);
+
+    for (const bin of interior) {
+      const values = weights.filter(
+        value => value >= bin.from && value < bin.to
+      );
+      const mean = sum(values) / values.length;
+      const variance =
+        sum(values.map(value => (value - mean) ** 2)) / values.length;
+
+      expect(bin.count).toBe(values.length);
+      expect(bin.mean).toBeCloseTo(mean, 6);
+      expect(bin.median).toBe(median(values));
+      expect(bin.sum).toBeCloseTo(sum(values), 6);
+      expect(bin.std).toBeCloseTo(Math.sqrt(variance), 6);
+    }
+
+    // Empty bins have no mean or median, but a sum of zero
+    const underflow = result.bins[0];
+    expect(underflow.count).toBe(0);
+    expect(underflow).not.toHaveProperty('mean');
+    expect(underflow).not.toHaveProperty('median');
+    expect(underflow.sum).toBe(0);
+  });
+
+  it('should give percentages of all rows and of the non-null values', async () => {
+    const result = await athletes(
+      '--bins',
+      [...EDGES, 'null'].join(','),
+      '--stats',
+      'pct'
+    );
+    const nulls = column.length - weights.length;
+    expect(nulls).toBeGreaterThan(0);
+
+    const nullBin = result.bins.at(-1);
+    expect(nullBin.bin_label).toBe('null');
+    expect(nullBin.pct).toBeCloseTo((100 * nulls) / column.length, 6);
+    expect(nullBin).not.toHaveProperty('pct_non_null');
+
+    expect(sum(result.bins.map(bin => bin.pct))).toBeCloseTo(100, 6);
+    const valueBins = result.bins.slice(0, -1);
+    expect(sum(valueBins.map(bin => bin.pct_non_null))).toBeCloseTo(100, 6);
+    for (const bin of valueBins) {
+      expect(bin.pct_non_null).toBeCloseTo(
+        (100 * bin.count) / weights.length,
+        6
+      );
+    }
+  });
+
+  it('should accumulate counts up to 100 percent', async () => {
+    const result = await athletes(
+      '-a',
+      'equal-interval',
+      '-n',
+      '5',
+      '--stats',
+      'cumulative'
+    );
+    const valueBins = result.bins.filter(bin => bin.kind !== 'null');
+
+    let running = 0;
+    for (const bin of valueBins) {
+      running += bin.count;
+      expect(bin.cumulative_count).toBe(running);
+      expect(bin.cumulative_pct).toBeCloseTo(
+        (100 * running) / weights.length,
+        6
+      );
+    }
+    expect(valueBins.at(-1).cumulative_count).toBe(weights.length);
+    expect(valueBins.at(-1).cumulative_pct).toBeCloseTo(100, 6);
+  });
+
+  it('should weight the statistics with --weight-column', async () => {
+    const result = await runCLIAndParseJSON(
+      [
+        '--stdin',
+        '--format',
+        'csv',
+        '-c',
+        'value',
+        '--weight-column',
+        'weight',
+        '--bins',
+        '0,10,20',
+        '--stats',
+        'mean,median,sum',
+      ],
+      { input: 'value,weight\n1,1\n3,3\n15,2\n' }
+    );
+    const [first, second] = result.bins.slice(1, 3);
+
+    expect(first.mean).toBeCloseTo(2.5, 9);
+    expect(first.median).toBe(3);
+    expect(first.sum).toBe(10);
+    expect(second.mean).toBe(15);
+    expect(second.sum).toBe(30);
+  });
+
+  it('should match in streaming mode', async () => {
+    const args = ['-a', 'equal-interval', '-n', '6'];
+    const stats = ['--stats', 'mean,sum,std,pct,cumulative'];
+    const inMemory = await athletes(...args, ...stats);
+    const streamed = await athletes(
+      ...args,
+      ...stats,
+      '--streaming',
+      '--batch-size',
+      '1000'
+    );
+
+    expect(streamed.bins).toHaveLength(inMemory.bins.length);
+    streamed.bins.forEach((bin, i) => {
+      const expected = inMemory.bins[i];
+      expect(bin.count).toBe(expected.count);
+      expect(bin.cumulative_count).toBe(expected.cumulative_count);
+      for (const field of ['mean', 'sum', 'std', 'pct', 'pct_non_null']) {
+        if (field in expected) {
+          // Batches add the values up in a different order
+          const tolerance = 1e-9 * Math.max(1, Math.abs(expected[field]));
+          expect(Math.abs(bin[field] - expected[field])).toBeLessThan(
+            tolerance
+          );
+        } else {
+          expect(bin).not.toHaveProperty(field);
+        }
+      }
+    });
+  });
+
+  it('should reject the median in streaming mode', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '--stats',
+      'median',
+      '--streaming',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('--stats median');
+  });
+
+  it('should pass stats through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      bins: EDGES,
+      stats: ['mean', 'pct'],
+    });
+    const filled = result.bins.filter(bin => bin.count > 0);
+
+    expect(filled.every(bin => 'mean' in bin && 'pct' in bin)).toBe(true);
+    expect(filled.some(bin => 'sum' in bin)).toBe(false);
+  });
+});
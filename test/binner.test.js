@@ -194,11 +194,7 @@ describe('Binner CLI - Basic functionality', () => {
       ]);
 
       // Filter out overflow/underflow bins for ordering check
-      const dataBins = result.bins.filter(
-        bin =>
-          !bin.bin_label.includes('overflow') &&
-          !bin.bin_label.includes('underflow')
-      );
+      const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
       for (let i = 1; i < dataBins.length; i++) {
         expect(dataBins[i].from).toBeGreaterThanOrEqual(dataBins[i - 1].to);
@@ -0,0 +1,228 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { asyncBufferFromFile, parquetReadObjects } from 'hyparquet';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+const countBy = (rows, key) => {
+  const counts = new Map();
+  for (const row of rows) {
+    counts.set(row[key], (counts.get(row[key]) ?? 0) + 1);
+  }
+  return counts;
+};
+
+describe('Value counts for categorical columns', () => {
+  let rows;
+  let sports;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+
+    const file = await asyncBufferFromFile(getTestDataPath('athletes.parquet'));
+    rows = await parquetReadObjects({
+      file,
+      columns: ['sport', 'sex', 'gold'],
+    });
+    sports = countBy(rows, 'sport');
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON(['-f', getTestDataPath('athletes.parquet'), ...args]);
+
+  it('should count every value of a string column', async () => {
+    const result = await athletes('-c', 'sport', '--categorical');
+
+    expect(result.metadata).toMatchObject({
+      categorical: true,
+      distinct_values: sports.size,
+      numeric_values: rows.length,
+      null_values: 0,
+      algorithm: null,
+      sort: 'count',
+      top: null,
+      bin_edges: [],
+    });
+    expect(result.bins).toHaveLength(sports.size);
+    for (const bin of result.bins) {
+      expect(bin.count).toBe(sports.get(bin.bin_label));
+      expect(bin.from).toBeNull();
+      expect(bin.to).toBeNull();
+    }
+
+    // Most frequent first
+    const counts = result.bins.map(bin => bin.count);
+    expect(counts).toEqual([...counts].sort((a, b) => b - a));
+  });
+
+  it('should keep the top values and count the rest as other', async () => {
+    const result = await athletes('-c', 'sport', '--categorical', '--top', '3');
+    const expected = [...sports.entries()].sort((a, b) => b[1] - a[1]);
+
+    expect(result.metadata.top).toBe(3);
+    expect(result.bins.map(bin => bin.bin_label)).toEqual([
+      ...expected.slice(0, 3).map(([sport]) => sport),
+      'other',
+    ]);
+    expect(result.bins.at(-1).count).toBe(
+      expected.slice(3).reduce((sum, [, count]) => sum + count, 0)
+    );
+    expect(result.bins.map(bin => bin.kind)).toEqual([
+      'bin',
+      'bin',
+      'bin',
+      'other',
+    ]);
+    // Value counts have no edges to close or bins outside them
+    expect(result.metadata.closed).toBeNull();
+    expect(result.metadata.include_lowest).toBeNull();
+    expect(result.metadata.outer_bins).toBeNull();
+  });
+
+  it('should sort by value', async () => {
+    const result = await athletes(
+      '-c',
+      'sport',
+      '--categorical',
+      '--sort',
+      'value'
+    );
+    const labels = result.bins.map(bin => bin.bin_label);
+
+    expect(result.metadata.sort).toBe('value');
+    expect(labels).toEqual([...sports.keys()].sort());
+  });
+
+  it('should sort numbers numerically with --categorical', async () => {
+    const result = await runCLIAndParseJSON(
+      ['-f', '-', '--categorical', '--sort', 'value'],
+      { input: '10\n9\n9\nnull\n100\n' }
+    );
+
+    expect(result.bins.map(bin => [bin.bin_label, bin.count])).toEqual([
+      ['9', 2],
+      ['10', 1],
+      ['100', 1],
+      ['null', 1],
+    ]);
+    expect(result.metadata.null_values).toBe(1);
+  });
+
+  it('should count booleans and nulls automatically', async () => {
+    const result = await runCLIAndParseJSON(
+      ['--stdin', '--format', 'ndjson', '-c', 'member', '-a', 'quantile'],
+      {
+        input: [true, false, true, null, true]
+          .map(member => JSON.stringify({ member }))
+          .join('\n'),
+      }
+    );
+
+    expect(result.metadata.categorical).toBe(true);
+    expect(result.bins.map(bin => [bin.bin_label, bin.count])).toEqual([
+      ['true', 3],
+      ['false', 1],
+      ['null', 1],
+    ]);
+  });
+
+  it('should weight value counts', async () => {
+    const result = await athletes(
+      '-c',
+      'sex',
+      '--categorical',
+      '--weight-column',
+      'gold'
+    );
+    const gold = sex =>
+      rows
+        .filter(row => row.sex === sex)
+        .reduce((sum, row) => sum + Number(row.gold), 0);
+
+    const bins = Object.fromEntries(
+      result.bins.map(bin => [bin.bin_label, bin])
+    );
+    expect(bins.male.count).toBe(gold('male'));
+    expect(bins.female.count).toBe(gold('female'));
+    expect(bins.male.row_count).toBe(countBy(rows, 'sex').get('male'));
+  });
+
+  it('should line up the values of every group', async () => {
+    const result = await athletes(
+      '-c',
+      'sport',
+      '--categorical',
+      '--top',
+      '4',
+      '--group-by',
+      'sex'
+    );
+    const labels = result.bins.map(bin => bin.bin_label);
+
+    expect(result.groups.map(group => group.label)).toEqual(['female', 'male']);
+    for (const group of result.groups) {
+      expect(group.bins.map(bin => bin.bin_label)).toEqual(labels);
+    }
+    result.bins.forEach((bin, i) => {
+      expect(bin.count).toBe(
+        result.groups.reduce((sum, group) => sum + group.bins[i].count, 0)
+      );
+    });
+  });
+
+  it('should count strings next to numeric columns', async () => {
+    const result = await athletes('-c', 'weight,sex', '-a', 'quantile');
+
+    expect(result.weight.metadata.categorical).toBe(false);
+    expect(result.sex.metadata.categorical).toBe(true);
+    expect(result.sex.bins.map(bin => bin.bin_label)).toEqual([
+      'male',
+      'female',
+    ]);
+  });
+
+  it('should match in streaming mode', async () => {
+    const args = ['-c', 'sport', '--categorical', '--top', '5'];
+    const inMemory = await athletes(...args);
+    const streamed = await athletes(
+      ...args,
+      '--streaming',
+      '--batch-size',
+      '1000'
+    );
+
+    expect(streamed.bins).toEqual(inMemory.bins);
+    expect(streamed.metadata.total_rows).toBe(rows.length);
+  });
+
+  it('should require an algorithm for string columns without --categorical', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'sport',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('--categorical');
+  });
+
+  it('should pass categorical options through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'sport',
+      categorical: true,
+      top: 2,
+      sort: 'value',
+    });
+
+    expect(result.metadata.categorical).toBe(true);
+    expect(result.bins).toHaveLength(3);
+    expect(result.bins[0].bin_label < result.bins[1].bin_label).toBe(true);
+    expect(result.bins[2].bin_label).toBe('other');
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+const ATHLETES = ['-f', getTestDataPath('athletes.parquet')];
+const EDGES = [0, 60, 80, 100, 200];
+const WEIGHT = [...ATHLETES, '-c', 'weight', '--bins', EDGES.join(',')];
+
+// The numeric attributes of every element with a class
+const elements = (svg, className) =>
+  [...svg.matchAll(new RegExp(`<\\w+ class="${className}"([^>]*)>`, 'g'))].map(
+    ([, attributes]) =>
+      Object.fromEntries(
+        [...attributes.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [
+          name,
+          Number.isNaN(Number(value)) ? value : Number(value),
+        ])
+      )
+  );
+
+describe('SVG and Vega-Lite charts', () => {
+  let json;
+  let dataBins;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    json = await runCLIAndParseJSON(WEIGHT);
+    dataBins = json.bins.filter(bin => bin.kind === 'bin');
+  });
+
+  const render = async (...args) => {
+    const result = await runCLI([...WEIGHT, ...args]);
+    expect(result.exitCode).toBe(0);
+    return result.stdout;
+  };
+
+  it('should draw a bar spanning the edges of every bin', async () => {
+    const svg = await render('--output-format', 'svg');
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+
+    const bars = elements(svg, 'bar');
+    expect(bars).toHaveLength(dataBins.length);
+
+    // Widths follow the widths of the bins, heights the counts
+    const scale = bars[0].width / (EDGES[1] - EDGES[0]);
+    const bottom = bars[0].y + bars[0].height;
+    const perCount = bars[0].height / dataBins[0].count;
+    bars.forEach((bar, i) => {
+      expect(bar.width).toBeCloseTo((EDGES[i + 1] - EDGES[i]) * scale, 1);
+      expect(bar.y + bar.height).toBeCloseTo(bottom, 1);
+      expect(bar.height).toBeCloseTo(dataBins[i].count * perCount, 1);
+    });
+
+    // An axis tick at every edge
+    const ticks = [
+      ...svg.split('class="axis x-axis"')[1].matchAll(/<text[^>]*>([^<]*)</g),
+    ].map(([, label]) => Number(label));
+    expect(ticks).toEqual(EDGES);
+  });
+
+  it('should make bar areas proportional to the counts with --density', async () => {
+    const bars = elements(
+      await render('--output-format', 'svg', '--density'),
+      'bar'
+    );
+    const areas = bars.map(bar => bar.width * bar.height);
+
+    bars.forEach((_, i) => {
+      expect(areas[i] / areas[0]).toBeCloseTo(
+        dataBins[i].count / dataBins[0].count,
+        2
+      );
+    });
+  });
+
+  it('should note the bins it does not draw', async () => {
+    const result = await runCLI([
+      ...ATHLETES,
+      '-c',
+      'weight',
+      '--bins',
+      '0,60,80,100,null',
+      '--output-format',
+      'svg',
+    ]);
+    const bins = (
+      await runCLIAndParseJSON([
+        ...ATHLETES,
+        '-c',
+        'weight',
+        '--bins',
+        '0,60,80,100,null',
+      ])
+    ).bins;
+    const overflow = bins.find(bin => bin.kind === 'overflow');
+    const nulls = bins.at(-1);
+
+    expect(result.stdout).toContain(
+      `Not drawn: ${overflow.count} above, ${nulls.count} null`
+    );
+  });
+
+  it('should draw a column holding one value', async () => {
+    const result = await runCLI(
+      ['-f', '-', '-a', 'equal-interval', '-n', '3', '--output-format', 'svg'],
+      { input: '5\n5\n5\n' }
+    );
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout).not.toContain('NaN');
+
+    const bars = elements(result.stdout, 'bar');
+    expect(bars.length).toBeGreaterThan(0);
+    bars.forEach(bar => {
+      expect(Number.isFinite(bar.x)).toBe(true);
+      expect(bar.width).toBeGreaterThan(0);
+    });
+  });
+
+  it('should emit a Vega-Lite spec with the bins inlined', async () => {
+    const spec = JSON.parse(await render('--output-format', 'vega-lite'));
+
+    expect(spec.$schema).toMatch(/vega-lite\/v5/);
+    expect(spec.mark.type).toBe('bar');
+    expect(spec.encoding.x.field).toBe('from');
+    expect(spec.encoding.x2.field).toBe('to');
+    expect(spec.encoding.x.axis.values).toEqual(json.metadata.bin_edges);
+    expect(spec.data.values).toEqual(
+      dataBins.map(bin => ({
+        bin_label: bin.bin_label,
+        from: bin.from,
+        to: bin.to,
+        count: bin.count,
+        height: bin.count,
+      }))
+    );
+  });
+
+  it('should give the density as the height with --density', async () => {
+    const spec = JSON.parse(
+      await render('--output-format', 'vega-lite', '--density')
+    );
+
+    spec.data.values.forEach(value => {
+      expect(value.height).toBeCloseTo(
+        value.count / (value.to - value.from),
+        9
+      );
+    });
+  });
+
+  it('should stack a view per column', async () => {
+    const result = await runCLI([
+      ...ATHLETES,
+      '-c',
+      'weight,height',
+      '-a',
+      'quantile',
+      '--output-format',
+      'vega-lite',
+    ]);
+    const spec = JSON.parse(result.stdout);
+
+    expect(spec.vconcat).toHaveLength(2);
+    expect(spec.vconcat[0].title.text).toMatch(/^weight: /);
+    expect(spec.vconcat[1].title.text).toMatch(/^height: /);
+  });
+
+  it('should detect SVG from the output extension', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'binner-chart-'));
+    try {
+      const file = path.join(tempDir, 'weight.svg');
+      const result = await runCLI([...WEIGHT, '-o', file]);
+      expect(result.exitCode).toBe(0);
+      expect(fs.readFileSync(file, 'utf8')).toMatch(/^<svg /);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should reject value counts', async () => {
+    const result = await runCLI([
+      ...ATHLETES,
+      '-c',
+      'sport',
+      '--output-format',
+      'svg',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('value counts');
+  });
+});
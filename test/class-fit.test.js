@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+// GVF, ADCM and TAI of the classes the edges split the values into; the last
+// class holds the last edge when includeLast is set, as for algorithm edges
+const classFit = (values, edges, { includeLast = false } = {}) => {
+  const sum = list => list.reduce((total, value) => total + value, 0);
+  const mean = list => sum(list) / list.length;
+  const classes = new Map();
+  for (const value of values) {
+    const onLast = includeLast && value === edges.at(-1);
+    const index = edges.filter(edge => edge <= value).length - (onLast ? 1 : 0);
+    classes.set(index, [...(classes.get(index) ?? []), value]);
+  }
+
+  const overall = mean(values);
+  let squared = 0;
+  let absolute = 0;
+  let adcm = 0;
+  for (const members of classes.values()) {
+    members.sort((a, b) => a - b);
+    const classMean = mean(members);
+    const median = members[Math.ceil(members.length / 2) - 1];
+    squared += sum(members.map(value => (value - classMean) ** 2));
+    absolute += sum(members.map(value => Math.abs(value - classMean)));
+    adcm += sum(members.map(value => Math.abs(value - median)));
+  }
+
+  return {
+    gvf: 1 - squared / sum(values.map(value => (value - overall) ** 2)),
+    adcm,
+    tai: 1 - absolute / sum(values.map(value => Math.abs(value - overall))),
+  };
+};
+
+describe('Classification quality metrics', () => {
+  let weights;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    weights = [...(await readTestColumn('athletes.parquet', 'weight'))].filter(
+      value => !Number.isNaN(value)
+    );
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      ...args,
+    ]);
+
+  it('should measure custom bins, the outer bins included', async () => {
+    const result = await athletes('--bins', '50,70,90,110');
+    const expected = classFit(weights, [50, 70, 90, 110]);
+
+    expect(result.metadata.gvf).toBeCloseTo(expected.gvf, 10);
+    expect(result.metadata.adcm).toBeCloseTo(expected.adcm, 6);
+    expect(result.metadata.tai).toBeCloseTo(expected.tai, 10);
+  });
+
+  it('should fit better with more Jenks classes', async () => {
+    const fits = [];
+    for (const numBins of ['2', '4', '8']) {
+      const { metadata } = await athletes('-a', 'jenks', '-n', numBins);
+      expect(metadata.gvf).toBeCloseTo(
+        classFit(weights, metadata.bin_edges, { includeLast: true }).gvf,
+        10
+      );
+      fits.push(metadata);
+    }
+
+    expect(fits[0].gvf).toBeLessThan(fits[1].gvf);
+    expect(fits[1].gvf).toBeLessThan(fits[2].gvf);
+    expect(fits[0].adcm).toBeGreaterThan(fits[2].adcm);
+    expect(fits[0].tai).toBeLessThan(fits[2].tai);
+  });
+
+  it('should add bins until the GVF threshold is met', async () => {
+    const result = await athletes(
+      '-a',
+      'jenks',
+      '-n',
+      'auto-gvf',
+      '--gvf-threshold',
+      '0.95'
+    );
+    const { num_bins: numBins, gvf } = result.metadata;
+
+    expect(result.metadata.rule).toBe('gvf');
+    expect(result.metadata.gvf_threshold).toBe(0.95);
+    expect(gvf).toBeGreaterThanOrEqual(0.95);
+
+    // One bin fewer does not reach the threshold
+    const fewer = await athletes('-a', 'jenks', '-n', String(numBins - 1));
+    expect(fewer.metadata.gvf).toBeLessThan(0.95);
+  });
+
+  it('should aim for a GVF of 0.9 by default', async () => {
+    const result = await athletes('-a', 'quantile', '-n', 'auto-gvf');
+
+    expect(result.metadata.gvf_threshold).toBe(0.9);
+    expect(result.metadata.gvf).toBeGreaterThanOrEqual(0.9);
+  });
+
+  it('should find more Jenks classes than ckmeans takes', async () => {
+    const values = Array.from({ length: 300 }, (_, i) => i + 1);
+    const result = await runCLIAndParseJSON(
+      ['-f', '-', '-a', 'jenks', '-n', '200'],
+      {
+        input: values.join('\n') + '\n',
+      }
+    );
+
+    expect(result.metadata.bin_edges).toHaveLength(201);
+    expect(result.bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(300);
+    expect(result.metadata.gvf).toBeGreaterThan(0.99);
+  });
+
+  it('should stop auto-gvf after 100 bins', async () => {
+    // Equal-interval bins of evenly spread values only fit perfectly with one bin per value
+    const values = Array.from({ length: 300 }, (_, i) => i + 1);
+    const result = await runCLI(
+      [
+        '-f',
+        '-',
+        '-a',
+        'equal-interval',
+        '-n',
+        'auto-gvf',
+        '--gvf-threshold',
+        '1',
+      ],
+      { input: values.join('\n') + '\n' }
+    );
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('did not reach a GVF of 1 within 100 bins');
+  });
+
+  it('should report only GVF in streaming mode', async () => {
+    const args = ['-a', 'equal-interval', '-n', '6'];
+    const inMemory = await athletes(...args);
+    const streamed = await athletes(
+      ...args,
+      '--streaming',
+      '--batch-size',
+      '1000'
+    );
+
+    expect(streamed.metadata.gvf).toBeCloseTo(inMemory.metadata.gvf, 10);
+    expect(streamed.metadata.adcm).toBeNull();
+    expect(streamed.metadata.tai).toBeNull();
+  });
+
+  it('should reject invalid auto-gvf options', async () => {
+    const cases = [
+      [['-n', '5', '--gvf-threshold', '0.9'], '--gvf-threshold needs'],
+      [['-n', 'auto-gvf', '--gvf-threshold', '1.5'], 'between 0 and 1'],
+      [['-n', 'auto-gvf', '--streaming'], 'not available with --streaming'],
+      [['-n', 'auto-gvf', '--rule', 'rice'], '--rule needs --num-bins auto'],
+    ];
+
+    for (const [flags, message] of cases) {
+      const result = await runCLI([
+        '-f',
+        getTestDataPath('athletes.parquet'),
+        '-c',
+        'weight',
+        '-a',
+        'jenks',
+        ...flags,
+      ]);
+
+      expect(result.exitCode).not.toBe(0);
+      expect(result.stderr).toContain(message);
+    }
+  });
+
+  it('should pass auto-gvf through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      algorithm: 'jenks',
+      numBins: 'auto-gvf',
+      gvfThreshold: 0.8,
+    });
+
+    expect(result.metadata.rule).toBe('gvf');
+    expect(result.metadata.gvf).toBeGreaterThanOrEqual(0.8);
+  });
+});
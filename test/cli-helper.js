@@ -1,65 +1,36 @@
-import { spawn, execSync } from 'child_process';
+import { execSync } from 'child_process';
+import fs from 'fs';
 import path from 'path';
+import { asyncBufferFromFile, parquetReadObjects } from 'hyparquet';
+import { run } from '../index.js';
 
 /**
  * Helper function to run the CLI binary
  * @param {string[]} args - Command line arguments
+ * @param {Object} [options]
+ * @param {string|Buffer} [options.input] - Data to pipe to standard input
  * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
  */
-export async function runCLI(args = []) {
-  const binPath = path.join(process.cwd(), 'target', 'release', 'binner_rs');
-
-  return new Promise(resolve => {
-    const child = spawn(binPath, args, {
-      stdio: ['ignore', 'pipe', 'pipe'],
-    });
-
-    let stdout = '';
-    let stderr = '';
-
-    child.stdout.on('data', data => {
-      stdout += data.toString();
-    });
-
-    child.stderr.on('data', data => {
-      stderr += data.toString();
-    });
-
-    child.on('close', exitCode => {
-      resolve({
-        exitCode,
-        stdout,
-        stderr,
-      });
-    });
-  });
+export async function runCLI(args = [], options = {}) {
+  return run(args, options);
 }
 
 /**
  * Helper function to run CLI and parse JSON output
  * @param {string[]} args - Command line arguments
+ * @param {Object} [options]
+ * @param {string|Buffer} [options.input] - Data to pipe to standard input
  * @returns {Promise<Object>} Parsed JSON object
  */
-export async function runCLIAndParseJSON(args = []) {
-  const result = await runCLI(args);
+export async function runCLIAndParseJSON(args = [], options = {}) {
+  const result = await runCLI(args, options);
   if (result.exitCode !== 0) {
     throw new Error(
       `CLI failed with exit code ${result.exitCode}: ${result.stderr}`
     );
   }
 
-  // Handle cases where output might contain debugging info before JSON
-  let output = result.stdout.trim();
-
-  // Find the JSON part of the output (starts with {)
-  const jsonStart = output.indexOf('{');
-  if (jsonStart === -1) {
-    throw new Error(`No JSON found in output: ${output}`);
-  }
-
-  if (jsonStart > 0) {
-    output = output.substring(jsonStart);
-  }
+  const output = result.stdout.trim();
 
   try {
     return JSON.parse(output);
@@ -90,6 +61,34 @@ export async function ensureBinaryBuilt() {
   }
 }
 
+/**
+ * Fail with a hint when a build the tests load is missing
+ *
+ * The pretest script builds the native addon and the WebAssembly module, so a
+ * missing build fails the suite instead of skipping it.
+ * @param {string} file - Path of the build, relative to the package
+ * @param {string} script - The package script that builds it
+ */
+export function assertBuilt(file, script) {
+  if (!fs.existsSync(path.join(process.cwd(), file))) {
+    throw new Error(`${file} is missing; build it with pnpm run ${script}`);
+  }
+}
+
+/**
+ * Read a column of a test Parquet file as numbers, with nulls as NaN
+ * @param {string} filename - Name of the test data file
+ * @param {string} column - Name of the column to read
+ * @returns {Promise<Float64Array>}
+ */
+export async function readTestColumn(filename, column) {
+  const file = await asyncBufferFromFile(getTestDataPath(filename));
+  const rows = await parquetReadObjects({ file, columns: [column] });
+  return Float64Array.from(rows, row =>
+    row[column] === null ? NaN : Number(row[column])
+  );
+}
+
 /**
  * CLI Wrapper
  */
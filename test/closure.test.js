@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+const ALGORITHMS = [
+  'jenks',
+  'quantile',
+  'equal-interval',
+  'standard-deviation',
+  'head-tail',
+  'pretty',
+  'geometric-interval',
+  'log',
+];
+
+const column = async name =>
+  [...(await readTestColumn('athletes.parquet', name))].filter(
+    value => !Number.isNaN(value)
+  );
+
+describe('Closed ends of bins', () => {
+  let weights;
+  let heights;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    weights = await column('weight');
+    heights = await column('height');
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON(['-f', getTestDataPath('athletes.parquet'), ...args]);
+  const outer = bins =>
+    bins.filter(bin => bin.kind === 'underflow' || bin.kind === 'overflow');
+
+  it('should keep every value out of the outer bins of algorithm edges', async () => {
+    for (const [name, values] of [
+      ['weight', weights],
+      ['height', heights],
+    ]) {
+      for (const closed of ['left', 'right']) {
+        for (const algorithm of ALGORITHMS) {
+          const result = await athletes(
+            '-c',
+            name,
+            '-a',
+            algorithm,
+            '--closed',
+            closed
+          );
+          const context = `${name} ${algorithm} --closed ${closed}`;
+
+          expect(
+            outer(result.bins).map(bin => bin.count),
+            context
+          ).toEqual([0, 0]);
+          expect(result.metadata.include_lowest, context).toBe(true);
+        }
+      }
+
+      // The last edge is the maximum itself
+      const jenks = await athletes('-c', name, '-a', 'jenks');
+      expect(jenks.metadata.bin_edges.at(-1)).toBe(Math.max(...values));
+    }
+  });
+
+  it('should close custom bins on the left by default', async () => {
+    const max = Math.max(...weights);
+    const result = await athletes('-c', 'weight', '--bins', `0,100,${max}`);
+
+    expect(result.metadata.closed).toBe('left');
+    expect(result.metadata.include_lowest).toBe(false);
+    expect(result.bins.at(-1).bin_label).toBe(`>= ${max.toFixed(3)}`);
+    expect(result.bins.at(-1).count).toBe(
+      weights.filter(value => value === max).length
+    );
+  });
+
+  it('should close the bins on the right with --closed right', async () => {
+    const edges = [0, 60, 80, 100, 200];
+    const result = await athletes(
+      '-c',
+      'weight',
+      '--bins',
+      edges.join(','),
+      '--closed',
+      'right',
+      '--label-format',
+      'integer'
+    );
+
+    expect(result.metadata.closed).toBe('right');
+    expect(result.bins.map(bin => bin.bin_label)).toEqual([
+      '<= 0',
+      '1–60',
+      '61–80',
+      '81–100',
+      '101–200',
+      '> 200',
+    ]);
+    result.bins.slice(1, -1).forEach((bin, i) => {
+      expect(bin.count).toBe(
+        weights.filter(value => value > edges[i] && value <= edges[i + 1])
+          .length
+      );
+    });
+
+    const height = await athletes(
+      '-c',
+      'height',
+      '--bins',
+      '1.5,1.7,2',
+      '--closed',
+      'right'
+    );
+    expect(height.bins.map(bin => bin.bin_label)).toEqual([
+      '<= 1.500',
+      '(1.500, 1.700]',
+      '(1.700, 2.000]',
+      '> 2.000',
+    ]);
+  });
+
+  it('should close the outermost bin with --include-lowest', async () => {
+    const max = Math.max(...weights);
+    const min = Math.min(...weights);
+
+    const left = await athletes(
+      '-c',
+      'height',
+      '--bins',
+      `1,1.5,${Math.max(...heights)}`,
+      '--include-lowest'
+    );
+    expect(left.metadata.include_lowest).toBe(true);
+    expect(left.bins.at(-2).bin_label).toMatch(/^\[1\.500, \d\.\d{3}\]$/);
+    expect(left.bins.at(-1).bin_label).toMatch(/^> /);
+    expect(left.bins.at(-1).count).toBe(0);
+
+    const right = await athletes(
+      '-c',
+      'weight',
+      '--bins',
+      `${min},100,${max}`,
+      '--closed',
+      'right',
+      '--include-lowest',
+      '--label-format',
+      'integer'
+    );
+    expect(right.bins[0].bin_label).toBe(`< ${min}`);
+    expect(right.bins[0].count).toBe(0);
+    expect(right.bins[1].bin_label).toBe(`${min}–100`);
+    expect(right.bins[1].count).toBe(
+      weights.filter(value => value <= 100).length
+    );
+  });
+
+  it('should reject --closed with calendar intervals', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '--interval',
+      'year',
+      '--closed',
+      'right',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('--closed');
+  });
+
+  it('should pass the closure from Node.js', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      bins: [0, 60, 80, 100, 200],
+      closed: 'right',
+      includeLowest: true,
+      labelFormat: 'integer',
+    });
+
+    expect(result.metadata.closed).toBe('right');
+    expect(result.bins[1].bin_label).toBe('0–60');
+  });
+});
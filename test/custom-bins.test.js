@@ -40,7 +40,7 @@ describe('Custom Bins Algorithm', () => {
     expect(result.bins.length).toBeGreaterThan(4);
 
     // Check for null bin
-    const nullBin = result.bins.find(bin => bin.bin_label.includes('null'));
+    const nullBin = result.bins.find(bin => bin.kind === 'null');
     expect(nullBin).toBeDefined();
     expect(nullBin.count).toBeGreaterThanOrEqual(0);
   });
@@ -58,12 +58,7 @@ describe('Custom Bins Algorithm', () => {
 
     expect(result.metadata.bin_edges).toEqual(customBreaks);
 
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow') &&
-        !bin.bin_label.includes('null')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     // Should have one bin for each interval between breaks plus overflow/underflow
     expect(dataBins.length).toBeGreaterThanOrEqual(customBreaks.length - 1);
@@ -111,11 +106,7 @@ describe('Custom Bins Algorithm', () => {
 
     expect(result.metadata.bin_edges).toEqual(manyBreaks);
 
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     expect(dataBins.length).toBeGreaterThanOrEqual(manyBreaks.length - 1);
   });
@@ -165,11 +156,7 @@ describe('Custom Bins Algorithm', () => {
 
     expect(result.metadata.bin_edges).toEqual(floatBreaks);
 
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     for (let i = 0; i < dataBins.length; i++) {
       if (dataBins[i].from !== null) {
@@ -221,12 +208,8 @@ describe('Custom Bins Algorithm', () => {
     ]);
 
     // With breaks that likely encompass all data, overflow/underflow may not be needed
-    const overflowBin = result.bins.find(bin =>
-      bin.bin_label.includes('overflow')
-    );
-    const underflowBin = result.bins.find(bin =>
-      bin.bin_label.includes('underflow')
-    );
+    const overflowBin = result.bins.find(bin => bin.kind === 'overflow');
+    const underflowBin = result.bins.find(bin => bin.kind === 'underflow');
 
     // If overflow/underflow bins exist, they should have minimal counts
     if (overflowBin) {
@@ -237,11 +220,7 @@ describe('Custom Bins Algorithm', () => {
     }
 
     // Most data should be in the regular bins
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     const dataInRegularBins = dataBins.reduce((sum, bin) => sum + bin.count, 0);
     expect(dataInRegularBins).toBeGreaterThan(0);
@@ -24,11 +24,7 @@ describe('Equal Interval Algorithm', () => {
     expect(result.bins).toHaveLength(7); // 5 bins + overflow + underflow
 
     // Check that bin widths are equal (excluding overflow/underflow)
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     const widths = dataBins.map(bin => bin.to - bin.from);
     const firstWidth = widths[0];
@@ -58,11 +54,7 @@ describe('Equal Interval Algorithm', () => {
 
     expect(result.metadata.num_bins).toBe(4);
 
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     expect(dataBins.length).toBeGreaterThanOrEqual(4); // Account for data bins only
 
@@ -95,11 +87,7 @@ describe('Equal Interval Algorithm', () => {
       expect(result.metadata.num_bins).toBe(numBins);
       expect(result.bins).toHaveLength(numBins + 2);
 
-      const dataBins = result.bins.filter(
-        bin =>
-          !bin.bin_label.includes('overflow') &&
-          !bin.bin_label.includes('underflow')
-      );
+      const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
       // All intervals should have the same width
       const widths = dataBins.map(bin => bin.to - bin.from);
@@ -131,11 +119,7 @@ describe('Equal Interval Algorithm', () => {
     expect(result.metadata.algorithm).toBe('EqualInterval');
     expect(result.metadata.column).toBe('height');
 
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     // Check equal intervals for height data
     const widths = dataBins.map(bin => bin.to - bin.from);
@@ -161,11 +145,7 @@ describe('Equal Interval Algorithm', () => {
 
     expect(result.metadata.num_bins).toBe(10);
 
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     expect(dataBins.length).toBeGreaterThanOrEqual(10); // Account for data bins only
 
@@ -194,11 +174,7 @@ describe('Equal Interval Algorithm', () => {
       '6',
     ]);
 
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     // First bin should start at the minimum and last bin should end at maximum
     const minValue = Math.min(...dataBins.map(bin => bin.from));
@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+describe('Geometric-interval and log algorithms', () => {
+  let weights;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    weights = [...(await readTestColumn('athletes.parquet', 'weight'))].filter(
+      value => !Number.isNaN(value)
+    );
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON(['-f', getTestDataPath('athletes.parquet'), ...args]);
+  const totalCount = bins => bins.reduce((sum, bin) => sum + bin.count, 0);
+
+  it('should grow the classes by a constant ratio', async () => {
+    const result = await athletes('-c', 'weight', '-a', 'geometric-interval');
+    const { bin_edges: edges } = result.metadata;
+    const min = Math.min(...weights);
+    const max = Math.max(...weights);
+    const ratio = (max / min) ** (1 / 5);
+
+    expect(result.metadata.algorithm).toBe('GeometricInterval');
+    expect(result.metadata.log_offset).toBe(0);
+    expect(result.metadata.log_base).toBeNull();
+    expect(edges).toHaveLength(6);
+    expect(edges[0]).toBe(min);
+    edges.slice(1, -1).forEach((edge, i) => {
+      expect(edge / edges[i]).toBeCloseTo(ratio, 10);
+    });
+    expect(edges.at(-1)).toBeCloseTo(max, 10);
+    expect(totalCount(result.bins)).toBe(weights.length);
+  });
+
+  it('should spread skewed values more evenly than equal-interval', async () => {
+    const args = ['-c', 'weight', '-n', '5'];
+    const geometric = await athletes(...args, '-a', 'geometric-interval');
+    const equal = await athletes(...args, '-a', 'equal-interval');
+    const largest = bins => Math.max(...bins.map(bin => bin.count));
+
+    expect(largest(geometric.bins)).toBeLessThan(largest(equal.bins));
+  });
+
+  it('should bin between powers of the base', async () => {
+    const result = await athletes(
+      '-c',
+      'weight',
+      '-a',
+      'log',
+      '--log-base',
+      '2'
+    );
+
+    expect(result.metadata.algorithm).toBe('Log');
+    expect(result.metadata.log_base).toBe(2);
+    expect(result.metadata.bin_edges).toEqual([16, 32, 64, 128, 256]);
+    expect(result.bins[1].bin_label).toBe('[16, 32)');
+    expect(totalCount(result.bins)).toBe(weights.length);
+
+    const decades = await athletes('-c', 'weight', '-a', 'log');
+    expect(decades.metadata.bin_edges).toEqual([10, 100, 1000]);
+  });
+
+  it('should label the edges with significant digits', async () => {
+    const result = await athletes('-c', 'weight', '-a', 'geometric-interval');
+    const labels = result.bins.slice(1, -1).map(bin => bin.bin_label);
+
+    expect(labels[0]).toMatch(/^\[31, \d+\.\d{2}\)$/);
+    for (const label of labels) {
+      expect(label).not.toMatch(/\.\d{3}/);
+    }
+  });
+
+  it('should reject values that are not strictly positive', async () => {
+    for (const algorithm of ['log', 'geometric-interval']) {
+      const result = await runCLI([
+        '-f',
+        getTestDataPath('athletes.parquet'),
+        '-c',
+        'gold',
+        '-a',
+        algorithm,
+      ]);
+
+      expect(result.exitCode).not.toBe(0);
+      expect(result.stderr).toContain('needs strictly positive values');
+      expect(result.stderr).toContain('--log-offset');
+    }
+  });
+
+  it('should bin zeros with an explicit offset', async () => {
+    const result = await athletes(
+      '-c',
+      'gold',
+      '-a',
+      'log',
+      '--log-base',
+      '2',
+      '--log-offset',
+      '1'
+    );
+    const gold = [...(await readTestColumn('athletes.parquet', 'gold'))];
+
+    // Medal counts 0 to 5 shift to 1 to 6, between 2^0 and 2^3
+    expect(result.metadata.log_offset).toBe(1);
+    expect(result.metadata.bin_edges).toEqual([0, 1, 3, 7]);
+    expect(result.bins.slice(1, -1).map(bin => bin.count)).toEqual([
+      gold.filter(value => value === 0).length,
+      gold.filter(value => value >= 1 && value < 3).length,
+      gold.filter(value => value >= 3).length,
+    ]);
+  });
+
+  it('should reject an offset that leaves values below zero', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'silver',
+      '-a',
+      'geometric-interval',
+      '--log-offset',
+      '-1',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('even with --log-offset -1');
+  });
+
+  it('should reject a base that is not greater than 1', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'log',
+      '--log-base',
+      '1',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('--log-base must be greater than 1');
+  });
+
+  it('should reject a base that needs too many edges', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'log',
+      '--log-base',
+      '1.000001',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain(
+      '--log-base 1.000001 needs more than 100000 edges'
+    );
+  });
+
+  it('should match in streaming mode', async () => {
+    const args = ['-c', 'bronze', '-a', 'geometric-interval', '-n', '3'];
+    const inMemory = await athletes(...args, '--log-offset', '1');
+    const streamed = await athletes(
+      ...args,
+      '--log-offset',
+      '1',
+      '--streaming',
+      '--batch-size',
+      '1000'
+    );
+
+    expect(streamed.metadata.bin_edges).toEqual(inMemory.metadata.bin_edges);
+    expect(streamed.bins).toEqual(inMemory.bins);
+  });
+
+  it('should pass the log options through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'silver',
+      algorithm: 'log',
+      logBase: 3,
+      logOffset: 1,
+    });
+
+    // Silver counts 0 to 2 shift to 1 to 3, between 3^0 and 3^2
+    expect(result.metadata.bin_edges).toEqual([0, 2, 8]);
+    expect(result.metadata.log_base).toBe(3);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+describe('Group by', () => {
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+  });
+
+  it('should emit one bins array per group with shared edges', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '-n',
+      '4',
+      '--group-by',
+      'sex',
+    ]);
+
+    expect(result.metadata.group_by).toEqual(['sex']);
+    expect(result.metadata.per_group_edges).toBe(false);
+    expect(result.groups.map(group => group.label)).toEqual(['female', 'male']);
+
+    for (const group of result.groups) {
+      expect(group.key).toEqual([group.label]);
+      expect(group.bin_edges).toEqual(result.metadata.bin_edges);
+      expect(group.bins).toHaveLength(result.bins.length);
+      expect(group.numeric_values + group.null_values).toBe(group.total_rows);
+      expect(group.bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(
+        group.numeric_values
+      );
+    }
+
+    // Group counts add up to the counts of the whole column
+    result.bins.forEach((bin, i) => {
+      const groupCount = result.groups.reduce(
+        (sum, group) => sum + group.bins[i].count,
+        0
+      );
+      expect(groupCount).toBe(bin.count);
+    });
+    expect(
+      result.groups.reduce((sum, group) => sum + group.null_values, 0)
+    ).toBe(result.metadata.null_values);
+  });
+
+  it('should calculate edges per group with --per-group-edges', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'equal-interval',
+      '-n',
+      '4',
+      '--group-by',
+      'sex',
+      '--per-group-edges',
+    ]);
+
+    expect(result.metadata.per_group_edges).toBe(true);
+
+    const [female, male] = result.groups;
+    expect(female.bin_edges).not.toEqual(male.bin_edges);
+    for (const group of result.groups) {
+      const dataBins = group.bins.filter(
+        bin => bin.from !== null && bin.to !== null
+      );
+      expect(dataBins[0].min).toBe(group.bin_edges[0]);
+    }
+  });
+
+  it('should group by several columns', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'height',
+      '--bins',
+      '1.5,1.7,1.9,null',
+      '--group-by',
+      'sex,gold',
+    ]);
+
+    expect(result.metadata.group_by).toEqual(['sex', 'gold']);
+    for (const group of result.groups) {
+      expect(group.key).toHaveLength(2);
+      expect(group.label).toBe(`${group.key[0]} / ${group.key[1]}`);
+      expect(group.bins.at(-1).bin_label).toBe('null');
+    }
+
+    const total = result.groups.reduce(
+      (sum, group) => sum + group.total_rows,
+      0
+    );
+    expect(total).toBe(result.metadata.total_rows);
+  });
+
+  it('should leave the output unchanged without --group-by', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+    ]);
+
+    expect(result).not.toHaveProperty('groups');
+    expect(result.metadata.group_by).toBe(null);
+  });
+
+  it('should require --group-by for --per-group-edges', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+      '--per-group-edges',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+  });
+});
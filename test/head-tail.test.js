@@ -59,11 +59,7 @@ describe('Head-Tail Algorithm', () => {
 
     // Head-tail algorithm should create breaks that separate the data
     // into "head" (above mean) and "tail" (below mean) recursively
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     expect(dataBins.length).toBeGreaterThan(1);
 
@@ -103,11 +99,7 @@ describe('Head-Tail Algorithm', () => {
       'head-tail',
     ]);
 
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     // Head-tail should typically create more bins for the lower values
     // and fewer for the higher "tail" values
@@ -172,12 +164,8 @@ describe('Head-Tail Algorithm', () => {
     expect(result.bins.length).toBeGreaterThanOrEqual(2);
 
     // Should always include overflow and underflow bins
-    const overflowBin = result.bins.find(bin =>
-      bin.bin_label.includes('overflow')
-    );
-    const underflowBin = result.bins.find(bin =>
-      bin.bin_label.includes('underflow')
-    );
+    const overflowBin = result.bins.find(bin => bin.kind === 'overflow');
+    const underflowBin = result.bins.find(bin => bin.kind === 'underflow');
 
     // Test should still pass if no overflow/underflow bins exist
     if (overflowBin) {
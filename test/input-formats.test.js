@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { Float64, Table, tableToIPC, vectorFromArray } from 'apache-arrow';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+describe('Input formats', () => {
+  let tempDir;
+  let expected;
+
+  const fixture = name => path.join(tempDir, name);
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+
+    // Write the weight column of athletes.parquet out in every other format
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'binner-formats-'));
+    const weights = Array.from(
+      await readTestColumn('athletes.parquet', 'weight'),
+      value => (Number.isNaN(value) ? null : value)
+    );
+
+    fs.writeFileSync(
+      fixture('weights.csv'),
+      ['weight', ...weights.map(value => value ?? 'NA')].join('\n')
+    );
+    fs.writeFileSync(
+      fixture('weights.tsv'),
+      ['id\tweight', ...weights.map((value, i) => `${i}\t${value ?? ''}`)].join(
+        '\n'
+      )
+    );
+    fs.writeFileSync(
+      fixture('weights.txt'),
+      weights.map(value => `${value ?? ''};x`).join('\n')
+    );
+    fs.writeFileSync(
+      fixture('weights.ndjson'),
+      weights.map(weight => JSON.stringify({ weight })).join('\n')
+    );
+    fs.writeFileSync(
+      fixture('weights.arrow'),
+      tableToIPC(
+        new Table({ weight: vectorFromArray(weights, new Float64()) }),
+        'file'
+      )
+    );
+
+    expected = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '-n',
+      '4',
+    ]);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should record parquet as the format of parquet files', () => {
+    expect(expected.metadata.format).toBe('parquet');
+  });
+
+  it.each([
+    ['weights.csv', 'csv', ['--null-values', 'NA']],
+    ['weights.tsv', 'tsv', []],
+    ['weights.ndjson', 'ndjson', []],
+    ['weights.arrow', 'ipc', []],
+  ])(
+    'should detect %s and match the parquet histogram',
+    async (filename, format, flags) => {
+      const result = await runCLIAndParseJSON([
+        '-f',
+        fixture(filename),
+        '-c',
+        'weight',
+        '-a',
+        'quantile',
+        '-n',
+        '4',
+        ...flags,
+      ]);
+
+      expect(result.metadata.format).toBe(format);
+      expect(result.metadata.total_rows).toBe(expected.metadata.total_rows);
+      expect(result.metadata.null_values).toBe(expected.metadata.null_values);
+      expect(result.metadata.bin_edges).toEqual(expected.metadata.bin_edges);
+      expect(result.bins).toEqual(expected.bins);
+    }
+  );
+
+  it.each([
+    ['weights.csv', ['--null-values', 'NA']],
+    ['weights.tsv', []],
+    ['weights.ndjson', []],
+  ])('should stream %s in batches of records', async (filename, flags) => {
+    const args = [
+      '-f',
+      fixture(filename),
+      '-c',
+      'weight',
+      '--bins',
+      '40,60,80,100,null',
+      ...flags,
+    ];
+    const inMemory = await runCLIAndParseJSON(args);
+    const streamed = await runCLIAndParseJSON([
+      ...args,
+      '--streaming',
+      '--batch-size',
+      '1000',
+    ]);
+
+    expect(streamed.metadata.total_rows).toBe(expected.metadata.total_rows);
+    expect(streamed.metadata.null_values).toBe(inMemory.metadata.null_values);
+    expect(streamed.bins).toEqual(inMemory.bins);
+  });
+
+  it('should honour an explicit format with CSV options', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      fixture('weights.txt'),
+      '--format',
+      'csv',
+      '--delimiter',
+      ';',
+      '--no-header',
+      '-c',
+      'column_1',
+      '-a',
+      'quantile',
+      '-n',
+      '4',
+    ]);
+
+    expect(result.metadata.format).toBe('csv');
+    expect(result.metadata.column).toBe('column_1');
+    expect(result.metadata.null_values).toBe(expected.metadata.null_values);
+    expect(result.bins).toEqual(expected.bins);
+  });
+
+  it('should list columns of a CSV file', async () => {
+    const result = await runCLI([
+      '--list-columns',
+      '-f',
+      fixture('weights.tsv'),
+    ]);
+
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout).toContain('id');
+    expect(result.stdout).toContain('weight');
+  });
+
+  it('should fail with an unknown format', async () => {
+    const result = await runCLI([
+      '-f',
+      fixture('weights.csv'),
+      '--format',
+      'xlsx',
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+  });
+});
@@ -71,11 +71,7 @@ describe('Jenks Algorithm', () => {
     expect(result.bins).toHaveLength(7); // 5 bins + overflow + underflow
 
     // Jenks should create meaningful breaks - check that breaks are not evenly spaced
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     const breaks = dataBins.map(bin => bin.to);
     const differences = [];
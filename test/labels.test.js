@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+const ATHLETES = ['-f', getTestDataPath('athletes.parquet')];
+const WEIGHT = [...ATHLETES, '-c', 'weight', '--bins', '0,60,80,100,200'];
+const HEIGHT = [...ATHLETES, '-c', 'height', '--bins', '1.5,1.7,2'];
+
+const labelsOf = async args =>
+  (await runCLIAndParseJSON(args)).bins.map(bin => bin.bin_label);
+
+describe('Bin labels', () => {
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+  });
+
+  it('should label the bins of integer columns with their edges by default', async () => {
+    expect(await labelsOf(WEIGHT)).toEqual([
+      '< 0.000',
+      '[0.000, 60.000)',
+      '[60.000, 80.000)',
+      '[80.000, 100.000)',
+      '[100.000, 200.000)',
+      '>= 200.000',
+    ]);
+  });
+
+  it('should label the bins of integer columns with the integers they hold with --label-format integer', async () => {
+    const result = await runCLIAndParseJSON([
+      ...WEIGHT,
+      '--label-format',
+      'integer',
+    ]);
+
+    expect(result.bins.map(bin => bin.bin_label)).toEqual([
+      '< 0',
+      '0–59',
+      '60–79',
+      '80–99',
+      '100–199',
+      '>= 200',
+    ]);
+    // The edges stay exact
+    expect(result.bins[1].from).toBe(0);
+    expect(result.bins[1].to).toBe(60);
+  });
+
+  it('should label the bins of float columns with their edges', async () => {
+    expect(await labelsOf(HEIGHT)).toEqual([
+      '< 1.500',
+      '[1.500, 1.700)',
+      '[1.700, 2.000)',
+      '>= 2.000',
+    ]);
+  });
+
+  it('should write the numbers with --label-precision decimals', async () => {
+    expect(await labelsOf([...HEIGHT, '--label-precision', '1'])).toEqual([
+      '< 1.5',
+      '[1.5, 1.7)',
+      '[1.7, 2.0)',
+      '>= 2.0',
+    ]);
+  });
+
+  it('should fill in the --label-format template', async () => {
+    const height = await labelsOf([...HEIGHT, '--label-format', '{from}–{to}']);
+    expect(height.slice(1, -1)).toEqual(['1.500–1.700', '1.700–2.000']);
+
+    const weight = await labelsOf([
+      ...WEIGHT,
+      '--label-format',
+      '{first} to {last} kg',
+    ]);
+    expect(weight[2]).toBe('60 to 79 kg');
+    // The outer bins keep their labels
+    expect(weight[0]).toBe('< 0.000');
+  });
+
+  it('should write the separators of --label-locale', async () => {
+    const height = await labelsOf([...HEIGHT, '--label-locale', 'de-DE']);
+    expect(height[1]).toBe('[1,500, 1,700)');
+
+    const weight = await labelsOf([
+      ...ATHLETES,
+      '-c',
+      'weight',
+      '--bins',
+      '0,1000,2000',
+      '--label-locale',
+      'de-DE',
+      '--label-format',
+      'integer',
+    ]);
+    expect(weight.slice(1)).toEqual(['0–999', '1.000–1.999', '>= 2.000']);
+  });
+
+  it('should scale the numbers with --label-suffix', async () => {
+    const si = await labelsOf([
+      ...ATHLETES,
+      '-c',
+      'weight',
+      '--bins',
+      '0,1000,10000',
+      '--label-suffix',
+      'si',
+      '--label-format',
+      '[{from}, {to})',
+    ]);
+    expect(si).toEqual(['< 0', '[0, 1k)', '[1k, 10k)', '>= 10k']);
+
+    const percent = await labelsOf([...HEIGHT, '--label-suffix', 'percent']);
+    expect(percent[1]).toBe('[150%, 170%)');
+  });
+
+  it('should accept a script and a numeric region in --label-locale', async () => {
+    const serbian = await labelsOf([...HEIGHT, '--label-locale', 'sr-Latn-RS']);
+    expect(serbian[1]).toBe('[1,500, 1,700)');
+
+    const spanish = await labelsOf([...HEIGHT, '--label-locale', 'es-419']);
+    expect(spanish[1]).toBe('[1.500, 1.700)');
+  });
+
+  it('should reject unknown locales and templates without a placeholder', async () => {
+    for (const tag of ['xx-XX', 'en-foo', 'de-DE-1996', 'english']) {
+      const locale = await runCLI([...WEIGHT, '--label-locale', tag]);
+      expect(locale.exitCode).not.toBe(0);
+      expect(locale.stderr).toContain(`Unknown locale '${tag}'`);
+    }
+
+    const template = await runCLI([...WEIGHT, '--label-format', 'bin']);
+    expect(template.exitCode).not.toBe(0);
+    expect(template.stderr).toContain('--label-format');
+  });
+
+  it('should pass the label options from Node.js', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'height',
+      bins: [1.5, 1.7, 2],
+      labelPrecision: 2,
+      labelLocale: 'fr-FR',
+    });
+
+    expect(result.bins[1].bin_label).toBe('[1,50, 1,70)');
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+describe('Multiple columns', () => {
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+  });
+
+  it('should emit one result per column keyed by name', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight,height',
+      '-a',
+      'quantile',
+      '-n',
+      '4',
+    ]);
+
+    expect(Object.keys(result)).toEqual(['weight', 'height']);
+
+    const weight = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '-n',
+      '4',
+    ]);
+    expect(result.weight).toEqual(weight);
+    expect(result.height.metadata.column).toBe('height');
+  });
+
+  it('should report per-column failures without aborting', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight,sport,missing_column',
+      '-a',
+      'jenks',
+    ]);
+
+    expect(result.weight.bins.length).toBeGreaterThan(0);
+    // String columns are counted by value rather than failing
+    expect(result.sport.metadata.categorical).toBe(true);
+    expect(result.missing_column).toEqual({
+      column: 'missing_column',
+      error: "Column 'missing_column' not found",
+    });
+  });
+
+  it('should bin every numeric column with --all-numeric', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '--all-numeric',
+      '-a',
+      'equal-interval',
+      '-n',
+      '3',
+    ]);
+
+    expect(Object.keys(result)).toEqual([
+      'id',
+      'height',
+      'weight',
+      'gold',
+      'silver',
+      'bronze',
+    ]);
+    for (const column of Object.values(result)) {
+      expect(column.metadata.algorithm).toBe('EqualInterval');
+    }
+  });
+
+  it('should not accept --all-numeric together with -c', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '--all-numeric',
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+  });
+
+  it('should return a map from the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: ['gold', 'silver'],
+      bins: [0, 1, 2, 5],
+    });
+
+    expect(Object.keys(result)).toEqual(['gold', 'silver']);
+    expect(result.gold.metadata.bin_edges).toEqual([0, 1, 2, 5]);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  assertBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+describe('Native addon', () => {
+  let native;
+  let weights;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    assertBuilt('napi/binner.node', 'build:native');
+    native = await import('../napi/index.js');
+    weights = await readTestColumn('athletes.parquet', 'weight');
+  });
+
+  const cases = [
+    ['jenks', ['-n', '5'], { numBins: 5 }],
+    ['quantile', ['-n', '4'], { numBins: 4 }],
+    ['equal-interval', ['-n', '6'], { numBins: 6 }],
+    ['standard-deviation', ['--std-dev-size', '0.5'], { stdDevSize: 0.5 }],
+    ['head-tail', [], {}],
+    ['pretty', ['-n', '5'], { numBins: 5 }],
+    ['geometric-interval', ['-n', '5'], { numBins: 5 }],
+    ['log', ['--log-base', '2'], { logBase: 2 }],
+  ];
+
+  it.each(cases)(
+    'should match the CLI for %s on athletes.parquet',
+    async (algorithm, flags, options) => {
+      const expected = await runCLIAndParseJSON([
+        '-f',
+        getTestDataPath('athletes.parquet'),
+        '-c',
+        'weight',
+        '-a',
+        algorithm,
+        ...flags,
+      ]);
+
+      const result = native.histogram(weights, {
+        column: 'weight',
+        algorithm,
+        ...options,
+      });
+
+      expect(result.metadata).toEqual({
+        ...expected.metadata,
+        file: '<memory>',
+        format: null,
+      });
+      expect(result.bins).toEqual(expected.bins);
+    }
+  );
+
+  it('should match the CLI for custom bins with a null bin', async () => {
+    const expected = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '--bins',
+      '60,80,100,null',
+    ]);
+
+    const result = native.histogram(weights, {
+      column: 'weight',
+      bins: [60, 80, 100, null],
+    });
+
+    expect(result.metadata.null_values).toBe(expected.metadata.null_values);
+    expect(result.bins).toEqual(expected.bins);
+  });
+
+  it('should expose the classification functions', () => {
+    const classes = native.jenks(weights, 4);
+
+    expect(classes).toHaveLength(4);
+    expect(classes.reduce((sum, bin) => sum + bin.count, 0)).toBe(
+      weights.filter(value => !Number.isNaN(value)).length
+    );
+    for (let i = 1; i < classes.length; i++) {
+      expect(classes[i].binStart).toBeGreaterThan(classes[i - 1].binStart);
+    }
+
+    expect(native.headTail(weights).length).toBeGreaterThan(0);
+  });
+
+  it('should accept plain number arrays with nulls', () => {
+    const result = native.histogram([1, 2, null, 3, 4], {
+      algorithm: 'equal-interval',
+      numBins: 2,
+    });
+
+    expect(result.metadata.total_rows).toBe(5);
+    expect(result.metadata.null_values).toBe(1);
+    expect(result.metadata.numeric_values).toBe(4);
+  });
+
+  it('should throw on invalid options', () => {
+    expect(() => native.histogram(weights, {})).toThrow(
+      'Either algorithm or custom bins must be provided'
+    );
+    expect(() => native.histogram(weights, { algorithm: 'nope' })).toThrow(
+      'Invalid algorithm'
+    );
+    expect(() => native.histogram(weights, { bins: [40, NaN, 80] })).toThrow(
+      'Invalid bin value: NaN'
+    );
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+const ATHLETES = ['-f', getTestDataPath('athletes.parquet')];
+const EDGES = [40, 60, 80, 100, 120];
+const WEIGHT = [...ATHLETES, '-c', 'weight', '--bins', `${EDGES},null`];
+
+const kindsOf = bins => bins.map(bin => bin.kind);
+
+describe('Outer and empty bins', () => {
+  let weights;
+  let kept;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    weights = [...(await readTestColumn('athletes.parquet', 'weight'))].filter(
+      value => !Number.isNaN(value)
+    );
+    kept = await runCLIAndParseJSON(WEIGHT);
+  });
+
+  it('should tell what every bin holds by its kind', async () => {
+    expect(kept.metadata.outer_bins).toBe('keep');
+    expect(kindsOf(kept.bins)).toEqual([
+      'underflow',
+      'bin',
+      'bin',
+      'bin',
+      'bin',
+      'overflow',
+      'null',
+    ]);
+
+    const counts = await runCLIAndParseJSON([
+      ...ATHLETES,
+      '-c',
+      'sport',
+      '--top',
+      '3',
+    ]);
+    // The three values and the "other" bin
+    expect(kindsOf(counts.bins).filter(kind => kind !== 'null')).toEqual([
+      'bin',
+      'bin',
+      'bin',
+      'other',
+    ]);
+  });
+
+  it('should leave out the outer bins with --outer-bins drop', async () => {
+    const result = await runCLIAndParseJSON([
+      ...WEIGHT,
+      '--outer-bins',
+      'drop',
+    ]);
+
+    expect(result.metadata.outer_bins).toBe('drop');
+    expect(result.bins).toEqual(
+      kept.bins.filter(bin => bin.kind === 'bin' || bin.kind === 'null')
+    );
+  });
+
+  it('should count the outer values in the first and last bins with --outer-bins merge', async () => {
+    const result = await runCLIAndParseJSON([
+      ...WEIGHT,
+      '--outer-bins',
+      'merge',
+    ]);
+    const [first, ...rest] = result.bins.filter(bin => bin.kind === 'bin');
+    const last = rest.at(-1);
+
+    expect(result.metadata.outer_bins).toBe('merge');
+    expect(kindsOf(result.bins)).toEqual(['bin', 'bin', 'bin', 'bin', 'null']);
+    // The first and last bins are open at their outer ends, like the bins they
+    // take in, and the inner bins keep their labels
+    expect(result.bins.map(bin => bin.bin_label)).toEqual([
+      '< 60.000',
+      ...kept.bins.slice(2, -3).map(bin => bin.bin_label),
+      '>= 100.000',
+      'null',
+    ]);
+    expect(first.from).toBeNull();
+    expect(first.to).toBe(EDGES[1]);
+    expect(first.count).toBe(weights.filter(value => value < EDGES[1]).length);
+    expect(first.min).toBe(Math.min(...weights));
+    expect(last.from).toBe(EDGES.at(-2));
+    expect(last.to).toBeNull();
+    expect(last.count).toBe(
+      weights.filter(value => value >= EDGES.at(-2)).length
+    );
+    expect(last.max).toBe(Math.max(...weights));
+
+    const total = result.bins
+      .filter(bin => bin.kind === 'bin')
+      .reduce((sum, bin) => sum + bin.count, 0);
+    expect(total).toBe(weights.length);
+  });
+
+  it('should work out the shares of the bins that are left', async () => {
+    const result = await runCLIAndParseJSON([
+      ...WEIGHT,
+      '--outer-bins',
+      'drop',
+      '--stats',
+      'pct,cumulative',
+    ]);
+    const data = result.bins.filter(bin => bin.kind === 'bin');
+    const nonNull = data.reduce((sum, bin) => sum + bin.count, 0);
+
+    expect(nonNull).toBeLessThan(weights.length);
+    const sumOf = key =>
+      result.bins.reduce((sum, bin) => sum + (bin[key] ?? 0), 0);
+    expect(sumOf('pct')).toBeCloseTo(100, 9);
+    expect(sumOf('pct_non_null')).toBeCloseTo(100, 9);
+    expect(data.at(-1).cumulative_count).toBe(nonNull);
+    expect(data.at(-1).cumulative_pct).toBeCloseTo(100, 9);
+  });
+
+  it('should leave out the bins that hold no values with --drop-empty', async () => {
+    // Weights are whole numbers, so nothing falls between 60.5 and 61
+    const edges = [0, 60, 60.5, 61, 300];
+    const all = await runCLIAndParseJSON([
+      ...ATHLETES,
+      '-c',
+      'weight',
+      '--bins',
+      edges.join(','),
+    ]);
+    const result = await runCLIAndParseJSON([
+      ...ATHLETES,
+      '-c',
+      'weight',
+      '--bins',
+      edges.join(','),
+      '--drop-empty',
+    ]);
+
+    expect(all.bins.some(bin => bin.count === 0)).toBe(true);
+    expect(result.bins).toEqual(all.bins.filter(bin => bin.count > 0));
+    expect(result.bins.find(bin => bin.from === 60.5)).toBeUndefined();
+  });
+
+  it('should leave the outer bins out of every group', async () => {
+    const result = await runCLIAndParseJSON([
+      ...WEIGHT,
+      '--group-by',
+      'sex',
+      '--outer-bins',
+      'drop',
+    ]);
+
+    for (const group of result.groups) {
+      expect(kindsOf(group.bins)).not.toContain('underflow');
+      expect(kindsOf(group.bins)).not.toContain('overflow');
+    }
+  });
+
+  it('should write the kind in table formats', async () => {
+    const result = await runCLI([...WEIGHT, '--output-format', 'ndjson']);
+    expect(result.exitCode).toBe(0);
+
+    const rows = result.stdout.trim().split('\n').map(JSON.parse);
+    expect(kindsOf(rows)).toEqual(kindsOf(kept.bins));
+  });
+
+  it('should leave a gap in charts for the dropped bins', async () => {
+    const args = [
+      ...ATHLETES,
+      '-c',
+      'weight',
+      '--bins',
+      '40,60,60.5,61,80',
+      '--drop-empty',
+      '--outer-bins',
+      'drop',
+    ];
+    const result = await runCLI([...args, '--output-format', 'vega-lite']);
+    expect(result.exitCode).toBe(0);
+
+    const spec = JSON.parse(result.stdout);
+    expect(spec.data.values.map(value => [value.from, value.to])).toEqual([
+      [40, 60],
+      [60, 60.5],
+      [61, 80],
+    ]);
+    expect(spec.encoding.x.axis.values).toEqual([40, 60, 60.5, 61, 80]);
+
+    const svg = await runCLI([...args, '--output-format', 'svg']);
+    expect(svg.exitCode).toBe(0);
+    expect(svg.stdout.match(/class="bar"/g)).toHaveLength(3);
+  });
+
+  it('should pass the options from Node.js', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      bins: EDGES,
+      outerBins: 'merge',
+      dropEmpty: true,
+    });
+
+    expect(result.metadata.outer_bins).toBe('merge');
+    expect(kindsOf(result.bins).every(kind => kind === 'bin')).toBe(true);
+  });
+});
@@ -0,0 +1,236 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { tableFromIPC } from 'apache-arrow';
+import {
+  asyncBufferFromFile,
+  parquetMetadataAsync,
+  parquetReadObjects,
+} from 'hyparquet';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+const ATHLETES = ['-f', getTestDataPath('athletes.parquet')];
+const WEIGHT = [...ATHLETES, '-c', 'weight', '--bins', '0,60,80,100,200'];
+
+// Split a CSV line into fields, unquoting quoted ones
+const csvFields = line =>
+  [...`${line},`.matchAll(/("(?:[^"]|"")*"|[^,]*),/g)].map(([, field]) =>
+    field.startsWith('"') ? field.slice(1, -1).replace(/""/g, '"') : field
+  );
+
+// A bin as a table row: every field of the table, null where the bin has none
+const asRow = (bin, fields) =>
+  Object.fromEntries(fields.map(field => [field, bin[field] ?? null]));
+
+describe('Output formats', () => {
+  let tempDir;
+  let json;
+
+  const output = name => path.join(tempDir, name);
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'binner-output-'));
+    json = await runCLIAndParseJSON(WEIGHT);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should write one bin per line as NDJSON', async () => {
+    const result = await runCLI([...WEIGHT, '--output-format', 'ndjson']);
+    expect(result.exitCode).toBe(0);
+
+    const rows = result.stdout.trim().split('\n').map(JSON.parse);
+    const fields = Object.keys(rows[0]);
+    expect(fields).toEqual([
+      'bin_label',
+      'kind',
+      'from',
+      'to',
+      'count',
+      'min',
+      'max',
+    ]);
+    expect(rows).toEqual(json.bins.map(bin => asRow(bin, fields)));
+  });
+
+  it('should write the bins as CSV with a header row', async () => {
+    const result = await runCLI([...WEIGHT, '--output-format', 'csv']);
+    expect(result.exitCode).toBe(0);
+
+    const [header, ...lines] = result.stdout.trim().split('\n');
+    expect(csvFields(header)).toEqual([
+      'bin_label',
+      'kind',
+      'from',
+      'to',
+      'count',
+      'min',
+      'max',
+    ]);
+    expect(lines).toHaveLength(json.bins.length);
+    lines.forEach((line, i) => {
+      const [label, kind, from, to, count] = csvFields(line);
+      const bin = json.bins[i];
+      expect(label).toBe(bin.bin_label);
+      expect(kind).toBe(bin.kind);
+      expect(from === '' ? null : Number(from)).toBe(bin.from);
+      expect(to === '' ? null : Number(to)).toBe(bin.to);
+      expect(Number(count)).toBe(bin.count);
+    });
+  });
+
+  it('should write the metadata of CSV and NDJSON files to a sidecar', async () => {
+    for (const name of ['bins.csv', 'bins.ndjson']) {
+      const result = await runCLI([...WEIGHT, '-o', output(name)]);
+      expect(result.exitCode).toBe(0);
+
+      const sidecar = output(name.replace(/\.\w+$/, '.metadata.json'));
+      expect(JSON.parse(fs.readFileSync(sidecar, 'utf8'))).toEqual(
+        json.metadata
+      );
+    }
+
+    const lines = fs.readFileSync(output('bins.ndjson'), 'utf8').trim();
+    expect(lines.split('\n')).toHaveLength(json.bins.length);
+  });
+
+  it('should only write the bins when the table goes to stdout', async () => {
+    for (const format of ['csv', 'ndjson']) {
+      const result = await runCLI([...WEIGHT, '--output-format', format]);
+      expect(result.exitCode).toBe(0);
+      expect(result.stderr).toBe('');
+    }
+  });
+
+  it('should write the metadata to --metadata-file', async () => {
+    const metadataFile = output('stdout.metadata.json');
+    const result = await runCLI([
+      ...WEIGHT,
+      '--output-format',
+      'ndjson',
+      '--metadata-file',
+      metadataFile,
+    ]);
+    expect(result.exitCode).toBe(0);
+    expect(result.stdout.trim().split('\n')).toHaveLength(json.bins.length);
+    expect(JSON.parse(fs.readFileSync(metadataFile, 'utf8'))).toEqual(
+      json.metadata
+    );
+
+    const markdown = await runCLI([
+      ...WEIGHT,
+      '--output-format',
+      'markdown',
+      '--metadata-file',
+      metadataFile,
+    ]);
+    expect(markdown.exitCode).not.toBe(0);
+    expect(markdown.stderr).toContain(
+      '--metadata-file only applies to ndjson and csv output'
+    );
+  });
+
+  it('should put the metadata above a Markdown table', async () => {
+    const result = await runCLI([...WEIGHT, '--output-format', 'markdown']);
+    expect(result.exitCode).toBe(0);
+
+    const lines = result.stdout.trim().split('\n');
+    expect(lines[0]).toBe('## weight');
+    expect(lines).toContain(`- **total_rows**: ${json.metadata.total_rows}`);
+    // Unset metadata is left out
+    expect(result.stdout).not.toContain('**algorithm**');
+
+    const table = lines.filter(line => line.startsWith('|'));
+    expect(table[0]).toBe(
+      '| bin_label | kind | from | to | count | min | max |'
+    );
+    expect(table[1]).toBe('| --- | --- | --- | --- | --- | --- | --- |');
+    expect(table.slice(2)).toHaveLength(json.bins.length);
+    expect(table[3]).toContain(`| ${json.bins[1].bin_label} |`);
+  });
+
+  it('should store the metadata in the Parquet schema metadata', async () => {
+    const result = await runCLI([...WEIGHT, '-o', output('bins.parquet')]);
+    expect(result.exitCode).toBe(0);
+
+    const file = await asyncBufferFromFile(output('bins.parquet'));
+    const { key_value_metadata } = await parquetMetadataAsync(file);
+    const entry = key_value_metadata.find(({ key }) => key === 'binner');
+    expect(JSON.parse(entry.value)).toEqual(json.metadata);
+
+    const rows = await parquetReadObjects({ file });
+    expect(rows.map(row => row.bin_label)).toEqual(
+      json.bins.map(bin => bin.bin_label)
+    );
+    expect(rows.map(row => Number(row.count))).toEqual(
+      json.bins.map(bin => bin.count)
+    );
+  });
+
+  it('should store the metadata in the Arrow schema metadata', async () => {
+    // An explicit --output-format wins over the extension
+    const file = output('bins.out');
+    const result = await runCLI([
+      ...WEIGHT,
+      '--output-format',
+      'arrow',
+      '-o',
+      file,
+    ]);
+    expect(result.exitCode).toBe(0);
+
+    const table = tableFromIPC(fs.readFileSync(file));
+    expect(JSON.parse(table.schema.metadata.get('binner'))).toEqual(
+      json.metadata
+    );
+    expect(table.numRows).toBe(json.bins.length);
+    expect([...table.getChild('bin_label')]).toEqual(
+      json.bins.map(bin => bin.bin_label)
+    );
+  });
+
+  it('should write JSON for unknown extensions', async () => {
+    const result = await runCLI([...WEIGHT, '-o', output('report.txt')]);
+    expect(result.exitCode).toBe(0);
+
+    expect(JSON.parse(fs.readFileSync(output('report.txt'), 'utf8'))).toEqual(
+      json
+    );
+    expect(fs.existsSync(output('report.metadata.json'))).toBe(false);
+  });
+
+  it('should name the column of every row when several are binned', async () => {
+    const args = [...ATHLETES, '-c', 'weight,height', '-a', 'quantile'];
+    const columns = await runCLIAndParseJSON(args);
+    const result = await runCLI([...args, '--output-format', 'ndjson']);
+    expect(result.exitCode).toBe(0);
+
+    const rows = result.stdout.trim().split('\n').map(JSON.parse);
+    expect(rows.map(row => row.column)).toEqual([
+      ...columns.weight.bins.map(() => 'weight'),
+      ...columns.height.bins.map(() => 'height'),
+    ]);
+  });
+
+  it('should label the rows of each group', async () => {
+    const args = [...WEIGHT, '--group-by', 'sex'];
+    const grouped = await runCLIAndParseJSON(args);
+    const result = await runCLI([...args, '--output-format', 'ndjson']);
+    expect(result.exitCode).toBe(0);
+
+    const rows = result.stdout.trim().split('\n').map(JSON.parse);
+    expect(rows.map(row => row.group)).toEqual([
+      ...grouped.bins.map(() => null),
+      ...grouped.groups.flatMap(group => group.bins.map(() => group.label)),
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { Float64, Table, tableToIPC, vectorFromArray } from 'apache-arrow';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runCLIAndParseJSON, ensureBinaryBuilt } from './cli-helper.js';
+
+const NUM_VALUES = 1_000_000;
+
+// The number of sorted values below a bound
+const countBelow = (sorted, bound) => {
+  let [low, high] = [0, sorted.length];
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (sorted[middle] < bound) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+describe('Binning performance', () => {
+  let tempDir;
+  let file;
+  let sorted;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+
+    // Deterministic pseudo-random values in [0, 1000)
+    let seed = 42;
+    const values = new Float64Array(NUM_VALUES);
+    for (let i = 0; i < NUM_VALUES; i++) {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      values[i] = (seed / 2147483648) * 1000;
+    }
+    sorted = Float64Array.from(values).sort();
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'binner-bench-'));
+    file = path.join(tempDir, 'values.arrow');
+    fs.writeFileSync(
+      file,
+      tableToIPC(
+        new Table({ value: vectorFromArray(values, new Float64()) }),
+        'file'
+      )
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const binEdges = numEdges => {
+    const edges = Array.from({ length: numEdges }, (_, i) =>
+      String((i * 1000) / (numEdges - 1))
+    );
+    return runCLIAndParseJSON([
+      '-f',
+      file,
+      '-c',
+      'value',
+      '--bins',
+      edges.join(','),
+    ]);
+  };
+
+  it('should place every value in exactly one bin', async () => {
+    const result = await binEdges(101);
+
+    const total = result.bins.reduce((sum, bin) => sum + bin.count, 0);
+    expect(total).toBe(NUM_VALUES);
+    for (const bin of result.bins.filter(bin => bin.count > 0)) {
+      expect(bin.min).toBeGreaterThanOrEqual(bin.from ?? -Infinity);
+      expect(bin.max).toBeLessThan(bin.to ?? Infinity);
+    }
+  });
+
+  // The speed itself is measured by `cargo bench --bench build_bins`
+  it('should count the values of thousands of bins', async () => {
+    const result = await binEdges(2001);
+    const bins = result.bins.filter(bin => bin.kind === 'bin');
+
+    expect(result.bins).toHaveLength(2002);
+    expect(bins).toHaveLength(2000);
+    for (const bin of bins) {
+      expect(bin.count).toBe(
+        countBelow(sorted, bin.to) - countBelow(sorted, bin.from)
+      );
+    }
+  }, 60000);
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+// Whether a value is a whole multiple of a unit, up to floating point error
+const isNice = (value, unit) => {
+  const multiple = value / unit;
+  return Math.abs(multiple - Math.round(multiple)) < 1e-9;
+};
+
+describe('Pretty Algorithm and nice edges', () => {
+  let weights;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    weights = [...(await readTestColumn('athletes.parquet', 'weight'))].filter(
+      value => !Number.isNaN(value)
+    );
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON(['-f', getTestDataPath('athletes.parquet'), ...args]);
+
+  it('should pick round edges covering the data range', async () => {
+    const result = await athletes('-c', 'weight', '-a', 'pretty', '-n', '5');
+
+    expect(result.metadata.algorithm).toBe('Pretty');
+    expect(result.metadata.bin_edges).toEqual([0, 50, 100, 150, 200]);
+    expect(result.bins[0].count).toBe(0);
+    expect(result.bins.at(-1).count).toBe(0);
+    expect(result.bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(
+      weights.length
+    );
+  });
+
+  it('should keep decimal edges free of floating point noise', async () => {
+    const result = await athletes('-c', 'height', '-a', 'pretty', '-n', '4');
+
+    expect(result.metadata.bin_edges).toEqual([1, 1.5, 2, 2.5]);
+  });
+
+  it('should use 2.5 steps when they come closest to the bin count', async () => {
+    const result = await runCLIAndParseJSON(['-f', '-', '-a', 'pretty'], {
+      input: '0\n3\n7\n12\n',
+    });
+
+    expect(result.metadata.bin_edges).toEqual([0, 2.5, 5, 7.5, 10, 12.5]);
+  });
+
+  it('should snap the edges of another algorithm and report the shift', async () => {
+    const args = ['-c', 'weight', '-a', 'quantile', '-n', '5'];
+    const plain = await athletes(...args);
+    const snapped = await athletes(...args, '--nice');
+    const { bin_edges: edges, unsnapped_edges: unsnapped } = snapped.metadata;
+
+    expect(unsnapped).toEqual(plain.metadata.bin_edges);
+    expect(edges).toHaveLength(unsnapped.length);
+
+    // Every edge is a multiple of one unit no wider than half the narrowest bin
+    const narrowest = Math.min(
+      ...unsnapped.slice(1).map((edge, i) => edge - unsnapped[i])
+    );
+    const unit = [5, 2.5, 2, 1]
+      .flatMap(mantissa => [0.01, 0.1, 1, 10].map(power => mantissa * power))
+      .filter(step => step <= narrowest / 2)
+      .sort((a, b) => b - a)[0];
+    for (const edge of edges) {
+      expect(isNice(edge, unit)).toBe(true);
+    }
+    expect(edges[0]).toBeLessThanOrEqual(unsnapped[0]);
+    expect(edges.at(-1)).toBeGreaterThan(Math.max(...weights));
+
+    // The shifts account for the difference from the unsnapped counts
+    snapped.bins.forEach((bin, i) => {
+      expect(bin.count - bin.count_shift).toBe(plain.bins[i].count);
+    });
+    expect(snapped.bins.reduce((sum, bin) => sum + bin.count_shift, 0)).toBe(0);
+    expect(snapped.metadata.moved_values).toBeGreaterThan(0);
+    expect(plain.metadata.unsnapped_edges).toBeNull();
+    expect(plain.bins[0]).not.toHaveProperty('count_shift');
+  });
+
+  it('should count the values that changed bin', async () => {
+    const result = await athletes(
+      '-c',
+      'weight',
+      '-a',
+      'equal-interval',
+      '-n',
+      '6',
+      '--nice'
+    );
+    const { bin_edges: edges, unsnapped_edges: unsnapped } = result.metadata;
+    // Like every algorithm's, the last bin holds the last edge
+    const binIndex = (edges, value) =>
+      value === edges.at(-1)
+        ? edges.length - 1
+        : edges.filter(edge => edge <= value).length;
+
+    const moved = weights.filter(
+      value => binIndex(unsnapped, value) !== binIndex(edges, value)
+    );
+    expect(moved.length).toBeGreaterThan(0);
+    expect(result.metadata.moved_values).toBe(moved.length);
+  });
+
+  it('should not snap custom bins', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '--bins',
+      '0,50,100',
+      '--nice',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('--nice');
+  });
+
+  it('should match in streaming mode', async () => {
+    const args = ['-c', 'weight', '-a', 'equal-interval', '-n', '7', '--nice'];
+    const inMemory = await athletes(...args);
+    const streamed = await athletes(
+      ...args,
+      '--streaming',
+      '--batch-size',
+      '1000'
+    );
+
+    expect(streamed.metadata.bin_edges).toEqual(inMemory.metadata.bin_edges);
+    expect(streamed.metadata.moved_values).toBe(inMemory.metadata.moved_values);
+    expect(streamed.bins).toEqual(inMemory.bins);
+  });
+
+  it('should pass pretty and nice through the Node.js API', async () => {
+    const pretty = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      algorithm: 'pretty',
+      numBins: 3,
+    });
+    expect(pretty.metadata.bin_edges).toEqual([0, 100, 200]);
+
+    const nice = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      algorithm: 'jenks',
+      numBins: 4,
+      nice: true,
+    });
+    expect(nice.metadata.unsnapped_edges).toHaveLength(5);
+    expect(nice.bins.every(bin => 'count_shift' in bin)).toBe(true);
+  });
+});
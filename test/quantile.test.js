@@ -24,11 +24,7 @@ describe('Quantile Algorithm', () => {
     expect(result.bins).toHaveLength(6); // 4 bins + overflow + underflow
 
     // Quantile bins should have roughly equal counts (excluding overflow/underflow)
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
     const counts = dataBins.map(bin => bin.count);
     const avgCount = counts.reduce((a, b) => a + b, 0) / counts.length;
 
@@ -53,11 +49,7 @@ describe('Quantile Algorithm', () => {
     expect(result.metadata.num_bins).toBe(4);
 
     // With 4 quantile bins, each should contain approximately 25% of the data
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     const totalDataCount = dataBins.reduce((sum, bin) => sum + bin.count, 0);
     const expectedCountPerBin = totalDataCount / 4;
@@ -86,11 +78,7 @@ describe('Quantile Algorithm', () => {
       expect(result.bins).toHaveLength(numBins + 2);
 
       // Check that bins have roughly equal frequencies
-      const dataBins = result.bins.filter(
-        bin =>
-          !bin.bin_label.includes('overflow') &&
-          !bin.bin_label.includes('underflow')
-      );
+      const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
       const counts = dataBins.map(bin => bin.count);
       const avgCount = counts.reduce((a, b) => a + b, 0) / counts.length;
@@ -115,11 +103,7 @@ describe('Quantile Algorithm', () => {
     ]);
 
     // With 5 quantile bins, we get 20th, 40th, 60th, 80th percentiles
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     expect(dataBins.length).toBeGreaterThanOrEqual(5); // Data bins only, excluding overflow/underflow
 
@@ -155,11 +139,7 @@ describe('Quantile Algorithm', () => {
     expect(result.bins).toHaveLength(8); // 6 bins + overflow + underflow
 
     // Check that quantile property holds regardless of data distribution
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     const counts = dataBins.map(bin => bin.count);
     const avgCount = counts.reduce((a, b) => a + b, 0) / counts.length;
@@ -60,11 +60,7 @@ describe('Standard Deviation Algorithm', () => {
 
     // Standard deviation bins should be centered around the mean
     // and extend in both directions
-    const dataBins = result.bins.filter(
-      bin =>
-        !bin.bin_label.includes('overflow') &&
-        !bin.bin_label.includes('underflow')
-    );
+    const dataBins = result.bins.filter(bin => bin.kind === 'bin');
 
     expect(dataBins.length).toBeGreaterThan(1);
 
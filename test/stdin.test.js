@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+describe('Standard input', () => {
+  let weights;
+  let expected;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+
+    weights = Array.from(
+      await readTestColumn('athletes.parquet', 'weight'),
+      value => (Number.isNaN(value) ? null : value)
+    );
+    expected = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+      '-n',
+      '4',
+    ]);
+  });
+
+  it('should bin newline-delimited numbers from -f -', async () => {
+    const result = await runCLIAndParseJSON(
+      ['-f', '-', '-a', 'jenks', '-n', '4'],
+      { input: weights.map(value => value ?? 'null').join('\n') + '\n' }
+    );
+
+    expect(result.metadata.file).toBe('<stdin>');
+    expect(result.metadata.format).toBe('lines');
+    expect(result.metadata.column).toBe('value');
+    expect(result.metadata.total_rows).toBe(expected.metadata.total_rows);
+    expect(result.metadata.null_values).toBe(expected.metadata.null_values);
+    expect(result.bins).toEqual(expected.bins);
+  });
+
+  it('should accept --stdin with custom null markers', async () => {
+    const result = await runCLIAndParseJSON(
+      ['--stdin', '--null-values', 'NA', '--bins', '2,4,null'],
+      { input: '1\n2\nNA\n3\n\n4\n5\n' }
+    );
+
+    expect(result.metadata.file).toBe('<stdin>');
+    expect(result.metadata.total_rows).toBe(6);
+    expect(result.metadata.null_values).toBe(1);
+    expect(result.bins.find(bin => bin.kind === 'null').count).toBe(1);
+  });
+
+  it('should read a CSV column streamed on stdin', async () => {
+    const csv = ['id,weight', ...weights.map((w, i) => `${i},${w ?? ''}`)];
+    const result = await runCLIAndParseJSON(
+      ['-f', '-', '--format', 'csv', '-c', 'weight', '-a', 'jenks', '-n', '4'],
+      { input: csv.join('\n') }
+    );
+
+    expect(result.metadata.format).toBe('csv');
+    expect(result.metadata.column).toBe('weight');
+    expect(result.bins).toEqual(expected.bins);
+  });
+
+  it('should read an NDJSON column streamed on stdin', async () => {
+    const result = await runCLIAndParseJSON(
+      [
+        '-f',
+        '-',
+        '--format',
+        'ndjson',
+        '-c',
+        'weight',
+        '-a',
+        'jenks',
+        '-n',
+        '4',
+      ],
+      { input: weights.map(weight => JSON.stringify({ weight })).join('\n') }
+    );
+
+    expect(result.metadata.format).toBe('ndjson');
+    expect(result.metadata.null_values).toBe(expected.metadata.null_values);
+    expect(result.bins).toEqual(expected.bins);
+  });
+
+  it('should read a Parquet file on stdin in batches with --streaming', async () => {
+    const bins = ['-c', 'weight', '--bins', '0,60,80,100,200,null'];
+    const fromFile = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      ...bins,
+    ]);
+    const result = await runCLIAndParseJSON(
+      ['-f', '-', '--format', 'parquet', ...bins, '--streaming'],
+      { input: fs.readFileSync(getTestDataPath('athletes.parquet')) }
+    );
+
+    expect(result.metadata.file).toBe('<stdin>');
+    expect(result.bins.map(bin => bin.count)).toEqual(
+      fromFile.bins.map(bin => bin.count)
+    );
+  });
+
+  it('should fail on a line that is not a number', async () => {
+    const result = await runCLI(['-f', '-', '-a', 'jenks'], {
+      input: '1\n2\nabc\n',
+    });
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('line 3');
+  });
+
+  it('should fail on NaN and infinite values', async () => {
+    for (const value of ['NaN', 'inf', '-infinity']) {
+      const result = await runCLI(['-f', '-', '-a', 'jenks'], {
+        input: `1\n${value}\n3\n`,
+      });
+
+      expect(result.exitCode).not.toBe(0);
+      expect(result.stderr).toContain(`Invalid value on line 2: '${value}'`);
+    }
+  });
+
+  it('should pipe arrays through the Node.js API', async () => {
+    const result = await binner({
+      input: [1, 2, null, 3, 4, 5],
+      algorithm: 'equal-interval',
+      numBins: 2,
+    });
+
+    expect(result.metadata.file).toBe('<stdin>');
+    expect(result.metadata.numeric_values).toBe(5);
+    expect(result.metadata.null_values).toBe(1);
+  });
+});
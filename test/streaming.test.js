@@ -0,0 +1,211 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+describe('Streaming mode', () => {
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON(['-f', getTestDataPath('athletes.parquet'), ...args]);
+
+  // athletes.parquet has 11538 rows, so this reads a dozen batches
+  const streaming = ['--streaming', '--batch-size', '1000'];
+
+  it('should count custom bins exactly', async () => {
+    const args = ['-c', 'weight', '--bins', '40,60,80,100,null'];
+    const inMemory = await athletes(...args);
+    const streamed = await athletes(...args, ...streaming);
+
+    expect(streamed.bins).toEqual(inMemory.bins);
+    expect(streamed.metadata.total_rows).toBe(inMemory.metadata.total_rows);
+    expect(streamed.metadata.null_values).toBe(inMemory.metadata.null_values);
+    expect(streamed.metadata.exact_breaks).toBe(true);
+    expect(streamed.metadata.rank_error).toBeNull();
+  });
+
+  it('should calculate exact equal-interval edges in two passes', async () => {
+    const args = ['-c', 'weight', '-a', 'equal-interval', '-n', '5'];
+    const inMemory = await athletes(...args);
+    const streamed = await athletes(...args, ...streaming);
+
+    expect(streamed.metadata.exact_breaks).toBe(true);
+    streamed.metadata.bin_edges.forEach((edge, i) => {
+      expect(edge).toBeCloseTo(inMemory.metadata.bin_edges[i], 9);
+    });
+    expect(streamed.bins.map(bin => bin.count)).toEqual(
+      inMemory.bins.map(bin => bin.count)
+    );
+  });
+
+  it('should match the in-memory standard-deviation edges', async () => {
+    const args = [
+      '-c',
+      'weight',
+      '-a',
+      'standard-deviation',
+      '--std-dev-size',
+      '0.5',
+    ];
+    const inMemory = await athletes(...args);
+    const streamed = await athletes(...args, ...streaming);
+
+    expect(streamed.metadata.exact_breaks).toBe(true);
+    expect(streamed.metadata.bin_edges).toHaveLength(
+      inMemory.metadata.bin_edges.length
+    );
+    streamed.metadata.bin_edges.forEach((edge, i) => {
+      expect(edge).toBeCloseTo(inMemory.metadata.bin_edges[i], 9);
+    });
+    expect(streamed.bins.map(bin => bin.count)).toEqual(
+      inMemory.bins.map(bin => bin.count)
+    );
+  });
+
+  it('should estimate quantile edges within the reported rank error', async () => {
+    const result = await athletes(
+      '-c',
+      'height',
+      '-a',
+      'quantile',
+      '-n',
+      '4',
+      ...streaming
+    );
+    const { metadata, bins } = result;
+
+    expect(metadata.exact_breaks).toBe(false);
+    expect(metadata.rank_error).toBeGreaterThan(0);
+    expect(metadata.rank_error).toBeLessThan(0.05);
+    expect(metadata.bin_edges[0]).toBe(1.21);
+
+    // Each quarter holds 25% of the values, give or take the rank error
+    // on both of its edges (and ties at the edges)
+    const dataBins = bins.slice(1, -1);
+    expect(dataBins).toHaveLength(4);
+    const total = dataBins.reduce((sum, bin) => sum + bin.count, 0);
+    expect(total).toBe(metadata.numeric_values);
+    dataBins.forEach(bin => {
+      expect(Math.abs(bin.count / total - 0.25)).toBeLessThan(
+        2 * metadata.rank_error + 0.05
+      );
+    });
+  });
+
+  it('should keep small inputs exact', async () => {
+    const values = Array.from({ length: 100 }, (_, i) => i + 1);
+    const result = await runCLIAndParseJSON(
+      ['--stdin', '-a', 'quantile', '-n', '4', '--streaming'],
+      { input: values.join('\n') }
+    );
+
+    expect(result.metadata.exact_breaks).toBe(true);
+    expect(result.metadata.bin_edges.slice(0, 4)).toEqual([1, 25, 50, 75]);
+  });
+
+  it('should apply --where to every batch', async () => {
+    const args = [
+      '-c',
+      'weight',
+      '--bins',
+      '40,60,80,100',
+      '--where',
+      "sex = 'female'",
+    ];
+    const inMemory = await athletes(...args);
+    const streamed = await athletes(...args, ...streaming);
+
+    expect(streamed.metadata.filtered_rows).toBe(
+      inMemory.metadata.filtered_rows
+    );
+    expect(streamed.bins).toEqual(inMemory.bins);
+  });
+
+  it('should fail cleanly when --where leaves no rows', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+      '--where',
+      'weight < 0',
+      ...streaming,
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('No numeric values found');
+  });
+
+  it('should stream several columns in the same passes', async () => {
+    const result = await athletes(
+      '-c',
+      'weight,height,missing_column',
+      '-a',
+      'head-tail',
+      ...streaming
+    );
+
+    expect(Object.keys(result)).toEqual([
+      'weight',
+      'height',
+      'missing_column',
+    ]);
+    expect(result.weight.metadata.exact_breaks).toBe(false);
+    expect(result.height.bins.length).toBeGreaterThan(2);
+    expect(result.missing_column.error).toContain('not found');
+  });
+
+  it('should reject weighted quantile edges', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '--weight-column',
+      'gold',
+      '--streaming',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('not available with --streaming');
+  });
+
+  it('should require --streaming for --batch-size', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+      '--batch-size',
+      '10',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+  });
+
+  it('should pass streaming options through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      algorithm: 'jenks',
+      numBins: 4,
+      streaming: true,
+      batchSize: 5000,
+    });
+
+    expect(result.metadata.algorithm).toBe('Jenks');
+    expect(typeof result.metadata.exact_breaks).toBe('boolean');
+  });
+});
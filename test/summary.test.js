@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+// Linearly interpolated percentile of sorted values
+const percentile = (sorted, percent) => {
+  const position = (percent / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+describe('Column summary with --summary', () => {
+  let sorted;
+  let expected;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    const weights = [
+      ...(await readTestColumn('athletes.parquet', 'weight')),
+    ].filter(value => !Number.isNaN(value));
+    sorted = [...weights].sort((a, b) => a - b);
+
+    const n = weights.length;
+    const mean = weights.reduce((sum, value) => sum + value, 0) / n;
+    const moment = power =>
+      weights.reduce((sum, value) => sum + (value - mean) ** power, 0) / n;
+    expected = {
+      mean,
+      std: Math.sqrt(moment(2)),
+      skewness: moment(3) / moment(2) ** 1.5,
+      kurtosis: moment(4) / moment(2) ** 2 - 3,
+      distinct: new Set(weights).size,
+    };
+  });
+
+  const athletes = (...args) =>
+    runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      ...args,
+    ]);
+
+  it('should leave the summary out unless requested', async () => {
+    const result = await athletes();
+
+    expect(result.metadata.summary).toBeNull();
+  });
+
+  it('should describe the distribution of the column', async () => {
+    const { summary } = (await athletes('--summary')).metadata;
+
+    expect(summary.min).toBe(sorted[0]);
+    expect(summary.max).toBe(sorted.at(-1));
+    expect(summary.mean).toBeCloseTo(expected.mean, 9);
+    expect(summary.std).toBeCloseTo(expected.std, 9);
+    expect(summary.skewness).toBeCloseTo(expected.skewness, 9);
+    expect(summary.kurtosis).toBeCloseTo(expected.kurtosis, 9);
+    expect(summary.distinct).toBe(expected.distinct);
+    expect(summary.exact).toBe(true);
+
+    expect(Object.keys(summary.percentiles)).toEqual([
+      'p1',
+      'p5',
+      'p25',
+      'p50',
+      'p75',
+      'p95',
+      'p99',
+    ]);
+    for (const percent of [1, 5, 25, 50, 75, 95, 99]) {
+      expect(summary.percentiles[`p${percent}`]).toBeCloseTo(
+        percentile(sorted, percent),
+        9
+      );
+    }
+  });
+
+  it('should report the requested percentiles', async () => {
+    const { summary } = (
+      await athletes('--summary', '--percentiles', '0,12.5,100')
+    ).metadata;
+
+    expect(summary.percentiles).toEqual({
+      p0: sorted[0],
+      'p12.5': percentile(sorted, 12.5),
+      p100: sorted.at(-1),
+    });
+  });
+
+  it('should reject percentiles outside 0 to 100', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '--summary',
+      '--percentiles',
+      '50,101',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('--percentiles');
+  });
+
+  it('should need --summary for --percentiles', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '--percentiles',
+      '50',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+  });
+
+  it('should count every value once in weighted histograms', async () => {
+    const plain = await athletes('--summary');
+    const weighted = await athletes('--summary', '--weight-column', 'gold');
+
+    expect(weighted.metadata.summary).toEqual(plain.metadata.summary);
+  });
+
+  it('should estimate the percentiles from sketches in streaming mode', async () => {
+    const inMemory = (await athletes('--summary')).metadata.summary;
+    const streamed = (
+      await athletes('--summary', '--streaming', '--batch-size', '1000')
+    ).metadata.summary;
+
+    expect(streamed.exact).toBe(false);
+    expect(streamed.min).toBe(inMemory.min);
+    expect(streamed.max).toBe(inMemory.max);
+    for (const field of ['mean', 'std', 'skewness', 'kurtosis']) {
+      expect(streamed[field]).toBeCloseTo(inMemory[field], 9);
+    }
+    // Fewer distinct values than the sketch keeps are counted exactly
+    expect(streamed.distinct).toBe(inMemory.distinct);
+
+    // Each estimate is a value whose rank lies within the sketch's error
+    for (const [key, value] of Object.entries(streamed.percentiles)) {
+      const rank = Number(key.slice(1)) / 100;
+      const below = sorted.filter(other => other < value).length;
+      const atOrBelow = sorted.filter(other => other <= value).length;
+      expect(below / sorted.length).toBeLessThanOrEqual(rank + 0.02);
+      expect(atOrBelow / sorted.length).toBeGreaterThanOrEqual(rank - 0.02);
+    }
+  });
+
+  it('should pass summary and percentiles through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      algorithm: 'jenks',
+      summary: true,
+      percentiles: [50],
+    });
+
+    expect(result.metadata.summary.percentiles).toEqual({
+      p50: percentile(sorted, 50),
+    });
+    expect(result.metadata.summary.distinct).toBe(expected.distinct);
+  });
+});
@@ -0,0 +1,316 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+  DateDay,
+  DurationMillisecond,
+  Table,
+  TimestampMillisecond,
+  tableToIPC,
+  vectorFromArray,
+} from 'apache-arrow';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import binner from '../index.js';
+import { runCLI, runCLIAndParseJSON, ensureBinaryBuilt } from './cli-helper.js';
+
+const MS_PER_DAY = 86_400_000;
+const HOUR = 3_600_000;
+
+const day = (year, month, date) => new Date(Date.UTC(year, month - 1, date));
+
+// Instants around the start of daylight saving time in Paris (2024-03-31 02:00)
+const instants = [
+  Date.UTC(2024, 2, 30, 8), // 09:00 in Paris
+  Date.UTC(2024, 2, 30, 22, 30), // 23:30
+  Date.UTC(2024, 2, 30, 23, 30), // 00:30 on the 31st
+  Date.UTC(2024, 2, 31, 12), // 14:00
+  Date.UTC(2024, 2, 31, 22, 30), // 00:30 on April 1st
+  null,
+];
+
+describe('Temporal columns', () => {
+  let tempDir;
+  let file;
+  let farFile;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'binner-temporal-'));
+    file = path.join(tempDir, 'events.arrow');
+    const table = new Table({
+      day: vectorFromArray(
+        [
+          day(2024, 1, 15),
+          day(2024, 1, 31),
+          day(2024, 2, 1),
+          day(2024, 2, 29),
+          day(2024, 3, 31),
+          null,
+        ],
+        new DateDay()
+      ),
+      at: vectorFromArray(instants, new TimestampMillisecond()),
+      at_paris: vectorFromArray(
+        instants,
+        new TimestampMillisecond('Europe/Paris')
+      ),
+      wait: vectorFromArray(
+        [1000n, 2000n, 45000n, 600000n, 90061500n, null],
+        new DurationMillisecond()
+      ),
+    });
+    fs.writeFileSync(file, tableToIPC(table, 'file'));
+
+    // Values far from the rest, past what nanosecond timestamps can hold
+    farFile = path.join(tempDir, 'far.arrow');
+    const far = new Table({
+      future: vectorFromArray(
+        [day(2024, 1, 1), day(2300, 1, 1)],
+        new TimestampMillisecond()
+      ),
+      outlier: vectorFromArray(
+        [day(2024, 1, 1), day(2900, 1, 1)],
+        new DateDay()
+      ),
+    });
+    fs.writeFileSync(farFile, tableToIPC(far, 'file'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const events = (...args) => runCLIAndParseJSON(['-f', file, ...args]);
+
+  it('should bin dates into calendar months', async () => {
+    const result = await events('-c', 'day', '--interval', 'month');
+
+    expect(result.metadata).toMatchObject({
+      temporal_type: 'date',
+      time_unit: 'days',
+      interval: 'month',
+      algorithm: null,
+      numeric_values: 5,
+      null_values: 1,
+    });
+    expect(result.metadata.bin_edges).toEqual(
+      [day(2024, 1, 1), day(2024, 2, 1), day(2024, 3, 1), day(2024, 4, 1)].map(
+        date => date.getTime() / MS_PER_DAY
+      )
+    );
+
+    const dataBins = result.bins.slice(1, -1);
+    expect(dataBins.map(bin => bin.bin_label)).toEqual([
+      '[2024-01-01, 2024-02-01)',
+      '[2024-02-01, 2024-03-01)',
+      '[2024-03-01, 2024-04-01)',
+    ]);
+    expect(dataBins.map(bin => bin.count)).toEqual([2, 2, 1]);
+    expect(dataBins[0]).toMatchObject({
+      from: '2024-01-01',
+      to: '2024-02-01',
+      min: '2024-01-15',
+      max: '2024-01-31',
+    });
+    expect(result.bins[0].count).toBe(0);
+    expect(result.bins.at(-1).count).toBe(0);
+  });
+
+  it('should align day bins to local midnight in the timezone', async () => {
+    const result = await events('-c', 'at_paris', '--interval', 'day');
+
+    expect(result.metadata.temporal_type).toBe('datetime');
+    expect(result.metadata.time_unit).toBe('ms');
+    expect(result.metadata.timezone).toBe('Europe/Paris');
+
+    const dataBins = result.bins.slice(1, -1);
+    expect(dataBins.map(bin => bin.from)).toEqual([
+      '2024-03-30T00:00:00+01:00',
+      '2024-03-31T00:00:00+01:00',
+      '2024-04-01T00:00:00+02:00',
+    ]);
+    expect(dataBins.map(bin => bin.count)).toEqual([2, 2, 1]);
+    expect(dataBins[1].max).toBe('2024-03-31T14:00:00+02:00');
+
+    // The day the clocks go forward is an hour short
+    const edges = result.metadata.bin_edges;
+    expect(edges[2] - edges[1]).toBe(23 * HOUR);
+  });
+
+  it('should use UTC for datetimes without a timezone unless one is given', async () => {
+    const utc = await events('-c', 'at', '--interval', 'day');
+    expect(utc.metadata.timezone).toBeNull();
+    expect(utc.bins.slice(1, -1).map(bin => bin.count)).toEqual([3, 2]);
+    expect(utc.bins[1].from).toBe('2024-03-30T00:00:00');
+
+    const paris = await events(
+      '-c',
+      'at',
+      '--interval',
+      'day',
+      '--timezone',
+      'Europe/Paris'
+    );
+    expect(paris.metadata.timezone).toBe('Europe/Paris');
+    expect(paris.bins.slice(1, -1).map(bin => bin.count)).toEqual([2, 2, 1]);
+  });
+
+  it('should run the algorithms on the underlying epoch values', async () => {
+    const result = await events('-c', 'at', '-a', 'equal-interval', '-n', '2');
+
+    const [min, max] = [instants[0], instants[4]];
+    expect(result.metadata.bin_edges[0]).toBe(min);
+    expect(result.metadata.bin_edges[1]).toBe((min + max) / 2);
+    expect(result.bins[1].from).toBe('2024-03-30T08:00:00');
+    expect(result.bins[1].bin_label).toMatch(
+      /^\[2024-03-30T08:00:00, 2024-03-31T\d{2}:\d{2}:\d{2}\)$/
+    );
+  });
+
+  it('should write durations as ISO-8601 durations', async () => {
+    const result = await events('-c', 'wait', '--bins', '0,60000,3600000');
+
+    expect(result.metadata.temporal_type).toBe('duration');
+    expect(result.bins.map(bin => bin.bin_label)).toEqual([
+      '< PT0S',
+      '[PT0S, PT1M)',
+      '[PT1M, PT1H)',
+      '>= PT1H',
+    ]);
+    expect(result.bins.map(bin => bin.count)).toEqual([0, 3, 1, 1]);
+    expect(result.bins[1]).toMatchObject({ min: 'PT1S', max: 'PT45S' });
+    expect(result.bins[3].max).toBe('P1DT1H1M1.5S');
+  });
+
+  it('should chart durations on a numeric axis labelled as durations', async () => {
+    const result = await runCLI([
+      '-f',
+      file,
+      '-c',
+      'wait',
+      '--bins',
+      '0,60000,3600000',
+      '--outer-bins',
+      'drop',
+      '--output-format',
+      'vega-lite',
+    ]);
+    expect(result.exitCode).toBe(0);
+
+    const { data, encoding } = JSON.parse(result.stdout);
+    expect(encoding.x.type).toBe('quantitative');
+    expect(data.values.map(value => [value.from, value.to])).toEqual([
+      [0, 60000],
+      [60000, 3600000],
+    ]);
+    expect(encoding.x.axis.values).toEqual([0, 60000, 3600000]);
+    expect(encoding.x.axis.labelExpr).toContain('["PT0S","PT1M","PT1H"]');
+  });
+
+  it('should reject --interval on a duration column', async () => {
+    const result = await runCLI([
+      '-f',
+      file,
+      '-c',
+      'wait',
+      '--interval',
+      'day',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain(
+      '--interval requires a Date or Datetime column'
+    );
+  });
+
+  it('should reject datetimes past the range of nanosecond timestamps', async () => {
+    const result = await runCLI([
+      '-f',
+      farFile,
+      '-c',
+      'future',
+      '-a',
+      'equal-interval',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('is out of range');
+    expect(result.stderr).toContain('between 1677-09-21 and 2262-04-11');
+  });
+
+  it('should cap the number of calendar edges', async () => {
+    const result = await runCLI([
+      '-f',
+      farFile,
+      '-c',
+      'outlier',
+      '--interval',
+      'day',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain(
+      '--interval day needs more than 100000 edges'
+    );
+
+    const years = await runCLIAndParseJSON([
+      '-f',
+      farFile,
+      '-c',
+      'outlier',
+      '--interval',
+      'year',
+    ]);
+    expect(years.metadata.bin_edges).toHaveLength(878);
+  });
+
+  it('should reject an unknown timezone', async () => {
+    const result = await runCLI([
+      '-f',
+      file,
+      '-c',
+      'at',
+      '--interval',
+      'day',
+      '--timezone',
+      'Mars/Olympus_Mons',
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain("Unknown timezone: 'Mars/Olympus_Mons'");
+  });
+
+  it('should include temporal columns with --all-numeric', async () => {
+    const result = await events('--all-numeric', '-a', 'quantile', '-n', '2');
+
+    expect(Object.keys(result)).toEqual(['day', 'at', 'at_paris', 'wait']);
+    expect(result.day.metadata.temporal_type).toBe('date');
+  });
+
+  it('should stream calendar bins in batches', async () => {
+    const args = ['-c', 'day', '--interval', 'month'];
+    const inMemory = await events(...args);
+    const streamed = await events(...args, '--streaming', '--batch-size', '2');
+
+    expect(streamed.bins).toEqual(inMemory.bins);
+    expect(streamed.metadata.bin_edges).toEqual(inMemory.metadata.bin_edges);
+  });
+
+  it('should pass interval and timezone through the Node.js API', async () => {
+    const result = await binner({
+      file,
+      column: 'at',
+      interval: 'quarter',
+      timezone: 'UTC',
+    });
+
+    expect(result.metadata.interval).toBe('quarter');
+    expect(result.metadata.timezone).toBe('UTC');
+    expect(result.bins[1]).toMatchObject({
+      from: '2024-01-01T00:00:00Z',
+      to: '2024-04-01T00:00:00Z',
+      count: 5,
+    });
+  });
+});
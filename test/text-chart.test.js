@@ -0,0 +1,116 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+const ATHLETES = ['-f', getTestDataPath('athletes.parquet')];
+const WEIGHT = [...ATHLETES, '-c', 'weight', '--bins', '0,60,80,100,200,null'];
+
+// label, optional tag, count, share and bar of an ASCII chart line
+const LINE =
+  /^(.*?) +(?:(underflow|overflow|null) +)?(\d+(?:\.\d+)?) +(\d+\.\d)% \|(#*|\.*)$/;
+
+describe('Text charts with --output-format text', () => {
+  let json;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    json = await runCLIAndParseJSON(WEIGHT);
+  });
+
+  const chart = async (...args) => {
+    const result = await runCLI([
+      ...WEIGHT,
+      '--output-format',
+      'text',
+      ...args,
+    ]);
+    expect(result.exitCode).toBe(0);
+    return result.stdout.trimEnd().split('\n');
+  };
+
+  it('should draw a line per bin under a title', async () => {
+    const [title, ...lines] = await chart('--charset', 'ascii');
+
+    expect(title).toBe(
+      `weight: ${json.metadata.numeric_values} values, ${json.metadata.null_values} nulls`
+    );
+    expect(lines).toHaveLength(json.bins.length);
+
+    const total = json.bins.reduce((sum, bin) => sum + bin.count, 0);
+    lines.forEach((line, i) => {
+      const bin = json.bins[i];
+      const [, label, , count, share] = line.match(LINE);
+      expect(label).toBe(bin.bin_label);
+      expect(Number(count)).toBe(bin.count);
+      expect(share).toBe(((100 * bin.count) / total).toFixed(1));
+    });
+  });
+
+  it('should tag and shade the outer and null bins', async () => {
+    const lines = (await chart('--charset', 'ascii')).slice(1);
+    const parsed = lines.map(line => line.match(LINE));
+
+    expect(parsed[0][2]).toBe('underflow');
+    expect(parsed.at(-2)[2]).toBe('overflow');
+    expect(parsed.at(-1)[1]).toBe('null');
+    expect(parsed.at(-1)[2]).toBe('null');
+    expect(parsed.at(-1)[5]).toMatch(/^\.+$/);
+
+    for (const match of parsed.slice(1, -2)) {
+      expect(match[2]).toBeUndefined();
+      expect(match[5]).toMatch(/^#+$/);
+    }
+  });
+
+  it('should scale the bars to the width', async () => {
+    for (const width of [60, 100]) {
+      const lines = (
+        await chart('--charset', 'ascii', '--width', String(width))
+      ).slice(1);
+      const bars = lines.map(line => line.match(LINE)[5].length);
+      const counts = json.bins.map(bin => bin.count);
+      const largest = counts.indexOf(Math.max(...counts));
+
+      // The largest bin fills the line, the others are in proportion
+      expect(lines[largest]).toHaveLength(width);
+      for (const line of lines) {
+        expect(line.length).toBeLessThanOrEqual(width);
+      }
+      bars.forEach((bar, i) => {
+        const expected = (counts[i] / counts[largest]) * bars[largest];
+        expect(Math.abs(bar - expected)).toBeLessThanOrEqual(1);
+      });
+    }
+  });
+
+  it('should draw Unicode blocks by default', async () => {
+    const lines = (await chart('--width', '60')).slice(1);
+
+    expect(lines.every(line => line.includes('│'))).toBe(true);
+    expect(lines.some(line => line.includes('█'))).toBe(true);
+    expect(lines.at(-1)).toMatch(/│░+$/);
+  });
+
+  it('should draw a chart for each column and group', async () => {
+    const columns = await runCLI([
+      ...ATHLETES,
+      '-c',
+      'weight,height',
+      '-a',
+      'quantile',
+      '--output-format',
+      'text',
+    ]);
+    expect(columns.stdout).toMatch(/^weight: Quantile, /);
+    expect(columns.stdout).toMatch(/\n\nheight: Quantile, /);
+
+    const groups = await chart('--group-by', 'sex');
+    expect(
+      groups.filter(line => line.startsWith('weight [sex: '))
+    ).toHaveLength(2);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import {
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+  assertBuilt,
+  readTestColumn,
+} from './cli-helper.js';
+
+describe('WebAssembly build', () => {
+  let wasm;
+  let weights;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+    assertBuilt('wasm/pkg/binner_wasm_bg.wasm', 'build:wasm');
+    wasm = await import('../wasm/index.js');
+    await wasm.initBinner(
+      fs.readFileSync(
+        path.join(process.cwd(), 'wasm', 'pkg', 'binner_wasm_bg.wasm')
+      )
+    );
+    weights = await readTestColumn('athletes.parquet', 'weight');
+  });
+
+  it('should list every algorithm the CLI accepts', async () => {
+    const names = wasm.algorithms();
+
+    expect(names).toContain('jenks');
+    expect(names).toContain('head-tail');
+  });
+
+  it('should match the CLI for every algorithm', async () => {
+    for (const algorithm of wasm.algorithms()) {
+      const expected = await runCLIAndParseJSON([
+        '-f',
+        getTestDataPath('athletes.parquet'),
+        '-c',
+        'weight',
+        '-a',
+        algorithm,
+        '-n',
+        '5',
+      ]);
+
+      const result = wasm.binValues(weights, algorithm, { numBins: 5 });
+
+      expect(result.bin_edges, algorithm).toEqual(expected.metadata.bin_edges);
+      expect(result.null_values, algorithm).toBe(expected.metadata.null_values);
+      expect(
+        result.bins.map(({ count, min, max }) => ({ count, min, max })),
+        algorithm
+      ).toEqual(
+        expected.bins.map(({ count, min, max }) => ({ count, min, max }))
+      );
+    }
+  });
+
+  it('should treat null entries in plain arrays as nulls', () => {
+    const result = wasm.binValues([1, 2, null, 3, 4], 'equal-interval', {
+      numBins: 2,
+    });
+
+    expect(result.numeric_values).toBe(4);
+    expect(result.null_values).toBe(1);
+    expect(result.bins.reduce((sum, bin) => sum + bin.count, 0)).toBe(4);
+  });
+
+  it('should throw for an unknown algorithm', () => {
+    expect(() => wasm.binValues([1, 2, 3], 'invalid-algorithm')).toThrow(
+      'Invalid algorithm'
+    );
+  });
+});
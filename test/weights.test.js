@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { asyncBufferFromFile, parquetReadObjects } from 'hyparquet';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const toCSV = rows =>
+  ['value,weight', ...rows.map(([value, weight]) => `${value},${weight}`)].join(
+    '\n'
+  ) + '\n';
+
+describe('Weighted histograms with --weight-column', () => {
+  let rows;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+
+    const file = await asyncBufferFromFile(getTestDataPath('athletes.parquet'));
+    rows = await parquetReadObjects({ file, columns: ['weight', 'gold'] });
+  });
+
+  const binCSV = (csv, args) =>
+    runCLIAndParseJSON(
+      [
+        '--stdin',
+        '--format',
+        'csv',
+        '-c',
+        'value',
+        '--weight-column',
+        'weight',
+        ...args,
+      ],
+      { input: csv }
+    );
+
+  it('should sum the weights in each bin and keep the row count', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'equal-interval',
+      '-n',
+      '4',
+      '--weight-column',
+      'gold',
+    ]);
+    const weighted = rows.filter(row => row.weight !== null);
+    const totalGold = sum(weighted.map(row => Number(row.gold)));
+
+    expect(result.metadata.weight_column).toBe('gold');
+    expect(result.metadata.null_weights).toBe(0);
+    expect(result.metadata.negative_weights).toBe(0);
+    expect(result.metadata.total_weight).toBe(
+      sum(rows.map(row => Number(row.gold)))
+    );
+    expect(sum(result.bins.map(bin => bin.count))).toBe(totalGold);
+    expect(sum(result.bins.map(bin => bin.row_count))).toBe(weighted.length);
+
+    // Spot check one bin against the raw rows
+    const [, first] = result.bins;
+    const inFirst = weighted.filter(
+      row => Number(row.weight) >= first.from && Number(row.weight) < first.to
+    );
+    expect(first.row_count).toBe(inFirst.length);
+    expect(first.count).toBe(sum(inFirst.map(row => Number(row.gold))));
+  });
+
+  it('should match the unweighted histogram when every weight is 1', async () => {
+    const values = [3, 1, 4, 1, 5, 9, 2, 6, 5, 3, 5];
+    const weighted = await binCSV(
+      toCSV(values.map(value => [value, 1])),
+      ['-a', 'equal-interval', '-n', '3']
+    );
+    const unweighted = await runCLIAndParseJSON(
+      ['-f', '-', '-a', 'equal-interval', '-n', '3'],
+      { input: values.join('\n') }
+    );
+
+    expect(weighted.metadata.bin_edges).toEqual(unweighted.metadata.bin_edges);
+    expect(weighted.bins.map(bin => bin.count)).toEqual(
+      unweighted.bins.map(bin => bin.count)
+    );
+    expect(weighted.bins.map(bin => bin.row_count)).toEqual(
+      unweighted.bins.map(bin => bin.count)
+    );
+    expect(unweighted.bins[0].row_count).toBeUndefined();
+    expect(unweighted.metadata.weight_column).toBeNull();
+  });
+
+  it('should compute weighted quantile breaks', async () => {
+    // Value 8 carries more than half of the total weight
+    const result = await binCSV(
+      toCSV(
+        [1, 2, 3, 4, 5, 6, 7, 8].map(value => [value, value === 8 ? 10 : 1])
+      ),
+      ['-a', 'quantile', '-n', '2']
+    );
+
+    expect(result.metadata.bin_edges.slice(0, 2)).toEqual([1, 8]);
+    expect(result.bins[1].count).toBe(7);
+    expect(result.bins[2].count).toBe(10);
+    expect(result.bins[2].row_count).toBe(1);
+  });
+
+  it('should compute weighted Jenks breaks', async () => {
+    // Unweighted, 6 and 10 form a class; the heavy 10 pulls away on its own
+    const result = await binCSV(
+      toCSV([
+        [1, 1],
+        [4, 1],
+        [6, 1],
+        [10, 50],
+      ]),
+      ['-a', 'jenks', '-n', '2']
+    );
+
+    expect(result.metadata.bin_edges.slice(0, 2)).toEqual([1, 10]);
+    expect(result.bins[1].count).toBe(3);
+    expect(result.bins[2].count).toBe(50);
+  });
+
+  it('should skip and report null and negative weights', async () => {
+    const result = await binCSV(
+      'value,weight\n1,2\n2,\n3,-1\n4,0.5\n,3\n',
+      ['--bins', '0,10,null']
+    );
+
+    expect(result.metadata.null_weights).toBe(1);
+    expect(result.metadata.negative_weights).toBe(1);
+    expect(result.metadata.numeric_values).toBe(2);
+    expect(result.metadata.null_values).toBe(1);
+    expect(result.metadata.total_weight).toBe(5.5);
+    expect(result.bins[1].count).toBe(2.5);
+    expect(result.bins[1].row_count).toBe(2);
+    expect(result.bins.at(-1)).toMatchObject({
+      bin_label: 'null',
+      count: 3,
+      row_count: 1,
+    });
+  });
+
+  it('should fail on negative weights with --invalid-weights error', async () => {
+    const result = await runCLI(
+      [
+        '--stdin',
+        '--format',
+        'csv',
+        '-c',
+        'value',
+        '--weight-column',
+        'weight',
+        '--invalid-weights',
+        'error',
+        '-a',
+        'quantile',
+      ],
+      { input: 'value,weight\n1,2\n3,-1\n' }
+    );
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain(
+      "Negative weight -1 in column 'weight' at row 2"
+    );
+  });
+
+  it('should pass weightColumn through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'height',
+      algorithm: 'jenks',
+      numBins: 3,
+      weightColumn: 'gold',
+    });
+
+    expect(result.metadata.weight_column).toBe('gold');
+    expect(result.metadata.algorithm).toBe('Jenks');
+    expect(result.bins.every(bin => bin.row_count !== undefined)).toBe(true);
+  });
+});
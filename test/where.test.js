@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { asyncBufferFromFile, parquetReadObjects } from 'hyparquet';
+import binner from '../index.js';
+import {
+  runCLI,
+  runCLIAndParseJSON,
+  getTestDataPath,
+  ensureBinaryBuilt,
+} from './cli-helper.js';
+
+describe('Row filtering with --where', () => {
+  let rows;
+
+  beforeAll(async () => {
+    await ensureBinaryBuilt();
+
+    const file = await asyncBufferFromFile(getTestDataPath('athletes.parquet'));
+    rows = await parquetReadObjects({
+      file,
+      columns: ['sex', 'sport', 'gold', 'weight'],
+    });
+  });
+
+  const bin = predicate =>
+    runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'quantile',
+      '-n',
+      '4',
+      '--where',
+      predicate,
+    ]);
+
+  it('should only bin rows matching the predicate', async () => {
+    const predicate = "sex = 'female' AND gold >= 1";
+    const result = await bin(predicate);
+    const matching = rows.filter(row => row.sex === 'female' && row.gold >= 1);
+
+    expect(result.metadata.filter).toBe(predicate);
+    expect(result.metadata.filtered_rows).toBe(matching.length);
+    expect(result.metadata.total_rows).toBe(matching.length);
+    expect(result.metadata.null_values).toBe(
+      matching.filter(row => row.weight === null).length
+    );
+  });
+
+  it('should support OR, NOT, IN and IS NULL', async () => {
+    const result = await bin(
+      "(sport IN ('athletics', 'aquatics') OR gold > 2) AND NOT weight IS NULL"
+    );
+    const matching = rows.filter(
+      row =>
+        (['athletics', 'aquatics'].includes(row.sport) || row.gold > 2) &&
+        row.weight !== null
+    );
+
+    expect(result.metadata.filtered_rows).toBe(matching.length);
+    expect(result.metadata.null_values).toBe(0);
+  });
+
+  it('should leave the filter fields null without --where', async () => {
+    const result = await runCLIAndParseJSON([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+    ]);
+
+    expect(result.metadata.filter).toBe(null);
+    expect(result.metadata.filtered_rows).toBe(null);
+  });
+
+  it('should report syntax errors', async () => {
+    const result = await runCLI([
+      '-f',
+      getTestDataPath('athletes.parquet'),
+      '-c',
+      'weight',
+      '-a',
+      'jenks',
+      '--where',
+      "sex = 'female' AND",
+    ]);
+
+    expect(result.exitCode).not.toBe(0);
+    expect(result.stderr).toContain('Invalid --where expression');
+  });
+
+  it('should pass the filter through the Node.js API', async () => {
+    const result = await binner({
+      file: getTestDataPath('athletes.parquet'),
+      column: 'weight',
+      algorithm: 'jenks',
+      where: "sex <> 'male'",
+    });
+
+    expect(result.metadata.filtered_rows).toBe(
+      rows.filter(row => row.sex !== 'male').length
+    );
+  });
+});
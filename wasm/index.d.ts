@@ -0,0 +1,18 @@
+import type { BinningAlgorithm, NumericHistogramBin } from '../index';
+
+export interface WasmHistogram {
+  bin_edges: number[];
+  numeric_values: number;
+  null_values: number;
+  bins: NumericHistogramBin[];
+}
+
+export function initBinner(source?: BufferSource | URL | string): Promise<void>;
+
+export function algorithms(): BinningAlgorithm[];
+
+export function binValues(
+  values: Float64Array | Array<number | null>,
+  algorithm: BinningAlgorithm,
+  options?: { numBins?: number; stdDevSize?: number }
+): WasmHistogram;
@@ -0,0 +1,48 @@
+import init, * as core from './pkg/binner_wasm.js';
+
+let ready;
+
+/**
+ * Load the WebAssembly module
+ *
+ * In the browser the module is fetched next to this file. In Node, pass the
+ * bytes of wasm/pkg/binner_wasm_bg.wasm.
+ * @param {BufferSource|URL|string} [source] - Where to load the module from
+ * @returns {Promise<void>}
+ */
+export function initBinner(source) {
+  ready ??= init(source === undefined ? undefined : { module_or_path: source });
+  return ready;
+}
+
+/**
+ * The names of every supported algorithm
+ * @returns {string[]}
+ */
+export function algorithms() {
+  return core.algorithms();
+}
+
+/**
+ * Bin values with an algorithm
+ *
+ * Call (and await) initBinner once before binning.
+ * @param {Float64Array|Array<number|null>} values - Values to bin; null and NaN count as nulls
+ * @param {string} algorithm - Algorithm name, e.g. 'jenks' or 'equal-interval'
+ * @param {Object} [options]
+ * @param {number} [options.numBins=5] - Target number of bins to create
+ * @param {number} [options.stdDevSize=1] - Number of standard deviations for bin sizing
+ * @returns {import('./index').WasmHistogram}
+ */
+export function binValues(
+  values,
+  algorithm,
+  { numBins = 5, stdDevSize = 1 } = {}
+) {
+  const input =
+    values instanceof Float64Array
+      ? values
+      : Float64Array.from(values, value => (value === null ? NaN : value));
+
+  return core.histogram(input, algorithm, numBins, stdDevSize);
+}
@@ -0,0 +1,97 @@
+/*
+ * Binner WebAssembly build
+ *
+ * Compiles the classification and histogram fill from the core library for the
+ * browser, so histograms can be re-binned client side without a server round
+ * trip. Values are passed as a Float64Array; NaN entries are treated as nulls.
+ */
+
+use binner::classification::{BinningAlgorithm, compute_breaks, compute_log_breaks};
+use binner::geometric::{LOG_LABEL_DIGITS, LogScale};
+use binner::histogram::{Closure, NumericHistogramBin, build_bins};
+use binner::labels::LabelStyle;
+use serde::Serialize;
+use wasm_bindgen::prelude::*;
+
+#[derive(Serialize)]
+struct WasmHistogram {
+    bin_edges: Vec<f64>,
+    numeric_values: usize,
+    null_values: usize,
+    bins: Vec<NumericHistogramBin>,
+}
+
+/// The names of every supported algorithm
+#[wasm_bindgen]
+pub fn algorithms() -> Vec<String> {
+    BinningAlgorithm::ALL
+        .iter()
+        .map(|algorithm| algorithm.name().to_string())
+        .collect()
+}
+
+/// Calculate bin edges with an algorithm and count the values in each bin
+///
+/// # Arguments
+/// * `values` - The values to bin, NaN for nulls
+/// * `algorithm` - The kebab-case algorithm name, as accepted by the CLI
+/// * `num_bins` - The number of bins (ignored by standard-deviation and head-tail)
+/// * `std_dev_size` - The standard deviation multiplier (only for standard-deviation)
+#[wasm_bindgen]
+pub fn histogram(
+    values: &[f64],
+    algorithm: &str,
+    num_bins: usize,
+    std_dev_size: f64,
+) -> Result<JsValue, JsError> {
+    let algorithm = algorithm
+        .parse::<BinningAlgorithm>()
+        .map_err(|e| JsError::new(&e))?;
+
+    let numeric_values: Vec<f64> = values.iter().copied().filter(|v| !v.is_nan()).collect();
+    let null_count = values.len() - numeric_values.len();
+
+    if numeric_values.is_empty() {
+        return Err(JsError::new("No numeric values found"));
+    }
+
+    // Log-scale edges use base 10 and report values that are not positive
+    let (bin_edges, label_digits) = if algorithm.is_logarithmic() {
+        let edges = compute_log_breaks(&algorithm, num_bins, &LogScale::default(), &numeric_values)
+            .map_err(|e| JsError::new(&e))?;
+        (edges, Some(LOG_LABEL_DIGITS))
+    } else {
+        (
+            compute_breaks(&algorithm, num_bins, std_dev_size, &numeric_values)
+                .map_err(|e| JsError::new(&e))?,
+            None,
+        )
+    };
+    let bins = build_bins(
+        &numeric_values,
+        None,
+        &bin_edges,
+        null_count,
+        0.0,
+        false,
+        // The edges end at the largest value, so the last bin holds it
+        Closure::SPANNING,
+        LabelStyle {
+            significant_digits: label_digits,
+            ..LabelStyle::default()
+        },
+    )
+    .map_err(|e| JsError::new(&format!("{:?}", e)))?;
+
+    let result = WasmHistogram {
+        bin_edges,
+        numeric_values: numeric_values.len(),
+        null_values: null_count,
+        bins,
+    };
+
+    // json_compatible serializes None as null rather than undefined
+    result
+        .serialize(&serde_wasm_bindgen::Serializer::json_compatible())
+        .map_err(|e| JsError::new(&e.to_string()))
+}